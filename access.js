@@ -0,0 +1,647 @@
+// GoldenSign - API access control
+// Decides, for server.js, who is calling and which records they may read
+// and change. Organizers sign in with their email and password and send
+// the session token they get back as "Authorization: Bearer <token>".
+// Their role on each event grants the same permissions as in script.js.
+// The administrator (the first account) may do anything, which restoring
+// a backup needs. Everyone else is anonymous, like a participant
+// registering on a public event page.
+//
+// Participants have no account: a registration's secret token (from the
+// participant's own links) is sent in "X-Inscription-Tokens" and lets its
+// holder see the registration in full, cancel it and confirm it. Paying
+// goes through the server's payment provider (authorizePayment).
+//
+// Password hashes and salts never leave the server, and only their owner
+// sees the secret calendarToken. An event's discount codes are for the
+// organizers who edit it; registering checks them here. Registrations are sent without their
+// contact details, answers and tokens to anyone but their holder and the
+// event's organizers (viewers get no tokens either). Records are sent with
+// those fields removed, and a PUT without them keeps the stored values.
+
+const crypto = require('crypto');
+const { zonedTimeToDate } = require('./calendar');
+
+// Same derivation as hashPassword in script.js
+const PASSWORD_HASH_ITERATIONS = 100000;
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+// Clocks of the browsers doing the automatic updates may run this far ahead
+const CLOCK_SKEW_MS = 60 * 1000;
+// How long after a promotion its notice may be queued by someone else
+const PROMOTION_NOTICE_MS = 10 * 60 * 1000;
+// Mirrors DEFAULT_VERIFICATION_HOLD_MINUTES in script.js
+const DEFAULT_VERIFICATION_HOLD_MINUTES = 60;
+
+// Mirrors EVENT_ROLES in script.js
+const EVENT_ROLES = {
+    owner: ['viewInscriptions', 'edit', 'checkIn', 'export', 'share', 'delete'],
+    editor: ['viewInscriptions', 'edit', 'checkIn', 'export'],
+    viewer: ['viewInscriptions']
+};
+
+const ORGANIZER_SECRETS = ['passwordHash', 'passwordSalt'];
+// All an anonymous visitor learns about an account
+const PUBLIC_ORGANIZER_FIELDS = ['id', 'name'];
+
+// What the public pages need of other people's registrations: names for
+// teams and brackets, whatever decides capacity and waitlist order, and
+// the language of the notice sent when someone else's cancellation
+// promotes them
+const PUBLIC_INSCRIPTION_FIELDS = [
+    'id', 'eventId', 'name', 'locale', 'teamId', 'teamRole', 'status', 'verifyAs', 'verificationExpiresAt',
+    'createdAt', 'verifiedAt', 'promotedAt', 'demotedAt', 'cancelledAt', 'cancelledBy'
+];
+const INSCRIPTION_SECRETS = ['token', 'verificationToken'];
+// What registering prices, as calculateFee in script.js stores it
+const FEE_FIELDS = ['amountDue', 'currency', 'feeTier', 'earlyBird', 'discountCode', 'paymentStatus'];
+
+// What a participant may change on their own registration: cancel it and
+// confirm their email. Only a charge or the event's organizers mark it paid.
+const PARTICIPANT_FIELDS = ['status', 'cancelledAt', 'cancelledBy', 'verifiedAt'];
+
+// Sent by the participant's browser as things happen to a registration;
+// announcements are for organizers only
+const AUTOMATIC_MESSAGE_KINDS = ['verification', 'confirmation', 'cancellation', 'promotion', 'reminder'];
+
+class AccessError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function hashPassword(password, salt) {
+    return crypto.pbkdf2Sync(String(password), String(salt), PASSWORD_HASH_ITERATIONS, 32, 'sha256').toString('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function sameEmail(a, b) {
+    return Boolean(a) && Boolean(b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Sign-in sessions, kept in memory: restarting the server signs everyone out
+class SessionStore {
+    constructor({ ttlMs = SESSION_TTL_MS } = {}) {
+        this.ttlMs = ttlMs;
+        this.sessions = new Map();
+    }
+
+    create(organizerId) {
+        const token = crypto.randomBytes(32).toString('hex');
+        this.sessions.set(token, { organizerId, expiresAt: Date.now() + this.ttlMs });
+        return token;
+    }
+
+    // The organizer id of a live session; using it keeps it alive
+    get(token) {
+        const session = token && this.sessions.get(token);
+        if (!session) {
+            return null;
+        }
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        session.expiresAt = Date.now() + this.ttlMs;
+        return session.organizerId;
+    }
+
+    remove(token) {
+        this.sessions.delete(token);
+    }
+}
+
+// Who is calling
+function identify(req, store, sessions) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    const sessionToken = match ? match[1] : null;
+    const organizerId = sessions.get(sessionToken);
+    const organizer = organizerId ? store.list('organizers').find(item => item.id === organizerId) || null : null;
+    const tokens = new Set(String(req.headers['x-inscription-tokens'] || '').split(',').map(token => token.trim()).filter(Boolean));
+    const inscriptionIds = new Set(store.list('inscriptions')
+        .filter(inscription => [inscription.token, inscription.verificationToken].some(token => token && tokens.has(token)))
+        .map(inscription => inscription.id));
+    return { organizer, sessionToken: organizer ? sessionToken : null, inscriptionIds };
+}
+
+function signIn(store, sessions, { email, password } = {}) {
+    const organizer = store.list('organizers').find(item => sameEmail(item.email, email));
+    if (!organizer || !organizer.passwordSalt || !safeEqual(hashPassword(password || '', organizer.passwordSalt), organizer.passwordHash)) {
+        throw new AccessError(401, 'Wrong email or password');
+    }
+    return { token: sessions.create(organizer.id), organizer: viewOrganizer(organizer, { store, requester: { organizer } }) };
+}
+
+// Event roles
+function getEventRole(event, organizerId) {
+    if (!event || !organizerId) {
+        return null;
+    }
+    if (event.ownerId === organizerId) {
+        return 'owner';
+    }
+    const collaborator = (event.collaborators || []).find(item => item.organizerId === organizerId);
+    return collaborator ? collaborator.role : null;
+}
+
+function can(requester, event, permission) {
+    const { organizer } = requester;
+    if (!organizer) {
+        return false;
+    }
+    if (organizer.isAdmin) {
+        return true;
+    }
+    const role = getEventRole(event, organizer.id);
+    return Boolean(role) && (EVENT_ROLES[role] || []).includes(permission);
+}
+
+function requireOrganizer(requester) {
+    if (!requester.organizer) {
+        throw new AccessError(401, 'Sign in required');
+    }
+}
+
+function requirePermission(requester, event, permission) {
+    requireOrganizer(requester);
+    if (!can(requester, event, permission)) {
+        throw new AccessError(403, 'Not allowed');
+    }
+}
+
+function requireAdmin(requester) {
+    requireOrganizer(requester);
+    if (!requester.organizer.isAdmin) {
+        throw new AccessError(403, 'Not allowed');
+    }
+}
+
+function findEvent(store, id) {
+    return store.list('events').find(event => event.id === id) || null;
+}
+
+function findInscription(store, id) {
+    return store.list('inscriptions').find(inscription => inscription.id === id) || null;
+}
+
+function requireEvent(store, id) {
+    const event = findEvent(store, id);
+    if (!event) {
+        throw new AccessError(400, 'Unknown event');
+    }
+    return event;
+}
+
+// Reading
+// The fields of a record the requester may not see
+function hiddenFields(collection, record, { store, requester }) {
+    if (collection === 'organizers') {
+        const { organizer } = requester;
+        if (!organizer) {
+            return Object.keys(record).filter(key => !PUBLIC_ORGANIZER_FIELDS.includes(key));
+        }
+        return organizer.id === record.id ? ORGANIZER_SECRETS : [...ORGANIZER_SECRETS, 'calendarToken'];
+    }
+    if (collection === 'inscriptions') {
+        const event = findEvent(store, record.eventId);
+        if (requester.inscriptionIds.has(record.id) || can(requester, event, 'edit') || can(requester, event, 'checkIn')) {
+            return [];
+        }
+        if (can(requester, event, 'viewInscriptions')) {
+            return INSCRIPTION_SECRETS;
+        }
+        return Object.keys(record).filter(key => !PUBLIC_INSCRIPTION_FIELDS.includes(key));
+    }
+    if (collection === 'events' && !can(requester, record, 'edit')) {
+        return ['discountCodes'];
+    }
+    return [];
+}
+
+// The event's history records old and new codes too
+function withoutCodeChanges(history) {
+    return history
+        .map(entry => ({ ...entry, changes: (entry.changes || []).filter(change => change.field !== 'discountCodes') }))
+        .filter(entry => entry.changes.length > 0 || entry.movedToWaitlist);
+}
+
+// Whether the requester sees the record at all
+function isVisible(collection, record, { store, requester }) {
+    if (collection === 'templates') {
+        return Boolean(requester.organizer) && (requester.organizer.isAdmin || record.ownerId === requester.organizer.id);
+    }
+    // Message bodies carry the registration's secret links
+    if (collection === 'messages') {
+        return requester.inscriptionIds.has(record.inscriptionId) || can(requester, findEvent(store, record.eventId), 'edit');
+    }
+    return true;
+}
+
+function viewRecord(collection, record, context) {
+    const hidden = hiddenFields(collection, record, context);
+    const view = Object.fromEntries(Object.entries(record).filter(([key]) => !hidden.includes(key)));
+    if (collection === 'events' && hidden.includes('discountCodes') && Array.isArray(view.history)) {
+        view.history = withoutCodeChanges(view.history);
+    }
+    return view;
+}
+
+function viewOrganizer(record, context) {
+    return viewRecord('organizers', record, context);
+}
+
+function viewRecords(collection, records, context) {
+    return records
+        .filter(record => isVisible(collection, record, context))
+        .map(record => viewRecord(collection, record, context));
+}
+
+// Capacity
+// As in script.js: unverified registrations hold what they will become
+// until their hold runs out, and teams take one slot
+function getSlotStatus(inscription, now) {
+    if (inscription.status !== 'pending_verification') {
+        return inscription.status;
+    }
+    return new Date(inscription.verificationExpiresAt) > now ? inscription.verifyAs : null;
+}
+
+function getFreeSlots(store, event, exceptId, now) {
+    const holders = store.list('inscriptions').filter(inscription =>
+        inscription.eventId === event.id && inscription.id !== exceptId && getSlotStatus(inscription, now) === 'accepted'
+    );
+    const taken = event.teamMode ? new Set(holders.map(inscription => inscription.teamId || inscription.id)).size : holders.length;
+    return event.maxParticipants - taken;
+}
+
+// The status a teammate's registration gives this one, if any
+function getTeamStatus(store, record, now) {
+    if (!record.teamId) {
+        return null;
+    }
+    const teammate = store.list('inscriptions').find(inscription =>
+        inscription.teamId === record.teamId && inscription.id !== record.id && getSlotStatus(inscription, now)
+    );
+    return teammate ? getSlotStatus(teammate, now) : null;
+}
+
+// Fees
+// Mirrors calculateFee in script.js. Returns { fee } or, for a code the
+// event does not have, { error: 'invalidDiscountCode' }.
+function calculateFee(event, { member = false, discountCode = '' } = {}, now = new Date()) {
+    const tier = member && event.memberFeeAmount != null ? 'member' : 'standard';
+    let amount = tier === 'member' ? event.memberFeeAmount : event.feeAmount;
+
+    const earlyBird = Boolean(event.earlyBirdDiscount && event.earlyBirdUntil && now < zonedTimeToDate(event.earlyBirdUntil, event.timezone));
+    if (earlyBird) {
+        amount = Math.max(0, amount - event.earlyBirdDiscount);
+    }
+
+    const code = String(discountCode || '').trim().toUpperCase();
+    const discount = code ? (event.discountCodes || []).find(item => item.code === code) : null;
+    if (code && !discount) {
+        return { error: 'invalidDiscountCode' };
+    }
+    if (discount) {
+        amount = Math.round(amount * (100 - discount.percentOff) / 100);
+    }
+
+    return {
+        fee: {
+            amountDue: amount,
+            currency: event.feeCurrency,
+            feeTier: tier,
+            earlyBird,
+            discountCode: discount ? discount.code : null,
+            paymentStatus: amount > 0 ? 'unpaid' : 'waived'
+        }
+    };
+}
+
+function hasFee(event) {
+    return event.feeAmount !== null && event.feeAmount !== undefined;
+}
+
+// The price the registration page shows, before the codes it cannot see
+function quoteFee(store, { eventId, member, discountCode } = {}) {
+    const event = requireEvent(store, eventId);
+    if (!hasFee(event)) {
+        throw new AccessError(400, 'The event is free');
+    }
+    return calculateFee(event, { member: Boolean(member), discountCode });
+}
+
+function changedFields(record, stored) {
+    return [...new Set([...Object.keys(record), ...Object.keys(stored)])]
+        .filter(key => JSON.stringify(record[key] ?? null) !== JSON.stringify(stored[key] ?? null));
+}
+
+// Writing
+const WRITE_RULES = {
+    meta: {
+        put: ({ requester, record }) => {
+            requireAdmin(requester);
+            return record;
+        },
+        remove: ({ requester }) => requireAdmin(requester)
+    },
+
+    // Signing up needs no session. The first account administers the
+    // workspace; nobody makes themselves administrator later.
+    organizers: {
+        put: ({ store, requester, record, stored }) => {
+            const admin = Boolean(requester.organizer && requester.organizer.isAdmin);
+            const emailTaken = store.list('organizers').some(item => item.id !== record.id && sameEmail(item.email, record.email));
+            if (emailTaken) {
+                throw new AccessError(409, 'An account with this email already exists');
+            }
+            if (!stored) {
+                if (!admin && (!record.passwordHash || !record.passwordSalt)) {
+                    throw new AccessError(400, 'A password is required');
+                }
+                return admin ? record : { ...record, isAdmin: store.list('organizers').length === 0 };
+            }
+            requireOrganizer(requester);
+            if (!admin && requester.organizer.id !== stored.id) {
+                throw new AccessError(403, 'Not allowed');
+            }
+            return admin ? record : { ...record, isAdmin: Boolean(stored.isAdmin) };
+        },
+        remove: ({ requester }) => requireAdmin(requester)
+    },
+
+    // New events belong to whoever creates them. Sharing and handing over
+    // an event take the share permission; events without an owner (from
+    // before accounts existed) only change hands through the administrator.
+    events: {
+        put: ({ requester, record, stored }) => {
+            requireOrganizer(requester);
+            const { organizer } = requester;
+            if (!stored) {
+                if (!organizer.isAdmin && record.ownerId !== organizer.id) {
+                    throw new AccessError(403, 'New events must be owned by their creator');
+                }
+                return record;
+            }
+            requirePermission(requester, stored, 'edit');
+            const sharingChanged = (record.ownerId || null) !== (stored.ownerId || null) ||
+                JSON.stringify(record.collaborators || []) !== JSON.stringify(stored.collaborators || []);
+            if (sharingChanged) {
+                requirePermission(requester, stored, 'share');
+            }
+            if ((record.ownerId || null) !== (stored.ownerId || null) && !organizer.isAdmin) {
+                throw new AccessError(403, 'Only the administrator can hand over an event');
+            }
+            return record;
+        },
+        remove: ({ requester, stored }) => requirePermission(requester, stored, 'delete')
+    },
+
+    series: {
+        put: ({ requester, record, stored }) => {
+            requireOrganizer(requester);
+            const { organizer } = requester;
+            if (!organizer.isAdmin && (record.ownerId !== organizer.id || (stored && stored.ownerId !== organizer.id))) {
+                throw new AccessError(403, 'Not allowed');
+            }
+            return record;
+        },
+        remove: ({ requester, stored }) => {
+            requireOrganizer(requester);
+            if (!requester.organizer.isAdmin && stored.ownerId !== requester.organizer.id) {
+                throw new AccessError(403, 'Not allowed');
+            }
+        }
+    },
+
+    templates: {
+        put: ({ requester, record, stored }) => {
+            requireOrganizer(requester);
+            const { organizer } = requester;
+            if (!organizer.isAdmin && (record.ownerId !== organizer.id || (stored && stored.ownerId !== organizer.id))) {
+                throw new AccessError(403, 'Not allowed');
+            }
+            return record;
+        },
+        remove: ({ requester, stored }) => {
+            requireOrganizer(requester);
+            if (!requester.organizer.isAdmin && stored.ownerId !== requester.organizer.id) {
+                throw new AccessError(403, 'Not allowed');
+            }
+        }
+    },
+
+    // Participants create teams when they register one
+    teams: {
+        put: ({ store, requester, record, stored }) => {
+            const event = requireEvent(store, record.eventId);
+            if (stored || !event.teamMode) {
+                requirePermission(requester, findEvent(store, (stored || record).eventId), 'edit');
+            }
+            return record;
+        },
+        remove: ({ store, requester, stored }) => requirePermission(requester, findEvent(store, stored.eventId), 'edit')
+    },
+
+    // Registering happens on the public event page, under the same limits
+    // the page applies. Past that, a registration changes through its
+    // organizers, its holder, or the updates any visitor's browser makes
+    // on the workspace's behalf: promoting the waitlist into free slots and
+    // cancelling holds whose verification ran out.
+    inscriptions: {
+        put: ({ store, requester, record, stored }) => {
+            const event = requireEvent(store, record.eventId);
+            const now = new Date();
+            if (can(requester, event, 'edit') && (!stored || can(requester, findEvent(store, stored.eventId), 'edit'))) {
+                return record;
+            }
+            if (!stored) {
+                return authorizeRegistration(store, event, record, now);
+            }
+            
+            const changed = changedFields(record, stored);
+            if (changed.length === 0) {
+                return record;
+            }
+            if (requester.inscriptionIds.has(stored.id) && changed.every(key => PARTICIPANT_FIELDS.includes(key)) &&
+                isParticipantChange(record, stored)) {
+                return record;
+            }
+            const isPromotion = stored.status === 'waitlisted' && record.status === 'accepted' &&
+                changed.every(key => ['status', 'promotedAt'].includes(key)) &&
+                (getTeamStatus(store, record, now) === 'accepted' || getFreeSlots(store, event, record.id, now) > 0);
+            const isExpiredHold = stored.status === 'pending_verification' && record.status === 'cancelled' &&
+                record.cancelledBy === 'verification timeout' &&
+                changed.every(key => ['status', 'cancelledAt', 'cancelledBy'].includes(key)) &&
+                new Date(stored.verificationExpiresAt).getTime() <= now.getTime() + CLOCK_SKEW_MS;
+            if (isPromotion || isExpiredHold) {
+                return record;
+            }
+            throw new AccessError(requester.organizer ? 403 : 401, 'Not allowed');
+        },
+        remove: ({ store, requester, stored }) => requirePermission(requester, findEvent(store, stored.eventId), 'edit')
+    },
+
+    // Registration emails are queued by the browser that registers,
+    // cancels or promotes, which may not see the participant's address and
+    // secret links: the server addresses them and fills in {{email}} and
+    // {{token}}
+    messages: {
+        put: ({ store, requester, record, stored }) => {
+            const event = findEvent(store, record.eventId);
+            const inscription = findInscription(store, record.inscriptionId);
+            if (can(requester, event, 'edit') && (!stored || can(requester, findEvent(store, stored.eventId), 'edit'))) {
+                return inscription ? addressMessage(record, inscription) : record;
+            }
+            if (!inscription || inscription.eventId !== record.eventId || !AUTOMATIC_MESSAGE_KINDS.includes(record.kind)) {
+                throw new AccessError(requester.organizer ? 403 : 401, 'Not allowed');
+            }
+            
+            const owned = requester.inscriptionIds.has(inscription.id);
+            const unchanged = stored && ['kind', 'eventId', 'inscriptionId', 'to'].every(key => record[key] === stored[key]);
+            const isPromotionNotice = !stored && record.status === 'queued' && ['promotion', 'reminder'].includes(record.kind) &&
+                inscription.status === 'accepted' && inscription.promotedAt &&
+                Date.now() - new Date(inscription.promotedAt).getTime() <= PROMOTION_NOTICE_MS &&
+                !store.list('messages').some(message => message.inscriptionId === inscription.id && message.kind === record.kind &&
+                    new Date(message.createdAt) >= new Date(inscription.promotedAt));
+            if ((owned && (!stored || unchanged)) || isPromotionNotice) {
+                return addressMessage(record, inscription);
+            }
+            throw new AccessError(requester.organizer ? 403 : 401, 'Not allowed');
+        },
+        remove: ({ store, requester, stored }) => requirePermission(requester, findEvent(store, stored.eventId), 'edit')
+    }
+};
+
+// A new registration from the public page: no organizer-only fields, no
+// second registration for an email, a slot only when one is free, and the
+// price the event asks. Membership is the registrant's own claim, as on
+// the page. Events with verificationRequired only take holds waiting for
+// their email, and the server decides how long a hold lasts.
+function authorizeRegistration(store, event, record, now) {
+    const duplicate = store.list('inscriptions').some(inscription =>
+        inscription.eventId === event.id && getSlotStatus(inscription, now) && sameEmail(inscription.email, record.email)
+    );
+    if (duplicate) {
+        throw new AccessError(409, 'This email is already registered for the event');
+    }
+    if (record.addedBy || record.checkedInAt || record.verifiedAt) {
+        throw new AccessError(403, 'Not allowed');
+    }
+    if (hasFee(event)) {
+        const { fee, error } = calculateFee(event, { member: record.feeTier === 'member', discountCode: record.discountCode }, now);
+        if (error) {
+            throw new AccessError(400, 'Unknown discount code');
+        }
+        if (FEE_FIELDS.some(key => (record[key] ?? null) !== (fee[key] ?? null))) {
+            throw new AccessError(400, 'The fee does not match the event');
+        }
+    } else if (FEE_FIELDS.some(key => record[key] != null)) {
+        throw new AccessError(400, 'The event is free');
+    }
+    
+    const status = record.status === 'pending_verification' ? record.verifyAs : record.status;
+    const teamStatus = getTeamStatus(store, record, now);
+    const allowed = teamStatus ? status === teamStatus
+        : status === 'accepted' ? getFreeSlots(store, event, record.id, now) > 0
+            : status === 'waitlisted' && Boolean(event.waitlistEnabled);
+    if (!allowed) {
+        throw new AccessError(409, 'The event has no room for this registration');
+    }
+    if (Boolean(event.verificationRequired) !== (record.status === 'pending_verification')) {
+        throw new AccessError(403, 'Not allowed');
+    }
+    if (event.verificationRequired) {
+        if (!record.verificationToken) {
+            throw new AccessError(400, 'A verification token is required');
+        }
+        const holdMinutes = event.verificationHoldMinutes || DEFAULT_VERIFICATION_HOLD_MINUTES;
+        return { ...record, verificationExpiresAt: new Date(now.getTime() + holdMinutes * 60 * 1000).toISOString() };
+    }
+    return record;
+}
+
+// Holders cancel, and confirm their email while the hold lasts
+function isParticipantChange(record, stored) {
+    if (record.status === stored.status) {
+        return true;
+    }
+    const cancels = record.status === 'cancelled' && record.cancelledBy === 'participant';
+    const verifies = stored.status === 'pending_verification' && ['accepted', 'waitlisted'].includes(record.status) &&
+        new Date(stored.verificationExpiresAt) > new Date();
+    return cancels || verifies;
+}
+
+// The registrations one checkout may charge: unpaid ones of a single event,
+// each held by the requester or organized by them (a captain pays for the
+// teammates they registered)
+function authorizePayment(inscriptionIds, { store, requester }) {
+    if (!Array.isArray(inscriptionIds) || inscriptionIds.length === 0) {
+        throw new AccessError(400, 'Nothing to pay');
+    }
+    const inscriptions = inscriptionIds.map(id => findInscription(store, id));
+    if (inscriptions.some(inscription => !inscription)) {
+        throw new AccessError(400, 'Unknown registration');
+    }
+    const [first] = inscriptions;
+    const event = findEvent(store, first.eventId);
+    const allowed = inscriptions.every(inscription =>
+        inscription.eventId === first.eventId && (requester.inscriptionIds.has(inscription.id) || can(requester, event, 'edit'))
+    );
+    if (!allowed) {
+        throw new AccessError(requester.organizer ? 403 : 401, 'Not allowed');
+    }
+    if (inscriptions.some(inscription => inscription.paymentStatus !== 'unpaid' || inscription.status === 'cancelled')) {
+        throw new AccessError(409, 'Only unpaid registrations can be paid');
+    }
+    return { event, inscriptions };
+}
+
+function addressMessage(record, inscription) {
+    const fill = text => typeof text === 'string'
+        ? text.replace(/\{\{email\}\}/g, inscription.email).replace(/\{\{token\}\}/g, inscription.token)
+        : text;
+    return { ...record, to: inscription.email, subject: fill(record.subject), body: fill(record.body) };
+}
+
+function getRules(collection) {
+    const rules = WRITE_RULES[collection];
+    if (!rules) {
+        throw new AccessError(404, 'Unknown collection');
+    }
+    return rules;
+}
+
+// The record to store for a PUT, or an AccessError. Fields the requester
+// cannot see keep their stored values.
+function authorizePut(collection, record, { store, requester }) {
+    const rules = getRules(collection);
+    const stored = store.list(collection).find(item => item.id === record.id) || null;
+    const kept = stored
+        ? Object.fromEntries(hiddenFields(collection, stored, { store, requester }).filter(key => key in stored).map(key => [key, stored[key]]))
+        : {};
+    return rules.put({ store, requester, record: { ...record, ...kept }, stored });
+}
+
+function authorizeRemove(collection, stored, { store, requester }) {
+    getRules(collection).remove({ store, requester, stored });
+}
+
+module.exports = {
+    AccessError,
+    SessionStore,
+    identify,
+    signIn,
+    viewRecords,
+    viewOrganizer,
+    authorizePut,
+    authorizeRemove,
+    authorizePayment,
+    quoteFee,
+    hashPassword
+};
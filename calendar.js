@@ -0,0 +1,159 @@
+// GoldenSign - iCalendar export
+// Builds .ics calendars (RFC 5545) from event records. The pages load it
+// before script.js for the "Add to calendar" downloads, and server.js
+// requires it to serve each organizer's subscribable feed, so nothing here
+// may touch the DOM or storage.
+//
+// Event dates are wall-clock times ('YYYY-MM-DDTHH:mm') in the event's IANA
+// timezone; the calendar carries them in UTC so every client agrees.
+
+const DEFAULT_EVENT_DURATION_MINUTES = 120;
+const ICS_PRODUCT_ID = '-//GoldenSign//Events//EN';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Timezones
+// How far timeZone is ahead of UTC at the given instant, in milliseconds
+function getTimeZoneOffset(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a wall-clock time in timeZone refers to. Around a daylight
+// saving change the offsets from the day before and the day after are both
+// tried: a time the clocks pass twice is the earlier of the two, and a time
+// they skip is moved forward by the gap, the way new Date() does.
+// Without a timezone the runtime's own is used, like new Date(localDateTime).
+function zonedTimeToDate(localDateTime, timeZone) {
+    if (!timeZone) {
+        return new Date(localDateTime);
+    }
+    const [datePart, timePart = '00:00'] = localDateTime.split('T');
+    const [year, month, day] = datePart.split('-').map(Number);
+    const [hour, minute, second = 0] = timePart.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    const offsetBefore = getTimeZoneOffset(new Date(wallClock - DAY_MS), timeZone);
+    const offsetAfter = getTimeZoneOffset(new Date(wallClock + DAY_MS), timeZone);
+    const matches = [offsetBefore, offsetAfter]
+        .map(offset => wallClock - offset)
+        .filter(instant => getTimeZoneOffset(new Date(instant), timeZone) === wallClock - instant);
+    return new Date(matches.length > 0 ? Math.min(...matches) : wallClock - offsetBefore);
+}
+
+// The wall-clock time ('YYYY-MM-DDTHH:mm') in timeZone at the given instant,
+// the reverse of zonedTimeToDate
+function dateToZonedTime(date, timeZone) {
+    return new Date(date.getTime() + getTimeZoneOffset(date, timeZone)).toISOString().slice(0, 16);
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// iCalendar Formatting
+function formatIcsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldIcsLine(line) {
+    const chunks = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const code = char.codePointAt(0);
+        const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        if (octets + size > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+// Events
+// One VEVENT per course session when sessions are scheduled, otherwise one
+// for the event itself. Sessions last as long as the event does.
+function buildEventComponents(event, { baseUrl, now }) {
+    const duration = (event.durationMinutes || DEFAULT_EVENT_DURATION_MINUTES) * 60 * 1000;
+    const sessions = [...(event.sessions || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const occurrences = sessions.length > 0
+        ? sessions.map((session, index) => ({
+            uid: `${event.id}-${session.id}@goldensign`,
+            summary: `${event.title}: ${session.title || `Session ${index + 1}`}`,
+            date: session.date
+        }))
+        : [{ uid: `${event.id}@goldensign`, summary: event.title, date: event.date }];
+    const url = `${baseUrl}/inscription.html?id=${event.id}`;
+
+    return occurrences.map(occurrence => {
+        const start = zonedTimeToDate(occurrence.date, event.timezone);
+        return [
+            'BEGIN:VEVENT',
+            `UID:${occurrence.uid}`,
+            `DTSTAMP:${formatIcsDate(now)}`,
+            `DTSTART:${formatIcsDate(start)}`,
+            `DTEND:${formatIcsDate(new Date(start.getTime() + duration))}`,
+            // Clients replace their copy when the organizer edits the event
+            `SEQUENCE:${(event.history || []).length}`,
+            `SUMMARY:${escapeIcsText(occurrence.summary)}`,
+            event.description ? `DESCRIPTION:${escapeIcsText(`${event.description}\n\n${url}`)}` : `DESCRIPTION:${escapeIcsText(url)}`,
+            event.location ? `LOCATION:${escapeIcsText(event.location)}` : null,
+            `URL:${url}`,
+            'END:VEVENT'
+        ].filter(Boolean);
+    });
+}
+
+function buildCalendar(events, { name = 'GoldenSign', baseUrl = '', now = new Date() } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`,
+        ...events.flatMap(event => buildEventComponents(event, { baseUrl, now }).flat()),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        DEFAULT_EVENT_DURATION_MINUTES,
+        getTimeZoneOffset,
+        zonedTimeToDate,
+        dateToZonedTime,
+        isValidTimeZone,
+        buildCalendar
+    };
+}
@@ -0,0 +1,13 @@
+// GoldenSign - Runtime configuration
+// Selects the storage backend used by DataManager:
+//   'local' - keep everything in this browser's localStorage
+//   'rest'  - use the HTTP/JSON API at apiUrl (see server.js)
+// and the payment provider for paid events:
+//   'mock'  - a local stand-in that takes test card numbers, charging nothing
+// When the pages are served by server.js this file is replaced by one
+// that points at the server's own API.
+window.GOLDENSIGN_CONFIG = {
+    storage: 'local',
+    apiUrl: '/api',
+    payments: 'mock'
+};
@@ -0,0 +1,2361 @@
+// GoldenSign - Translations
+// Message catalogs for every language the pages are offered in, and the
+// helpers that look messages up. The pages load it before calendar.js and
+// script.js so everything after it can call t().
+//
+// Messages are plain strings with {name} placeholders, or objects keyed by
+// plural category ('one', 'other') when they depend on a {count}. Every key
+// must exist in English; other languages fall back to it.
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'goldensign_locale';
+const LOCALES = {
+    en: { name: 'English', intl: 'en-US' },
+    es: { name: 'Español', intl: 'es-ES' }
+};
+
+const MESSAGES = {
+    en: {
+        // Shared
+        'common.yes': 'Yes',
+        'common.no': 'No',
+        'common.remove': 'Remove',
+        'common.delete': 'Delete',
+        'common.enabled': 'Enabled',
+        'common.disabled': 'Disabled',
+        'common.copy': 'Copy',
+        'common.saveChanges': 'Save Changes',
+        'common.cancel': 'Cancel',
+        'common.copyFailed': 'Failed to copy link. Please copy manually: {url}',
+        'common.urlCopied': 'URL copied to clipboard!',
+        'common.urlCopyFailed': 'Failed to copy URL',
+        'common.save': 'Save',
+        'common.back': 'Back',
+        'common.serverUnreachable': 'Could not reach the server. Please try again.',
+        'common.loadFailed': 'Could not load data from the server',
+        'common.backToHome': 'Back to Home',
+        'nav.home': 'Home',
+        'nav.about': 'About',
+        'nav.calendar': '📅 Calendar',
+        'nav.signOut': 'Sign Out',
+        'nav.contact': 'Contact',
+        'nav.privacy': 'Privacy',
+        'nav.manager': 'Manager',
+        'nav.language': 'Language',
+        'footer.rights': 'All rights reserved.',
+        'count.events': {
+            one: '{count} event',
+            other: '{count} events'
+        },
+        'count.participants': {
+            one: '{count} participant',
+            other: '{count} participants'
+        },
+        'count.teams': {
+            one: '{count} team',
+            other: '{count} teams'
+        },
+        'count.players': {
+            one: '{count} player',
+            other: '{count} players'
+        },
+        'count.minutes': {
+            one: '{count} minute',
+            other: '{count} minutes'
+        },
+        'count.members': {
+            one: '{count} member',
+            other: '{count} members'
+        },
+        'count.people': {
+            one: '{count} person',
+            other: '{count} people'
+        },
+        'count.byes': {
+            one: '{count} bye',
+            other: '{count} byes'
+        },
+        'count.sessions': {
+            one: '{count} session',
+            other: '{count} sessions'
+        },
+        'count.rows': {
+            one: '{count} row',
+            other: '{count} rows'
+        },
+        'duration.minutes': '{minutes} min',
+        'duration.hours': '{hours} h {minutes} min',
+        'duration.days': {
+            one: '{count} day {hours} h',
+            other: '{count} days {hours} h'
+        },
+        'date.withLocalTime': '{date} · {time} your time',
+        'error.schemaVersion': 'This data was saved by a newer version of GoldenSign (schema {version}, this page supports up to {supported}). Update the app to open it.',
+        'error.notABackup': 'This file is not a GoldenSign backup',
+        'error.backupNoVersion': 'The backup has no valid schema version',
+        'error.accountExists': 'An account with this email already exists',
+        'error.organizerNotFound': 'Organizer not found',
+        'error.eventNotFound': 'Event not found',
+        'error.noOrganizerWithEmail': 'No organizer account uses this email',
+        'error.ownerHasAccess': 'The owner already has full access',
+        'error.invalidCollaboratorRole': 'Co-organizers are editors or viewers',
+        'error.capacityBelowAccepted': {
+            one: '{count} participant is already accepted; capacity cannot go below that',
+            other: '{count} participants are already accepted; capacity cannot go below that'
+        },
+        'error.capacityBelowAcceptedTeams': {
+            one: '{count} team is already accepted; capacity cannot go below that',
+            other: '{count} teams are already accepted; capacity cannot go below that'
+        },
+        'error.invalidVerificationLink': 'Invalid verification link',
+        'error.verificationLinkExpired': 'This verification link has expired',
+        'error.inscriptionNotFound': 'Inscription not found',
+        'error.invalidCancellationLink': 'Invalid cancellation link',
+        'error.messageNotFound': 'Message not found',
+        'error.notATeamEvent': 'This event does not take team registrations',
+        'error.teamNameRequired': 'Please enter a team name',
+        'error.teamNameTaken': 'A team called "{name}" is already registered',
+        'error.teamSize': 'Teams need between {min} and {max} members',
+        'error.inviteCodeNotFound': 'No team found for this invite code',
+        'error.teamFull': {
+            one: '{name} already has the maximum of {count} member',
+            other: '{name} already has the maximum of {count} members'
+        },
+        'error.bracketsTournamentOnly': 'Brackets can only be generated for tournaments',
+        'error.bracketNotFound': 'Bracket not found',
+        'error.swissTournamentOnly': 'Swiss rounds can only be run for tournaments',
+        'error.swissNotFound': 'Swiss tournament not found',
+        'error.sessionsCourseOnly': 'Sessions can only be scheduled for courses',
+        'error.attendanceThreshold': 'The attendance threshold must be between 0 and 100%',
+        'error.refundUnpaid': 'Only paid registrations can be refunded',
+        'error.bracketTooFewParticipants': 'At least 2 accepted participants are needed to build a bracket',
+        'error.matchNotFound': 'Match not found',
+        'error.matchNotReady': 'This match is not ready for a result',
+        'error.drawRoundRobinOnly': 'Only round robin matches can end in a draw',
+        'error.winnerNotInMatch': 'The winner must be one of the two players',
+        'error.resultLocked': 'This result can no longer be changed',
+        'error.swissTooFewParticipants': 'At least 2 accepted participants are needed for Swiss rounds',
+        'error.swissRoundCount': 'Choose between 1 and {max} rounds',
+        'error.swissRoundIncomplete': 'Enter every result of the current round first',
+        'error.swissAllPaired': 'All rounds have already been paired',
+        'error.swissNoPairing': 'Every remaining pairing would repeat an earlier game. Reduce the number of rounds.',
+        'error.pairingNotFound': 'Pairing not found',
+        'error.transferTeams': 'Team registrations cannot be transferred',
+        'error.transferPaid': '{name} has paid for this event. Refund the payment before transferring the registration.',
+        'error.transferDuplicate': '{email} is already registered for "{title}"',
+        'error.transferFull': '"{title}" is full and has no waitlist',
+        'error.noWaitlist': '"{title}" has no waitlist',
+        'error.waitlistTeams': 'Team registrations cannot be moved to the waitlist one member at a time',
+        'error.mergeConflict': 'Both are registered for "{title}". Cancel one of the registrations before merging.',
+
+        // Home page
+        'home.invalidLink': 'Please enter a valid invitation link',
+        'home.invalidLinkFormat': 'Invalid invitation link format',
+        'home.pageTitle': 'GoldenSign - Tournament & Course Inscription',
+        'home.heroTitle': 'Organize & Join Tournaments with Ease',
+        'home.heroSubtitle': 'Fast. Simple. Elegant.',
+        'home.createTournament': 'Create a Tournament',
+        'home.joinCourse': 'Join a Course',
+        'home.tournamentsText': 'Create competitive events',
+        'home.coursesText': 'Organize learning sessions',
+        'home.howItWorks': 'How It Works',
+        'home.stepCreate': 'Create',
+        'home.stepCreateText': 'Set up your tournament or course with details like date, participants, and description.',
+        'home.stepShare': 'Share',
+        'home.stepShareText': 'Generate a unique link and share it with potential participants.',
+        'home.stepJoin': 'Join',
+        'home.stepJoinText': 'Participants click the link to register and confirm their participation.',
+        'home.joinTitle': 'Ready to Join?',
+        'home.joinText': 'Enter the invitation link you received to register for a tournament or course.',
+        'home.joinPlaceholder': 'Paste your invitation link here...',
+        'home.joinNow': 'Join Now',
+
+        // Organizer accounts and sharing
+        'manager.pageTitle': 'Manager Dashboard - GoldenSign',
+        'manager.title': 'Manager Dashboard',
+        'manager.subtitle': 'Create and manage your tournaments and courses',
+        'manager.createTab': 'Create Event',
+        'manager.communitiesTab': 'My Communities',
+        'manager.participantsTab': 'Participants',
+        'auth.wrongCredentials': 'Wrong email or password',
+        'auth.welcomeBack': 'Welcome back, {name}!',
+        'auth.nameAndEmailRequired': 'Please enter your name and a valid email',
+        'auth.passwordTooShort': {
+            one: 'The password needs at least {count} character',
+            other: 'The password needs at least {count} characters'
+        },
+        'auth.passwordMismatch': 'The passwords do not match',
+        'auth.signUpFailed': 'Could not create the account. Please try again.',
+        'auth.accountCreated': 'Account created successfully!',
+        'auth.signInTitle': 'Sign In',
+        'auth.email': 'Email',
+        'auth.password': 'Password',
+        'auth.signIn': 'Sign In',
+        'auth.newOrganizer': 'New organizer?',
+        'auth.createAnAccount': 'Create an account',
+        'auth.signUpTitle': 'Create Organizer Account',
+        'auth.name': 'Name',
+        'auth.repeatPassword': 'Repeat Password',
+        'auth.firstAccountHint': 'The first account administers the workspace and takes over events created before accounts existed.',
+        'auth.createAccount': 'Create Account',
+        'auth.alreadyRegistered': 'Already registered?',
+        'auth.signInLink': 'Sign in',
+        'sharing.notAllowed': 'Your role on "{title}" does not allow this',
+        'sharing.organizers': 'Organizers',
+        'sharing.noOwner': 'No owner',
+        'sharing.emailPlaceholder': 'Co-organizer\'s account email',
+        'sharing.share': 'Share',
+        'sharing.rolesHint': 'Editors can change the event, check people in and export its data. Viewers can only see it and its registrations.',
+        'sharing.updated': 'Sharing updated',
+        'sharing.removed': 'Co-organizer removed',
+        'sharing.removeFailed': 'Could not remove the co-organizer',
+
+        // Event form and event cards
+        'eventType.tournament': 'Tournament',
+        'eventType.course': 'Course',
+        'eventStatus.open': 'Open',
+        'eventStatus.upcoming': 'Upcoming',
+        'eventStatus.closed': 'Closed',
+        'eventStatus.full': 'Full',
+        'eventStatus.past': 'Past',
+        'eventField.title': 'Title',
+        'eventField.description': 'Description',
+        'eventField.date': 'Date',
+        'eventField.type': 'Type',
+        'eventField.maxParticipants': 'Max participants',
+        'eventField.waitlistEnabled': 'Waitlist',
+        'eventField.registrationOpensAt': 'Registration opens',
+        'eventField.registrationClosesAt': 'Registration closes',
+        'eventField.verificationRequired': 'Email verification',
+        'eventField.verificationHoldMinutes': 'Verification hold (minutes)',
+        'eventField.durationMinutes': 'Duration (minutes)',
+        'eventField.timezone': 'Time zone',
+        'eventField.location': 'Location',
+        'eventField.feeAmount': 'Fee',
+        'eventField.feeCurrency': 'Currency',
+        'eventField.memberFeeAmount': 'Member fee',
+        'eventField.earlyBirdDiscount': 'Early-bird discount',
+        'eventField.earlyBirdUntil': 'Early-bird until',
+        'eventField.discountCodes': 'Discount codes',
+        'eventForm.tournamentTitlePlaceholder': 'Enter tournament title (e.g., "Summer Chess Championship")',
+        'eventForm.courseTitlePlaceholder': 'Enter course title (e.g., "Web Development Bootcamp")',
+        'eventForm.saveFailed': 'Could not save the event. Please try again.',
+        'eventForm.tournamentCreated': 'Tournament created successfully!',
+        'eventForm.courseCreated': 'Course created successfully!',
+        'eventForm.maxTeams': 'Max Teams',
+        'eventForm.maxParticipants': 'Max Participants',
+        'eventForm.waitlistEnabled': 'Enable waitlist when full',
+        'eventForm.verificationRequired': 'Require email verification',
+        'eventForm.verificationHoldMinutes': 'Hold Unverified Slots For (minutes)',
+        'eventForm.feeAmount': 'Registration Fee',
+        'eventForm.feeAmountEditHint': 'Leave empty for a free event. Changes apply to new registrations only.',
+        'eventForm.memberFeeAmount': 'Member Fee',
+        'eventForm.discountCodes': 'Discount Codes',
+        'eventForm.discountCodesPlaceholder': 'e.g., CLUB:10, STAFF:100',
+        'eventForm.earlyBirdDiscount': 'Early-bird Discount',
+        'eventForm.earlyBirdUntil': 'Early-bird Until',
+        'eventForm.createTitle': 'Create New Event',
+        'eventForm.titlePlaceholder': 'Enter event title',
+        'eventForm.descriptionPlaceholder': 'Describe your event...',
+        'eventForm.maxParticipantsPlaceholder': 'e.g., 50',
+        'eventForm.timezone': 'Time Zone',
+        'eventForm.timezonePlaceholder': 'e.g., Europe/Madrid',
+        'eventForm.locationPlaceholder': 'Venue, address or meeting link',
+        'eventForm.registrationOpensAt': 'Registration Opens',
+        'eventForm.registrationClosesAt': 'Registration Closes',
+        'eventForm.registrationOpensHint': 'Leave empty to open registration right away.',
+        'eventForm.registrationClosesHint': 'Leave empty to accept registrations until the event is full.',
+        'eventForm.teamMode': 'Team event',
+        'eventForm.teamModeHint': 'Participants register as teams. Capacity and brackets count teams instead of people.',
+        'eventForm.teamSizeMin': 'Min Team Size',
+        'eventForm.teamSizeMax': 'Max Team Size',
+        'eventForm.waitlistHint': 'Registrations past the maximum join a queue and are promoted automatically when a slot frees up.',
+        'eventForm.verificationHint': 'New registrations get a link by email and only count once it is opened. Their slot is held in the meantime.',
+        'eventForm.feeEnabled': 'Charge a registration fee',
+        'eventForm.feeHint': 'Registrants pay when they sign up. Members, early birds and discount codes can pay less.',
+        'eventForm.feeAmountPlaceholder': 'e.g., 20.00',
+        'eventForm.memberFeeHint': 'Leave empty if members pay the regular fee.',
+        'eventForm.discountCodesHint': 'Code and percentage off, comma separated.',
+        'eventForm.formFields': 'Registration Fields',
+        'eventForm.formFieldsHint': 'Name and email are always collected. Add extra questions such as a rating, age or T-shirt size.',
+        'eventForm.addField': 'Add Field',
+        'eventForm.submit': 'Create Event & Generate Link',
+        'validation.requiredFields': 'Please fill in all required fields',
+        'validation.maxParticipants': 'Maximum participants must be at least 1',
+        'validation.dateInPast': 'Event date must be in the future',
+        'validation.registrationWindow': 'Registration must open before it closes',
+        'validation.registrationOpensAfterEvent': 'Registration must open before the event starts',
+        'validation.teamSize': 'Team size needs a minimum of at least 1 and a maximum no lower than the minimum',
+        'validation.duration': 'Duration must be at least 1 minute',
+        'validation.timezone': 'Unknown time zone "{timezone}". Use a name such as Europe/Madrid',
+        'validation.verificationHold': 'Unverified registrations need to be held for at least 1 minute',
+        'validation.feeAmount': 'The registration fee must be more than 0',
+        'validation.currency': 'Unknown currency "{currency}". Use a code such as EUR or USD',
+        'validation.memberFee': 'The member fee cannot be negative',
+        'validation.earlyBirdIncomplete': 'An early-bird discount needs both an amount and an end date',
+        'validation.earlyBirdAmount': 'The early-bird discount must be more than 0',
+        'validation.discountCodes': 'Write discount codes as CODE:percent, e.g. CLUB:10, with a percentage from 1 to 100',
+        'validation.discountCodesUnique': 'Each discount code can only be listed once',
+        'validation.seriesInterval': 'A series repeats weekly or monthly, at least every 1 week or month',
+        'validation.seriesUntil': 'The series needs a last date on or after the first event',
+        'validation.seriesExceptions': 'Write skip dates as YYYY-MM-DD, comma separated',
+        'validation.seriesEmpty': 'Every date of the series is skipped',
+        'validation.seriesTooLong': 'A series can have at most {count} events. Choose an earlier last date.',
+        'series.repeat': 'Repeat this event',
+        'series.repeatHint': 'Creates one event per date, each with its own registration link. Registration windows move along with each date.',
+        'series.frequency': 'Repeats',
+        'series.weekly': 'Weekly',
+        'series.monthly': 'Monthly',
+        'series.interval': 'Every (weeks or months)',
+        'series.until': 'Last Date',
+        'series.exceptions': 'Skip Dates',
+        'series.exceptionsPlaceholder': 'e.g., 2026-12-24, 2026-12-31',
+        'series.exceptionsHint': 'No event is created on these days.',
+        'series.everyWeeks': {
+            one: 'Every week until {date}',
+            other: 'Every {count} weeks until {date}'
+        },
+        'series.everyMonths': {
+            one: 'Every month until {date}',
+            other: 'Every {count} months until {date}'
+        },
+        'series.skipped': {
+            one: '{count} date skipped',
+            other: '{count} dates skipped'
+        },
+        'series.next': 'Next: {date}',
+        'series.created': {
+            one: 'Series created with {count} event!',
+            other: 'Series created with {count} events!'
+        },
+        'series.delete': 'Delete Series',
+        'series.confirmDelete': {
+            one: 'Delete this series and its {count} event with all their registrations? This action cannot be undone.',
+            other: 'Delete this series and its {count} events with all their registrations? This action cannot be undone.'
+        },
+        'series.deleted': 'Series deleted',
+        'templates.label': 'Start from a Template',
+        'templates.none': 'No template',
+        'templates.save': 'Save as Template',
+        'templates.delete': 'Delete Template',
+        'templates.hint': 'Templates keep everything but the dates. Saving uses the title as the template name.',
+        'templates.titleRequired': 'Enter a title first; it becomes the template name',
+        'templates.confirmReplace': 'Replace your template "{name}" with the current settings?',
+        'templates.saved': 'Template "{name}" saved',
+        'templates.saveFailed': 'Could not save the template. Please try again.',
+        'templates.confirmDelete': 'Delete the template "{name}"? Events created from it are not affected.',
+        'templates.deleted': 'Template "{name}" deleted',
+        'templates.deleteFailed': 'Could not delete the template. Please try again.',
+        'formFieldBuilder.questionPlaceholder': 'Question (e.g., Chess rating)',
+        'formFieldBuilder.optionsPlaceholder': 'Options, comma separated',
+        'formFieldBuilder.min': 'Min',
+        'formFieldBuilder.max': 'Max',
+        'formFieldBuilder.required': 'Required',
+        'formFieldBuilder.remove': 'Remove field',
+        'formFieldType.text': 'Text',
+        'formFieldType.number': 'Number',
+        'formFieldType.select': 'Dropdown',
+        'formFieldType.checkbox': 'Checkbox',
+        'formFieldType.date': 'Date',
+        'formField.labelRequired': 'Every registration field needs a label',
+        'formField.unknownType': 'Unknown field type for "{label}"',
+        'formField.optionsRequired': 'Add at least one option to "{label}"',
+        'formField.limitsNotNumbers': 'Limits for "{label}" must be numbers',
+        'formField.limitsReversed': 'The minimum for "{label}" is above its maximum',
+        'formField.labelsNotUnique': 'Registration field labels must be unique',
+        'formField.checkRequired': 'Please check "{label}"',
+        'formField.required': '{label} is required',
+        'formField.notANumber': '{label} must be a number',
+        'formField.notADate': '{label} must be a valid date',
+        'formField.chooseOption': 'Choose one of the options for {label}',
+        'formField.between': '{label} must be between {min} and {max}',
+        'formField.atLeast': '{label} must be at least {min}',
+        'formField.atMost': '{label} must be at most {max}',
+        'fee.invalidDiscountCode': '"{code}" is not a valid discount code',
+        'fee.members': 'Members {amount}',
+        'fee.earlyBird': '{amount} off until {date}',
+        'feeTier.standard': 'Standard',
+        'feeTier.member': 'Member',
+        'events.emptyTitle': 'No events yet',
+        'events.emptyText': 'Create your first tournament or course to get started!',
+        'events.teamsOfMax': {
+            one: '{count}/{max} team',
+            other: '{count}/{max} teams'
+        },
+        'events.participantsOfMax': {
+            one: '{count}/{max} participant',
+            other: '{count}/{max} participants'
+        },
+        'events.slotsAvailable': {
+            one: '{count} slot available',
+            other: '{count} slots available'
+        },
+        'events.onWaitlist': {
+            one: '{count} on waitlist',
+            other: '{count} on waitlist'
+        },
+        'events.registrationOpens': 'Registration opens {date}',
+        'events.registrationClosed': 'Registration closed {date}',
+        'events.viewDetails': 'View Details',
+        'events.copyLink': 'Copy Link',
+        'events.viewInscriptions': 'View Inscriptions',
+        'events.bracket': 'Bracket',
+        'events.swiss': 'Swiss',
+        'events.sessions': 'Sessions',
+        'events.checkIn': 'Check-in',
+        'events.messages': 'Messages',
+        'events.linkCopied': 'Event link copied to clipboard!',
+        'events.noneSelected': 'No event selected',
+        'events.confirmDelete': 'Are you sure you want to delete this event? This action cannot be undone.',
+        'events.deleteFailed': 'Could not delete the event. Please try again.',
+        'events.deleted': 'Event deleted successfully',
+        'events.title': 'Your Events',
+        'eventModal.teamSize': 'Team Size',
+        'eventModal.teamSizeRange': '{min}–{max} members',
+        'eventModal.currentRegistrations': 'Current Registrations',
+        'eventModal.availableSlots': 'Available Slots',
+        'eventModal.waiting': {
+            one: '{count} waiting',
+            other: '{count} waiting'
+        },
+        'eventModal.emailVerification': 'Email Verification',
+        'eventModal.verificationSummary': {
+            one: 'Required · {count} awaiting, slots held {minutes}',
+            other: 'Required · {count} awaiting, slots held {minutes}'
+        },
+        'eventModal.codes': 'Codes: {codes}',
+        'eventModal.revenue': 'Revenue',
+        'eventModal.unpaid': {
+            one: '{count} unpaid',
+            other: '{count} unpaid'
+        },
+        'eventModal.status': 'Status',
+        'eventModal.openForRegistration': 'Open for registration',
+        'eventModal.fullWaitlistOpen': 'Full (waitlist open)',
+        'eventModal.registrationLink': 'Registration Link',
+        'eventModal.changeHistory': 'Change History',
+        'eventModal.movedToWaitlist': {
+            one: '{count} participant moved to the waitlist',
+            other: '{count} participants moved to the waitlist'
+        },
+        'eventModal.title': 'Event Details',
+        'eventModal.edit': 'Edit Event',
+        'eventEdit.confirmOverflow': {
+            one: '{accepted} participants are already accepted. Move the most recent registration to the waitlist?',
+            other: '{accepted} participants are already accepted. Move the {count} most recent registrations to the waitlist?'
+        },
+        'eventEdit.confirmOverflowTeams': {
+            one: '{accepted} teams are already accepted. Move the most recent registration to the waitlist?',
+            other: '{accepted} teams are already accepted. Move the {count} most recent registrations to the waitlist?'
+        },
+        'eventEdit.updated': 'Event updated successfully!',
+        'eventEdit.demoted': {
+            one: '{count} moved to the waitlist.',
+            other: '{count} moved to the waitlist.'
+        },
+        'eventEdit.promoted': {
+            one: '{count} promoted from the waitlist.',
+            other: '{count} promoted from the waitlist.'
+        },
+
+        // Inscriptions and payments
+        'inscriptions.title': 'Inscriptions for "{title}"',
+        'inscriptions.emptyTitle': 'No registrations yet',
+        'inscriptions.emptyText': 'Share the event link to start receiving registrations!',
+        'inscriptions.total': 'Total Registrations',
+        'inscriptions.teamsOfMax': {
+            one: '{count} of {max} team',
+            other: '{count} of {max} teams'
+        },
+        'inscriptions.ofMax': '{count} of {max}',
+        'inscriptions.accepted': 'Accepted',
+        'inscriptions.pending': 'Awaiting Email Verification',
+        'inscriptions.cancelled': 'Cancelled',
+        'inscriptionStatus.accepted': 'Accepted',
+        'inscriptionStatus.waitlisted': 'Waitlisted',
+        'inscriptionStatus.pendingVerification': 'Awaiting verification',
+        'inscriptionStatus.cancelled': 'Cancelled',
+        'inscriptions.nobody': 'Nobody here yet.',
+        'inscriptions.checkedIn': 'Checked in {date}',
+        'inscriptions.slotHeld': 'Slot held until {date}',
+        'inscriptions.waitlistHeld': 'Joins the waitlist once verified until {date}',
+        'inscriptions.verificationTimedOut': 'Email not verified in time, released on {date}',
+        'inscriptions.cancelledBy': 'Cancelled by {by} on {date}',
+        'inscriptions.modalTitle': 'Event Inscriptions',
+        'inscriptions.searchPlaceholder': 'Search by name or email...',
+        'inscriptions.sortBy': 'Sort by',
+        'inscriptions.sortStatus': 'Status',
+        'inscriptions.sortName': 'Name',
+        'inscriptions.sortDate': 'Registration date',
+        'inscriptions.select': 'Select {name}',
+        'inscriptions.add': 'Add Registration',
+        'inscriptions.edit': 'Edit registration',
+        'inscriptions.addTitle': 'Add a registration',
+        'inscriptions.editTitle': 'Edit the registration of {name}',
+        'inscriptions.team': 'Team',
+        'inscriptions.manualHint': 'Registrations entered here skip the registration window, capacity and field limits. Fees are charged at the regular price.',
+        'inscriptions.noTeams': 'Create a team through the registration page first',
+        'inscriptions.confirmDuplicate': '{email} is already registered for this event. Add it anyway?',
+        'inscriptions.saveFailed': 'Could not save the registration',
+        'inscriptions.added': '{name} has been registered',
+        'inscriptions.updated': 'Registration of {name} updated',
+        'bulk.selected': {
+            one: '{count} selected',
+            other: '{count} selected'
+        },
+        'bulk.cancel': 'Cancel',
+        'bulk.waitlist': 'Move to Waitlist',
+        'bulk.markPaid': 'Mark Paid',
+        'bulk.checkIn': 'Check In',
+        'bulk.transfer': 'Transfer',
+        'bulk.transferTarget': 'Transfer to event',
+        'bulk.email': 'Email',
+        'bulk.cancelled': {
+            one: '{count} registration cancelled.',
+            other: '{count} registrations cancelled.'
+        },
+        'bulk.waitlisted': {
+            one: '{count} registration moved to the waitlist.',
+            other: '{count} registrations moved to the waitlist.'
+        },
+        'bulk.markedPaid': {
+            one: '{count} registration marked as paid.',
+            other: '{count} registrations marked as paid.'
+        },
+        'bulk.checkedIn': {
+            one: '{count} participant checked in.',
+            other: '{count} participants checked in.'
+        },
+        'bulk.skipped': {
+            one: '{count} did not apply and was skipped.',
+            other: '{count} did not apply and were skipped.'
+        },
+        'bulk.nothingApplies': 'This action does not apply to any of the selected registrations',
+        'bulk.confirmCancel': {
+            one: 'Cancel {count} registration? Everyone affected is emailed.',
+            other: 'Cancel {count} registrations? Everyone affected is emailed.'
+        },
+        'bulk.confirmTransfer': {
+            one: 'Transfer {count} registration to "{title}"? It is cancelled here and confirmed or waitlisted there.',
+            other: 'Transfer {count} registrations to "{title}"? They are cancelled here and confirmed or waitlisted there.'
+        },
+        'bulk.transferred': {
+            one: '{count} registration transferred to "{title}".',
+            other: '{count} registrations transferred to "{title}".'
+        },
+        'bulk.failed': 'Could not finish the action. Some registrations may have changed already.',
+        'bulk.emailTitle': {
+            one: 'Email {count} selected registration',
+            other: 'Email {count} selected registrations'
+        },
+        'bulk.emailHint': 'Addresses awaiting verification are left out.',
+        'bulk.send': 'Queue Emails',
+        'bulk.emailIncomplete': 'Emails need a subject and a body',
+        'bulk.emailQueued': {
+            one: '{count} email queued. Follow it in the outbox.',
+            other: '{count} emails queued. Follow them in the outbox.'
+        },
+        'teams.captain': 'Captain',
+        'teams.noTeam': 'No team',
+        'teams.inviteCode': 'Invite code {code}',
+        'role.owner': 'Owner',
+        'role.editor': 'Editor',
+        'role.viewer': 'Viewer',
+        'cancelledBy.participant': 'participant',
+        'cancelledBy.organizer': 'organizer',
+        'payment.invalidCard': 'Please enter a valid card number',
+        'payment.declined': 'Your card was declined',
+        'payment.description': 'Registration',
+        'payment.earlyBird': 'early-bird',
+        'payment.code': 'code {code}',
+        'payment.recordedBy': 'recorded by {name}',
+        'payment.markPaid': 'Mark Paid',
+        'payment.waive': 'Waive',
+        'payment.refund': 'Refund',
+        'payment.saveFailed': 'Could not save the payment. Please try again.',
+        'payment.recorded': 'Payment from {name} recorded',
+        'payment.waived': 'Fee waived for {name}',
+        'payment.refundManual': 'This payment was recorded by hand, so pay the money back yourself.',
+        'payment.refundProvider': 'The payment provider will return the charge.',
+        'payment.confirmRefund': 'Refund {amount} to {name}?',
+        'payment.refundFailed': 'Could not refund the payment. Please try again.',
+        'payment.refunded': '{amount} refunded to {name}',
+        'paymentStatus.unpaid': 'Unpaid',
+        'paymentStatus.paid': 'Paid',
+        'paymentStatus.refunded': 'Refunded',
+        'paymentStatus.waived': 'Waived',
+
+        // Brackets, Swiss rounds and courses
+        'bracketFormat.single': 'Single Elimination',
+        'bracketFormat.double': 'Double Elimination',
+        'bracketFormat.round_robin': 'Round Robin',
+        'bracket.title': 'Bracket for "{title}"',
+        'bracket.copyLink': 'Copy Public Link',
+        'bracket.reset': 'Reset Bracket',
+        'bracket.notEnoughTitle': 'Not enough participants',
+        'bracket.notEnoughText': 'At least 2 accepted participants are needed to generate a bracket.',
+        'bracket.format': 'Format',
+        'bracket.seedParticipants': 'Seed participants',
+        'bracket.seedHint': 'Seeded players are kept apart in the early rounds and receive byes first. Unseeded players are drawn at random.',
+        'bracket.seed': 'Seed',
+        'bracket.generate': 'Generate Bracket',
+        'bracket.seedsUnique': 'Each seed number can only be used once',
+        'bracket.generateFailed': 'Could not generate the bracket',
+        'bracket.generated': 'Bracket generated successfully!',
+        'bracket.championNotice': '{name} wins the tournament! 🏆',
+        'bracket.confirmReset': 'Reset the bracket? All recorded results will be lost.',
+        'bracket.resetFailed': 'Could not reset the bracket',
+        'bracket.linkCopied': 'Bracket link copied to clipboard!',
+        'bracket.winnersBracket': 'Winners Bracket',
+        'bracket.losersBracket': 'Losers Bracket',
+        'bracket.grandFinal': 'Grand Final',
+        'bracket.champion': 'Champion',
+        'bracket.bracketReset': 'Bracket Reset',
+        'bracket.losersRound': 'Losers Round {round}',
+        'bracket.winnersFinal': 'Winners Final',
+        'bracket.winnersSemifinals': 'Winners Semifinals',
+        'bracket.winnersQuarterfinals': 'Winners Quarterfinals',
+        'bracket.final': 'Final',
+        'bracket.semifinals': 'Semifinals',
+        'bracket.quarterfinals': 'Quarterfinals',
+        'bracket.round': 'Round {round}',
+        'bracket.bye': 'Bye',
+        'bracket.tbd': 'TBD',
+        'bracket.modalTitle': 'Tournament Bracket',
+        'bracket.pageTitle': 'Tournament Bracket - GoldenSign',
+        'bracket.loading': 'Loading bracket...',
+        'bracket.notFoundTitle': 'Tournament Not Found',
+        'bracket.notFoundText': 'The tournament you\'re looking for doesn\'t exist or has been removed.',
+        'bracket.pendingTitle': 'Bracket Coming Soon',
+        'bracket.pendingText': 'The organizer hasn\'t published the bracket for this tournament yet.',
+        'bracket.backToRegistration': 'Back to Registration',
+        'match.saveFailed': 'Could not save the result',
+        'match.undoFailed': 'Could not undo the result',
+        'match.win': 'Win',
+        'match.scorePlaceholder': 'Score (optional)',
+        'match.draw': 'Draw',
+        'match.undo': 'Undo',
+        'standings.title': 'Standings',
+        'standings.player': 'Player',
+        'standings.played': 'P',
+        'standings.wins': 'W',
+        'standings.draws': 'D',
+        'standings.losses': 'L',
+        'standings.points': 'Pts',
+        'standings.score': 'Score',
+        'standings.gamesPlayed': 'Played',
+        'swiss.title': 'Swiss Rounds for "{title}"',
+        'swiss.notEnoughText': 'At least 2 accepted participants are needed to run Swiss rounds.',
+        'swiss.rounds': 'Number of Rounds',
+        'swiss.pairingOrder': 'Pairing numbers follow registration order.',
+        'swiss.start': 'Start Swiss Tournament',
+        'swiss.startFailed': 'Could not start the Swiss tournament',
+        'swiss.firstRoundPaired': 'Round 1 paired!',
+        'swiss.roundOf': 'Round {round} of {total}',
+        'swiss.pairRound': 'Pair Round {round}',
+        'swiss.exportStandings': 'Export Standings',
+        'swiss.deleteLastRound': 'Delete Last Round',
+        'swiss.reset': 'Reset',
+        'swiss.board': 'Board',
+        'swiss.white': 'White',
+        'swiss.result': 'Result',
+        'swiss.black': 'Black',
+        'swiss.pairFailed': 'Could not pair the next round',
+        'swiss.confirmDeleteRound': 'Delete the last round and its results?',
+        'swiss.deleteRoundFailed': 'Could not delete the round',
+        'swiss.confirmReset': 'Reset the Swiss tournament? All rounds and results will be lost.',
+        'swiss.resetFailed': 'Could not reset the Swiss tournament',
+        'swiss.modalTitle': 'Swiss Rounds',
+        'course.title': 'Sessions for "{title}"',
+        'course.schedule': 'Schedule',
+        'course.session': 'Session',
+        'course.present': 'Present',
+        'course.sessionNumber': 'Session {number}',
+        'course.rollCall': 'Roll Call',
+        'course.noSessions': 'No sessions scheduled yet.',
+        'course.sessionTitlePlaceholder': 'Session title (optional)',
+        'course.addSession': 'Add Session',
+        'course.attendance': 'Attendance',
+        'course.certificateThreshold': 'Certificate threshold',
+        'course.participant': 'Participant',
+        'course.attended': 'Attended',
+        'course.certificate': 'Certificate',
+        'course.noParticipants': 'No accepted participants yet.',
+        'course.addSessionFailed': 'Could not add the session',
+        'course.confirmRemoveSession': 'Remove this session and its attendance records?',
+        'course.removeSessionFailed': 'Could not remove the session',
+        'course.attendanceFailed': 'Could not save attendance',
+        'course.thresholdFailed': 'Could not save the threshold',
+        'course.thresholdSaved': 'Certificate threshold saved',
+        'course.modalTitle': 'Course Sessions',
+
+        // Messages and calendar feeds
+        'messageKind.verification': 'Email verification',
+        'messageKind.confirmation': 'Registration confirmation',
+        'messageKind.cancellation': 'Cancellation',
+        'messageKind.promotion': 'Waitlist promotion',
+        'messageKind.reminder': 'Event reminder',
+        'messageKind.announcement': 'Announcement',
+        'messageStatus.queued': 'Queued',
+        'messageStatus.sent': 'Sent',
+        'messageStatus.failed': 'Failed',
+        'messageStatus.cancelled': 'Cancelled',
+        'email.verification.subject': 'Please confirm your email: {{event}}',
+        'email.verification.body': 'Hi {{name}},\n\nPlease confirm your email address to complete your registration for {{event}} on {{date}}:\n\n{{link}}\n\nYour spot is only held for a limited time. If you did not register, you can ignore this email.\n',
+        'email.confirmation.subject': 'Registration received: {{event}}',
+        'email.confirmation.body': 'Hi {{name}},\n\nThanks for registering for {{event}} on {{date}}. Your registration is {{status}}.\n\nView or cancel your registration here: {{link}}\n',
+        'email.cancellation.subject': 'Registration cancelled: {{event}}',
+        'email.cancellation.body': 'Hi {{name}},\n\nYour registration for {{event}} on {{date}} has been cancelled.\n',
+        'email.promotion.subject': 'A spot opened up: {{event}}',
+        'email.promotion.body': 'Hi {{name}},\n\nGood news: you moved up from the waitlist and are now registered for {{event}} on {{date}}.\n\nView or cancel your registration here: {{link}}\n',
+        'email.reminder.subject': 'Tomorrow: {{event}}',
+        'email.reminder.body': 'Hi {{name}},\n\nA reminder that {{event}} starts on {{date}}. See you there!\n\nIf you can no longer make it, please cancel so someone else can take your spot: {{link}}\n',
+        'email.status.pending_verification': 'awaiting email verification',
+        'email.status.accepted': 'confirmed',
+        'email.status.waitlisted': 'on the waitlist (position {position})',
+        'email.status.cancelled': 'cancelled',
+        'messages.title': 'Messages for "{title}"',
+        'messages.templates': 'Templates',
+        'messages.placeholders': 'Placeholders',
+        'messages.customized': 'customized',
+        'messages.subject': 'Subject',
+        'messages.body': 'Body',
+        'messages.saveTemplate': 'Save Template',
+        'messages.resetTemplate': 'Reset to Default',
+        'messages.outbox': 'Outbox',
+        'messages.refresh': 'Refresh',
+        'messages.browserStorageHint': 'Messages are delivered by the GoldenSign server (server.js with SMTP_HOST set). With browser storage they stay queued here.',
+        'messages.message': 'Message',
+        'messages.to': 'To',
+        'messages.retry': 'Retry',
+        'messages.empty': 'No messages yet. They are queued as people register, cancel and move up from the waitlist.',
+        'messages.sentAt': 'Sent {date}',
+        'messages.scheduledFor': 'Scheduled for {date}',
+        'messages.queuedAt': 'Queued {date}',
+        'messages.templateIncomplete': 'Templates need a subject and a body',
+        'messages.templateSaveFailed': 'Could not save the template',
+        'messages.templateSaved': 'Template saved. It applies to messages queued from now on.',
+        'messages.templateReset': 'Template reset to the default',
+        'messages.outboxFailed': 'Could not load the outbox',
+        'calendarFeed.intro': {
+            one: 'Your calendar lists the {count} event you organize or help with, one entry per session for courses with a schedule.',
+            other: 'Your calendar lists all {count} events you organize or help with, one entry per session for courses with a schedule.'
+        },
+        'calendarFeed.link': 'Subscription Link',
+        'calendarFeed.linkHint': 'Add this link to Google Calendar, Outlook or Apple Calendar to keep your events in sync. Anyone with the link can see your schedule.',
+        'calendarFeed.browserStorageHint': 'Subscription links are served by the GoldenSign server (server.js). With browser storage you can download the calendar instead.',
+        'calendarFeed.download': 'Download .ics',
+        'calendarFeed.resetLink': 'Reset Link',
+        'calendarFeed.copied': 'Calendar link copied to clipboard!',
+        'calendarFeed.copyManually': 'Select the link and copy it manually',
+        'calendarFeed.confirmReset': 'Calendars subscribed to the current link will stop updating. Create a new link?',
+        'calendarFeed.reset': 'New calendar link created',
+        'calendarFeed.modalTitle': 'Calendar Feed',
+
+        // Communities, analytics, exports and imports
+        'communities.totalEvents': {
+            one: '{count} Event',
+            other: '{count} Events'
+        },
+        'communities.totalParticipants': {
+            one: '{count} Participant',
+            other: '{count} Participants'
+        },
+        'communities.totalRevenue': '{amount} Revenue',
+        'communities.emptyTitle': 'No communities yet',
+        'communities.emptyText': 'Create your first tournament or course to start building your community!',
+        'communities.participants': 'Participants',
+        'communities.maxCapacity': 'Max Capacity',
+        'communities.available': 'Available',
+        'communities.show': 'Show',
+        'communities.hide': 'Hide',
+        'communities.noParticipants': 'No participants yet. Share the event link to start receiving registrations!',
+        'communities.exportData': 'Export Data',
+        'communities.title': 'My Communities',
+        'communities.filterByType': 'Filter by Type:',
+        'communities.allTypes': 'All Types',
+        'communities.filterByStatus': 'Filter by Status:',
+        'communities.allStatuses': 'All Status',
+        'communities.statusOpen': 'Open for Registration',
+        'communities.statusUpcoming': 'Registration Not Yet Open',
+        'communities.statusClosed': 'Registration Closed',
+        'communities.statusFull': 'Full',
+        'communities.statusPast': 'Past Events',
+        'communities.importData': 'Import Data',
+        'communities.backup': 'Backup',
+        'communities.restore': 'Restore',
+        'analytics.noEvents': 'No events match the filters.',
+        'analytics.returning': 'Returning participants ({returning} of {people})',
+        'analytics.registrationsOverTime': 'Registrations Over Time',
+        'analytics.fillRate': 'Fill Rate',
+        'analytics.typeComparison': 'Tournaments vs Courses',
+        'analytics.registrations': 'Registrations',
+        'analytics.averageFillRate': 'Average fill rate',
+        'analytics.medianTimeToFull': 'Median time to full',
+        'analytics.cancellationRate': 'Cancellation rate',
+        'analytics.noShowRate': 'No-show rate',
+        'analytics.fullIn': 'full in {duration}',
+        'analytics.tournaments': 'Tournaments',
+        'analytics.courses': 'Courses',
+        'analytics.events': 'Events',
+        'analytics.registrationsPerEvent': 'Registrations per event',
+        'export.eventDone': 'Event data exported successfully!',
+        'export.standingsDone': 'Standings exported successfully!',
+        'export.noEvents': 'No events to export',
+        'export.communitiesDone': 'Communities data exported successfully!',
+        'backup.adminOnly': 'Only the workspace administrator can back up all data',
+        'backup.downloaded': 'Backup downloaded',
+        'backup.restoreAdminOnly': 'Only the workspace administrator can restore a backup',
+        'backup.confirmRestore': 'Restore the backup from {date} ({counts})? Everything currently saved will be replaced, except what the backup does not include.',
+        'backup.restoreFailed': 'Could not restore the backup',
+        'backup.restored': 'Backup restored',
+        'import.roleNoChanges': 'Your role on this event does not allow changes',
+        'import.upToDate': 'Already up to date',
+        'import.capacityBelowAccepted': {
+            one: '{count} registration is already accepted, more than the imported capacity of {max}',
+            other: '{count} registrations are already accepted, more than the imported capacity of {max}'
+        },
+        'import.updatesEvent': 'Updates the existing event ({fields})',
+        'import.untitled': '(untitled)',
+        'import.unknownType': 'Unknown event type "{type}"',
+        'import.invalidDate': 'Invalid date "{value}"',
+        'import.duplicateEvent': 'Same title and date as an earlier row',
+        'import.newEvent': 'New event',
+        'import.empty': '(empty)',
+        'import.nameAndEmailRequired': 'A name and a valid email are required',
+        'import.cancelledRegistration': 'Cancelled registration',
+        'import.emailRegistered': 'This email is already registered for this event',
+        'import.eventFull': 'The event is full',
+        'import.newRegistration': 'New registration',
+        'import.newRegistrationWaitlisted': 'New registration, on the waitlist (event full)',
+        'import.unnamedTeam': '(unnamed team)',
+        'import.alreadyImported': 'Already imported',
+        'import.invalidTeam': 'Team without an id, a name or a known event',
+        'import.newTeam': 'New team',
+        'import.teamNotFound': 'Team not found',
+        'import.newRegistrationStatusChanged': 'New registration, {status} instead of {original} (capacity)',
+        'import.file': 'CSV or JSON file',
+        'import.fileHint': 'Use a CSV from "Export Data" or any spreadsheet with a header row (events, or one event\'s participants), or a JSON dump with events, inscriptions and teams (such as a backup).',
+        'import.invalidJson': 'The file is not valid JSON',
+        'import.jsonNeedsLists': 'The JSON file needs an "events" or "inscriptions" list',
+        'import.noHeaderRow': 'No header row with event or participant columns was found',
+        'import.importAs': 'Import as',
+        'import.participantsOfEvent': 'Participants of an event',
+        'import.intoEvent': 'Into event',
+        'import.teamEventsHint': 'Team events can only be filled from a JSON dump.',
+        'import.field': 'Field',
+        'import.column': 'Column in the file',
+        'import.notImported': 'Not imported',
+        'import.columnNumber': 'Column {number}',
+        'import.preview': 'Preview Import',
+        'import.chooseAnotherFile': 'Choose Another File',
+        'import.chooseColumn': 'Choose a column for {fields}',
+        'import.chooseEvent': 'Choose the event to import participants into',
+        'import.doneSummary': '{created} created · {merged} merged · {skipped} skipped',
+        'import.planSummary': '{create} to create · {merge} to merge · {skip} to skip',
+        'import.row': 'Row',
+        'import.item': 'Item',
+        'import.action': 'Action',
+        'import.details': 'Details',
+        'import.downloadReport': 'Download Report',
+        'import.done': 'Done',
+        'import.importRows': {
+            one: 'Import {count} Row',
+            other: 'Import {count} Rows'
+        },
+        'import.rowFailed': 'Could not save this row',
+        'import.finished': 'Import finished',
+        'import.reportTitle': 'Import',
+        'importField.name': 'Name',
+        'importField.email': 'Email',
+        'importField.createdAt': 'Registration Date',
+        'importResult.create': 'Create',
+        'importResult.merge': 'Merge',
+        'importResult.skip': 'Skip',
+        'importResult.created': 'Created',
+        'importResult.merged': 'Merged',
+        'importResult.skipped': 'Skipped',
+        'csv.event': 'Event',
+        'csv.type': 'Type',
+        'csv.date': 'Date',
+        'csv.timezone': 'Time zone',
+        'csv.teamSize': 'Team Size',
+        'csv.maxTeams': 'Max Teams',
+        'csv.currentTeams': 'Current Teams',
+        'csv.maxParticipants': 'Max Participants',
+        'csv.currentParticipants': 'Current Participants',
+        'csv.waitlisted': 'Waitlisted',
+        'csv.cancelled': 'Cancelled',
+        'csv.fee': 'Fee',
+        'csv.revenue': 'Revenue',
+        'csv.role.captain': 'captain',
+        'csv.role.member': 'member',
+        'csv.team': 'Team',
+        'csv.role': 'Role',
+        'csv.name': 'Name',
+        'csv.email': 'Email',
+        'csv.registrationDate': 'Registration Date',
+        'csv.status': 'Status',
+        'csv.waitlistPosition': 'Waitlist Position',
+        'csv.cancelledAt': 'Cancelled At',
+        'csv.cancelledBy': 'Cancelled By',
+        'csv.amountDue': 'Amount Due',
+        'csv.currency': 'Currency',
+        'csv.paymentStatus': 'Payment Status',
+        'csv.paidAt': 'Paid At',
+        'csv.paymentReference': 'Payment Reference',
+        'csv.discountCode': 'Discount Code',
+        'csv.status.accepted': 'accepted',
+        'csv.status.waitlisted': 'waitlisted',
+        'csv.status.cancelled': 'cancelled',
+        'csv.roundsPlayed': 'Rounds Played',
+        'csv.rank': 'Rank',
+        'csv.score': 'Score',
+        'csv.gamesPlayed': 'Games Played',
+        'csv.byes': 'Byes',
+        'csv.teams': 'Teams',
+        'csv.availableSlots': 'Available Slots',
+        'csv.registrationOpens': 'Registration Opens',
+        'csv.registrationCloses': 'Registration Closes',
+        'participants.title': 'Participants',
+        'participants.modalTitle': 'Participant',
+        'participants.search': 'Search:',
+        'participants.searchPlaceholder': 'Name or email',
+        'participants.emptyTitle': 'No participants yet',
+        'participants.emptyText': 'Everyone who registers for your events shows up here, once per email address.',
+        'participants.noMatches': 'Nobody matches your search',
+        'participants.lastRegistered': 'last registered {date}',
+        'participants.history': 'Registrations',
+        'participants.event': 'Event',
+        'participants.attendance': 'Attendance',
+        'participants.result': 'Result',
+        'participants.sessionsAttended': {
+            one: '{attended} of {count} session',
+            other: '{attended} of {count} sessions'
+        },
+        'participants.checkedIn': 'Checked in',
+        'participants.rank': '#{rank} of {of} · {points} pts',
+        'participants.record': '{wins} won · {losses} lost',
+        'participants.contact': 'Contact Details',
+        'participants.contactHint': 'Changes apply to every registration of this person, including queued emails.',
+        'participants.nameAndEmailRequired': 'Please enter a name and a valid email',
+        'participants.emailTaken': '{email} already belongs to another participant. Merge the two instead.',
+        'participants.saved': 'Contact details of {name} saved',
+        'participants.saveFailed': 'Could not save the participant. Please try again.',
+        'participants.merge': 'Merge a Duplicate',
+        'participants.mergeHint': 'The registrations of the person you pick take the name and email of {name}.',
+        'participants.mergeButton': 'Merge into This Person',
+        'participants.confirmMerge': {
+            one: 'Merge {duplicate} into {name}? Their {count} registration will use the name and email of {name}.',
+            other: 'Merge {duplicate} into {name}? Their {count} registrations will use the name and email of {name}.'
+        },
+        'participants.merged': 'Duplicate merged into {name}',
+        'participants.readOnly': 'Some of these registrations belong to events you cannot edit, so this person can only be viewed.',
+        'participants.export': 'Export Personal Data',
+        'participants.exported': 'Personal data downloaded',
+        'participants.erase': 'Erase Personal Data',
+        'participants.confirmErase': {
+            one: 'Erase all data of {name}? Their {count} registration and the emails sent to them are deleted, and brackets show them as an erased participant. This action cannot be undone.',
+            other: 'Erase all data of {name}? Their {count} registrations and the emails sent to them are deleted, and brackets show them as an erased participant. This action cannot be undone.'
+        },
+        'participants.erasedName': 'Erased participant',
+        'participants.erased': 'All data of {name} erased',
+        'participants.eraseFailed': 'Could not erase the participant. Please try again.',
+
+        // Registration, confirmation and check-in pages
+        'registration.full': 'Event is full',
+        'registration.teamsCanGrow': 'existing teams can still take members',
+        'registration.slotsAvailable': {
+            one: '{count} of {max} slot available',
+            other: '{count} of {max} slots available'
+        },
+        'registration.teamSlotsAvailable': {
+            one: '{count} of {max} team slot available',
+            other: '{count} of {max} team slots available'
+        },
+        'registration.joinTeamTitle': 'Join a Team',
+        'registration.joinWaitlistTitle': 'Join the Waitlist',
+        'registration.title': 'Register for this Event',
+        'registration.joinTeam': 'Join Team',
+        'registration.joinWaitlist': 'Join Waitlist',
+        'registration.submit': 'Confirm Registration',
+        'registration.youPay': 'You pay {amount}',
+        'registration.youPayPerMember': 'You pay {amount} per team member',
+        'registration.selectOption': 'Select...',
+        'registration.teamSizeHint': 'Teams have {min}–{max} members including you. Teammates can also join later with the invite code.',
+        'registration.teammateName': 'Teammate\'s full name',
+        'registration.teammateEmail': 'Teammate\'s email',
+        'registration.removeTeammate': 'Remove teammate',
+        'registration.notOpenYet': 'Registration has not opened yet',
+        'registration.closed': 'Registration for this event has closed',
+        'registration.nowFull': 'Sorry, this event is now full',
+        'registration.alreadyRegistered': '{email} is already registered for this event',
+        'registration.taken': 'Could not register: the event is full or this email address is already registered',
+        'registration.emailsUnique': 'Each team member needs their own email address',
+        'registration.saveFailed': 'Could not save your registration. Please try again.',
+        'registration.pageTitle': 'Join Event - GoldenSign',
+        'registration.loading': 'Loading event details...',
+        'registration.notFoundTitle': 'Event Not Found',
+        'registration.notFoundText': 'The event you\'re looking for doesn\'t exist or has been removed.',
+        'registration.viewBracket': 'View Bracket',
+        'registration.addToCalendar': 'Add to Calendar',
+        'registration.dateTime': 'Date & Time',
+        'registration.deadline': 'Registration Deadline',
+        'registration.opensSoonTitle': 'Registration Opens Soon',
+        'registration.opensOn': 'Registration opens on',
+        'registration.closedTitle': 'Registration Closed',
+        'registration.closedOn': 'The registration deadline for this event passed on',
+        'registration.fullName': 'Full Name',
+        'registration.fullNamePlaceholder': 'Enter your full name',
+        'registration.email': 'Email Address',
+        'registration.emailPlaceholder': 'Enter your email address',
+        'registration.team': 'Team',
+        'registration.createTeam': 'Create a new team',
+        'registration.joinTeamWithCode': 'Join a team with an invite code',
+        'registration.teamName': 'Team Name',
+        'registration.teamNamePlaceholder': 'Enter your team name',
+        'registration.teammates': 'Teammates',
+        'registration.addTeammate': 'Add Teammate',
+        'registration.inviteCode': 'Invite Code',
+        'registration.inviteCodePlaceholder': 'e.g., K7P2QX',
+        'registration.member': 'I\'m a member',
+        'registration.discountCode': 'Discount Code',
+        'registration.fullTitle': 'Event is Full',
+        'registration.fullText': 'Sorry, this event has reached its maximum capacity.',
+        'success.waitlisted': '"{title}" is full, so you\'ve been added to the waitlist at position {position}. You\'ll move up automatically when a slot frees up.',
+        'success.registered': 'You have successfully registered for "{title}"!',
+        'success.verifyToKeepSpot': 'We\'ve sent a verification link to {email}. Open it before {date} to keep your spot for "{title}".',
+        'success.verifyToJoinWaitlist': 'We\'ve sent a verification link to {email}. Open it before {date} to join the waitlist for "{title}".',
+        'success.teamCreated': 'Your team "{name}" is set up. Share the invite code {code} with teammates who still need to join.',
+        'success.teamJoined': 'You\'re on team "{name}".',
+        'success.paid': 'Your payment of {amount} has been received.',
+        'success.feeDue': 'The fee of {amount} is still due; you can pay it from your confirmation page.',
+        'success.feeDueLater': 'The fee of {amount} is due once you get a spot; you can pay it from your confirmation page.',
+        'success.checkEmail': 'Check Your Email',
+        'success.title': 'Registration Successful!',
+        'success.viewConfirmation': 'View Confirmation',
+        'checkout.title': 'Complete Your Payment',
+        'checkout.total': 'Total',
+        'checkout.cardNumber': 'Card Number',
+        'checkout.testMode': 'Test mode: no money is charged. Every card number works except {card}, which is declined.',
+        'checkout.pay': 'Pay {amount}',
+        'checkout.payLater': 'Pay Later',
+        'checkout.failed': 'Could not complete the payment. Please try again.',
+        'confirmation.pending.badge': 'Unverified',
+        'confirmation.pending.title': 'Confirm Your Email',
+        'confirmation.pending.subtitle': 'Open the verification link we emailed you to complete your registration.',
+        'confirmation.accepted.badge': 'Accepted',
+        'confirmation.accepted.title': 'Registration Confirmed!',
+        'confirmation.accepted.subtitle': 'You have successfully registered for the event.',
+        'confirmation.waitlisted.badge': 'Waitlisted',
+        'confirmation.waitlisted.title': 'You\'re on the Waitlist',
+        'confirmation.waitlisted.subtitle': 'This event is full. You\'ll be moved into a slot automatically when one frees up.',
+        'confirmation.cancelled.badge': 'Cancelled',
+        'confirmation.cancelled.title': 'Registration Cancelled',
+        'confirmation.cancelled.subtitle': 'Your registration has been cancelled and your slot released.',
+        'confirmation.expires': 'It expires {date}.',
+        'confirmation.waitlistPosition': '#{position} of {total}',
+        'confirmation.cancelledInfo': '{date} by {by}',
+        'confirmation.captain': 'captain',
+        'confirmation.confirmCancel': 'Are you sure you want to cancel your registration? Your slot will be given to someone else.',
+        'confirmation.cancelNotAllowed': 'This link does not allow cancelling the registration',
+        'confirmation.cancelFailed': 'Could not cancel your registration. Please try again.',
+        'confirmation.cancelledNotice': 'Your registration has been cancelled',
+        'confirmation.paymentReceived': 'Your payment has been received',
+        'confirmation.pageTitle': 'Registration Confirmation - GoldenSign',
+        'confirmation.loading': 'Loading confirmation details...',
+        'confirmation.notFoundTitle': 'Confirmation Not Found',
+        'confirmation.notFoundText': 'We couldn\'t find your registration confirmation.',
+        'confirmation.details': 'Registration Details',
+        'confirmation.label.name': 'Name:',
+        'confirmation.label.email': 'Email:',
+        'confirmation.label.event': 'Event:',
+        'confirmation.label.type': 'Type:',
+        'confirmation.label.date': 'Date:',
+        'confirmation.label.location': 'Location:',
+        'confirmation.label.team': 'Team:',
+        'confirmation.label.inviteCode': 'Team Invite Code:',
+        'confirmation.label.waitlistPositionLabel': 'Waitlist Position:',
+        'confirmation.label.payment': 'Payment:',
+        'confirmation.label.checkedIn': 'Checked In:',
+        'confirmation.label.cancelled': 'Cancelled:',
+        'confirmation.label.registrationId': 'Registration ID:',
+        'confirmation.ticket': 'Your Ticket',
+        'confirmation.ticketHint': 'Show this code at the entrance to check in.',
+        'confirmation.print': 'Print Confirmation',
+        'confirmation.payNow': 'Pay Now',
+        'confirmation.cancel': 'Cancel Registration',
+        'confirmation.viewCertificate': 'View Certificate',
+        'confirmation.note': 'Please save this confirmation for your records. You will receive an email confirmation shortly.',
+        'confirmation.important': 'Important:',
+        'qr.label': 'QR code',
+        'checkIn.ticket': 'Check-in ticket',
+        'checkIn.saveFailed': 'Could not save the check-in. Please try again.',
+        'checkIn.firstCheckedIn': 'First checked in {date}',
+        'checkIn.firstCheckedInBy': 'First checked in {date} by {name}',
+        'checkIn.paymentDue': 'Payment due: {amount}',
+        'checkIn.undone': 'Check-in undone',
+        'checkIn.cameraFailed': 'Could not open the camera. Check the browser permissions.',
+        'checkIn.pageTitle': 'Check-in - GoldenSign',
+        'checkIn.loading': 'Loading check-in...',
+        'checkIn.notAvailableTitle': 'Check-in Not Available',
+        'checkIn.notAvailableText': 'Sign in to the manager with an account that can check people in to this event, then open check-in from the event card.',
+        'checkIn.goToManager': 'Go to Manager',
+        'checkIn.arrived': 'arrived',
+        'checkIn.scan': 'Scan Tickets',
+        'checkIn.scannerUnsupported': 'This browser can\'t scan QR codes. Type the registration ID or ticket code instead.',
+        'checkIn.stopCamera': 'Stop Camera',
+        'checkIn.codeLabel': 'Registration ID or ticket code',
+        'checkIn.submit': 'Check In',
+        'checkIn.recent': 'Recent',
+        'checkInOutcome.checkedIn': 'Checked in',
+        'checkInOutcome.duplicate': 'Already checked in',
+        'checkInOutcome.waitlisted': 'On the waitlist, not admitted',
+        'checkInOutcome.cancelled': 'Registration cancelled',
+        'checkInOutcome.pendingVerification': 'Email never verified',
+        'checkInOutcome.otherEvent': 'Ticket for another event',
+        'checkInOutcome.forged': 'Invalid ticket signature',
+        'checkInOutcome.unknown': 'No registration found',
+        'verify.waitlisted': 'Thanks, {name}. You\'re on the waitlist for "{title}" at position {position}.',
+        'verify.accepted': 'Thanks, {name}. Your spot at "{title}" is confirmed.',
+        'verify.pageTitle': 'Verify Your Email - GoldenSign',
+        'verify.loading': 'Verifying your email...',
+        'verify.invalidTitle': 'Invalid Verification Link',
+        'verify.invalidText': 'This link does not match any registration. Please use the link from your email as it was sent.',
+        'verify.expiredTitle': 'Verification Link Expired',
+        'verify.expiredText': 'Your email wasn\'t verified in time, so the spot held for you has been released. You can register again if places are still available.',
+        'verify.registerAgain': 'Register Again',
+        'verify.title': 'Email Verified!',
+        'certificate.attendance': {
+            one: '{attended} of {count} session attended ({percentage}%)',
+            other: '{attended} of {count} sessions attended ({percentage}%)'
+        },
+        'certificate.pageTitle': 'Certificate of Completion - GoldenSign',
+        'certificate.loading': 'Loading certificate...',
+        'certificate.notAvailableTitle': 'Certificate Not Available',
+        'certificate.notAvailableText': 'This certificate doesn\'t exist or the attendance requirement hasn\'t been met yet.',
+        'certificate.title': 'Certificate of Completion',
+        'certificate.certifies': 'This certifies that',
+        'certificate.completed': 'has successfully completed the course',
+        'certificate.completedOn': 'Completed on',
+        'certificate.id': 'Certificate ID:',
+        'certificate.print': 'Print Certificate'
+    },
+    es: {
+        // Shared
+        'common.yes': 'Sí',
+        'common.no': 'No',
+        'common.remove': 'Quitar',
+        'common.delete': 'Eliminar',
+        'common.enabled': 'Activada',
+        'common.disabled': 'Desactivada',
+        'common.copy': 'Copiar',
+        'common.saveChanges': 'Guardar cambios',
+        'common.cancel': 'Cancelar',
+        'common.copyFailed': 'No se ha podido copiar el enlace. Cópialo a mano: {url}',
+        'common.urlCopied': '¡URL copiada al portapapeles!',
+        'common.urlCopyFailed': 'No se ha podido copiar la URL',
+        'common.save': 'Guardar',
+        'common.back': 'Volver',
+        'common.serverUnreachable': 'No se ha podido conectar con el servidor. Inténtalo de nuevo.',
+        'common.loadFailed': 'No se han podido cargar los datos del servidor',
+        'common.backToHome': 'Volver al inicio',
+        'nav.home': 'Inicio',
+        'nav.about': 'Acerca de',
+        'nav.calendar': '📅 Calendario',
+        'nav.signOut': 'Cerrar sesión',
+        'nav.contact': 'Contacto',
+        'nav.privacy': 'Privacidad',
+        'nav.manager': 'Gestión',
+        'nav.language': 'Idioma',
+        'footer.rights': 'Todos los derechos reservados.',
+        'count.events': {
+            one: '{count} evento',
+            other: '{count} eventos'
+        },
+        'count.participants': {
+            one: '{count} participante',
+            other: '{count} participantes'
+        },
+        'count.teams': {
+            one: '{count} equipo',
+            other: '{count} equipos'
+        },
+        'count.players': {
+            one: '{count} jugador',
+            other: '{count} jugadores'
+        },
+        'count.minutes': {
+            one: '{count} minuto',
+            other: '{count} minutos'
+        },
+        'count.members': {
+            one: '{count} miembro',
+            other: '{count} miembros'
+        },
+        'count.people': {
+            one: '{count} persona',
+            other: '{count} personas'
+        },
+        'count.byes': {
+            one: '{count} pase directo',
+            other: '{count} pases directos'
+        },
+        'count.sessions': {
+            one: '{count} sesión',
+            other: '{count} sesiones'
+        },
+        'count.rows': {
+            one: '{count} fila',
+            other: '{count} filas'
+        },
+        'duration.minutes': '{minutes} min',
+        'duration.hours': '{hours} h {minutes} min',
+        'duration.days': {
+            one: '{count} día {hours} h',
+            other: '{count} días {hours} h'
+        },
+        'date.withLocalTime': '{date} · {time} en tu hora',
+        'error.schemaVersion': 'Estos datos se guardaron con una versión más reciente de GoldenSign (esquema {version}; esta página admite hasta el {supported}). Actualiza la aplicación para abrirlos.',
+        'error.notABackup': 'Este archivo no es una copia de seguridad de GoldenSign',
+        'error.backupNoVersion': 'La copia de seguridad no tiene una versión de esquema válida',
+        'error.accountExists': 'Ya existe una cuenta con este email',
+        'error.organizerNotFound': 'Organizador no encontrado',
+        'error.eventNotFound': 'Evento no encontrado',
+        'error.noOrganizerWithEmail': 'Ninguna cuenta de organizador usa este email',
+        'error.ownerHasAccess': 'El propietario ya tiene acceso completo',
+        'error.invalidCollaboratorRole': 'Los coorganizadores son editores o lectores',
+        'error.capacityBelowAccepted': {
+            one: 'Ya hay {count} participante aceptado; la capacidad no puede ser menor',
+            other: 'Ya hay {count} participantes aceptados; la capacidad no puede ser menor'
+        },
+        'error.capacityBelowAcceptedTeams': {
+            one: 'Ya hay {count} equipo aceptado; la capacidad no puede ser menor',
+            other: 'Ya hay {count} equipos aceptados; la capacidad no puede ser menor'
+        },
+        'error.invalidVerificationLink': 'Enlace de verificación no válido',
+        'error.verificationLinkExpired': 'Este enlace de verificación ha caducado',
+        'error.inscriptionNotFound': 'Inscripción no encontrada',
+        'error.invalidCancellationLink': 'Enlace de cancelación no válido',
+        'error.messageNotFound': 'Mensaje no encontrado',
+        'error.notATeamEvent': 'Este evento no admite inscripciones por equipos',
+        'error.teamNameRequired': 'Introduce un nombre de equipo',
+        'error.teamNameTaken': 'Ya hay un equipo inscrito con el nombre «{name}»',
+        'error.teamSize': 'Los equipos deben tener entre {min} y {max} miembros',
+        'error.inviteCodeNotFound': 'No hay ningún equipo con este código de invitación',
+        'error.teamFull': {
+            one: '{name} ya tiene el máximo de {count} miembro',
+            other: '{name} ya tiene el máximo de {count} miembros'
+        },
+        'error.bracketsTournamentOnly': 'Solo se pueden generar cuadros para torneos',
+        'error.bracketNotFound': 'Cuadro no encontrado',
+        'error.swissTournamentOnly': 'Las rondas suizas solo se pueden jugar en torneos',
+        'error.swissNotFound': 'Torneo suizo no encontrado',
+        'error.sessionsCourseOnly': 'Solo se pueden programar sesiones en cursos',
+        'error.attendanceThreshold': 'El umbral de asistencia debe estar entre 0 y 100 %',
+        'error.refundUnpaid': 'Solo se pueden reembolsar inscripciones pagadas',
+        'error.bracketTooFewParticipants': 'Se necesitan al menos 2 participantes aceptados para generar un cuadro',
+        'error.matchNotFound': 'Partida no encontrada',
+        'error.matchNotReady': 'Esta partida todavía no admite resultado',
+        'error.drawRoundRobinOnly': 'Solo las partidas de liguilla pueden terminar en empate',
+        'error.winnerNotInMatch': 'El ganador debe ser uno de los dos jugadores',
+        'error.resultLocked': 'Este resultado ya no se puede cambiar',
+        'error.swissTooFewParticipants': 'Se necesitan al menos 2 participantes aceptados para jugar rondas suizas',
+        'error.swissRoundCount': 'Elige entre 1 y {max} rondas',
+        'error.swissRoundIncomplete': 'Introduce antes todos los resultados de la ronda actual',
+        'error.swissAllPaired': 'Ya se han emparejado todas las rondas',
+        'error.swissNoPairing': 'Cualquier emparejamiento posible repetiría una partida anterior. Reduce el número de rondas.',
+        'error.pairingNotFound': 'Emparejamiento no encontrado',
+        'error.transferTeams': 'Las inscripciones de equipos no se pueden trasladar',
+        'error.transferPaid': '{name} ya ha pagado este evento. Reembolsa el pago antes de trasladar la inscripción.',
+        'error.transferDuplicate': '{email} ya está inscrito en «{title}»',
+        'error.transferFull': '«{title}» está completo y no tiene lista de espera',
+        'error.noWaitlist': '«{title}» no tiene lista de espera',
+        'error.waitlistTeams': 'Los miembros de un equipo no se pueden pasar a la lista de espera uno a uno',
+        'error.mergeConflict': 'Los dos están inscritos en «{title}». Cancela una de las inscripciones antes de fusionar.',
+
+        // Home page
+        'home.invalidLink': 'Introduce un enlace de invitación válido',
+        'home.invalidLinkFormat': 'El formato del enlace de invitación no es válido',
+        'home.pageTitle': 'GoldenSign - Inscripción a torneos y cursos',
+        'home.heroTitle': 'Organiza torneos y apúntate sin complicaciones',
+        'home.heroSubtitle': 'Rápido. Sencillo. Elegante.',
+        'home.createTournament': 'Crear un torneo',
+        'home.joinCourse': 'Unirse a un curso',
+        'home.tournamentsText': 'Crea eventos competitivos',
+        'home.coursesText': 'Organiza sesiones de aprendizaje',
+        'home.howItWorks': 'Cómo funciona',
+        'home.stepCreate': 'Crea',
+        'home.stepCreateText': 'Configura tu torneo o curso con datos como la fecha, los participantes y la descripción.',
+        'home.stepShare': 'Comparte',
+        'home.stepShareText': 'Genera un enlace único y compártelo con los posibles participantes.',
+        'home.stepJoin': 'Apúntate',
+        'home.stepJoinText': 'Los participantes abren el enlace para inscribirse y confirmar su participación.',
+        'home.joinTitle': '¿Listo para apuntarte?',
+        'home.joinText': 'Introduce el enlace de invitación que recibiste para inscribirte en un torneo o curso.',
+        'home.joinPlaceholder': 'Pega aquí tu enlace de invitación...',
+        'home.joinNow': 'Apuntarme',
+
+        // Organizer accounts and sharing
+        'manager.pageTitle': 'Panel de gestión - GoldenSign',
+        'manager.title': 'Panel de gestión',
+        'manager.subtitle': 'Crea y gestiona tus torneos y cursos',
+        'manager.createTab': 'Crear evento',
+        'manager.communitiesTab': 'Mis comunidades',
+        'manager.participantsTab': 'Participantes',
+        'auth.wrongCredentials': 'Email o contraseña incorrectos',
+        'auth.welcomeBack': '¡Hola de nuevo, {name}!',
+        'auth.nameAndEmailRequired': 'Introduce tu nombre y un email válido',
+        'auth.passwordTooShort': {
+            one: 'La contraseña debe tener al menos {count} carácter',
+            other: 'La contraseña debe tener al menos {count} caracteres'
+        },
+        'auth.passwordMismatch': 'Las contraseñas no coinciden',
+        'auth.signUpFailed': 'No se ha podido crear la cuenta. Inténtalo de nuevo.',
+        'auth.accountCreated': '¡Cuenta creada!',
+        'auth.signInTitle': 'Iniciar sesión',
+        'auth.email': 'Correo electrónico',
+        'auth.password': 'Contraseña',
+        'auth.signIn': 'Entrar',
+        'auth.newOrganizer': '¿Nuevo organizador?',
+        'auth.createAnAccount': 'Crea una cuenta',
+        'auth.signUpTitle': 'Crear cuenta de organizador',
+        'auth.name': 'Nombre',
+        'auth.repeatPassword': 'Repetir contraseña',
+        'auth.firstAccountHint': 'La primera cuenta administra el espacio de trabajo y se queda con los eventos creados antes de que existieran las cuentas.',
+        'auth.createAccount': 'Crear cuenta',
+        'auth.alreadyRegistered': '¿Ya tienes cuenta?',
+        'auth.signInLink': 'Inicia sesión',
+        'sharing.notAllowed': 'Tu rol en «{title}» no permite hacer esto',
+        'sharing.organizers': 'Organizadores',
+        'sharing.noOwner': 'Sin propietario',
+        'sharing.emailPlaceholder': 'Email de la cuenta del coorganizador',
+        'sharing.share': 'Compartir',
+        'sharing.rolesHint': 'Los editores pueden modificar el evento, registrar accesos y exportar sus datos. Los lectores solo pueden verlo junto con sus inscripciones.',
+        'sharing.updated': 'Permisos actualizados',
+        'sharing.removed': 'Coorganizador eliminado',
+        'sharing.removeFailed': 'No se ha podido eliminar al coorganizador',
+
+        // Event form and event cards
+        'eventType.tournament': 'Torneo',
+        'eventType.course': 'Curso',
+        'eventStatus.open': 'Abierto',
+        'eventStatus.upcoming': 'Próximamente',
+        'eventStatus.closed': 'Cerrado',
+        'eventStatus.full': 'Completo',
+        'eventStatus.past': 'Finalizado',
+        'eventField.title': 'Título',
+        'eventField.description': 'Descripción',
+        'eventField.date': 'Fecha',
+        'eventField.type': 'Tipo',
+        'eventField.maxParticipants': 'Máximo de participantes',
+        'eventField.waitlistEnabled': 'Lista de espera',
+        'eventField.registrationOpensAt': 'Apertura de inscripciones',
+        'eventField.registrationClosesAt': 'Cierre de inscripciones',
+        'eventField.verificationRequired': 'Verificación de email',
+        'eventField.verificationHoldMinutes': 'Reserva sin verificar (minutos)',
+        'eventField.durationMinutes': 'Duración (minutos)',
+        'eventField.timezone': 'Zona horaria',
+        'eventField.location': 'Lugar',
+        'eventField.feeAmount': 'Cuota',
+        'eventField.feeCurrency': 'Moneda',
+        'eventField.memberFeeAmount': 'Cuota de socio',
+        'eventField.earlyBirdDiscount': 'Descuento por inscripción anticipada',
+        'eventField.earlyBirdUntil': 'Inscripción anticipada hasta',
+        'eventField.discountCodes': 'Códigos de descuento',
+        'eventForm.tournamentTitlePlaceholder': 'Título del torneo (p. ej., «Campeonato de Ajedrez de Verano»)',
+        'eventForm.courseTitlePlaceholder': 'Título del curso (p. ej., «Curso intensivo de desarrollo web»)',
+        'eventForm.saveFailed': 'No se ha podido guardar el evento. Inténtalo de nuevo.',
+        'eventForm.tournamentCreated': '¡Torneo creado!',
+        'eventForm.courseCreated': '¡Curso creado!',
+        'eventForm.maxTeams': 'Máximo de equipos',
+        'eventForm.maxParticipants': 'Máximo de participantes',
+        'eventForm.waitlistEnabled': 'Activar lista de espera cuando se complete',
+        'eventForm.verificationRequired': 'Exigir verificación del email',
+        'eventForm.verificationHoldMinutes': 'Reservar plazas sin verificar durante (minutos)',
+        'eventForm.feeAmount': 'Cuota de inscripción',
+        'eventForm.feeAmountEditHint': 'Déjalo vacío para un evento gratuito. Los cambios solo afectan a las nuevas inscripciones.',
+        'eventForm.memberFeeAmount': 'Cuota de socio',
+        'eventForm.discountCodes': 'Códigos de descuento',
+        'eventForm.discountCodesPlaceholder': 'p. ej., CLUB:10, STAFF:100',
+        'eventForm.earlyBirdDiscount': 'Descuento por inscripción anticipada',
+        'eventForm.earlyBirdUntil': 'Inscripción anticipada hasta',
+        'eventForm.createTitle': 'Crear nuevo evento',
+        'eventForm.titlePlaceholder': 'Escribe el título del evento',
+        'eventForm.descriptionPlaceholder': 'Describe tu evento...',
+        'eventForm.maxParticipantsPlaceholder': 'p. ej., 50',
+        'eventForm.timezone': 'Zona horaria',
+        'eventForm.timezonePlaceholder': 'p. ej., Europe/Madrid',
+        'eventForm.locationPlaceholder': 'Lugar, dirección o enlace a la reunión',
+        'eventForm.registrationOpensAt': 'Apertura de inscripciones',
+        'eventForm.registrationClosesAt': 'Cierre de inscripciones',
+        'eventForm.registrationOpensHint': 'Déjalo vacío para abrir las inscripciones de inmediato.',
+        'eventForm.registrationClosesHint': 'Déjalo vacío para aceptar inscripciones hasta completar el aforo.',
+        'eventForm.teamMode': 'Evento por equipos',
+        'eventForm.teamModeHint': 'Los participantes se inscriben por equipos. El aforo y los cuadros cuentan equipos en lugar de personas.',
+        'eventForm.teamSizeMin': 'Tamaño mínimo del equipo',
+        'eventForm.teamSizeMax': 'Tamaño máximo del equipo',
+        'eventForm.waitlistHint': 'Las inscripciones que superan el máximo entran en una cola y se aceptan automáticamente cuando se libera una plaza.',
+        'eventForm.verificationHint': 'Las nuevas inscripciones reciben un enlace por correo y solo cuentan cuando se abre. Mientras tanto, su plaza queda reservada.',
+        'eventForm.feeEnabled': 'Cobrar una cuota de inscripción',
+        'eventForm.feeHint': 'Los inscritos pagan al apuntarse. Los socios, las inscripciones anticipadas y los códigos de descuento pueden pagar menos.',
+        'eventForm.feeAmountPlaceholder': 'p. ej., 20.00',
+        'eventForm.memberFeeHint': 'Déjalo vacío si los socios pagan la cuota normal.',
+        'eventForm.discountCodesHint': 'Código y porcentaje de descuento, separados por comas.',
+        'eventForm.formFields': 'Campos de inscripción',
+        'eventForm.formFieldsHint': 'El nombre y el correo se piden siempre. Añade preguntas extra como un ranking, la edad o la talla de camiseta.',
+        'eventForm.addField': 'Añadir campo',
+        'eventForm.submit': 'Crear evento y generar enlace',
+        'validation.requiredFields': 'Rellena todos los campos obligatorios',
+        'validation.maxParticipants': 'El máximo de participantes debe ser al menos 1',
+        'validation.dateInPast': 'La fecha del evento debe ser futura',
+        'validation.registrationWindow': 'Las inscripciones deben abrirse antes de cerrarse',
+        'validation.registrationOpensAfterEvent': 'Las inscripciones deben abrirse antes de que empiece el evento',
+        'validation.teamSize': 'El tamaño de equipo necesita un mínimo de al menos 1 y un máximo no inferior al mínimo',
+        'validation.duration': 'La duración debe ser de al menos 1 minuto',
+        'validation.timezone': 'Zona horaria desconocida: «{timezone}». Usa un nombre como Europe/Madrid',
+        'validation.verificationHold': 'Las inscripciones sin verificar deben reservarse al menos 1 minuto',
+        'validation.feeAmount': 'La cuota de inscripción debe ser mayor que 0',
+        'validation.currency': 'Moneda desconocida: «{currency}». Usa un código como EUR o USD',
+        'validation.memberFee': 'La cuota de socio no puede ser negativa',
+        'validation.earlyBirdIncomplete': 'El descuento por inscripción anticipada necesita un importe y una fecha límite',
+        'validation.earlyBirdAmount': 'El descuento por inscripción anticipada debe ser mayor que 0',
+        'validation.discountCodes': 'Escribe los códigos de descuento como CÓDIGO:porcentaje, p. ej. CLUB:10, con un porcentaje de 1 a 100',
+        'validation.discountCodesUnique': 'Cada código de descuento solo puede aparecer una vez',
+        'validation.seriesInterval': 'Una serie se repite cada semana o cada mes, como mínimo cada 1 semana o mes',
+        'validation.seriesUntil': 'La serie necesita una última fecha igual o posterior al primer evento',
+        'validation.seriesExceptions': 'Escribe las fechas omitidas como AAAA-MM-DD, separadas por comas',
+        'validation.seriesEmpty': 'Todas las fechas de la serie están omitidas',
+        'validation.seriesTooLong': 'Una serie puede tener como máximo {count} eventos. Elige una última fecha anterior.',
+        'series.repeat': 'Repetir este evento',
+        'series.repeatHint': 'Crea un evento por fecha, cada uno con su propio enlace de inscripción. Los plazos de inscripción se desplazan con cada fecha.',
+        'series.frequency': 'Se repite',
+        'series.weekly': 'Semanalmente',
+        'series.monthly': 'Mensualmente',
+        'series.interval': 'Cada (semanas o meses)',
+        'series.until': 'Última fecha',
+        'series.exceptions': 'Fechas omitidas',
+        'series.exceptionsPlaceholder': 'p. ej., 2026-12-24, 2026-12-31',
+        'series.exceptionsHint': 'No se crea ningún evento en estos días.',
+        'series.everyWeeks': {
+            one: 'Cada semana hasta el {date}',
+            other: 'Cada {count} semanas hasta el {date}'
+        },
+        'series.everyMonths': {
+            one: 'Cada mes hasta el {date}',
+            other: 'Cada {count} meses hasta el {date}'
+        },
+        'series.skipped': {
+            one: '{count} fecha omitida',
+            other: '{count} fechas omitidas'
+        },
+        'series.next': 'Próximo: {date}',
+        'series.created': {
+            one: '¡Serie creada con {count} evento!',
+            other: '¡Serie creada con {count} eventos!'
+        },
+        'series.delete': 'Eliminar serie',
+        'series.confirmDelete': {
+            one: '¿Eliminar esta serie y su {count} evento con todas sus inscripciones? Esta acción no se puede deshacer.',
+            other: '¿Eliminar esta serie y sus {count} eventos con todas sus inscripciones? Esta acción no se puede deshacer.'
+        },
+        'series.deleted': 'Serie eliminada',
+        'templates.label': 'Empezar desde una plantilla',
+        'templates.none': 'Sin plantilla',
+        'templates.save': 'Guardar como plantilla',
+        'templates.delete': 'Eliminar plantilla',
+        'templates.hint': 'Las plantillas guardan todo salvo las fechas. Al guardar, el título se usa como nombre de la plantilla.',
+        'templates.titleRequired': 'Escribe primero un título; será el nombre de la plantilla',
+        'templates.confirmReplace': '¿Sustituir tu plantilla «{name}» por los ajustes actuales?',
+        'templates.saved': 'Plantilla «{name}» guardada',
+        'templates.saveFailed': 'No se pudo guardar la plantilla. Inténtalo de nuevo.',
+        'templates.confirmDelete': '¿Eliminar la plantilla «{name}»? Los eventos creados con ella no cambian.',
+        'templates.deleted': 'Plantilla «{name}» eliminada',
+        'templates.deleteFailed': 'No se pudo eliminar la plantilla. Inténtalo de nuevo.',
+        'formFieldBuilder.questionPlaceholder': 'Pregunta (p. ej., Elo de ajedrez)',
+        'formFieldBuilder.optionsPlaceholder': 'Opciones, separadas por comas',
+        'formFieldBuilder.min': 'Mín.',
+        'formFieldBuilder.max': 'Máx.',
+        'formFieldBuilder.required': 'Obligatorio',
+        'formFieldBuilder.remove': 'Quitar campo',
+        'formFieldType.text': 'Texto',
+        'formFieldType.number': 'Número',
+        'formFieldType.select': 'Desplegable',
+        'formFieldType.checkbox': 'Casilla',
+        'formFieldType.date': 'Fecha',
+        'formField.labelRequired': 'Todos los campos de inscripción necesitan una etiqueta',
+        'formField.unknownType': 'Tipo de campo desconocido para «{label}»',
+        'formField.optionsRequired': 'Añade al menos una opción a «{label}»',
+        'formField.limitsNotNumbers': 'Los límites de «{label}» deben ser números',
+        'formField.limitsReversed': 'El mínimo de «{label}» es mayor que su máximo',
+        'formField.labelsNotUnique': 'Las etiquetas de los campos de inscripción no pueden repetirse',
+        'formField.checkRequired': 'Marca «{label}»',
+        'formField.required': '{label} es obligatorio',
+        'formField.notANumber': '{label} debe ser un número',
+        'formField.notADate': '{label} debe ser una fecha válida',
+        'formField.chooseOption': 'Elige una de las opciones de {label}',
+        'formField.between': '{label} debe estar entre {min} y {max}',
+        'formField.atLeast': '{label} debe ser como mínimo {min}',
+        'formField.atMost': '{label} debe ser como máximo {max}',
+        'fee.invalidDiscountCode': '«{code}» no es un código de descuento válido',
+        'fee.members': 'Socios {amount}',
+        'fee.earlyBird': '{amount} de descuento hasta el {date}',
+        'feeTier.standard': 'General',
+        'feeTier.member': 'Socio',
+        'events.emptyTitle': 'Todavía no hay eventos',
+        'events.emptyText': '¡Crea tu primer torneo o curso para empezar!',
+        'events.teamsOfMax': {
+            one: '{count}/{max} equipo',
+            other: '{count}/{max} equipos'
+        },
+        'events.participantsOfMax': {
+            one: '{count}/{max} participante',
+            other: '{count}/{max} participantes'
+        },
+        'events.slotsAvailable': {
+            one: '{count} plaza disponible',
+            other: '{count} plazas disponibles'
+        },
+        'events.onWaitlist': {
+            one: '{count} en lista de espera',
+            other: '{count} en lista de espera'
+        },
+        'events.registrationOpens': 'Inscripciones a partir del {date}',
+        'events.registrationClosed': 'Inscripciones cerradas el {date}',
+        'events.viewDetails': 'Ver detalles',
+        'events.copyLink': 'Copiar enlace',
+        'events.viewInscriptions': 'Ver inscripciones',
+        'events.bracket': 'Cuadro',
+        'events.swiss': 'Suizo',
+        'events.sessions': 'Sesiones',
+        'events.checkIn': 'Control de acceso',
+        'events.messages': 'Mensajes',
+        'events.linkCopied': '¡Enlace del evento copiado al portapapeles!',
+        'events.noneSelected': 'No hay ningún evento seleccionado',
+        'events.confirmDelete': '¿Seguro que quieres eliminar este evento? Esta acción no se puede deshacer.',
+        'events.deleteFailed': 'No se ha podido eliminar el evento. Inténtalo de nuevo.',
+        'events.deleted': 'Evento eliminado',
+        'events.title': 'Tus eventos',
+        'eventModal.teamSize': 'Tamaño de equipo',
+        'eventModal.teamSizeRange': '{min}–{max} miembros',
+        'eventModal.currentRegistrations': 'Inscripciones actuales',
+        'eventModal.availableSlots': 'Plazas disponibles',
+        'eventModal.waiting': {
+            one: '{count} en espera',
+            other: '{count} en espera'
+        },
+        'eventModal.emailVerification': 'Verificación de email',
+        'eventModal.verificationSummary': {
+            one: 'Obligatoria · {count} pendiente, plazas reservadas {minutes}',
+            other: 'Obligatoria · {count} pendientes, plazas reservadas {minutes}'
+        },
+        'eventModal.codes': 'Códigos: {codes}',
+        'eventModal.revenue': 'Ingresos',
+        'eventModal.unpaid': {
+            one: '{count} sin pagar',
+            other: '{count} sin pagar'
+        },
+        'eventModal.status': 'Estado',
+        'eventModal.openForRegistration': 'Inscripciones abiertas',
+        'eventModal.fullWaitlistOpen': 'Completo (lista de espera abierta)',
+        'eventModal.registrationLink': 'Enlace de inscripción',
+        'eventModal.changeHistory': 'Historial de cambios',
+        'eventModal.movedToWaitlist': {
+            one: '{count} participante pasó a la lista de espera',
+            other: '{count} participantes pasaron a la lista de espera'
+        },
+        'eventModal.title': 'Detalles del evento',
+        'eventModal.edit': 'Editar evento',
+        'eventEdit.confirmOverflow': {
+            one: 'Ya hay {accepted} participantes aceptados. ¿Pasar la inscripción más reciente a la lista de espera?',
+            other: 'Ya hay {accepted} participantes aceptados. ¿Pasar las {count} inscripciones más recientes a la lista de espera?'
+        },
+        'eventEdit.confirmOverflowTeams': {
+            one: 'Ya hay {accepted} equipos aceptados. ¿Pasar la inscripción más reciente a la lista de espera?',
+            other: 'Ya hay {accepted} equipos aceptados. ¿Pasar las {count} inscripciones más recientes a la lista de espera?'
+        },
+        'eventEdit.updated': '¡Evento actualizado!',
+        'eventEdit.demoted': {
+            one: '{count} pasó a la lista de espera.',
+            other: '{count} pasaron a la lista de espera.'
+        },
+        'eventEdit.promoted': {
+            one: '{count} salió de la lista de espera.',
+            other: '{count} salieron de la lista de espera.'
+        },
+
+        // Inscriptions and payments
+        'inscriptions.title': 'Inscripciones de «{title}»',
+        'inscriptions.emptyTitle': 'Todavía no hay inscripciones',
+        'inscriptions.emptyText': '¡Comparte el enlace del evento para empezar a recibir inscripciones!',
+        'inscriptions.total': 'Total de inscripciones',
+        'inscriptions.teamsOfMax': {
+            one: '{count} de {max} equipo',
+            other: '{count} de {max} equipos'
+        },
+        'inscriptions.ofMax': '{count} de {max}',
+        'inscriptions.accepted': 'Aceptadas',
+        'inscriptions.pending': 'Pendientes de verificar el email',
+        'inscriptions.cancelled': 'Canceladas',
+        'inscriptionStatus.accepted': 'Aceptada',
+        'inscriptionStatus.waitlisted': 'En lista de espera',
+        'inscriptionStatus.pendingVerification': 'Pendiente de verificar',
+        'inscriptionStatus.cancelled': 'Cancelada',
+        'inscriptions.nobody': 'Todavía no hay nadie.',
+        'inscriptions.checkedIn': 'Entrada registrada el {date}',
+        'inscriptions.slotHeld': 'Plaza reservada hasta el {date}',
+        'inscriptions.waitlistHeld': 'Pasa a la lista de espera si verifica antes del {date}',
+        'inscriptions.verificationTimedOut': 'Email sin verificar a tiempo, plaza liberada el {date}',
+        'inscriptions.cancelledBy': 'Cancelada por {by} el {date}',
+        'inscriptions.modalTitle': 'Inscripciones del evento',
+        'inscriptions.searchPlaceholder': 'Buscar por nombre o email...',
+        'inscriptions.sortBy': 'Ordenar por',
+        'inscriptions.sortStatus': 'Estado',
+        'inscriptions.sortName': 'Nombre',
+        'inscriptions.sortDate': 'Fecha de inscripción',
+        'inscriptions.select': 'Seleccionar a {name}',
+        'inscriptions.add': 'Añadir inscripción',
+        'inscriptions.edit': 'Editar inscripción',
+        'inscriptions.addTitle': 'Añadir una inscripción',
+        'inscriptions.editTitle': 'Editar la inscripción de {name}',
+        'inscriptions.team': 'Equipo',
+        'inscriptions.manualHint': 'Las inscripciones añadidas aquí se saltan el plazo de inscripción, el aforo y los límites de los campos. La cuota se cobra al precio normal.',
+        'inscriptions.noTeams': 'Primero crea un equipo desde la página de inscripción',
+        'inscriptions.confirmDuplicate': '{email} ya está inscrito en este evento. ¿Añadirlo de todas formas?',
+        'inscriptions.saveFailed': 'No se ha podido guardar la inscripción',
+        'inscriptions.added': '{name} ha quedado inscrito',
+        'inscriptions.updated': 'Inscripción de {name} actualizada',
+        'bulk.selected': {
+            one: '{count} seleccionada',
+            other: '{count} seleccionadas'
+        },
+        'bulk.cancel': 'Cancelar',
+        'bulk.waitlist': 'Pasar a lista de espera',
+        'bulk.markPaid': 'Marcar como pagadas',
+        'bulk.checkIn': 'Registrar entrada',
+        'bulk.transfer': 'Trasladar',
+        'bulk.transferTarget': 'Trasladar al evento',
+        'bulk.email': 'Email',
+        'bulk.cancelled': {
+            one: '{count} inscripción cancelada.',
+            other: '{count} inscripciones canceladas.'
+        },
+        'bulk.waitlisted': {
+            one: '{count} inscripción pasada a la lista de espera.',
+            other: '{count} inscripciones pasadas a la lista de espera.'
+        },
+        'bulk.markedPaid': {
+            one: '{count} inscripción marcada como pagada.',
+            other: '{count} inscripciones marcadas como pagadas.'
+        },
+        'bulk.checkedIn': {
+            one: 'Entrada registrada para {count} participante.',
+            other: 'Entrada registrada para {count} participantes.'
+        },
+        'bulk.skipped': {
+            one: '{count} no correspondía y se ha omitido.',
+            other: '{count} no correspondían y se han omitido.'
+        },
+        'bulk.nothingApplies': 'Esta acción no corresponde a ninguna de las inscripciones seleccionadas',
+        'bulk.confirmCancel': {
+            one: '¿Cancelar {count} inscripción? Se avisará por email a cada afectado.',
+            other: '¿Cancelar {count} inscripciones? Se avisará por email a cada afectado.'
+        },
+        'bulk.confirmTransfer': {
+            one: '¿Trasladar {count} inscripción a «{title}»? Se cancela aquí y queda confirmada o en lista de espera allí.',
+            other: '¿Trasladar {count} inscripciones a «{title}»? Se cancelan aquí y quedan confirmadas o en lista de espera allí.'
+        },
+        'bulk.transferred': {
+            one: '{count} inscripción trasladada a «{title}».',
+            other: '{count} inscripciones trasladadas a «{title}».'
+        },
+        'bulk.failed': 'No se ha podido terminar la acción. Puede que algunas inscripciones ya hayan cambiado.',
+        'bulk.emailTitle': {
+            one: 'Enviar email a {count} inscripción seleccionada',
+            other: 'Enviar email a {count} inscripciones seleccionadas'
+        },
+        'bulk.emailHint': 'Se excluyen las direcciones pendientes de verificar.',
+        'bulk.send': 'Poner emails en cola',
+        'bulk.emailIncomplete': 'Los emails necesitan asunto y cuerpo',
+        'bulk.emailQueued': {
+            one: '{count} email en cola. Síguelo en la bandeja de salida.',
+            other: '{count} emails en cola. Síguelos en la bandeja de salida.'
+        },
+        'teams.captain': 'Capitán',
+        'teams.noTeam': 'Sin equipo',
+        'teams.inviteCode': 'Código de invitación {code}',
+        'role.owner': 'Propietario',
+        'role.editor': 'Editor',
+        'role.viewer': 'Lector',
+        'cancelledBy.participant': 'el participante',
+        'cancelledBy.organizer': 'el organizador',
+        'payment.invalidCard': 'Introduce un número de tarjeta válido',
+        'payment.declined': 'Tu tarjeta ha sido rechazada',
+        'payment.description': 'Inscripción',
+        'payment.earlyBird': 'inscripción anticipada',
+        'payment.code': 'código {code}',
+        'payment.recordedBy': 'registrado por {name}',
+        'payment.markPaid': 'Marcar como pagado',
+        'payment.waive': 'Eximir',
+        'payment.refund': 'Reembolsar',
+        'payment.saveFailed': 'No se ha podido guardar el pago. Inténtalo de nuevo.',
+        'payment.recorded': 'Pago de {name} registrado',
+        'payment.waived': '{name} queda exento de la cuota',
+        'payment.refundManual': 'Este pago se registró a mano, así que tendrás que devolver el dinero tú.',
+        'payment.refundProvider': 'El proveedor de pagos devolverá el cargo.',
+        'payment.confirmRefund': '¿Reembolsar {amount} a {name}?',
+        'payment.refundFailed': 'No se ha podido reembolsar el pago. Inténtalo de nuevo.',
+        'payment.refunded': '{amount} reembolsados a {name}',
+        'paymentStatus.unpaid': 'Pendiente de pago',
+        'paymentStatus.paid': 'Pagado',
+        'paymentStatus.refunded': 'Reembolsado',
+        'paymentStatus.waived': 'Exento',
+
+        // Brackets, Swiss rounds and courses
+        'bracketFormat.single': 'Eliminación directa',
+        'bracketFormat.double': 'Doble eliminación',
+        'bracketFormat.round_robin': 'Liguilla (todos contra todos)',
+        'bracket.title': 'Cuadro de «{title}»',
+        'bracket.copyLink': 'Copiar enlace público',
+        'bracket.reset': 'Reiniciar cuadro',
+        'bracket.notEnoughTitle': 'No hay suficientes participantes',
+        'bracket.notEnoughText': 'Hacen falta al menos 2 participantes aceptados para generar un cuadro.',
+        'bracket.format': 'Formato',
+        'bracket.seedParticipants': 'Asignar cabezas de serie',
+        'bracket.seedHint': 'Los cabezas de serie no se cruzan en las primeras rondas y reciben antes los pases directos. El resto se sortea al azar.',
+        'bracket.seed': 'Cabeza de serie',
+        'bracket.generate': 'Generar cuadro',
+        'bracket.seedsUnique': 'Cada número de cabeza de serie solo puede usarse una vez',
+        'bracket.generateFailed': 'No se ha podido generar el cuadro',
+        'bracket.generated': '¡Cuadro generado!',
+        'bracket.championNotice': '¡{name} gana el torneo! 🏆',
+        'bracket.confirmReset': '¿Reiniciar el cuadro? Se perderán todos los resultados registrados.',
+        'bracket.resetFailed': 'No se ha podido reiniciar el cuadro',
+        'bracket.linkCopied': '¡Enlace del cuadro copiado al portapapeles!',
+        'bracket.winnersBracket': 'Cuadro de ganadores',
+        'bracket.losersBracket': 'Cuadro de perdedores',
+        'bracket.grandFinal': 'Gran final',
+        'bracket.champion': 'Campeón',
+        'bracket.bracketReset': 'Final de desempate',
+        'bracket.losersRound': 'Ronda {round} de perdedores',
+        'bracket.winnersFinal': 'Final de ganadores',
+        'bracket.winnersSemifinals': 'Semifinales de ganadores',
+        'bracket.winnersQuarterfinals': 'Cuartos de final de ganadores',
+        'bracket.final': 'Final',
+        'bracket.semifinals': 'Semifinales',
+        'bracket.quarterfinals': 'Cuartos de final',
+        'bracket.round': 'Ronda {round}',
+        'bracket.bye': 'Pase directo',
+        'bracket.tbd': 'Por decidir',
+        'bracket.modalTitle': 'Cuadro del torneo',
+        'bracket.pageTitle': 'Cuadro del torneo - GoldenSign',
+        'bracket.loading': 'Cargando el cuadro...',
+        'bracket.notFoundTitle': 'Torneo no encontrado',
+        'bracket.notFoundText': 'El torneo que buscas no existe o se ha eliminado.',
+        'bracket.pendingTitle': 'Cuadro próximamente',
+        'bracket.pendingText': 'La organización aún no ha publicado el cuadro de este torneo.',
+        'bracket.backToRegistration': 'Volver a la inscripción',
+        'match.saveFailed': 'No se ha podido guardar el resultado',
+        'match.undoFailed': 'No se ha podido deshacer el resultado',
+        'match.win': 'Gana',
+        'match.scorePlaceholder': 'Marcador (opcional)',
+        'match.draw': 'Empate',
+        'match.undo': 'Deshacer',
+        'standings.title': 'Clasificación',
+        'standings.player': 'Jugador',
+        'standings.played': 'PJ',
+        'standings.wins': 'G',
+        'standings.draws': 'E',
+        'standings.losses': 'P',
+        'standings.points': 'Pts',
+        'standings.score': 'Puntos',
+        'standings.gamesPlayed': 'Jugadas',
+        'swiss.title': 'Rondas suizas de «{title}»',
+        'swiss.notEnoughText': 'Hacen falta al menos 2 participantes aceptados para jugar rondas suizas.',
+        'swiss.rounds': 'Número de rondas',
+        'swiss.pairingOrder': 'Los números de emparejamiento siguen el orden de inscripción.',
+        'swiss.start': 'Empezar torneo suizo',
+        'swiss.startFailed': 'No se ha podido empezar el torneo suizo',
+        'swiss.firstRoundPaired': '¡Ronda 1 emparejada!',
+        'swiss.roundOf': 'Ronda {round} de {total}',
+        'swiss.pairRound': 'Emparejar ronda {round}',
+        'swiss.exportStandings': 'Exportar clasificación',
+        'swiss.deleteLastRound': 'Eliminar última ronda',
+        'swiss.reset': 'Reiniciar',
+        'swiss.board': 'Mesa',
+        'swiss.white': 'Blancas',
+        'swiss.result': 'Resultado',
+        'swiss.black': 'Negras',
+        'swiss.pairFailed': 'No se ha podido emparejar la siguiente ronda',
+        'swiss.confirmDeleteRound': '¿Eliminar la última ronda y sus resultados?',
+        'swiss.deleteRoundFailed': 'No se ha podido eliminar la ronda',
+        'swiss.confirmReset': '¿Reiniciar el torneo suizo? Se perderán todas las rondas y resultados.',
+        'swiss.resetFailed': 'No se ha podido reiniciar el torneo suizo',
+        'swiss.modalTitle': 'Rondas suizas',
+        'course.title': 'Sesiones de «{title}»',
+        'course.schedule': 'Calendario',
+        'course.session': 'Sesión',
+        'course.present': 'Presentes',
+        'course.sessionNumber': 'Sesión {number}',
+        'course.rollCall': 'Pasar lista',
+        'course.noSessions': 'Todavía no hay sesiones programadas.',
+        'course.sessionTitlePlaceholder': 'Título de la sesión (opcional)',
+        'course.addSession': 'Añadir sesión',
+        'course.attendance': 'Asistencia',
+        'course.certificateThreshold': 'Umbral para el certificado',
+        'course.participant': 'Participante',
+        'course.attended': 'Asistencias',
+        'course.certificate': 'Certificado',
+        'course.noParticipants': 'Todavía no hay participantes aceptados.',
+        'course.addSessionFailed': 'No se ha podido añadir la sesión',
+        'course.confirmRemoveSession': '¿Quitar esta sesión y su registro de asistencia?',
+        'course.removeSessionFailed': 'No se ha podido quitar la sesión',
+        'course.attendanceFailed': 'No se ha podido guardar la asistencia',
+        'course.thresholdFailed': 'No se ha podido guardar el umbral',
+        'course.thresholdSaved': 'Umbral del certificado guardado',
+        'course.modalTitle': 'Sesiones del curso',
+
+        // Messages and calendar feeds
+        'messageKind.verification': 'Verificación de email',
+        'messageKind.confirmation': 'Confirmación de inscripción',
+        'messageKind.cancellation': 'Cancelación',
+        'messageKind.promotion': 'Salida de la lista de espera',
+        'messageKind.reminder': 'Recordatorio del evento',
+        'messageKind.announcement': 'Anuncio',
+        'messageStatus.queued': 'En cola',
+        'messageStatus.sent': 'Enviado',
+        'messageStatus.failed': 'Fallido',
+        'messageStatus.cancelled': 'Cancelado',
+        'email.verification.subject': 'Confirma tu email: {{event}}',
+        'email.verification.body': 'Hola, {{name}}:\n\nConfirma tu dirección de email para completar tu inscripción en {{event}} el {{date}}:\n\n{{link}}\n\nTu plaza solo se reserva durante un tiempo limitado. Si no te has inscrito, puedes ignorar este email.\n',
+        'email.confirmation.subject': 'Inscripción recibida: {{event}}',
+        'email.confirmation.body': 'Hola, {{name}}:\n\nGracias por inscribirte en {{event}} el {{date}}. Estado de tu inscripción: {{status}}.\n\nConsulta o cancela tu inscripción aquí: {{link}}\n',
+        'email.cancellation.subject': 'Inscripción cancelada: {{event}}',
+        'email.cancellation.body': 'Hola, {{name}}:\n\nTu inscripción en {{event}} el {{date}} ha sido cancelada.\n',
+        'email.promotion.subject': 'Se ha liberado una plaza: {{event}}',
+        'email.promotion.body': 'Hola, {{name}}:\n\nBuenas noticias: has salido de la lista de espera y ya estás inscrito en {{event}} el {{date}}.\n\nConsulta o cancela tu inscripción aquí: {{link}}\n',
+        'email.reminder.subject': 'Mañana: {{event}}',
+        'email.reminder.body': 'Hola, {{name}}:\n\nTe recordamos que {{event}} empieza el {{date}}. ¡Nos vemos allí!\n\nSi al final no puedes asistir, cancela tu inscripción para que otra persona pueda ocupar tu plaza: {{link}}\n',
+        'email.status.pending_verification': 'pendiente de verificar el email',
+        'email.status.accepted': 'confirmada',
+        'email.status.waitlisted': 'en lista de espera (posición {position})',
+        'email.status.cancelled': 'cancelada',
+        'messages.title': 'Mensajes de «{title}»',
+        'messages.templates': 'Plantillas',
+        'messages.placeholders': 'Marcadores',
+        'messages.customized': 'personalizada',
+        'messages.subject': 'Asunto',
+        'messages.body': 'Cuerpo',
+        'messages.saveTemplate': 'Guardar plantilla',
+        'messages.resetTemplate': 'Restaurar la predeterminada',
+        'messages.outbox': 'Bandeja de salida',
+        'messages.refresh': 'Actualizar',
+        'messages.browserStorageHint': 'Los mensajes los envía el servidor de GoldenSign (server.js con SMTP_HOST configurado). Con el almacenamiento del navegador se quedan en cola aquí.',
+        'messages.message': 'Mensaje',
+        'messages.to': 'Para',
+        'messages.retry': 'Reintentar',
+        'messages.empty': 'Todavía no hay mensajes. Se ponen en cola cuando alguien se inscribe, cancela o sale de la lista de espera.',
+        'messages.sentAt': 'Enviado el {date}',
+        'messages.scheduledFor': 'Programado para el {date}',
+        'messages.queuedAt': 'En cola desde el {date}',
+        'messages.templateIncomplete': 'Las plantillas necesitan asunto y cuerpo',
+        'messages.templateSaveFailed': 'No se ha podido guardar la plantilla',
+        'messages.templateSaved': 'Plantilla guardada. Se aplica a los mensajes que se pongan en cola a partir de ahora.',
+        'messages.templateReset': 'Plantilla restaurada a la predeterminada',
+        'messages.outboxFailed': 'No se ha podido cargar la bandeja de salida',
+        'calendarFeed.intro': {
+            one: 'Tu calendario incluye el {count} evento que organizas o en el que colaboras, con una entrada por sesión en los cursos con calendario.',
+            other: 'Tu calendario incluye los {count} eventos que organizas o en los que colaboras, con una entrada por sesión en los cursos con calendario.'
+        },
+        'calendarFeed.link': 'Enlace de suscripción',
+        'calendarFeed.linkHint': 'Añade este enlace a Google Calendar, Outlook o Apple Calendar para mantener tus eventos sincronizados. Cualquiera con el enlace puede ver tu agenda.',
+        'calendarFeed.browserStorageHint': 'Los enlaces de suscripción los sirve el servidor de GoldenSign (server.js). Con el almacenamiento del navegador puedes descargar el calendario.',
+        'calendarFeed.download': 'Descargar .ics',
+        'calendarFeed.resetLink': 'Cambiar enlace',
+        'calendarFeed.copied': '¡Enlace del calendario copiado al portapapeles!',
+        'calendarFeed.copyManually': 'Selecciona el enlace y cópialo a mano',
+        'calendarFeed.confirmReset': 'Los calendarios suscritos al enlace actual dejarán de actualizarse. ¿Crear un enlace nuevo?',
+        'calendarFeed.reset': 'Nuevo enlace de calendario creado',
+        'calendarFeed.modalTitle': 'Calendario suscribible',
+
+        // Communities, analytics, exports and imports
+        'communities.totalEvents': {
+            one: '{count} evento',
+            other: '{count} eventos'
+        },
+        'communities.totalParticipants': {
+            one: '{count} participante',
+            other: '{count} participantes'
+        },
+        'communities.totalRevenue': '{amount} de ingresos',
+        'communities.emptyTitle': 'Todavía no hay comunidades',
+        'communities.emptyText': '¡Crea tu primer torneo o curso para empezar a construir tu comunidad!',
+        'communities.participants': 'Participantes',
+        'communities.maxCapacity': 'Capacidad máxima',
+        'communities.available': 'Disponibles',
+        'communities.show': 'Mostrar',
+        'communities.hide': 'Ocultar',
+        'communities.noParticipants': 'Todavía no hay participantes. ¡Comparte el enlace del evento para empezar a recibir inscripciones!',
+        'communities.exportData': 'Exportar datos',
+        'communities.title': 'Mis comunidades',
+        'communities.filterByType': 'Filtrar por tipo:',
+        'communities.allTypes': 'Todos los tipos',
+        'communities.filterByStatus': 'Filtrar por estado:',
+        'communities.allStatuses': 'Todos los estados',
+        'communities.statusOpen': 'Inscripción abierta',
+        'communities.statusUpcoming': 'Inscripción aún no abierta',
+        'communities.statusClosed': 'Inscripción cerrada',
+        'communities.statusFull': 'Completo',
+        'communities.statusPast': 'Eventos pasados',
+        'communities.importData': 'Importar datos',
+        'communities.backup': 'Copia de seguridad',
+        'communities.restore': 'Restaurar',
+        'analytics.noEvents': 'Ningún evento coincide con los filtros.',
+        'analytics.returning': 'Participantes que repiten ({returning} de {people})',
+        'analytics.registrationsOverTime': 'Inscripciones en el tiempo',
+        'analytics.fillRate': 'Ocupación',
+        'analytics.typeComparison': 'Torneos frente a cursos',
+        'analytics.registrations': 'Inscripciones',
+        'analytics.averageFillRate': 'Ocupación media',
+        'analytics.medianTimeToFull': 'Tiempo mediano hasta llenarse',
+        'analytics.cancellationRate': 'Tasa de cancelación',
+        'analytics.noShowRate': 'Tasa de ausencias',
+        'analytics.fullIn': 'lleno en {duration}',
+        'analytics.tournaments': 'Torneos',
+        'analytics.courses': 'Cursos',
+        'analytics.events': 'Eventos',
+        'analytics.registrationsPerEvent': 'Inscripciones por evento',
+        'export.eventDone': '¡Datos del evento exportados!',
+        'export.standingsDone': '¡Clasificación exportada!',
+        'export.noEvents': 'No hay eventos que exportar',
+        'export.communitiesDone': '¡Datos de las comunidades exportados!',
+        'backup.adminOnly': 'Solo la administración del espacio de trabajo puede hacer copias de seguridad de todos los datos',
+        'backup.downloaded': 'Copia de seguridad descargada',
+        'backup.restoreAdminOnly': 'Solo la administración del espacio de trabajo puede restaurar una copia de seguridad',
+        'backup.confirmRestore': '¿Restaurar la copia de seguridad del {date} ({counts})? Se reemplazará todo lo guardado actualmente, salvo lo que la copia no incluya.',
+        'backup.restoreFailed': 'No se ha podido restaurar la copia de seguridad',
+        'backup.restored': 'Copia de seguridad restaurada',
+        'import.roleNoChanges': 'Tu rol en este evento no permite hacer cambios',
+        'import.upToDate': 'Ya está al día',
+        'import.capacityBelowAccepted': {
+            one: 'Ya hay {count} inscripción aceptada, más que la capacidad importada de {max}',
+            other: 'Ya hay {count} inscripciones aceptadas, más que la capacidad importada de {max}'
+        },
+        'import.updatesEvent': 'Actualiza el evento existente ({fields})',
+        'import.untitled': '(sin título)',
+        'import.unknownType': 'Tipo de evento desconocido «{type}»',
+        'import.invalidDate': 'Fecha no válida «{value}»',
+        'import.duplicateEvent': 'Mismo título y fecha que una fila anterior',
+        'import.newEvent': 'Evento nuevo',
+        'import.empty': '(vacío)',
+        'import.nameAndEmailRequired': 'Hacen falta un nombre y un email válido',
+        'import.cancelledRegistration': 'Inscripción cancelada',
+        'import.emailRegistered': 'Este email ya está inscrito en este evento',
+        'import.eventFull': 'El evento está completo',
+        'import.newRegistration': 'Inscripción nueva',
+        'import.newRegistrationWaitlisted': 'Inscripción nueva, en lista de espera (evento completo)',
+        'import.unnamedTeam': '(equipo sin nombre)',
+        'import.alreadyImported': 'Ya importado',
+        'import.invalidTeam': 'Equipo sin id, sin nombre o sin un evento conocido',
+        'import.newTeam': 'Equipo nuevo',
+        'import.teamNotFound': 'Equipo no encontrado',
+        'import.newRegistrationStatusChanged': 'Inscripción nueva, {status} en lugar de {original} (capacidad)',
+        'import.file': 'Archivo CSV o JSON',
+        'import.fileHint': 'Usa un CSV de «Exportar datos» o cualquier hoja de cálculo con fila de cabecera (eventos, o los participantes de un evento), o un volcado JSON con eventos, inscripciones y equipos (como una copia de seguridad).',
+        'import.invalidJson': 'El archivo no es JSON válido',
+        'import.jsonNeedsLists': 'El archivo JSON necesita una lista «events» o «inscriptions»',
+        'import.noHeaderRow': 'No se ha encontrado ninguna fila de cabecera con columnas de eventos o participantes',
+        'import.importAs': 'Importar como',
+        'import.participantsOfEvent': 'Participantes de un evento',
+        'import.intoEvent': 'En el evento',
+        'import.teamEventsHint': 'Los eventos por equipos solo se pueden llenar desde un volcado JSON.',
+        'import.field': 'Campo',
+        'import.column': 'Columna del archivo',
+        'import.notImported': 'No se importa',
+        'import.columnNumber': 'Columna {number}',
+        'import.preview': 'Vista previa',
+        'import.chooseAnotherFile': 'Elegir otro archivo',
+        'import.chooseColumn': 'Elige una columna para {fields}',
+        'import.chooseEvent': 'Elige el evento en el que importar los participantes',
+        'import.doneSummary': '{created} creados · {merged} combinados · {skipped} omitidos',
+        'import.planSummary': '{create} por crear · {merge} por combinar · {skip} por omitir',
+        'import.row': 'Fila',
+        'import.item': 'Elemento',
+        'import.action': 'Acción',
+        'import.details': 'Detalles',
+        'import.downloadReport': 'Descargar informe',
+        'import.done': 'Hecho',
+        'import.importRows': {
+            one: 'Importar {count} fila',
+            other: 'Importar {count} filas'
+        },
+        'import.rowFailed': 'No se ha podido guardar esta fila',
+        'import.finished': 'Importación terminada',
+        'import.reportTitle': 'Importación',
+        'importField.name': 'Nombre',
+        'importField.email': 'Email',
+        'importField.createdAt': 'Fecha de inscripción',
+        'importResult.create': 'Crear',
+        'importResult.merge': 'Combinar',
+        'importResult.skip': 'Omitir',
+        'importResult.created': 'Creados',
+        'importResult.merged': 'Combinados',
+        'importResult.skipped': 'Omitidos',
+        'csv.event': 'Evento',
+        'csv.type': 'Tipo',
+        'csv.date': 'Fecha',
+        'csv.timezone': 'Zona horaria',
+        'csv.teamSize': 'Tamaño de equipo',
+        'csv.maxTeams': 'Máximo de equipos',
+        'csv.currentTeams': 'Equipos actuales',
+        'csv.maxParticipants': 'Máximo de participantes',
+        'csv.currentParticipants': 'Participantes actuales',
+        'csv.waitlisted': 'En espera',
+        'csv.cancelled': 'Canceladas',
+        'csv.fee': 'Cuota',
+        'csv.revenue': 'Ingresos',
+        'csv.role.captain': 'capitán',
+        'csv.role.member': 'miembro',
+        'csv.team': 'Equipo',
+        'csv.role': 'Rol',
+        'csv.name': 'Nombre',
+        'csv.email': 'Email',
+        'csv.registrationDate': 'Fecha de inscripción',
+        'csv.status': 'Estado',
+        'csv.waitlistPosition': 'Posición en la lista de espera',
+        'csv.cancelledAt': 'Cancelada el',
+        'csv.cancelledBy': 'Cancelada por',
+        'csv.amountDue': 'Importe',
+        'csv.currency': 'Moneda',
+        'csv.paymentStatus': 'Estado del pago',
+        'csv.paidAt': 'Pagado el',
+        'csv.paymentReference': 'Referencia del pago',
+        'csv.discountCode': 'Código de descuento',
+        'csv.status.accepted': 'aceptada',
+        'csv.status.waitlisted': 'en espera',
+        'csv.status.cancelled': 'cancelada',
+        'csv.roundsPlayed': 'Rondas jugadas',
+        'csv.rank': 'Puesto',
+        'csv.score': 'Puntos',
+        'csv.gamesPlayed': 'Partidas jugadas',
+        'csv.byes': 'Pases directos',
+        'csv.teams': 'Equipos',
+        'csv.availableSlots': 'Plazas disponibles',
+        'csv.registrationOpens': 'Apertura de inscripciones',
+        'csv.registrationCloses': 'Cierre de inscripciones',
+        'participants.title': 'Participantes',
+        'participants.modalTitle': 'Participante',
+        'participants.search': 'Buscar:',
+        'participants.searchPlaceholder': 'Nombre o email',
+        'participants.emptyTitle': 'Aún no hay participantes',
+        'participants.emptyText': 'Todas las personas que se inscriban en tus eventos aparecerán aquí, una vez por dirección de email.',
+        'participants.noMatches': 'Nadie coincide con tu búsqueda',
+        'participants.lastRegistered': 'última inscripción el {date}',
+        'participants.history': 'Inscripciones',
+        'participants.event': 'Evento',
+        'participants.attendance': 'Asistencia',
+        'participants.result': 'Resultado',
+        'participants.sessionsAttended': {
+            one: '{attended} de {count} sesión',
+            other: '{attended} de {count} sesiones'
+        },
+        'participants.checkedIn': 'Registró su entrada',
+        'participants.rank': '#{rank} de {of} · {points} ptos.',
+        'participants.record': '{wins} ganadas · {losses} perdidas',
+        'participants.contact': 'Datos de contacto',
+        'participants.contactHint': 'Los cambios se aplican a todas las inscripciones de esta persona, incluidos los emails en cola.',
+        'participants.nameAndEmailRequired': 'Introduce un nombre y un email válido',
+        'participants.emailTaken': '{email} ya pertenece a otro participante. Fusiona los dos en su lugar.',
+        'participants.saved': 'Datos de contacto de {name} guardados',
+        'participants.saveFailed': 'No se pudo guardar el participante. Inténtalo de nuevo.',
+        'participants.merge': 'Fusionar un duplicado',
+        'participants.mergeHint': 'Las inscripciones de la persona que elijas pasan a usar el nombre y el email de {name}.',
+        'participants.mergeButton': 'Fusionar con esta persona',
+        'participants.confirmMerge': {
+            one: '¿Fusionar {duplicate} con {name}? Su {count} inscripción usará el nombre y el email de {name}.',
+            other: '¿Fusionar {duplicate} con {name}? Sus {count} inscripciones usarán el nombre y el email de {name}.'
+        },
+        'participants.merged': 'Duplicado fusionado con {name}',
+        'participants.readOnly': 'Algunas de estas inscripciones pertenecen a eventos que no puedes editar, así que solo puedes consultar a esta persona.',
+        'participants.export': 'Exportar datos personales',
+        'participants.exported': 'Datos personales descargados',
+        'participants.erase': 'Borrar datos personales',
+        'participants.confirmErase': {
+            one: '¿Borrar todos los datos de {name}? Se eliminan su {count} inscripción y los emails que se le enviaron, y los cuadros la mostrarán como participante borrado. Esta acción no se puede deshacer.',
+            other: '¿Borrar todos los datos de {name}? Se eliminan sus {count} inscripciones y los emails que se le enviaron, y los cuadros la mostrarán como participante borrado. Esta acción no se puede deshacer.'
+        },
+        'participants.erasedName': 'Participante borrado',
+        'participants.erased': 'Todos los datos de {name} borrados',
+        'participants.eraseFailed': 'No se pudo borrar el participante. Inténtalo de nuevo.',
+
+        // Registration, confirmation and check-in pages
+        'registration.full': 'Evento completo',
+        'registration.teamsCanGrow': 'los equipos existentes aún pueden sumar miembros',
+        'registration.slotsAvailable': {
+            one: '{count} de {max} plaza disponible',
+            other: '{count} de {max} plazas disponibles'
+        },
+        'registration.teamSlotsAvailable': {
+            one: '{count} de {max} plaza de equipo disponible',
+            other: '{count} de {max} plazas de equipo disponibles'
+        },
+        'registration.joinTeamTitle': 'Únete a un equipo',
+        'registration.joinWaitlistTitle': 'Apúntate a la lista de espera',
+        'registration.title': 'Inscríbete en este evento',
+        'registration.joinTeam': 'Unirme al equipo',
+        'registration.joinWaitlist': 'Apuntarme a la lista de espera',
+        'registration.submit': 'Confirmar inscripción',
+        'registration.youPay': 'Pagas {amount}',
+        'registration.youPayPerMember': 'Pagas {amount} por miembro del equipo',
+        'registration.selectOption': 'Selecciona...',
+        'registration.teamSizeHint': 'Los equipos tienen de {min} a {max} miembros, tú incluido. Tus compañeros también pueden unirse más tarde con el código de invitación.',
+        'registration.teammateName': 'Nombre completo del compañero',
+        'registration.teammateEmail': 'Email del compañero',
+        'registration.removeTeammate': 'Quitar compañero',
+        'registration.notOpenYet': 'La inscripción todavía no está abierta',
+        'registration.closed': 'La inscripción para este evento está cerrada',
+        'registration.nowFull': 'Lo sentimos, este evento ya está completo',
+        'registration.alreadyRegistered': '{email} ya está inscrito en este evento',
+        'registration.taken': 'No se ha podido inscribir: el evento está completo o este correo ya está inscrito',
+        'registration.emailsUnique': 'Cada miembro del equipo necesita su propio email',
+        'registration.saveFailed': 'No se ha podido guardar tu inscripción. Inténtalo de nuevo.',
+        'registration.pageTitle': 'Inscribirse - GoldenSign',
+        'registration.loading': 'Cargando los datos del evento...',
+        'registration.notFoundTitle': 'Evento no encontrado',
+        'registration.notFoundText': 'El evento que buscas no existe o se ha eliminado.',
+        'registration.viewBracket': 'Ver cuadro',
+        'registration.addToCalendar': 'Añadir al calendario',
+        'registration.dateTime': 'Fecha y hora',
+        'registration.deadline': 'Fecha límite de inscripción',
+        'registration.opensSoonTitle': 'Las inscripciones abren pronto',
+        'registration.opensOn': 'Las inscripciones se abren el',
+        'registration.closedTitle': 'Inscripciones cerradas',
+        'registration.closedOn': 'El plazo de inscripción de este evento terminó el',
+        'registration.fullName': 'Nombre completo',
+        'registration.fullNamePlaceholder': 'Escribe tu nombre completo',
+        'registration.email': 'Correo electrónico',
+        'registration.emailPlaceholder': 'Escribe tu correo electrónico',
+        'registration.team': 'Equipo',
+        'registration.createTeam': 'Crear un equipo nuevo',
+        'registration.joinTeamWithCode': 'Unirme a un equipo con un código de invitación',
+        'registration.teamName': 'Nombre del equipo',
+        'registration.teamNamePlaceholder': 'Escribe el nombre de tu equipo',
+        'registration.teammates': 'Compañeros de equipo',
+        'registration.addTeammate': 'Añadir compañero',
+        'registration.inviteCode': 'Código de invitación',
+        'registration.inviteCodePlaceholder': 'p. ej., K7P2QX',
+        'registration.member': 'Soy socio',
+        'registration.discountCode': 'Código de descuento',
+        'registration.fullTitle': 'Evento completo',
+        'registration.fullText': 'Lo sentimos, este evento ha alcanzado su aforo máximo.',
+        'success.waitlisted': '«{title}» está completo, así que te hemos añadido a la lista de espera en la posición {position}. Subirás automáticamente cuando se libere una plaza.',
+        'success.registered': '¡Te has inscrito en «{title}»!',
+        'success.verifyToKeepSpot': 'Hemos enviado un enlace de verificación a {email}. Ábrelo antes del {date} para conservar tu plaza en «{title}».',
+        'success.verifyToJoinWaitlist': 'Hemos enviado un enlace de verificación a {email}. Ábrelo antes del {date} para entrar en la lista de espera de «{title}».',
+        'success.teamCreated': 'Tu equipo «{name}» está listo. Comparte el código de invitación {code} con los compañeros que aún tengan que unirse.',
+        'success.teamJoined': 'Estás en el equipo «{name}».',
+        'success.paid': 'Hemos recibido tu pago de {amount}.',
+        'success.feeDue': 'La cuota de {amount} sigue pendiente; puedes pagarla desde tu página de confirmación.',
+        'success.feeDueLater': 'La cuota de {amount} se paga cuando consigas plaza; puedes pagarla desde tu página de confirmación.',
+        'success.checkEmail': 'Revisa tu email',
+        'success.title': '¡Inscripción completada!',
+        'success.viewConfirmation': 'Ver confirmación',
+        'checkout.title': 'Completa tu pago',
+        'checkout.total': 'Total',
+        'checkout.cardNumber': 'Número de tarjeta',
+        'checkout.testMode': 'Modo de prueba: no se cobra nada. Funciona cualquier número de tarjeta salvo {card}, que se rechaza.',
+        'checkout.pay': 'Pagar {amount}',
+        'checkout.payLater': 'Pagar más tarde',
+        'checkout.failed': 'No se ha podido completar el pago. Inténtalo de nuevo.',
+        'confirmation.pending.badge': 'Sin verificar',
+        'confirmation.pending.title': 'Confirma tu email',
+        'confirmation.pending.subtitle': 'Abre el enlace de verificación que te hemos enviado para completar tu inscripción.',
+        'confirmation.accepted.badge': 'Aceptada',
+        'confirmation.accepted.title': '¡Inscripción confirmada!',
+        'confirmation.accepted.subtitle': 'Te has inscrito en el evento.',
+        'confirmation.waitlisted.badge': 'En espera',
+        'confirmation.waitlisted.title': 'Estás en la lista de espera',
+        'confirmation.waitlisted.subtitle': 'Este evento está completo. Pasarás a tener plaza automáticamente cuando se libere una.',
+        'confirmation.cancelled.badge': 'Cancelada',
+        'confirmation.cancelled.title': 'Inscripción cancelada',
+        'confirmation.cancelled.subtitle': 'Tu inscripción se ha cancelado y tu plaza ha quedado libre.',
+        'confirmation.expires': 'Caduca el {date}.',
+        'confirmation.waitlistPosition': 'N.º {position} de {total}',
+        'confirmation.cancelledInfo': '{date}, por {by}',
+        'confirmation.captain': 'capitán',
+        'confirmation.confirmCancel': '¿Seguro que quieres cancelar tu inscripción? Tu plaza pasará a otra persona.',
+        'confirmation.cancelNotAllowed': 'Este enlace no permite cancelar la inscripción',
+        'confirmation.cancelFailed': 'No se ha podido cancelar tu inscripción. Inténtalo de nuevo.',
+        'confirmation.cancelledNotice': 'Tu inscripción se ha cancelado',
+        'confirmation.paymentReceived': 'Hemos recibido tu pago',
+        'confirmation.pageTitle': 'Confirmación de inscripción - GoldenSign',
+        'confirmation.loading': 'Cargando los datos de la confirmación...',
+        'confirmation.notFoundTitle': 'Confirmación no encontrada',
+        'confirmation.notFoundText': 'No hemos encontrado la confirmación de tu inscripción.',
+        'confirmation.details': 'Datos de la inscripción',
+        'confirmation.label.name': 'Nombre:',
+        'confirmation.label.email': 'Correo:',
+        'confirmation.label.event': 'Evento:',
+        'confirmation.label.type': 'Tipo:',
+        'confirmation.label.date': 'Fecha:',
+        'confirmation.label.location': 'Lugar:',
+        'confirmation.label.team': 'Equipo:',
+        'confirmation.label.inviteCode': 'Código de invitación del equipo:',
+        'confirmation.label.waitlistPositionLabel': 'Posición en la lista de espera:',
+        'confirmation.label.payment': 'Pago:',
+        'confirmation.label.checkedIn': 'Registrado en la entrada:',
+        'confirmation.label.cancelled': 'Cancelada:',
+        'confirmation.label.registrationId': 'ID de inscripción:',
+        'confirmation.ticket': 'Tu entrada',
+        'confirmation.ticketHint': 'Muestra este código en la entrada para registrar tu llegada.',
+        'confirmation.print': 'Imprimir confirmación',
+        'confirmation.payNow': 'Pagar ahora',
+        'confirmation.cancel': 'Cancelar inscripción',
+        'confirmation.viewCertificate': 'Ver certificado',
+        'confirmation.note': 'Guarda esta confirmación. En breve recibirás un correo de confirmación.',
+        'confirmation.important': 'Importante:',
+        'qr.label': 'Código QR',
+        'checkIn.ticket': 'Entrada para el acceso',
+        'checkIn.saveFailed': 'No se ha podido registrar la entrada. Inténtalo de nuevo.',
+        'checkIn.firstCheckedIn': 'Entró por primera vez el {date}',
+        'checkIn.firstCheckedInBy': 'Entró por primera vez el {date}, registrado por {name}',
+        'checkIn.paymentDue': 'Pago pendiente: {amount}',
+        'checkIn.undone': 'Entrada deshecha',
+        'checkIn.cameraFailed': 'No se ha podido abrir la cámara. Revisa los permisos del navegador.',
+        'checkIn.pageTitle': 'Control de acceso - GoldenSign',
+        'checkIn.loading': 'Cargando el control de acceso...',
+        'checkIn.notAvailableTitle': 'Control de acceso no disponible',
+        'checkIn.notAvailableText': 'Inicia sesión en el panel con una cuenta que pueda registrar llegadas en este evento y abre el control de acceso desde la tarjeta del evento.',
+        'checkIn.goToManager': 'Ir al panel',
+        'checkIn.arrived': 'han llegado',
+        'checkIn.scan': 'Escanear entradas',
+        'checkIn.scannerUnsupported': 'Este navegador no puede escanear códigos QR. Escribe el ID de inscripción o el código de la entrada.',
+        'checkIn.stopCamera': 'Detener cámara',
+        'checkIn.codeLabel': 'ID de inscripción o código de la entrada',
+        'checkIn.submit': 'Registrar llegada',
+        'checkIn.recent': 'Recientes',
+        'checkInOutcome.checkedIn': 'Acceso registrado',
+        'checkInOutcome.duplicate': 'Ya había entrado',
+        'checkInOutcome.waitlisted': 'En lista de espera, no admitido',
+        'checkInOutcome.cancelled': 'Inscripción cancelada',
+        'checkInOutcome.pendingVerification': 'Email sin verificar',
+        'checkInOutcome.otherEvent': 'Entrada de otro evento',
+        'checkInOutcome.forged': 'Firma de entrada no válida',
+        'checkInOutcome.unknown': 'No se ha encontrado la inscripción',
+        'verify.waitlisted': 'Gracias, {name}. Estás en la lista de espera de «{title}» en la posición {position}.',
+        'verify.accepted': 'Gracias, {name}. Tu plaza en «{title}» está confirmada.',
+        'verify.pageTitle': 'Verifica tu correo - GoldenSign',
+        'verify.loading': 'Verificando tu correo...',
+        'verify.invalidTitle': 'Enlace de verificación no válido',
+        'verify.invalidText': 'Este enlace no corresponde a ninguna inscripción. Usa el enlace del correo tal como se envió.',
+        'verify.expiredTitle': 'Enlace de verificación caducado',
+        'verify.expiredText': 'Tu correo no se verificó a tiempo, así que la plaza que tenías reservada se ha liberado. Puedes volver a inscribirte si aún quedan plazas.',
+        'verify.registerAgain': 'Volver a inscribirme',
+        'verify.title': '¡Correo verificado!',
+        'certificate.attendance': {
+            one: 'Asistencia a {attended} de {count} sesión ({percentage} %)',
+            other: 'Asistencia a {attended} de {count} sesiones ({percentage} %)'
+        },
+        'certificate.pageTitle': 'Certificado de finalización - GoldenSign',
+        'certificate.loading': 'Cargando el certificado...',
+        'certificate.notAvailableTitle': 'Certificado no disponible',
+        'certificate.notAvailableText': 'Este certificado no existe o todavía no se ha alcanzado la asistencia requerida.',
+        'certificate.title': 'Certificado de finalización',
+        'certificate.certifies': 'Se certifica que',
+        'certificate.completed': 'ha completado con éxito el curso',
+        'certificate.completedOn': 'Completado el',
+        'certificate.id': 'ID del certificado:',
+        'certificate.print': 'Imprimir certificado'
+    }
+};
+
+// Locale
+// A language picked with the switcher wins over the browser's preferences
+function detectLocale() {
+    const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (LOCALES[stored]) {
+        return stored;
+    }
+    const preferred = (navigator.languages || [navigator.language])
+        .map(language => String(language || '').toLowerCase().split('-')[0])
+        .find(language => LOCALES[language]);
+    return preferred || DEFAULT_LOCALE;
+}
+
+let currentLocale = detectLocale();
+
+function getLocale() {
+    return currentLocale;
+}
+
+// The BCP 47 tag to hand to Intl and toLocaleString
+function getIntlLocale(locale = currentLocale) {
+    return (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).intl;
+}
+
+// Reloading renders every page and notification in the new language at once
+function setLocale(locale) {
+    if (!LOCALES[locale] || locale === currentLocale) {
+        return;
+    }
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    window.location.reload();
+}
+
+// Messages
+const pluralRules = {};
+
+function selectPluralForm(message, count, locale) {
+    if (!pluralRules[locale]) {
+        pluralRules[locale] = new Intl.PluralRules(getIntlLocale(locale));
+    }
+    return message[pluralRules[locale].select(count)] ?? message.other;
+}
+
+// Unknown placeholders are left alone, so text such as the {{event}} fields
+// of message templates passes through untouched
+function t(key, params = {}, locale = currentLocale) {
+    let message = (MESSAGES[locale] || {})[key] ?? MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) {
+        return key;
+    }
+    if (typeof message === 'object') {
+        message = selectPluralForm(message, Number(params.count) || 0, locale);
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : placeholder
+    );
+}
+
+// Whether value is the message in any language, for reading back files
+// exported while a different language was selected
+function matchesAnyLocale(value, key) {
+    const normalized = String(value || '').trim().toLowerCase();
+    return Object.keys(LOCALES).some(locale => t(key, {}, locale).toLowerCase() === normalized);
+}
+
+// Pages
+// Static markup names its messages in data-i18n (text) and data-i18n-<attribute>
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    TRANSLATED_ATTRIBUTES.forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+    document.documentElement.lang = currentLocale;
+}
+
+function setupLanguageSwitcher(root = document) {
+    root.querySelectorAll('[data-language-switcher]').forEach(select => {
+        select.innerHTML = '';
+        Object.entries(LOCALES).forEach(([locale, { name }]) => {
+            select.appendChild(new Option(name, locale, false, locale === currentLocale));
+        });
+        select.addEventListener('change', () => setLocale(select.value));
+    });
+}
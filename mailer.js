@@ -0,0 +1,227 @@
+// GoldenSign - Outbox delivery
+// Sends the messages script.js queues in the "messages" collection through an
+// SMTP server. Used by server.js when SMTP_HOST is set; point it at a local
+// test server (MailHog, smtp4dev, ...) to see the mail without sending it.
+//
+// Message records:
+//   { id, to, subject, body, status: 'queued' | 'sent' | 'failed' | 'cancelled',
+//     sendAfter, attempts, error, sentAt }
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const SMTP_TIMEOUT_MS = 15000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+class SmtpError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// Header values must stay on one line
+function headerValue(value) {
+    return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+// RFC 2047 encoded-word for non-ASCII subjects
+function encodeHeader(value) {
+    const text = headerValue(value);
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, body }) {
+    const domain = from.split('@')[1] || 'localhost';
+    const encoded = Buffer.from(body.replace(/\r?\n/g, '\r\n'), 'utf8')
+        .toString('base64')
+        .replace(/.{76}/g, '$&\r\n');
+
+    return [
+        `From: ${headerValue(from)}`,
+        `To: ${headerValue(to)}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encoded
+    ].join('\r\n');
+}
+
+// SMTP transport
+// One connection per message: the outbox is small and this keeps failures
+// isolated to the message that caused them.
+class SmtpTransport {
+    constructor({ host, port = 25, secure = false, user = null, pass = null, from }) {
+        this.host = host;
+        this.port = port;
+        this.secure = secure;
+        this.user = user;
+        this.pass = pass;
+        this.from = from;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = this.secure
+                ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+                : net.connect({ host: this.host, port: this.port });
+            socket.once(this.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+            socket.once('error', reject);
+        });
+    }
+
+    async send({ to, subject, body }) {
+        const socket = await this.connect();
+        socket.setTimeout(SMTP_TIMEOUT_MS);
+
+        let buffer = '';
+        let waiting = null;
+        let failure = null;
+        const replies = [];
+
+        const settle = () => {
+            if (!waiting) return;
+            if (failure) {
+                waiting.reject(failure);
+            } else if (replies.length > 0) {
+                waiting.resolve(replies.shift());
+            } else {
+                return;
+            }
+            waiting = null;
+        };
+
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let end;
+            // A reply ends with a line whose code is followed by a space
+            while ((end = buffer.search(/^\d{3}(?: [^\r\n]*)?\r\n/m)) !== -1) {
+                const lineEnd = buffer.indexOf('\r\n', end) + 2;
+                const lines = buffer.slice(0, lineEnd).trim().split('\r\n');
+                buffer = buffer.slice(lineEnd);
+                replies.push({ code: parseInt(lines[0].slice(0, 3), 10), text: lines.map(line => line.slice(4)).join('\n') });
+            }
+            settle();
+        });
+        socket.on('timeout', () => {
+            failure = new SmtpError(null, 'SMTP server timed out');
+            socket.destroy();
+            settle();
+        });
+        socket.on('error', err => {
+            failure = err;
+            settle();
+        });
+        socket.on('close', () => {
+            failure = failure || new SmtpError(null, 'SMTP connection closed');
+            settle();
+        });
+
+        const expect = async (command, expected) => {
+            if (command !== null) {
+                socket.write(`${command}\r\n`);
+            }
+            const reply = await new Promise((resolve, reject) => {
+                waiting = { resolve, reject };
+                settle();
+            });
+            if (reply.code !== expected) {
+                throw new SmtpError(reply.code, `SMTP ${reply.code}: ${reply.text}`);
+            }
+            return reply;
+        };
+
+        try {
+            await expect(null, 220);
+            await expect(`EHLO ${os.hostname()}`, 250);
+            if (this.user) {
+                const credentials = Buffer.from(`\0${this.user}\0${this.pass || ''}`, 'utf8').toString('base64');
+                await expect(`AUTH PLAIN ${credentials}`, 235);
+            }
+            await expect(`MAIL FROM:<${headerValue(this.from)}>`, 250);
+            await expect(`RCPT TO:<${headerValue(to)}>`, 250);
+            await expect('DATA', 354);
+            // Lines starting with a dot are escaped so they cannot end the data early
+            const data = buildMessage({ from: this.from, to, subject, body }).replace(/^\./gm, '..');
+            await expect(`${data}\r\n.`, 250);
+            await expect('QUIT', 221).catch(() => {});
+        } finally {
+            socket.destroy();
+        }
+    }
+}
+
+// Outbox worker
+class OutboxWorker {
+    constructor(store, transport, { intervalMs = 30000 } = {}) {
+        this.store = store;
+        this.transport = transport;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.run(), this.intervalMs);
+        this.run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    dueMessages(now = new Date()) {
+        return this.store.list('messages').filter(message =>
+            message.status === 'queued' && (!message.sendAfter || new Date(message.sendAfter) <= now)
+        );
+    }
+
+    // Sends everything that is due. A run that is still going when the next
+    // tick fires is left to finish instead of sending the same mail twice.
+    async run() {
+        if (this.running) return;
+        this.running = true;
+        try {
+            for (const message of this.dueMessages()) {
+                await this.deliver(message);
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async deliver(message) {
+        try {
+            await this.transport.send(message);
+            this.update(message.id, { status: 'sent', sentAt: new Date().toISOString(), error: null });
+        } catch (err) {
+            const attempts = (message.attempts || 0) + 1;
+            const failed = attempts >= MAX_ATTEMPTS;
+            this.update(message.id, {
+                attempts,
+                error: err.message,
+                status: failed ? 'failed' : 'queued',
+                sendAfter: failed ? message.sendAfter : new Date(Date.now() + RETRY_DELAY_MS * attempts).toISOString()
+            });
+        }
+    }
+
+    // Re-read the record so a cancel or edit made during delivery is kept
+    update(id, changes) {
+        const current = this.store.list('messages').find(message => message.id === id);
+        if (current) {
+            this.store.put('messages', { ...current, ...changes });
+        }
+    }
+}
+
+module.exports = { SmtpTransport, OutboxWorker, SmtpError, buildMessage };
@@ -0,0 +1,44 @@
+// GoldenSign - Payment providers on the server
+// server.js charges registrations itself (POST /api/payments), so a
+// registration only becomes paid when the provider took the money. Same
+// interface as the providers in script.js: charge(payment) takes
+// { amount, currency, description, email, source } and resolves to
+// { reference }; refund(reference, amount) gives (part of) a charge back.
+// Amounts are in cents.
+
+const crypto = require('crypto');
+
+// Why a charge failed, as a message id under "payment." in i18n.js
+class PaymentError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.reason = reason;
+    }
+}
+
+// Mirrors MOCK_DECLINED_CARD in script.js
+const MOCK_DECLINED_CARD = '4000000000000002';
+
+// Takes every card except MOCK_DECLINED_CARD, without talking to anyone
+class MockPaymentProvider {
+    constructor() {
+        this.name = 'mock';
+    }
+
+    async charge({ source }) {
+        const card = String(source || '').replace(/\D/g, '');
+        if (card.length < 12) {
+            throw new PaymentError('invalidCard', 'Invalid card number');
+        }
+        if (card === MOCK_DECLINED_CARD) {
+            throw new PaymentError('declined', 'The card was declined');
+        }
+        return { reference: `mock_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}` };
+    }
+
+    async refund(reference, amount) {
+        return { reference, amount };
+    }
+}
+
+module.exports = { MockPaymentProvider, PaymentError };
@@ -1,756 +1,7770 @@
 // GoldenSign - Tournament & Course Inscription Platform
 // JavaScript functionality for data management and UI interactions
 
-// Data Storage
-class DataManager {
-    constructor() {
-        this.events = this.loadEvents();
-        this.inscriptions = this.loadInscriptions();
+// Storage Adapters
+// Every adapter exposes the same async interface over named collections
+// ('events', 'inscriptions'): list(collection), put(collection, record)
+// and remove(collection, id). DataManager only talks to this interface.
+// Backends with their own organizer accounts also have signIn, signOut
+// and getSession.
+class LocalStorageAdapter {
+    constructor(prefix = 'goldensign_') {
+        this.prefix = prefix;
     }
 
-    // Events Management
-    createEvent(eventData) {
-        const event = {
-            id: this.generateId(),
-            ...eventData,
-            createdAt: new Date().toISOString(),
-            inscriptions: []
-        };
-        this.events.push(event);
-        this.saveEvents();
-        return event;
+    key(collection) {
+        return `${this.prefix}${collection}`;
     }
 
-    getEvent(id) {
-        return this.events.find(event => event.id === id);
+    read(collection) {
+        const stored = localStorage.getItem(this.key(collection));
+        return stored ? JSON.parse(stored) : [];
     }
 
-    getEvents() {
-        return this.events;
+    write(collection, records) {
+        localStorage.setItem(this.key(collection), JSON.stringify(records));
     }
 
-    deleteEvent(id) {
-        this.events = this.events.filter(event => event.id !== id);
-        this.inscriptions = this.inscriptions.filter(inscription => inscription.eventId !== id);
-        this.saveEvents();
-        this.saveInscriptions();
+    async list(collection) {
+        return this.read(collection);
     }
 
-    // Inscriptions Management
-    createInscription(inscriptionData) {
-        const inscription = {
-            id: this.generateId(),
-            ...inscriptionData,
-            createdAt: new Date().toISOString(),
-            status: 'accepted'
-        };
-        this.inscriptions.push(inscription);
-        this.saveInscriptions();
-        return inscription;
+    async put(collection, record) {
+        const records = this.read(collection);
+        const index = records.findIndex(item => item.id === record.id);
+        if (index === -1) {
+            records.push(record);
+        } else {
+            records[index] = record;
+        }
+        this.write(collection, records);
+        return record;
     }
 
-    getInscriptionsForEvent(eventId) {
-        return this.inscriptions.filter(inscription => inscription.eventId === eventId);
+    async remove(collection, id) {
+        this.write(collection, this.read(collection).filter(item => item.id !== id));
     }
+}
 
-    getInscription(id) {
-        return this.inscriptions.find(inscription => inscription.id === id);
+// Talks to server.js, which only lets signed-in organizers see and change
+// what their roles allow. signIn, signOut and getSession manage the
+// server session; its token lives in sessionStorage, like the page's own
+// organizer session. Participants show the secret tokens of their own
+// registrations instead: the one in the page's link and those of the
+// registrations the page made. pay charges registrations on the server,
+// which is the only one to mark them paid; quoteFee prices them there,
+// since only the event's editors get its discount codes.
+const API_SESSION_KEY = 'goldensign_api_session';
+
+class StorageError extends Error {
+    constructor(message, status, reason = null) {
+        super(message);
+        this.status = status;
+        this.reason = reason;
     }
+}
 
-    // Utility Methods
-    generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+class RestStorageAdapter {
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.inscriptionTokens = new Set([new URLSearchParams(window.location.search).get('token')].filter(Boolean));
     }
 
-    // Local Storage
-    saveEvents() {
-        localStorage.setItem('goldensign_events', JSON.stringify(this.events));
+    async request(method, path, body) {
+        const options = { method, headers: {} };
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        const sessionToken = sessionStorage.getItem(API_SESSION_KEY);
+        if (sessionToken) {
+            options.headers.Authorization = `Bearer ${sessionToken}`;
+        }
+        if (this.inscriptionTokens.size > 0) {
+            options.headers['X-Inscription-Tokens'] = [...this.inscriptionTokens].join(',');
+        }
+
+        const response = await fetch(`${this.baseUrl}${path}`, options);
+        if (!response.ok) {
+            const { reason } = await response.json().catch(() => ({}));
+            throw new StorageError(`Storage request failed: ${method} ${path} (${response.status})`, response.status, reason);
+        }
+        return response.status === 204 ? null : response.json();
     }
 
-    loadEvents() {
-        const stored = localStorage.getItem('goldensign_events');
-        return stored ? JSON.parse(stored) : [];
+    list(collection) {
+        return this.request('GET', `/${collection}`);
     }
 
-    saveInscriptions() {
-        localStorage.setItem('goldensign_inscriptions', JSON.stringify(this.inscriptions));
+    put(collection, record) {
+        if (collection === 'inscriptions') {
+            [record.token, record.verificationToken].filter(Boolean).forEach(token => this.inscriptionTokens.add(token));
+        }
+        return this.request('PUT', `/${collection}/${encodeURIComponent(record.id)}`, record);
     }
 
-    loadInscriptions() {
-        const stored = localStorage.getItem('goldensign_inscriptions');
-        return stored ? JSON.parse(stored) : [];
+    remove(collection, id) {
+        return this.request('DELETE', `/${collection}/${encodeURIComponent(id)}`);
     }
 
-    // URL Generation
-    generateEventUrl(eventId) {
-        return `${window.location.origin}/inscription.html?id=${eventId}`;
+    // Resolves to the paid registrations; a declined charge rejects with a
+    // PaymentError, like the providers do
+    async pay(inscriptionIds, source) {
+        try {
+            return await this.request('POST', '/payments', { inscriptionIds, source });
+        } catch (err) {
+            if (err.status === 402) {
+                throw new PaymentError(t(err.reason === 'declined' ? 'payment.declined' : 'payment.invalidCard'));
+            }
+            throw err;
+        }
     }
 
-    generateConfirmationUrl(inscriptionId) {
-        return `${window.location.origin}/confirmation.html?id=${inscriptionId}`;
+    // Resolves like calculateFee
+    async quoteFee(eventId, { member = false, discountCode = '' } = {}) {
+        try {
+            return await this.request('POST', '/quote', { eventId, member, discountCode });
+        } catch (err) {
+            if (err.reason === 'invalidDiscountCode') {
+                return { error: t('fee.invalidDiscountCode', { code: discountCode.trim() }) };
+            }
+            throw err;
+        }
     }
-}
 
-// Initialize Data Manager
-const dataManager = new DataManager();
+    // Resolves to the organizer, or null when the email or password is wrong
+    async signIn(email, password) {
+        try {
+            const { token, organizer } = await this.request('POST', '/session', { email, password });
+            sessionStorage.setItem(API_SESSION_KEY, token);
+            return organizer;
+        } catch (err) {
+            if (err.status === 401) {
+                return null;
+            }
+            throw err;
+        }
+    }
 
-// Utility Functions
-function formatDate(dateString) {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    });
-}
+    async signOut() {
+        try {
+            await this.request('DELETE', '/session');
+        } finally {
+            sessionStorage.removeItem(API_SESSION_KEY);
+        }
+    }
 
-function formatDateShort(dateString) {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
-        month: 'short',
-        day: 'numeric',
-        year: 'numeric'
-    });
+    // The id of the organizer signed in on the server, if any
+    async getSession() {
+        if (!sessionStorage.getItem(API_SESSION_KEY)) {
+            return null;
+        }
+        try {
+            const { organizer } = await this.request('GET', '/session');
+            return organizer.id;
+        } catch (err) {
+            if (err.status === 401) {
+                sessionStorage.removeItem(API_SESSION_KEY);
+                return null;
+            }
+            throw err;
+        }
+    }
 }
 
-function showNotification(message, type = 'success') {
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.className = `notification notification-${type}`;
-    notification.innerHTML = `
-        <div class="notification-content">
-            <span class="notification-icon">${type === 'success' ? '✅' : '❌'}</span>
-            <span class="notification-message">${message}</span>
-        </div>
-    `;
-    
-    // Add styles
-    notification.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        background: ${type === 'success' ? '#28A745' : '#DC3545'};
-        color: white;
-        padding: 15px 20px;
-        border-radius: 8px;
-        box-shadow: 0 4px 15px rgba(0,0,0,0.2);
-        z-index: 3000;
-        animation: slideInRight 0.3s ease-out;
-        max-width: 300px;
-    `;
-    
-    document.body.appendChild(notification);
-    
-    // Remove after 3 seconds
-    setTimeout(() => {
-        notification.style.animation = 'slideOutRight 0.3s ease-out';
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 300);
-    }, 3000);
+function createStorageAdapter(config = window.GOLDENSIGN_CONFIG || {}) {
+    if (config.storage === 'rest') {
+        return new RestStorageAdapter(config.apiUrl);
+    }
+    return new LocalStorageAdapter();
 }
 
-// Home Page Functions
-function joinFromLink() {
-    const linkInput = document.getElementById('joinLink');
-    const link = linkInput.value.trim();
-    
-    if (!link) {
-        showNotification('Please enter a valid invitation link', 'error');
-        return;
+// Payment Providers
+// Every provider exposes the same async interface: charge(payment) takes
+// { amount, currency, description, email, source } and resolves to
+// { reference }, or rejects with a PaymentError when the payment is
+// declined; refund(reference, amount) gives (part of) a charge back.
+// Amounts are in cents. source is whatever the provider's checkout
+// collects; for the mock provider that is a card number.
+class PaymentError extends Error {}
+
+// Takes every card except MOCK_DECLINED_CARD, without talking to anyone
+const MOCK_DECLINED_CARD = '4000000000000002';
+
+class MockPaymentProvider {
+    constructor() {
+        this.name = 'mock';
     }
-    
-    // Extract event ID from URL
-    const url = new URL(link);
-    const eventId = url.searchParams.get('id');
-    
-    if (!eventId) {
-        showNotification('Invalid invitation link format', 'error');
-        return;
+
+    async charge({ amount, source }) {
+        const card = String(source || '').replace(/\D/g, '');
+        if (card.length < 12) {
+            throw new PaymentError(t('payment.invalidCard'));
+        }
+        if (card === MOCK_DECLINED_CARD) {
+            throw new PaymentError(t('payment.declined'));
+        }
+        return { reference: `mock_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}` };
     }
-    
-    // Redirect to inscription page
-    window.location.href = `inscription.html?id=${eventId}`;
-}
 
-// Manager Page Functions
-let currentEventType = 'tournament';
-let currentTab = 'create';
+    async refund(reference, amount) {
+        return { reference, amount };
+    }
+}
 
-function toggleEventType(type) {
-    currentEventType = type;
-    
-    // Update button states
-    document.getElementById('tournamentBtn').classList.toggle('active', type === 'tournament');
-    document.getElementById('courseBtn').classList.toggle('active', type === 'course');
-    
-    // Update form placeholder
-    const titleInput = document.getElementById('eventTitle');
-    titleInput.placeholder = type === 'tournament' 
-        ? 'Enter tournament title (e.g., "Summer Chess Championship")'
-        : 'Enter course title (e.g., "Web Development Bootcamp")';
+function createPaymentProvider(config = window.GOLDENSIGN_CONFIG || {}) {
+    if (config.payments && config.payments !== 'mock') {
+        throw new Error(`Unknown payment provider "${config.payments}"`);
+    }
+    return new MockPaymentProvider();
 }
 
-function switchTab(tab) {
-    currentTab = tab;
-    
-    // Update tab buttons
-    document.getElementById('createTab').classList.toggle('active', tab === 'create');
-    document.getElementById('communitiesTab').classList.toggle('active', tab === 'communities');
-    
-    // Show/hide sections
-    document.getElementById('createSection').style.display = tab === 'create' ? 'block' : 'none';
-    document.getElementById('eventsSection').style.display = tab === 'create' ? 'block' : 'none';
-    document.getElementById('communitiesSection').style.display = tab === 'communities' ? 'block' : 'none';
-    
-    // Update communities data when switching to communities tab
-    if (tab === 'communities') {
-        updateCommunitiesList();
+// Event fields organizers may change after creation; every change is
+// recorded in the event's history
+const EDITABLE_EVENT_FIELDS = ['title', 'description', 'date', 'type', 'maxParticipants', 'waitlistEnabled', 'registrationOpensAt', 'registrationClosesAt', 'verificationRequired', 'verificationHoldMinutes', 'durationMinutes', 'timezone', 'location', 'feeAmount', 'feeCurrency', 'memberFeeAmount', 'earlyBirdDiscount', 'earlyBirdUntil', 'discountCodes'];
+
+// Labels here and in the maps below are message ids for t() (i18n.js)
+const EVENT_FIELD_LABELS = {
+    title: 'eventField.title',
+    description: 'eventField.description',
+    date: 'eventField.date',
+    type: 'eventField.type',
+    maxParticipants: 'eventField.maxParticipants',
+    waitlistEnabled: 'eventField.waitlistEnabled',
+    registrationOpensAt: 'eventField.registrationOpensAt',
+    registrationClosesAt: 'eventField.registrationClosesAt',
+    verificationRequired: 'eventField.verificationRequired',
+    verificationHoldMinutes: 'eventField.verificationHoldMinutes',
+    durationMinutes: 'eventField.durationMinutes',
+    timezone: 'eventField.timezone',
+    location: 'eventField.location',
+    feeAmount: 'eventField.feeAmount',
+    feeCurrency: 'eventField.feeCurrency',
+    memberFeeAmount: 'eventField.memberFeeAmount',
+    earlyBirdDiscount: 'eventField.earlyBirdDiscount',
+    earlyBirdUntil: 'eventField.earlyBirdUntil',
+    discountCodes: 'eventField.discountCodes'
+};
+
+const DATE_EVENT_FIELDS = ['date', 'registrationOpensAt', 'registrationClosesAt', 'earlyBirdUntil'];
+
+// Fee fields holding an amount in cents
+const MONEY_EVENT_FIELDS = ['feeAmount', 'memberFeeAmount', 'earlyBirdDiscount'];
+
+// Status of an event as shown in the communities filter and export
+const EVENT_STATUS_LABELS = {
+    open: 'eventStatus.open',
+    upcoming: 'eventStatus.upcoming',
+    closed: 'eventStatus.closed',
+    full: 'eventStatus.full',
+    past: 'eventStatus.past'
+};
+
+// How long an unverified registration keeps its slot when the event asks
+// for email verification
+const DEFAULT_VERIFICATION_HOLD_MINUTES = 60;
+
+// Paid events set feeAmount (in cents, like every amount) and feeCurrency;
+// registrations then carry amountDue and one of these payment statuses
+const PAYMENT_STATUS_LABELS = {
+    unpaid: 'paymentStatus.unpaid',
+    paid: 'paymentStatus.paid',
+    refunded: 'paymentStatus.refunded',
+    waived: 'paymentStatus.waived'
+};
+
+// Where a registration stands, as listed in the participant directory
+const INSCRIPTION_STATUS_LABELS = {
+    accepted: 'inscriptionStatus.accepted',
+    waitlisted: 'inscriptionStatus.waitlisted',
+    pending_verification: 'inscriptionStatus.pendingVerification',
+    cancelled: 'inscriptionStatus.cancelled'
+};
+
+const FEE_TIER_LABELS = {
+    standard: 'feeTier.standard',
+    member: 'feeTier.member'
+};
+
+const DEFAULT_FEE_CURRENCY = 'EUR';
+
+// Minimum share of held sessions a participant must attend for a certificate
+const DEFAULT_CERTIFICATE_THRESHOLD = 80;
+
+// Workspace Schema
+// The stored shape carries a version in the 'meta' collection; data saved
+// before versioning existed counts as version 1. Bump SCHEMA_VERSION and
+// add a migration to SCHEMA_MIGRATIONS whenever the stored shape changes.
+const SCHEMA_VERSION = 5;
+const WORKSPACE_COLLECTIONS = ['events', 'inscriptions', 'teams', 'organizers', 'messages', 'series', 'templates'];
+
+// SCHEMA_MIGRATIONS[n] upgrades a workspace from version n - 1 to n
+const SCHEMA_MIGRATIONS = {
+    // Registrations from before statuses and secret tokens existed
+    2: (data, manager) => ({
+        ...data,
+        events: data.events.map(event => ({
+            formFields: [],
+            ...event
+        })),
+        inscriptions: data.inscriptions.map(inscription => ({
+            ...inscription,
+            status: inscription.status || 'accepted',
+            token: inscription.token || manager.generateToken()
+        }))
+    }),
+    // Organizer accounts: events from before them have no owner until the
+    // first organizer signs up and claims them
+    3: data => ({
+        ...data,
+        organizers: data.organizers || [],
+        events: data.events.map(event => ({
+            ownerId: null,
+            collaborators: [],
+            ...event
+        }))
+    }),
+    // Explicit time zones: event dates from before them were entered on the
+    // clocks of whoever created the event, best guessed as this browser's
+    4: data => ({
+        ...data,
+        events: data.events.map(event => ({
+            timezone: getDefaultTimeZone(),
+            ...event
+        }))
+    }),
+    // Recurring series and event templates
+    5: data => ({
+        ...data,
+        series: data.series || [],
+        templates: data.templates || []
+    })
+};
+
+// A series repeats an event every N weeks on the same weekday or every N
+// months on the same day of the month (months without that day are skipped).
+// Each occurrence is a regular event with its own registration link.
+const SERIES_FREQUENCIES = {
+    weekly: 'series.weekly',
+    monthly: 'series.monthly'
+};
+
+const MAX_SERIES_OCCURRENCES = 104;
+
+// Settings an event template prefills in the create form. Dates stay out:
+// they belong to one event, not to the kind of event.
+const TEMPLATE_FIELDS = ['type', 'title', 'description', 'maxParticipants', 'teamMode', 'teamSizeMin', 'teamSizeMax', 'waitlistEnabled', 'verificationRequired', 'verificationHoldMinutes', 'durationMinutes', 'timezone', 'location', 'feeAmount', 'feeCurrency', 'memberFeeAmount', 'earlyBirdDiscount', 'discountCodes', 'formFields'];
+
+// What each role may do with an event. Owners invite co-organizers as
+// editors or viewers; nobody else sees the event in the manager at all.
+const EVENT_ROLES = {
+    owner: { label: 'role.owner', permissions: ['viewInscriptions', 'edit', 'checkIn', 'export', 'share', 'delete'] },
+    editor: { label: 'role.editor', permissions: ['viewInscriptions', 'edit', 'checkIn', 'export'] },
+    viewer: { label: 'role.viewer', permissions: ['viewInscriptions'] }
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Emails to participants are queued in the 'messages' collection and sent by
+// the server's outbox worker (mailer.js). Each kind has a default template
+// in every locale (the 'email.<kind>.subject' and 'email.<kind>.body'
+// messages); organizers can override subject and body per event.
+const MESSAGE_KINDS = {
+    verification: 'messageKind.verification',
+    confirmation: 'messageKind.confirmation',
+    cancellation: 'messageKind.cancellation',
+    promotion: 'messageKind.promotion',
+    reminder: 'messageKind.reminder'
+};
+
+// Announcements are written by an organizer for a selection of registrations
+// in the inscriptions list, so they have no default template
+const MESSAGE_KIND_LABELS = {
+    ...MESSAGE_KINDS,
+    announcement: 'messageKind.announcement'
+};
+
+const MESSAGE_PLACEHOLDERS = ['name', 'email', 'event', 'date', 'status', 'link'];
+
+const MESSAGE_STATUS_LABELS = {
+    queued: 'messageStatus.queued',
+    sent: 'messageStatus.sent',
+    failed: 'messageStatus.failed',
+    cancelled: 'messageStatus.cancelled'
+};
+
+// What the door sees after a scan or a typed registration ID. Anything but
+// checkedIn means the person is not let in on that ticket.
+const CHECK_IN_OUTCOMES = {
+    checkedIn: { level: 'success', label: 'checkInOutcome.checkedIn' },
+    duplicate: { level: 'warning', label: 'checkInOutcome.duplicate' },
+    waitlisted: { level: 'error', label: 'checkInOutcome.waitlisted' },
+    cancelled: { level: 'error', label: 'checkInOutcome.cancelled' },
+    pending_verification: { level: 'error', label: 'checkInOutcome.pendingVerification' },
+    otherEvent: { level: 'error', label: 'checkInOutcome.otherEvent' },
+    forged: { level: 'error', label: 'checkInOutcome.forged' },
+    unknown: { level: 'error', label: 'checkInOutcome.unknown' }
+};
+
+// Reminders go out this long before the event starts
+const REMINDER_LEAD_HOURS = 24;
+
+class SchemaVersionError extends Error {
+    constructor(version) {
+        super(t('error.schemaVersion', { version, supported: SCHEMA_VERSION }));
+        this.version = version;
     }
 }
 
-function handleEventFormSubmit(event) {
-    event.preventDefault();
-    
-    const formData = new FormData(event.target);
-    const eventData = {
-        title: formData.get('title'),
-        description: formData.get('description'),
-        maxParticipants: parseInt(formData.get('maxParticipants')),
-        date: formData.get('date'),
-        type: currentEventType
-    };
-    
-    // Validate form
-    if (!eventData.title || !eventData.description || !eventData.maxParticipants || !eventData.date) {
-        showNotification('Please fill in all required fields', 'error');
-        return;
+// Data Storage
+class DataManager {
+    constructor(storage = createStorageAdapter(), payments = createPaymentProvider()) {
+        this.storage = storage;
+        this.payments = payments;
+        this.events = [];
+        this.inscriptions = [];
+        this.teams = [];
+        this.organizers = [];
+        this.messages = [];
+        this.series = [];
+        this.templates = [];
+        this.ready = this.load();
     }
-    
-    if (eventData.maxParticipants < 1) {
-        showNotification('Maximum participants must be at least 1', 'error');
-        return;
+
+    // Reload every collection from the storage backend, upgrading data
+    // stored by older versions first
+    async load() {
+        this.signedInOrganizerId = this.storage.getSession ? await this.storage.getSession() : null;
+        const [events, inscriptions, teams, organizers, messages, series, templates, meta] = await Promise.all([
+            this.storage.list('events'),
+            this.storage.list('inscriptions'),
+            this.storage.list('teams'),
+            this.storage.list('organizers'),
+            this.storage.list('messages'),
+            this.storage.list('series'),
+            this.storage.list('templates'),
+            this.storage.list('meta')
+        ]);
+        const schema = meta.find(record => record.id === 'schema');
+        const version = schema ? schema.version : 1;
+        if (version > SCHEMA_VERSION) {
+            throw new SchemaVersionError(version);
+        }
+        
+        let data = { events, inscriptions, teams, organizers, messages, series, templates };
+        if (version < SCHEMA_VERSION) {
+            data = this.migrate(data, version);
+            try {
+                await this.writeWorkspace(data);
+            } catch (err) {
+                // A shared backend only lets its administrator rewrite the
+                // workspace; until they sign in, others get the upgrade in memory
+                if (!(err instanceof StorageError) || ![401, 403].includes(err.status)) {
+                    throw err;
+                }
+            }
+        }
+        this.events = data.events;
+        this.inscriptions = data.inscriptions;
+        this.teams = data.teams;
+        this.organizers = data.organizers;
+        this.messages = data.messages;
+        this.series = data.series;
+        this.templates = data.templates;
+        await this.releaseExpiredHolds();
     }
-    
-    if (new Date(eventData.date) < new Date()) {
-        showNotification('Event date must be in the future', 'error');
-        return;
+
+    // Schema Versioning
+    migrate(data, fromVersion) {
+        let migrated = data;
+        for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+            migrated = SCHEMA_MIGRATIONS[version](migrated, this);
+        }
+        return migrated;
     }
-    
-    // Create event
-    const newEvent = dataManager.createEvent(eventData);
-    
-    // Show success message and open modal
-    showNotification(`${currentEventType.charAt(0).toUpperCase() + currentEventType.slice(1)} created successfully!`);
-    
-    // Reset form
-    event.target.reset();
-    
-    // Update events list
-    updateEventsList();
-    
-    // Show event details modal
-    showEventModal(newEvent);
-}
 
-function updateEventsList() {
-    const eventsList = document.getElementById('eventsList');
-    const events = dataManager.getEvents();
-    const eventsCount = document.getElementById('eventsCount');
-    
-    eventsCount.textContent = `${events.length} event${events.length !== 1 ? 's' : ''}`;
-    
-    if (events.length === 0) {
-        eventsList.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-icon">📅</div>
-                <h3>No events yet</h3>
-                <p>Create your first tournament or course to get started!</p>
-            </div>
-        `;
-        return;
+    // Put every record of a workspace and stamp the current schema version.
+    // Records that are stored but missing from the workspace are removed.
+    async writeWorkspace(data) {
+        for (const collection of WORKSPACE_COLLECTIONS) {
+            const keep = new Set(data[collection].map(record => record.id));
+            const stored = await this.storage.list(collection);
+            for (const record of data[collection]) {
+                await this.storage.put(collection, record);
+            }
+            for (const record of stored.filter(item => !keep.has(item.id))) {
+                await this.storage.remove(collection, record.id);
+            }
+        }
+        await this.storage.put('meta', { id: 'schema', version: SCHEMA_VERSION });
     }
+
+    // Backups
+    createBackup() {
+        return {
+            app: 'goldensign',
+            schemaVersion: SCHEMA_VERSION,
+            createdAt: new Date().toISOString(),
+            data: {
+                events: this.events,
+                inscriptions: this.inscriptions,
+                teams: this.teams,
+                organizers: this.organizers,
+                messages: this.messages,
+                series: this.series,
+                templates: this.templates
+            }
+        };
+    }
+
+    // Validate a backup file and bring it up to the current schema
+    readBackup(backup) {
+        if (!backup || backup.app !== 'goldensign' || !backup.data || typeof backup.data !== 'object') {
+            throw new Error(t('error.notABackup'));
+        }
+        const version = backup.schemaVersion;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(t('error.backupNoVersion'));
+        }
+        if (version > SCHEMA_VERSION) {
+            throw new SchemaVersionError(version);
+        }
+        
+        const data = Object.fromEntries(WORKSPACE_COLLECTIONS.map(collection => [
+            collection,
+            Array.isArray(backup.data[collection]) ? backup.data[collection] : []
+        ]));
+        return this.migrate(data, version);
+    }
+
+    // Replace the workspace with the contents of a backup. Collections the
+    // backup does not contain (older versions had no accounts or messages)
+    // keep their current records, except those tied to events or
+    // registrations the backup drops. Events left without an owner go to
+    // the organizer restoring them.
+    async restoreBackup(backup, { restoredBy = null } = {}) {
+        const restored = this.readBackup(backup);
+        const eventIds = new Set(restored.events.map(event => event.id));
+        const inscriptionIds = new Set(restored.inscriptions.map(inscription => inscription.id));
+        const stillLinked = record => (!record.eventId || eventIds.has(record.eventId)) &&
+            (!record.inscriptionId || inscriptionIds.has(record.inscriptionId));
+        const data = Object.fromEntries(WORKSPACE_COLLECTIONS.map(collection => [
+            collection,
+            Array.isArray(backup.data[collection]) ? restored[collection] : this[collection].filter(stillLinked)
+        ]));
+        if (restoredBy && data.organizers.some(organizer => organizer.id === restoredBy)) {
+            data.events = data.events.map(event => event.ownerId ? event : { ...event, ownerId: restoredBy });
+        }
+        
+        await this.writeWorkspace(data);
+        this.events = data.events;
+        this.inscriptions = data.inscriptions;
+        this.teams = data.teams;
+        this.organizers = data.organizers;
+        this.messages = data.messages;
+        this.series = data.series;
+        this.templates = data.templates;
+        return data;
+    }
+
+    // Organizer Accounts
+    // The first account to sign up administers the workspace (backup and
+    // restore) and takes over the events created before accounts existed.
+    async createOrganizer({ name, email, password }) {
+        if (this.getOrganizerByEmail(email)) {
+            throw new Error(t('error.accountExists'));
+        }
+        
+        const salt = this.generateToken();
+        let organizer = {
+            id: this.generateId(),
+            name,
+            email,
+            passwordSalt: salt,
+            passwordHash: await hashPassword(password, salt),
+            isAdmin: this.organizers.length === 0,
+            createdAt: new Date().toISOString()
+        };
+        try {
+            await this.storage.put('organizers', organizer);
+        } catch (err) {
+            throw err.status === 409 ? new Error(t('error.accountExists')) : err;
+        }
+        this.organizers.push(organizer);
+        // Backends with their own accounts decide who administers the
+        // workspace, and show more of it once signed in
+        if (this.storage.signIn) {
+            organizer = await this.authenticate(email, password);
+        }
+        
+        if (organizer.isAdmin) {
+            for (const event of this.events.filter(item => !item.ownerId)) {
+                await this.patchEvent(event.id, { ownerId: organizer.id });
+            }
+        }
+        return organizer;
+    }
+
+    // Returns the organizer, or null when the email or password is wrong
+    async authenticate(email, password) {
+        if (this.storage.signIn) {
+            const signedIn = await this.storage.signIn(email, password);
+            if (!signedIn) {
+                return null;
+            }
+            await this.load();
+            return this.getOrganizer(signedIn.id) || null;
+        }
+        const organizer = this.getOrganizerByEmail(email);
+        if (!organizer) {
+            return null;
+        }
+        const hash = await hashPassword(password, organizer.passwordSalt);
+        return hash === organizer.passwordHash ? organizer : null;
+    }
+
+    async signOut() {
+        if (this.storage.signOut) {
+            await this.storage.signOut();
+            await this.load();
+        }
+    }
+
+    // The organizer a page remembers as signed in. Backends with their
+    // own accounts must still have them signed in as well.
+    resumeSession(organizerId) {
+        if (this.storage.getSession && this.signedInOrganizerId !== organizerId) {
+            return null;
+        }
+        return this.getOrganizer(organizerId) || null;
+    }
+
+    getOrganizer(id) {
+        return this.organizers.find(organizer => organizer.id === id);
+    }
+
+    async updateOrganizer(id, changes) {
+        const organizer = this.getOrganizer(id);
+        if (!organizer) {
+            throw new Error(t('error.organizerNotFound'));
+        }
+        await this.storage.put('organizers', { ...organizer, ...changes });
+        Object.assign(organizer, changes);
+        return organizer;
+    }
+
+    getOrganizerByEmail(email) {
+        const normalized = (email || '').trim().toLowerCase();
+        return this.organizers.find(organizer => (organizer.email || '').toLowerCase() === normalized);
+    }
+
+    // Event Access
+    getEventRole(event, organizerId) {
+        if (!event || !organizerId) {
+            return null;
+        }
+        if (event.ownerId === organizerId) {
+            return 'owner';
+        }
+        const collaborator = (event.collaborators || []).find(item => item.organizerId === organizerId);
+        return collaborator ? collaborator.role : null;
+    }
+
+    can(event, organizerId, permission) {
+        const role = this.getEventRole(event, organizerId);
+        return Boolean(role) && EVENT_ROLES[role].permissions.includes(permission);
+    }
+
+    getEventsFor(organizerId) {
+        return this.events.filter(event => this.getEventRole(event, organizerId));
+    }
+
+    // Add a co-organizer by the email of their account, or change their role
+    async shareEvent(eventId, email, role) {
+        const event = this.getEvent(eventId);
+        const organizer = this.getOrganizerByEmail(email);
+        if (!event) {
+            throw new Error(t('error.eventNotFound'));
+        }
+        if (!organizer) {
+            throw new Error(t('error.noOrganizerWithEmail'));
+        }
+        if (organizer.id === event.ownerId) {
+            throw new Error(t('error.ownerHasAccess'));
+        }
+        if (!['editor', 'viewer'].includes(role)) {
+            throw new Error(t('error.invalidCollaboratorRole'));
+        }
+        
+        const collaborators = (event.collaborators || []).filter(item => item.organizerId !== organizer.id);
+        return this.patchEvent(eventId, { collaborators: [...collaborators, { organizerId: organizer.id, role }] });
+    }
+
+    async unshareEvent(eventId, organizerId) {
+        const event = this.getEvent(eventId);
+        if (!event) {
+            throw new Error(t('error.eventNotFound'));
+        }
+        const collaborators = (event.collaborators || []).filter(item => item.organizerId !== organizerId);
+        return this.patchEvent(eventId, { collaborators });
+    }
+
+    // Events Management
+    async createEvent(eventData) {
+        const event = {
+            id: this.generateId(),
+            collaborators: [],
+            ...eventData,
+            createdAt: new Date().toISOString(),
+            inscriptions: []
+        };
+        await this.storage.put('events', event);
+        this.events.push(event);
+        return event;
+    }
+
+    getEvent(id) {
+        return this.events.find(event => event.id === id);
+    }
+
+    getEvents() {
+        return this.events;
+    }
+
+    // Apply changes to an event and append an entry to its audit log.
+    // Shrinking maxParticipants below the accepted count is refused unless
+    // moveOverflowToWaitlist is set, in which case the most recent accepted
+    // inscriptions go back to the waitlist (which gets enabled if needed).
+    async updateEvent(id, changes, { changedBy = 'organizer', moveOverflowToWaitlist = false } = {}) {
+        const event = this.getEvent(id);
+        if (!event) {
+            throw new Error(t('error.eventNotFound'));
+        }
+        
+        const isSame = (current, next) => typeof next === 'boolean' ? Boolean(current) === next : JSON.stringify(current ?? null) === JSON.stringify(next ?? null);
+        const diff = EDITABLE_EVENT_FIELDS
+            .filter(field => field in changes && !isSame(event[field], changes[field]))
+            .map(field => ({ field, from: event[field] ?? null, to: changes[field] }));
+        if (diff.length === 0) {
+            return { event, demoted: [], promoted: [] };
+        }
+        
+        const updated = { ...event };
+        diff.forEach(change => { updated[change.field] = change.to; });
+        
+        const accepted = this.getSlotGroups(id, 'accepted');
+        const overflow = accepted.length - updated.maxParticipants;
+        let demoted = [];
+        if (overflow > 0) {
+            if (!moveOverflowToWaitlist) {
+                throw new Error(t(event.teamMode ? 'error.capacityBelowAcceptedTeams' : 'error.capacityBelowAccepted', { count: accepted.length }));
+            }
+            demoted = [...accepted].reverse().slice(0, overflow).flat();
+            if (!updated.waitlistEnabled) {
+                diff.push({ field: 'waitlistEnabled', from: Boolean(event.waitlistEnabled), to: true });
+                updated.waitlistEnabled = true;
+            }
+        }
+        
+        const now = new Date().toISOString();
+        updated.history = [...(event.history || []), {
+            at: now,
+            by: changedBy,
+            changes: diff,
+            movedToWaitlist: demoted.length
+        }];
+        await this.storage.put('events', updated);
+        Object.assign(event, updated);
+        
+        for (const inscription of demoted) {
+            await this.updateInscription(inscription.id, { status: 'waitlisted', demotedAt: now });
+        }
+        const promoted = await this.promoteWaitlist(id);
+        
+        // Follow a new date or title, and drop the reminders of demoted participants
+        for (const inscription of this.getInscriptionsForEvent(id)) {
+            await this.scheduleReminder(inscription);
+        }
+        return { event, demoted, promoted };
+    }
+
+    // Persist fields that are managed by the app itself (brackets, rounds...)
+    // rather than edited by the organizer, so they stay out of the history
+    async patchEvent(id, patch) {
+        const event = this.getEvent(id);
+        if (!event) {
+            throw new Error(t('error.eventNotFound'));
+        }
+        await this.storage.put('events', { ...event, ...patch });
+        Object.assign(event, patch);
+        return event;
+    }
+
+    async deleteEvent(id) {
+        const event = this.getEvent(id);
+        const inscriptions = this.getInscriptionsForEvent(id);
+        await Promise.all(inscriptions.map(inscription => this.storage.remove('inscriptions', inscription.id)));
+        await Promise.all(this.getTeamsForEvent(id).map(team => this.storage.remove('teams', team.id)));
+        await Promise.all(this.getMessagesForEvent(id).map(message => this.storage.remove('messages', message.id)));
+        await this.storage.remove('events', id);
+        this.events = this.events.filter(event => event.id !== id);
+        this.inscriptions = this.inscriptions.filter(inscription => inscription.eventId !== id);
+        this.teams = this.teams.filter(team => team.eventId !== id);
+        this.messages = this.messages.filter(message => message.eventId !== id);
+        if (event && event.seriesId) {
+            await this.skipSeriesDate(event.seriesId, event.date);
+        }
+    }
+
+    // Recurring Series
+    // Occurrences are created up front as regular events. Registration
+    // windows and the early-bird deadline keep their distance to the date.
+    async createSeries(eventData, { frequency, interval, until, exceptions = [] }) {
+        const series = {
+            id: this.generateId(),
+            ownerId: eventData.ownerId,
+            title: eventData.title,
+            type: eventData.type,
+            rule: { frequency, interval, until, exceptions },
+            createdAt: new Date().toISOString()
+        };
+        await this.storage.put('series', series);
+        this.series.push(series);
+        
+        const events = [];
+        for (const date of getSeriesDates(eventData.date, series.rule)) {
+            const shift = value => shiftLocalDateTime(value, eventData.date, date);
+            events.push(await this.createEvent({
+                ...eventData,
+                date,
+                registrationOpensAt: shift(eventData.registrationOpensAt),
+                registrationClosesAt: shift(eventData.registrationClosesAt),
+                earlyBirdUntil: shift(eventData.earlyBirdUntil),
+                seriesId: series.id
+            }));
+        }
+        return { series, events };
+    }
+
+    getSeries(id) {
+        return this.series.find(series => series.id === id);
+    }
+
+    getSeriesEvents(seriesId) {
+        return this.events
+            .filter(event => event.seriesId === seriesId)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // A deleted occurrence becomes an exception of its series; the series
+    // itself goes once its last occurrence does
+    async skipSeriesDate(seriesId, date) {
+        const series = this.getSeries(seriesId);
+        if (!series) return;
+        
+        if (this.getSeriesEvents(seriesId).length === 0) {
+            await this.storage.remove('series', seriesId);
+            this.series = this.series.filter(item => item.id !== seriesId);
+            return;
+        }
+        const day = date.slice(0, 10);
+        const exceptions = [...new Set([...series.rule.exceptions, day])].sort();
+        const updated = { ...series, rule: { ...series.rule, exceptions } };
+        await this.storage.put('series', updated);
+        Object.assign(series, updated);
+    }
+
+    async deleteSeries(id) {
+        for (const event of this.getSeriesEvents(id)) {
+            await this.deleteEvent(event.id);
+        }
+    }
+
+    // Event Templates
+    getTemplatesFor(organizerId) {
+        return this.templates
+            .filter(template => template.ownerId === organizerId)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getTemplate(id) {
+        return this.templates.find(template => template.id === id);
+    }
+
+    // Saving under a name the organizer already uses replaces that template
+    async saveTemplate(organizerId, name, eventData) {
+        const existing = this.getTemplatesFor(organizerId).find(template => template.name === name);
+        const template = {
+            id: existing ? existing.id : this.generateId(),
+            ownerId: organizerId,
+            name,
+            settings: Object.fromEntries(TEMPLATE_FIELDS.filter(field => field in eventData).map(field => [field, eventData[field]])),
+            createdAt: existing ? existing.createdAt : new Date().toISOString()
+        };
+        await this.storage.put('templates', template);
+        this.templates = [...this.templates.filter(item => item.id !== template.id), template];
+        return template;
+    }
+
+    async deleteTemplate(id) {
+        await this.storage.remove('templates', id);
+        this.templates = this.templates.filter(template => template.id !== id);
+    }
+
+    // Inscriptions Management
+    // Registrations past maxParticipants join the waitlist; callers decide
+    // beforehand whether the event accepts waitlisted registrations at all.
+    // Events with verificationRequired start everyone as pending_verification:
+    // verifyAs remembers where they will land, and a slot taken that way is
+    // held until verificationExpiresAt.
+    async createInscription(inscriptionData) {
+        const event = this.getEvent(inscriptionData.eventId);
+        const now = new Date();
+        const status = this.getInitialStatus(event, inscriptionData.teamId);
+        const inscription = {
+            id: this.generateId(),
+            locale: getLocale(),
+            ...inscriptionData,
+            createdAt: now.toISOString(),
+            status,
+            token: this.generateToken()
+        };
+        if (event && event.verificationRequired) {
+            const holdMinutes = event.verificationHoldMinutes || DEFAULT_VERIFICATION_HOLD_MINUTES;
+            Object.assign(inscription, {
+                status: 'pending_verification',
+                verifyAs: status,
+                verificationToken: this.generateToken(),
+                verificationExpiresAt: new Date(now.getTime() + holdMinutes * 60 * 1000).toISOString()
+            });
+        }
+        // server.js times holds by its own clock
+        const saved = await this.storage.put('inscriptions', inscription);
+        if (saved && saved.verificationExpiresAt) {
+            inscription.verificationExpiresAt = saved.verificationExpiresAt;
+        }
+        this.inscriptions.push(inscription);
+        
+        if (inscription.status === 'pending_verification') {
+            await this.queueMessage('verification', inscription);
+            return inscription;
+        }
+        await this.queueMessage('confirmation', inscription);
+        await this.scheduleReminder(inscription);
+        return inscription;
+    }
+
+    // Opened from the emailed verification link. Verifying twice is harmless;
+    // a hold that ran out has already given its slot away.
+    async verifyInscription(id, token) {
+        const inscription = this.getInscription(id);
+        if (!inscription || !inscription.verificationToken || inscription.verificationToken !== token) {
+            throw new Error(t('error.invalidVerificationLink'));
+        }
+        if (inscription.status !== 'pending_verification') {
+            if (inscription.cancelledBy === 'verification timeout') {
+                throw new Error(t('error.verificationLinkExpired'));
+            }
+            return { inscription, promoted: [] };
+        }
+        if (new Date(inscription.verificationExpiresAt) <= new Date()) {
+            await this.releaseExpiredHolds();
+            throw new Error(t('error.verificationLinkExpired'));
+        }
+        
+        // Teammates who already verified decide where the team stands; a slot
+        // lost to a capacity cut in the meantime means the waitlist
+        const event = this.getEvent(inscription.eventId);
+        const teammate = inscription.teamId && this.getTeamMembers(inscription.teamId)
+            .find(member => member.status === 'accepted' || member.status === 'waitlisted');
+        let status = teammate ? teammate.status : inscription.verifyAs;
+        if (!teammate && status === 'accepted' && this.getSlotGroups(event.id, 'accepted').length >= event.maxParticipants) {
+            status = 'waitlisted';
+        }
+        
+        await this.updateInscription(id, { status, verifiedAt: new Date().toISOString() });
+        await this.queueMessage('confirmation', inscription);
+        await this.scheduleReminder(inscription);
+        return { inscription, promoted: await this.promoteWaitlist(event.id) };
+    }
+
+    // Unverified registrations past their hold are cancelled and their slots
+    // go to the waitlist. Run on load, so whoever opens the app next cleans up.
+    async releaseExpiredHolds(now = new Date()) {
+        const expired = this.inscriptions.filter(inscription =>
+            inscription.status === 'pending_verification' && new Date(inscription.verificationExpiresAt) <= now
+        );
+        for (const inscription of expired) {
+            await this.updateInscription(inscription.id, {
+                status: 'cancelled',
+                cancelledAt: inscription.verificationExpiresAt,
+                cancelledBy: 'verification timeout'
+            });
+        }
+        for (const eventId of new Set(expired.map(inscription => inscription.eventId))) {
+            await this.promoteWaitlist(eventId);
+        }
+        return expired;
+    }
+
+    async updateInscription(id, changes) {
+        const inscription = this.getInscription(id);
+        if (!inscription) {
+            throw new Error(t('error.inscriptionNotFound'));
+        }
+        await this.storage.put('inscriptions', { ...inscription, ...changes });
+        Object.assign(inscription, changes);
+        return inscription;
+    }
+
+    // Participants must present the inscription's secret token (server.js
+    // checks it as well); organizers cancelling from the manager pass
+    // { cancelledBy: 'organizer' } instead.
+    // Returns the waitlisted inscriptions promoted into the freed slot.
+    async cancelInscription(id, { token, cancelledBy = 'participant' } = {}) {
+        const inscription = this.getInscription(id);
+        if (!inscription) {
+            throw new Error(t('error.inscriptionNotFound'));
+        }
+        if (cancelledBy === 'participant' && (!inscription.token || inscription.token !== token)) {
+            throw new Error(t('error.invalidCancellationLink'));
+        }
+        if (inscription.status === 'cancelled') {
+            return [];
+        }
+
+        // Nothing is mailed to an address that was never verified
+        const wasVerified = inscription.status !== 'pending_verification';
+        await this.updateInscription(id, {
+            status: 'cancelled',
+            cancelledAt: new Date().toISOString(),
+            cancelledBy
+        });
+        if (wasVerified) {
+            await this.queueMessage('cancellation', inscription);
+        }
+        await this.scheduleReminder(inscription);
+        return this.promoteWaitlist(inscription.eventId);
+    }
+
+    // Registrations added by an organizer skip the public limits: the
+    // registration window, capacity, email verification and required
+    // questions. They land in the status the organizer picks.
+    async addInscriptionAsOrganizer(eventId, { name, email, answers = {}, status = 'accepted', teamId = null }) {
+        const event = this.getEvent(eventId);
+        if (!event) {
+            throw new Error(t('error.eventNotFound'));
+        }
+        const inscription = {
+            id: this.generateId(),
+            eventId,
+            name,
+            email,
+            answers,
+            locale: getLocale(),
+            ...(teamId ? { teamId, teamRole: 'member' } : {}),
+            ...(hasFee(event) ? calculateFee(event).fee : {}),
+            createdAt: new Date().toISOString(),
+            status,
+            addedBy: 'organizer',
+            token: this.generateToken()
+        };
+        await this.storage.put('inscriptions', inscription);
+        this.inscriptions.push(inscription);
+        await this.queueMessage('confirmation', inscription);
+        await this.scheduleReminder(inscription);
+        return inscription;
+    }
+
+    // Name and email changes follow into brackets, Swiss rounds and the
+    // emails still waiting in the outbox
+    async editInscription(id, { name, email, answers }) {
+        const inscription = this.getInscription(id);
+        if (!inscription) {
+            throw new Error(t('error.inscriptionNotFound'));
+        }
+        await this.updateInscription(id, answers ? { name, email, answers } : { name, email });
+        if (!inscription.teamId) {
+            await this.renameCompetitor(inscription.eventId, id, name);
+        }
+        const queued = this.messages.filter(message => message.inscriptionId === id && message.status === 'queued');
+        for (const message of queued) {
+            await this.updateMessage(message.id, { to: email });
+        }
+        return inscription;
+    }
+
+    // Only for events with a waitlist, and not for team events, where a
+    // slot belongs to the whole team. The slot goes to whoever was already
+    // waiting; the person moved keeps their registration date, so they are
+    // first in line for the next one.
+    async moveToWaitlist(id) {
+        const inscription = this.getInscription(id);
+        if (!inscription) {
+            throw new Error(t('error.inscriptionNotFound'));
+        }
+        const event = this.getEvent(inscription.eventId);
+        if (event.teamMode) {
+            throw new Error(t('error.waitlistTeams'));
+        }
+        if (!event.waitlistEnabled) {
+            throw new Error(t('error.noWaitlist', { title: event.title }));
+        }
+        const waiting = this.getWaitlist(event.id).map(item => item.id);
+        await this.updateInscription(id, { status: 'waitlisted', demotedAt: new Date().toISOString() });
+        await this.scheduleReminder(inscription);
+        await this.promoteWaitlist(event.id, { only: waiting });
+        return inscription;
+    }
+
+    // Move a registration to another event under that event's rules: no
+    // second registration for the email, accepted if it has room and
+    // waitlisted if it has a waitlist, at its fee and with the answers to
+    // its own questions. Paid registrations are refused until the payment
+    // is refunded. Check-in and reminders start over there, and the slot
+    // left behind goes to the old event's waitlist.
+    async transferInscription(id, targetEventId) {
+        const inscription = this.getInscription(id);
+        const target = this.getEvent(targetEventId);
+        if (!inscription) {
+            throw new Error(t('error.inscriptionNotFound'));
+        }
+        if (!target) {
+            throw new Error(t('error.eventNotFound'));
+        }
+        if (inscription.teamId || target.teamMode) {
+            throw new Error(t('error.transferTeams'));
+        }
+        if (inscription.paymentStatus === 'paid') {
+            throw new Error(t('error.transferPaid', { name: inscription.name }));
+        }
+        const registered = this.getInscriptionsForEvent(target.id).find(item =>
+            item.status !== 'cancelled' && normalizeEmail(item.email) === normalizeEmail(inscription.email)
+        );
+        if (registered) {
+            throw new Error(t('error.transferDuplicate', { email: inscription.email, title: target.title }));
+        }
+        const hasRoom = this.getAvailableSlots(target) > 0;
+        if (!hasRoom && !target.waitlistEnabled) {
+            throw new Error(t('error.transferFull', { title: target.title }));
+        }
+        
+        // Discount codes the new event does not know are dropped
+        let fee = { amountDue: null, currency: null, feeTier: null, earlyBird: null, discountCode: null, paymentStatus: null };
+        if (hasFee(target)) {
+            const options = { member: inscription.feeTier === 'member', discountCode: inscription.discountCode || '' };
+            const quote = calculateFee(target, options);
+            fee = (quote.error ? calculateFee(target, { ...options, discountCode: '' }) : quote).fee;
+        }
+        const fieldIds = new Set((target.formFields || []).map(field => field.id));
+        const answers = Object.fromEntries(Object.entries(inscription.answers || {}).filter(([fieldId]) => fieldIds.has(fieldId)));
+        
+        const sourceEventId = inscription.eventId;
+        const queued = this.messages.filter(message => message.inscriptionId === id && message.kind === 'reminder' && message.status === 'queued');
+        for (const message of queued) {
+            await this.updateMessage(message.id, { status: 'cancelled' });
+        }
+        await this.updateInscription(id, {
+            eventId: targetEventId,
+            status: hasRoom ? 'accepted' : 'waitlisted',
+            answers,
+            ...fee,
+            paidAt: null,
+            paymentProvider: null,
+            paymentReference: null,
+            paymentRecordedBy: null,
+            refundedAt: null,
+            transferredFrom: sourceEventId,
+            transferredAt: new Date().toISOString(),
+            checkedInAt: null,
+            checkedInBy: null
+        });
+        await this.queueMessage('confirmation', inscription);
+        await this.scheduleReminder(inscription);
+        await this.promoteWaitlist(sourceEventId);
+        return inscription;
+    }
+
+    getInscriptionsForEvent(eventId) {
+        return this.inscriptions.filter(inscription => inscription.eventId === eventId);
+    }
+
+    getInscription(id) {
+        return this.inscriptions.find(inscription => inscription.id === id);
+    }
+
+    // Inscriptions holding one of the event's slots
+    getAcceptedInscriptions(eventId) {
+        return this.getInscriptionsForEvent(eventId).filter(inscription => inscription.status === 'accepted');
+    }
+
+    getCancelledInscriptions(eventId) {
+        return this.getInscriptionsForEvent(eventId).filter(inscription => inscription.status === 'cancelled');
+    }
+
+    getPendingInscriptions(eventId) {
+        return this.getInscriptionsForEvent(eventId).filter(inscription => inscription.status === 'pending_verification');
+    }
+
+    // Where an inscription stands for capacity: unverified ones count as what
+    // they will become until their hold runs out, then as nothing at all
+    getSlotStatus(inscription, now = new Date()) {
+        if (inscription.status !== 'pending_verification') {
+            return inscription.status;
+        }
+        return new Date(inscription.verificationExpiresAt) > now ? inscription.verifyAs : null;
+    }
+
+    // Team members follow their team; everyone else takes a free slot or
+    // joins the waitlist
+    getInitialStatus(event, teamId) {
+        const members = teamId ? this.getTeamMembers(teamId).filter(member => this.getSlotStatus(member)) : [];
+        if (members.length > 0) {
+            return this.getSlotStatus(members[0]);
+        }
+        return event && this.getAvailableSlots(event) <= 0 ? 'waitlisted' : 'accepted';
+    }
+
+    // Inscriptions with the given status grouped by the slot they hold: one
+    // group per person, or one per team for team events. Oldest first.
+    getSlotGroups(eventId, status) {
+        const event = this.getEvent(eventId);
+        const inscriptions = this.getInscriptionsForEvent(eventId)
+            .filter(inscription => inscription.status === status)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        if (!event || !event.teamMode) {
+            return inscriptions.map(inscription => [inscription]);
+        }
+        return groupByTeam(inscriptions);
+    }
+
+    // Slots held by unverified registrations are not available either
+    getAvailableSlots(event) {
+        const holders = this.getInscriptionsForEvent(event.id)
+            .filter(inscription => this.getSlotStatus(inscription) === 'accepted');
+        return event.maxParticipants - (event.teamMode ? groupByTeam(holders).length : holders.length);
+    }
+
+    // Where the event's registration window stands: 'upcoming' before
+    // registrationOpensAt, 'closed' after registrationClosesAt, else 'open'.
+    // Both bounds are optional.
+    getRegistrationWindow(event, now = new Date()) {
+        if (event.registrationOpensAt && getEventTime(event, event.registrationOpensAt) > now) {
+            return 'upcoming';
+        }
+        if (event.registrationClosesAt && getEventTime(event, event.registrationClosesAt) <= now) {
+            return 'closed';
+        }
+        return 'open';
+    }
+
+    // One of the EVENT_STATUS_LABELS keys
+    getEventStatus(event, now = new Date()) {
+        if (getEventTime(event) < now) {
+            return 'past';
+        }
+        const registration = this.getRegistrationWindow(event, now);
+        if (registration !== 'open') {
+            return registration;
+        }
+        return this.getAvailableSlots(event) <= 0 ? 'full' : 'open';
+    }
+
+    // Waitlist Management
+    // Waitlisted inscriptions in queue order, first come first served
+    getWaitlist(eventId) {
+        return this.getInscriptionsForEvent(eventId)
+            .filter(inscription => inscription.status === 'waitlisted')
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    // Teams wait as a whole, so their members share one position
+    getWaitlistPosition(inscription) {
+        return this.getSlotGroups(inscription.eventId, 'waitlisted')
+            .findIndex(group => group.some(item => item.id === inscription.id)) + 1;
+    }
+
+    // Move the head of the waitlist into any free slots. Called whenever a
+    // slot is released or the event's capacity grows. only limits the
+    // promotion to the given inscription ids.
+    async promoteWaitlist(eventId, { only = null } = {}) {
+        const event = this.getEvent(eventId);
+        if (!event) return [];
+
+        const promoted = this.getSlotGroups(eventId, 'waitlisted')
+            .filter(group => !only || group.every(inscription => only.includes(inscription.id)))
+            .slice(0, Math.max(this.getAvailableSlots(event), 0))
+            .flat();
+        for (const inscription of promoted) {
+            await this.updateInscription(inscription.id, {
+                status: 'accepted',
+                promotedAt: new Date().toISOString()
+            });
+            await this.queueMessage('promotion', inscription);
+            await this.scheduleReminder(inscription);
+        }
+        return promoted;
+    }
+
+    // Messages
+    // Participants get the default templates in the language they registered
+    // in; an organizer's override is used as written, whatever the language
+    getMessageTemplate(event, kind, locale = getLocale()) {
+        return { ...getDefaultMessageTemplate(kind, locale), ...((event && event.messageTemplates) || {})[kind] };
+    }
+
+    // Saving the default text again drops the override
+    async setMessageTemplate(eventId, kind, template) {
+        const event = this.getEvent(eventId);
+        if (!event) {
+            throw new Error(t('error.eventNotFound'));
+        }
+        const templates = { ...event.messageTemplates };
+        const defaults = getDefaultMessageTemplate(kind);
+        if (!template || (template.subject === defaults.subject && template.body === defaults.body)) {
+            delete templates[kind];
+        } else {
+            templates[kind] = { subject: template.subject, body: template.body };
+        }
+        return this.patchEvent(eventId, { messageTemplates: templates });
+    }
+
+    // Announcements bring their own template, written by the organizer.
+    // Someone else's registration may come without its email and token
+    // (another participant's browser promoting it); the server fills in
+    // the {{email}} and {{token}} left in their place.
+    renderMessage(kind, inscription, template = null) {
+        const event = this.getEvent(inscription.eventId);
+        const recipient = { ...inscription, email: inscription.email ?? '{{email}}', token: inscription.token ?? '{{token}}' };
+        const locale = inscription.locale || DEFAULT_LOCALE;
+        const status = ['pending_verification', 'accepted', 'waitlisted', 'cancelled'].includes(inscription.status)
+            ? t(`email.status.${inscription.status}`, { position: this.getWaitlistPosition(inscription) }, locale)
+            : inscription.status;
+        template = template || this.getMessageTemplate(event, kind, locale);
+        const values = {
+            name: inscription.name,
+            email: recipient.email,
+            event: event.title,
+            date: formatEventDate(event, event.date, { locale, localTime: false }),
+            status,
+            link: kind === 'verification' ? this.generateVerificationUrl(recipient) : this.generateConfirmationUrl(recipient)
+        };
+        return {
+            subject: fillMessageTemplate(template.subject, values),
+            body: fillMessageTemplate(template.body, values)
+        };
+    }
+
+    async queueMessage(kind, inscription, { sendAfter = null, template = null } = {}) {
+        const message = {
+            id: this.generateId(),
+            kind,
+            eventId: inscription.eventId,
+            inscriptionId: inscription.id,
+            to: inscription.email,
+            ...this.renderMessage(kind, inscription, template),
+            status: 'queued',
+            sendAfter,
+            attempts: 0,
+            createdAt: new Date().toISOString()
+        };
+        await this.storage.put('messages', message);
+        this.messages.push(message);
+        return message;
+    }
+
+    async queueAnnouncement(inscription, { subject, body }) {
+        return this.queueMessage('announcement', inscription, { template: { subject, body } });
+    }
+
+    async updateMessage(id, changes) {
+        const message = this.messages.find(item => item.id === id);
+        if (!message) {
+            throw new Error(t('error.messageNotFound'));
+        }
+        await this.storage.put('messages', { ...message, ...changes });
+        Object.assign(message, changes);
+        return message;
+    }
+
+    // Newest first
+    getMessagesForEvent(eventId) {
+        return this.messages
+            .filter(message => message.eventId === eventId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    // Accepted participants get one reminder REMINDER_LEAD_HOURS before the
+    // event; it is moved with the event and withdrawn when they lose the slot.
+    // Registrations made after that point get no reminder.
+    async scheduleReminder(inscription) {
+        const event = this.getEvent(inscription.eventId);
+        const queued = this.messages.find(message =>
+            message.inscriptionId === inscription.id && message.kind === 'reminder' && message.status === 'queued'
+        );
+        const sendAt = new Date(getEventTime(event).getTime() - REMINDER_LEAD_HOURS * 60 * 60 * 1000);
+        
+        if (inscription.status !== 'accepted' || sendAt <= new Date()) {
+            if (queued) {
+                await this.updateMessage(queued.id, { status: 'cancelled' });
+            }
+            return null;
+        }
+        if (!queued) {
+            return this.queueMessage('reminder', inscription, { sendAfter: sendAt.toISOString() });
+        }
+        
+        const rendered = this.renderMessage('reminder', inscription);
+        if (queued.sendAfter !== sendAt.toISOString() || queued.subject !== rendered.subject || queued.body !== rendered.body) {
+            await this.updateMessage(queued.id, { ...rendered, sendAfter: sendAt.toISOString() });
+        }
+        return queued;
+    }
+
+    async retryMessage(id) {
+        return this.updateMessage(id, { status: 'queued', sendAfter: null, attempts: 0, error: null });
+    }
+
+    // Pick up delivery results written by the outbox worker
+    async reloadMessages() {
+        this.messages = await this.storage.list('messages');
+        return this.messages;
+    }
+
+    // Teams
+    // Team events count one slot per team. Every member holds an inscription
+    // pointing at the team and shares the team's status.
+    getTeamsForEvent(eventId) {
+        return this.teams.filter(team => team.eventId === eventId);
+    }
+
+    getTeam(id) {
+        return this.teams.find(team => team.id === id);
+    }
+
+    getTeamByInviteCode(eventId, inviteCode) {
+        const code = (inviteCode || '').trim().toUpperCase();
+        return this.getTeamsForEvent(eventId).find(team => team.inviteCode === code);
+    }
+
+    // Members still on the team, in joining order
+    getTeamMembers(teamId) {
+        return this.inscriptions
+            .filter(inscription => inscription.teamId === teamId && inscription.status !== 'cancelled')
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    // members[0] registers the team and becomes its captain
+    async registerTeam(eventId, { name, members }) {
+        const event = this.getEvent(eventId);
+        if (!event || !event.teamMode) {
+            throw new Error(t('error.notATeamEvent'));
+        }
+        
+        const teamName = (name || '').trim();
+        if (!teamName) {
+            throw new Error(t('error.teamNameRequired'));
+        }
+        const nameTaken = this.getTeamsForEvent(eventId).some(team =>
+            team.name.toLowerCase() === teamName.toLowerCase() && this.getTeamMembers(team.id).length > 0
+        );
+        if (nameTaken) {
+            throw new Error(t('error.teamNameTaken', { name: teamName }));
+        }
+        if (members.length < event.teamSizeMin || members.length > event.teamSizeMax) {
+            throw new Error(t('error.teamSize', { min: event.teamSizeMin, max: event.teamSizeMax }));
+        }
+        
+        const team = {
+            id: this.generateId(),
+            eventId,
+            name: teamName,
+            inviteCode: this.generateInviteCode(),
+            createdAt: new Date().toISOString()
+        };
+        await this.storage.put('teams', team);
+        this.teams.push(team);
+        
+        const inscriptions = [];
+        for (const [index, member] of members.entries()) {
+            inscriptions.push(await this.createInscription({
+                ...member,
+                eventId,
+                teamId: team.id,
+                teamRole: index === 0 ? 'captain' : 'member'
+            }));
+        }
+        return { team, inscriptions };
+    }
+
+    async joinTeam(eventId, inviteCode, inscriptionData) {
+        const event = this.getEvent(eventId);
+        const team = this.getTeamByInviteCode(eventId, inviteCode);
+        if (!event || !team || this.getTeamMembers(team.id).length === 0) {
+            throw new Error(t('error.inviteCodeNotFound'));
+        }
+        if (this.getTeamMembers(team.id).length >= event.teamSizeMax) {
+            throw new Error(t('error.teamFull', { name: team.name, count: event.teamSizeMax }));
+        }
+        
+        const inscription = await this.createInscription({
+            ...inscriptionData,
+            eventId,
+            teamId: team.id,
+            teamRole: 'member'
+        });
+        return { team, inscription };
+    }
+
+    // Who plays in brackets and Swiss rounds: accepted teams for team
+    // events, accepted participants otherwise. In registration order.
+    getCompetitors(eventId) {
+        return this.getSlotGroups(eventId, 'accepted').map(([first]) => {
+            const team = first.teamId && this.getTeam(first.teamId);
+            return team ? { id: team.id, name: team.name } : { id: first.id, name: first.name };
+        });
+    }
+
+    // Tournament Brackets
+    // seeds maps competitor ids (inscriptions, or teams for team events) to
+    // the seed number the organizer gave them
+    async createBracket(eventId, { format, seeds = {} }) {
+        const event = this.getEvent(eventId);
+        if (!event || event.type !== 'tournament') {
+            throw new Error(t('error.bracketsTournamentOnly'));
+        }
+        
+        const participants = this.getCompetitors(eventId).map(competitor => ({
+            ...competitor,
+            seed: parseInt(seeds[competitor.id]) || null
+        }));
+        return this.patchEvent(eventId, { bracket: generateBracket(participants, format) });
+    }
+
+    async reportMatchResult(eventId, matchId, winnerId, score) {
+        const event = this.getEvent(eventId);
+        if (!event || !event.bracket) {
+            throw new Error(t('error.bracketNotFound'));
+        }
+        const bracket = reportBracketResult(structuredClone(event.bracket), matchId, winnerId, score);
+        return this.patchEvent(eventId, { bracket });
+    }
+
+    async undoMatchResult(eventId, matchId) {
+        const event = this.getEvent(eventId);
+        if (!event || !event.bracket) {
+            throw new Error(t('error.bracketNotFound'));
+        }
+        const bracket = undoBracketResult(structuredClone(event.bracket), matchId);
+        return this.patchEvent(eventId, { bracket });
+    }
+
+    async deleteBracket(eventId) {
+        return this.patchEvent(eventId, { bracket: null });
+    }
+
+    // Swiss Rounds
+    async startSwiss(eventId, totalRounds) {
+        const event = this.getEvent(eventId);
+        if (!event || event.type !== 'tournament') {
+            throw new Error(t('error.swissTournamentOnly'));
+        }
+        
+        const participants = this.getCompetitors(eventId);
+        return this.patchEvent(eventId, { swiss: createSwissTournament(participants, totalRounds) });
+    }
+
+    async pairNextSwissRound(eventId) {
+        const swiss = this.getSwissCopy(eventId);
+        return this.patchEvent(eventId, { swiss: pairSwissRound(swiss) });
+    }
+
+    async recordSwissResult(eventId, roundNumber, pairingId, result) {
+        const swiss = this.getSwissCopy(eventId);
+        return this.patchEvent(eventId, { swiss: setSwissResult(swiss, roundNumber, pairingId, result) });
+    }
+
+    async deleteLastSwissRound(eventId) {
+        const swiss = this.getSwissCopy(eventId);
+        swiss.rounds.pop();
+        return this.patchEvent(eventId, { swiss });
+    }
+
+    async deleteSwiss(eventId) {
+        return this.patchEvent(eventId, { swiss: null });
+    }
+
+    getSwissCopy(eventId) {
+        const event = this.getEvent(eventId);
+        if (!event || !event.swiss) {
+            throw new Error(t('error.swissNotFound'));
+        }
+        return structuredClone(event.swiss);
+    }
+
+    // Course Sessions & Attendance
+    getSessions(event) {
+        return [...(event.sessions || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    async addSession(eventId, { title, date }) {
+        const event = this.getEvent(eventId);
+        if (!event || event.type !== 'course') {
+            throw new Error(t('error.sessionsCourseOnly'));
+        }
+        const session = { id: this.generateId(), title, date };
+        return this.patchEvent(eventId, { sessions: [...(event.sessions || []), session] });
+    }
+
+    async removeSession(eventId, sessionId) {
+        const event = this.getEvent(eventId);
+        const attendance = { ...(event.attendance || {}) };
+        delete attendance[sessionId];
+        return this.patchEvent(eventId, {
+            sessions: (event.sessions || []).filter(session => session.id !== sessionId),
+            attendance
+        });
+    }
+
+    async setAttendance(eventId, sessionId, inscriptionId, present) {
+        const event = this.getEvent(eventId);
+        const attendance = event.attendance || {};
+        const attendees = new Set(attendance[sessionId] || []);
+        if (present) {
+            attendees.add(inscriptionId);
+        } else {
+            attendees.delete(inscriptionId);
+        }
+        return this.patchEvent(eventId, { attendance: { ...attendance, [sessionId]: [...attendees] } });
+    }
+
+    async setCertificateThreshold(eventId, threshold) {
+        if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+            throw new Error(t('error.attendanceThreshold'));
+        }
+        return this.patchEvent(eventId, { certificateThreshold: threshold });
+    }
+
+    // A session counts as held once it has started or a roll-call was taken
+    getHeldSessions(event) {
+        const now = new Date();
+        return this.getSessions(event).filter(session =>
+            getEventTime(event, session.date) <= now || (event.attendance && event.attendance[session.id])
+        );
+    }
+
+    // Certificates are only issued once every scheduled session has been held
+    getAttendanceSummary(event) {
+        const sessions = this.getSessions(event);
+        const held = this.getHeldSessions(event);
+        const attendance = event.attendance || {};
+        const threshold = event.certificateThreshold ?? DEFAULT_CERTIFICATE_THRESHOLD;
+        const isComplete = sessions.length > 0 && held.length === sessions.length;
+        
+        return this.getAcceptedInscriptions(event.id).map(inscription => {
+            const attended = held.filter(session => (attendance[session.id] || []).includes(inscription.id)).length;
+            const percentage = held.length > 0 ? Math.round(attended / held.length * 100) : 0;
+            return {
+                inscription,
+                attended,
+                held: held.length,
+                percentage,
+                eligible: isComplete && percentage >= threshold
+            };
+        });
+    }
+
+    getAttendanceFor(inscription) {
+        const event = this.getEvent(inscription.eventId);
+        if (!event) return null;
+        return this.getAttendanceSummary(event).find(row => row.inscription.id === inscription.id) || null;
+    }
+
+    // Payments
+    // The price of registering, from storage that keeps the discount codes
+    // to itself when it can tell (quoteFee), otherwise from calculateFee
+    async quoteFee(event, options) {
+        return this.storage.quoteFee ? this.storage.quoteFee(event.id, options) : calculateFee(event, options);
+    }
+    
+    // One checkout pays for every registration passed in, so a captain can
+    // pay for the teammates they registered. Throws the provider's
+    // PaymentError when the charge is declined. Storage with a server
+    // (pay) charges there instead of through this.payments.
+    async payInscriptions(inscriptions, source) {
+        if (this.storage.pay) {
+            const paid = await this.storage.pay(inscriptions.map(inscription => inscription.id), source);
+            paid.forEach(record => Object.assign(this.getInscription(record.id), record));
+            return paid[0].paymentReference;
+        }
+        
+        const [first] = inscriptions;
+        const event = this.getEvent(first.eventId);
+        const { reference } = await this.payments.charge({
+            amount: inscriptions.reduce((sum, inscription) => sum + inscription.amountDue, 0),
+            currency: first.currency,
+            description: event ? event.title : t('payment.description'),
+            email: first.email,
+            source
+        });
+        
+        const paidAt = new Date().toISOString();
+        for (const inscription of inscriptions) {
+            await this.updateInscription(inscription.id, {
+                paymentStatus: 'paid',
+                paidAt,
+                paymentProvider: this.payments.name,
+                paymentReference: reference
+            });
+        }
+        return reference;
+    }
+    
+    // Organizers record payments taken outside the provider (cash at the
+    // door) as 'paid', or let someone off the fee with 'waived'
+    async setPaymentStatus(id, paymentStatus, { recordedBy }) {
+        const changes = { paymentStatus, paymentRecordedBy: recordedBy };
+        if (paymentStatus === 'paid') {
+            Object.assign(changes, { paidAt: new Date().toISOString(), paymentProvider: 'manual', paymentReference: null });
+        }
+        return this.updateInscription(id, changes);
+    }
+    
+    // Charges made through the provider are refunded through it; manual
+    // payments are only marked, the money goes back by hand
+    async refundPayment(id, { recordedBy }) {
+        const inscription = this.getInscription(id);
+        if (!inscription || inscription.paymentStatus !== 'paid') {
+            throw new Error(t('error.refundUnpaid'));
+        }
+        if (inscription.paymentProvider === this.payments.name && inscription.paymentReference) {
+            await this.payments.refund(inscription.paymentReference, inscription.amountDue);
+        }
+        return this.updateInscription(id, {
+            paymentStatus: 'refunded',
+            refundedAt: new Date().toISOString(),
+            paymentRecordedBy: recordedBy
+        });
+    }
+    
+    // Money actually kept: paid registrations, cancelled or not, in cents
+    getRevenue(eventId) {
+        return this.getInscriptionsForEvent(eventId)
+            .filter(inscription => inscription.paymentStatus === 'paid')
+            .reduce((sum, inscription) => sum + inscription.amountDue, 0);
+    }
+
+    // Analytics
+    // Registrations that really happened: holds whose email was never
+    // verified don't count, pending or released
+    getRegistrations(eventId) {
+        return this.getInscriptionsForEvent(eventId)
+            .filter(inscription => inscription.status !== 'pending_verification' && inscription.cancelledBy !== 'verification timeout')
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+    
+    // Figures for the Communities dashboard. fillRate is the share of slots
+    // taken now; timeToFull is how long after registration opened the event
+    // first had as many registrations as slots, in milliseconds (null if it
+    // never did). Teams count as one slot.
+    getEventAnalytics(event) {
+        const registrations = this.getRegistrations(event.id);
+        const slots = event.teamMode ? groupByTeam(registrations) : registrations.map(inscription => [inscription]);
+        const filling = slots[event.maxParticipants - 1];
+        const openedAt = event.registrationOpensAt ? getEventTime(event, event.registrationOpensAt) : new Date(event.createdAt);
+        const cancelled = registrations.filter(inscription => inscription.status === 'cancelled').length;
+        const noShows = this.getNoShows(event);
+        
+        return {
+            registrations: registrations.length,
+            cancelled,
+            fillRate: this.getSlotGroups(event.id, 'accepted').length / event.maxParticipants,
+            timeToFull: filling ? Math.max(0, new Date(filling[0].createdAt) - openedAt) : null,
+            attendanceTracked: noShows !== null,
+            expected: noShows !== null ? this.getAcceptedInscriptions(event.id).length : 0,
+            noShows: noShows !== null ? noShows.length : 0
+        };
+    }
+    
+    // Accepted participants who never turned up: absent from every roll call
+    // of a course, or not checked in at a past event that used check-in.
+    // null when the event has not recorded attendance either way.
+    getNoShows(event, now = new Date()) {
+        const rollCalls = this.getHeldSessions(event).filter(session => event.attendance && event.attendance[session.id]);
+        if (rollCalls.length > 0) {
+            return this.getAttendanceSummary(event).filter(row => row.attended === 0).map(row => row.inscription);
+        }
+        const accepted = this.getAcceptedInscriptions(event.id);
+        if (getEventTime(event) <= now && accepted.some(inscription => inscription.checkedInAt)) {
+            return accepted.filter(inscription => !inscription.checkedInAt);
+        }
+        return null;
+    }
+    
+    getReturningParticipants(events) {
+        const eventCounts = new Map();
+        events.forEach(event => {
+            new Set(this.getRegistrations(event.id).map(inscription => normalizeEmail(inscription.email)))
+                .forEach(email => eventCounts.set(email, (eventCounts.get(email) || 0) + 1));
+        });
+        return {
+            people: eventCounts.size,
+            returning: [...eventCounts.values()].filter(count => count > 1).length
+        };
+    }
+    
+    // Running total of registrations at the end of each day that had any
+    getRegistrationTimeline(eventId) {
+        const totals = new Map();
+        this.getRegistrations(eventId).forEach((inscription, index) => {
+            totals.set(inscription.createdAt.slice(0, 10), index + 1);
+        });
+        return [...totals].map(([day, total]) => ({ day, total }));
+    }
+
+    // Check-in
+    async generateCheckInTicket(inscription) {
+        return `${CHECK_IN_TICKET_PREFIX}.${inscription.id}.${await signCheckInTicket(inscription)}`;
+    }
+
+    // Accepts a scanned ticket or a typed registration ID. Returns the
+    // outcome (one of CHECK_IN_OUTCOMES) and the inscription, if any; only
+    // accepted inscriptions that have not arrived yet get checked in.
+    async checkIn(eventId, code, { checkedInBy }) {
+        const value = (code || '').trim();
+        let inscription;
+        if (value.startsWith(`${CHECK_IN_TICKET_PREFIX}.`)) {
+            const [, id, signature] = value.split('.');
+            inscription = this.getInscription(id);
+            if (inscription && signature !== await signCheckInTicket(inscription)) {
+                return { outcome: 'forged', inscription: null };
+            }
+        } else {
+            inscription = this.getInscription(value);
+        }
+        
+        if (!inscription) {
+            return { outcome: 'unknown', inscription: null };
+        }
+        if (inscription.eventId !== eventId) {
+            return { outcome: 'otherEvent', inscription };
+        }
+        if (inscription.status !== 'accepted') {
+            return { outcome: inscription.status, inscription };
+        }
+        if (inscription.checkedInAt) {
+            return { outcome: 'duplicate', inscription };
+        }
+        await this.updateInscription(inscription.id, { checkedInAt: new Date().toISOString(), checkedInBy });
+        return { outcome: 'checkedIn', inscription };
+    }
+
+    async undoCheckIn(inscriptionId) {
+        return this.updateInscription(inscriptionId, { checkedInAt: null, checkedInBy: null });
+    }
+
+    // People, not teams: everyone in an accepted team comes through the door
+    getCheckInCounts(eventId) {
+        const expected = this.getAcceptedInscriptions(eventId);
+        return { arrived: expected.filter(inscription => inscription.checkedInAt).length, expected: expected.length };
+    }
+
+    // Pick up check-ins made on other devices
+    async reloadInscriptions() {
+        this.inscriptions = await this.storage.list('inscriptions');
+        return this.inscriptions;
+    }
+
+    // Participant Directory
+    // Everyone who registered for any of the given events, one entry per
+    // normalized email. The name is the one from their latest registration.
+    getParticipants(events) {
+        const eventIds = new Set(events.map(event => event.id));
+        const people = new Map();
+        this.inscriptions.filter(inscription => eventIds.has(inscription.eventId)).forEach(inscription => {
+            const key = normalizeEmail(inscription.email);
+            if (!people.has(key)) {
+                people.set(key, { key, inscriptions: [] });
+            }
+            people.get(key).inscriptions.push(inscription);
+        });
+        
+        return [...people.values()].map(person => {
+            const latest = person.inscriptions.reduce((a, b) => b.createdAt > a.createdAt ? b : a);
+            return { ...person, name: latest.name, email: latest.email.trim(), lastRegisteredAt: latest.createdAt };
+        }).sort((a, b) => a.name.localeCompare(b.name) || a.key.localeCompare(b.key));
+    }
+
+    getParticipant(key, events) {
+        return this.getParticipants(events).find(person => person.key === key) || null;
+    }
+
+    // Latest event first, with course attendance and tournament results
+    getParticipantHistory(person) {
+        return person.inscriptions
+            .map(inscription => {
+                const event = this.getEvent(inscription.eventId);
+                return {
+                    inscription,
+                    event,
+                    attendance: event.type === 'course' ? this.getAttendanceFor(inscription) : null,
+                    result: this.getResultFor(inscription)
+                };
+            })
+            .sort((a, b) => b.event.date.localeCompare(a.event.date));
+    }
+
+    // Where a competitor finished: their Swiss or round robin standing, or
+    // their record in an elimination bracket. Team members share the result
+    // of their team.
+    getResultFor(inscription) {
+        const event = this.getEvent(inscription.eventId);
+        if (!event || inscription.status !== 'accepted') {
+            return null;
+        }
+        const competitorId = inscription.teamId || inscription.id;
+        
+        if (event.swiss && event.swiss.rounds.length > 0) {
+            const standings = getSwissStandings(event.swiss);
+            const index = standings.findIndex(row => row.id === competitorId);
+            if (index !== -1) {
+                return { format: 'swiss', rank: index + 1, of: standings.length, points: standings[index].score };
+            }
+        }
+        const bracket = event.bracket;
+        if (!bracket || !bracket.participants.some(participant => participant.id === competitorId)) {
+            return null;
+        }
+        if (bracket.format === 'round_robin') {
+            const standings = getRoundRobinStandings(bracket);
+            const index = standings.findIndex(row => row.id === competitorId);
+            return { format: bracket.format, rank: index + 1, of: standings.length, points: standings[index].points };
+        }
+        const played = bracket.matches.filter(match => match.winner && !match.isBye && match.slots.includes(competitorId));
+        return {
+            format: bracket.format,
+            champion: bracket.championId === competitorId,
+            wins: played.filter(match => match.winner === competitorId).length,
+            losses: played.filter(match => match.loser === competitorId).length
+        };
+    }
+
+    // Rewrite name and email on every registration of a person
+    async updateParticipant(person, { name, email }) {
+        for (const inscription of person.inscriptions) {
+            await this.editInscription(inscription.id, { name, email });
+        }
+    }
+
+    // The duplicate takes the name and email of the person it is merged
+    // into. If both are registered for the same event, one registration
+    // has to be cancelled first, or the email would be registered twice.
+    async mergeParticipants(duplicate, person) {
+        const active = inscription => inscription.status !== 'cancelled';
+        const registered = new Set(person.inscriptions.filter(active).map(inscription => inscription.eventId));
+        const conflict = duplicate.inscriptions.find(inscription => active(inscription) && registered.has(inscription.eventId));
+        if (conflict) {
+            throw new Error(t('error.mergeConflict', { title: this.getEvent(conflict.eventId).title }));
+        }
+        await this.updateParticipant(duplicate, { name: person.name, email: person.email });
+    }
+
+    async renameCompetitor(eventId, competitorId, name) {
+        const event = this.getEvent(eventId);
+        const patch = {};
+        ['bracket', 'swiss'].filter(key => event[key]).forEach(key => {
+            patch[key] = {
+                ...event[key],
+                participants: event[key].participants.map(participant => participant.id === competitorId ? { ...participant, name } : participant)
+            };
+        });
+        if (Object.keys(patch).length > 0) {
+            await this.patchEvent(eventId, patch);
+        }
+    }
+
+    // Everything stored about one person, for a data access request.
+    // Secret link tokens are left out.
+    exportParticipant(person) {
+        return {
+            app: 'goldensign',
+            exportedAt: new Date().toISOString(),
+            name: person.name,
+            email: person.email,
+            registrations: this.getParticipantHistory(person).map(({ inscription, event, attendance, result }) => {
+                const { token, verificationToken, ...registration } = inscription;
+                return {
+                    event: { id: event.id, title: event.title, type: event.type, date: event.date, timezone: event.timezone, location: event.location || '' },
+                    registration,
+                    attendance: attendance && { attended: attendance.attended, held: attendance.held },
+                    result,
+                    messages: this.messages
+                        .filter(message => message.inscriptionId === inscription.id)
+                        .map(({ kind, to, subject, body, status, createdAt, sentAt }) => ({ kind, to, subject, body, status, createdAt, sentAt: sentAt || null }))
+                };
+            })
+        };
+    }
+
+    // Right to erasure: registrations and messages are deleted, attendance
+    // forgets them and brackets keep their place under a placeholder name.
+    // Freed slots go to the waitlist.
+    async eraseParticipant(person, placeholderName) {
+        const eventIds = new Set();
+        for (const inscription of person.inscriptions) {
+            const event = this.getEvent(inscription.eventId);
+            if (event.attendance) {
+                const attendance = Object.fromEntries(Object.entries(event.attendance)
+                    .map(([sessionId, present]) => [sessionId, present.filter(id => id !== inscription.id)]));
+                await this.patchEvent(event.id, { attendance });
+            }
+            if (!inscription.teamId) {
+                await this.renameCompetitor(event.id, inscription.id, placeholderName);
+            }
+            
+            const messages = this.messages.filter(message => message.inscriptionId === inscription.id);
+            await Promise.all(messages.map(message => this.storage.remove('messages', message.id)));
+            this.messages = this.messages.filter(message => message.inscriptionId !== inscription.id);
+            await this.storage.remove('inscriptions', inscription.id);
+            this.inscriptions = this.inscriptions.filter(item => item.id !== inscription.id);
+            eventIds.add(event.id);
+        }
+        for (const eventId of eventIds) {
+            await this.promoteWaitlist(eventId);
+        }
+    }
+
+    // Import
+    // Store an imported record as it is, keeping its id and timestamps.
+    // collection is one of 'events', 'inscriptions' or 'teams'.
+    async importRecord(collection, record) {
+        await this.storage.put(collection, record);
+        const records = this[collection];
+        const index = records.findIndex(item => item.id === record.id);
+        if (index === -1) {
+            records.push(record);
+        } else {
+            records[index] = record;
+        }
+        return record;
+    }
+
+    // Utility Methods
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    // Unguessable secret for links that let a participant manage their inscription
+    generateToken() {
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Short code teammates type in to join a team
+    generateInviteCode() {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const bytes = new Uint8Array(6);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+    }
+
+    // URL Generation
+    generateEventUrl(eventId) {
+        return `${window.location.origin}/inscription.html?id=${eventId}`;
+    }
+
+    // Includes the inscription's token, which unlocks self-service cancellation
+    generateCertificateUrl(inscription) {
+        return `${window.location.origin}/certificate.html?id=${inscription.id}&token=${inscription.token}`;
+    }
+
+    generateBracketUrl(eventId) {
+        return `${window.location.origin}/bracket.html?id=${eventId}`;
+    }
+
+    generateConfirmationUrl(inscription) {
+        return `${window.location.origin}/confirmation.html?id=${inscription.id}&token=${inscription.token}`;
+    }
+
+    // Opened in the manager's tab so the organizer stays signed in
+    generateCheckInUrl(eventId) {
+        return `${window.location.origin}/checkin.html?id=${eventId}`;
+    }
+
+    // Only ever emailed, so opening it proves the address works
+    generateVerificationUrl(inscription) {
+        return `${window.location.origin}/verify.html?id=${inscription.id}&token=${inscription.verificationToken}`;
+    }
+
+    // Calendar
+    generateCalendar(events, name) {
+        return buildCalendar(events, { name, baseUrl: window.location.origin });
+    }
+
+    // Served by server.js. The token is the only thing protecting the feed,
+    // so resetting it cuts off every calendar subscribed to the old URL.
+    async generateCalendarFeedUrl(organizerId, { reset = false } = {}) {
+        let organizer = this.getOrganizer(organizerId);
+        if (!organizer.calendarToken || reset) {
+            organizer = await this.updateOrganizer(organizerId, { calendarToken: this.generateToken() });
+        }
+        return `${window.location.origin}/calendar/${organizer.calendarToken}.ics`;
+    }
+}
+
+// Tournament Brackets
+// A bracket is plain JSON stored on the event. Match slots hold an
+// inscription id, null while waiting on an earlier match, or BYE when no
+// opponent will ever arrive. The functions below take a bracket and mutate
+// it in place; DataManager clones before calling and persists the result.
+const BYE = 'bye';
+
+// Format names are message ids for t()
+const BRACKET_FORMATS = {
+    single: 'bracketFormat.single',
+    double: 'bracketFormat.double',
+    round_robin: 'bracketFormat.round_robin'
+};
+
+// Seeded participants first in seed order, everyone else shuffled after them
+function orderBracketParticipants(participants) {
+    const seeded = participants.filter(p => p.seed).sort((a, b) => a.seed - b.seed);
+    const unseeded = participants.filter(p => !p.seed);
+    for (let i = unseeded.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [unseeded[i], unseeded[j]] = [unseeded[j], unseeded[i]];
+    }
+    return [...seeded, ...unseeded];
+}
+
+// Standard bracket order, e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6], so the top
+// seeds only meet in the late rounds and get the byes
+function bracketSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const total = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, total - seed]);
+    }
+    return order;
+}
+
+function createMatch(id, bracketName, round, index, slots = [null, null]) {
+    return { id, bracket: bracketName, round, index, slots, winner: null, loser: null, score: '', next: null, loserNext: null };
+}
+
+function generateBracket(participants, format) {
+    if (participants.length < 2) {
+        throw new Error(t('error.bracketTooFewParticipants'));
+    }
+    if (!BRACKET_FORMATS[format]) {
+        throw new Error(`Unknown bracket format: ${format}`);
+    }
+
+    const ordered = orderBracketParticipants(participants);
+    const bracket = {
+        format,
+        createdAt: new Date().toISOString(),
+        participants: ordered.map(({ id, name, seed }) => ({ id, name, seed: seed || null })),
+        matches: [],
+        championId: null
+    };
+
+    if (format === 'round_robin') {
+        buildRoundRobin(bracket, ordered.map(p => p.id));
+    } else {
+        buildElimination(bracket, ordered.map(p => p.id), format === 'double');
+    }
+    return bracket;
+}
+
+function buildElimination(bracket, ids, isDouble) {
+    const size = 2 ** Math.ceil(Math.log2(ids.length));
+    const rounds = Math.log2(size);
+    const matchId = (prefix, round, index) => `${prefix}${round}-${index + 1}`;
+
+    // Winners bracket (the whole bracket for single elimination)
+    for (let round = 1; round <= rounds; round++) {
+        const count = size / 2 ** round;
+        for (let i = 0; i < count; i++) {
+            const match = createMatch(matchId('W', round, i), 'winners', round, i);
+            if (round < rounds) {
+                match.next = { matchId: matchId('W', round + 1, Math.floor(i / 2)), slot: i % 2 };
+            } else if (isDouble) {
+                match.next = { matchId: 'GF-1', slot: 0 };
+            }
+            bracket.matches.push(match);
+        }
+    }
+
+    if (isDouble) {
+        // Losers bracket: odd rounds pair up survivors, even rounds bring in
+        // the losers of the next winners round (reversed every other round to
+        // avoid immediate rematches)
+        const loserRounds = 2 * (rounds - 1);
+        for (let round = 1; round <= loserRounds; round++) {
+            const count = size / 2 ** (Math.floor((round + 1) / 2) + 1);
+            for (let i = 0; i < count; i++) {
+                const match = createMatch(matchId('L', round, i), 'losers', round, i);
+                if (round === loserRounds) {
+                    match.next = { matchId: 'GF-1', slot: 1 };
+                } else if (round % 2 === 1) {
+                    match.next = { matchId: matchId('L', round + 1, i), slot: 0 };
+                } else {
+                    match.next = { matchId: matchId('L', round + 1, Math.floor(i / 2)), slot: i % 2 };
+                }
+                bracket.matches.push(match);
+            }
+        }
+
+        bracket.matches.filter(match => match.bracket === 'winners').forEach(match => {
+            if (rounds === 1) {
+                match.loserNext = { matchId: 'GF-1', slot: 1 };
+            } else if (match.round === 1) {
+                match.loserNext = { matchId: matchId('L', 1, Math.floor(match.index / 2)), slot: match.index % 2 };
+            } else {
+                const count = size / 2 ** match.round;
+                const index = match.round % 2 === 0 ? count - 1 - match.index : match.index;
+                match.loserNext = { matchId: matchId('L', 2 * (match.round - 1), index), slot: 1 };
+            }
+        });
+
+        // Grand final, plus a reset match played only if the losers bracket
+        // champion wins the first one
+        bracket.matches.push(createMatch('GF-1', 'final', 1, 0));
+        bracket.matches.push(createMatch('GF-2', 'final', 2, 0));
+    }
+
+    // Seat the participants; missing seeds become byes
+    const seats = bracketSeedOrder(size).map(seed => ids[seed - 1] || BYE);
+    bracket.matches.filter(match => match.bracket === 'winners' && match.round === 1).forEach(match => {
+        match.slots = [seats[match.index * 2], seats[match.index * 2 + 1]];
+    });
+    bracket.matches.filter(match => match.bracket === 'winners' && match.round === 1).forEach(match => {
+        resolveByes(bracket, match);
+    });
+}
+
+// Circle method: one participant stays put while the others rotate
+function buildRoundRobin(bracket, ids) {
+    const seats = ids.length % 2 === 0 ? [...ids] : [...ids, BYE];
+    const rounds = seats.length - 1;
+    for (let round = 1; round <= rounds; round++) {
+        for (let i = 0; i < seats.length / 2; i++) {
+            const match = createMatch(`R${round}-${i + 1}`, 'round_robin', round, i, [seats[i], seats[seats.length - 1 - i]]);
+            if (match.slots.includes(BYE)) {
+                match.winner = match.slots[0] === BYE ? match.slots[1] : match.slots[0];
+                match.loser = BYE;
+                match.isBye = true;
+            }
+            bracket.matches.push(match);
+        }
+        seats.splice(1, 0, seats.pop());
+    }
+}
+
+function findMatch(bracket, id) {
+    return bracket.matches.find(match => match.id === id);
+}
+
+function placeInSlot(bracket, target, participantId) {
+    if (!target) return;
+    const match = findMatch(bracket, target.matchId);
+    match.slots[target.slot] = participantId;
+    resolveByes(bracket, match);
+}
+
+// A match with a bye in it is decided as soon as both slots are known
+function resolveByes(bracket, match) {
+    if (match.winner || match.slots.includes(null) || !match.slots.includes(BYE)) return;
+    const winner = match.slots[0] === BYE ? match.slots[1] : match.slots[0];
+    match.isBye = true;
+    completeMatch(bracket, match, winner, BYE, '');
+}
+
+function completeMatch(bracket, match, winner, loser, score) {
+    match.winner = winner;
+    match.loser = loser;
+    match.score = score;
+
+    if (match.id === 'GF-1') {
+        const reset = findMatch(bracket, 'GF-2');
+        if (winner === match.slots[0]) {
+            reset.skipped = true;
+            bracket.championId = winner;
+        } else {
+            reset.slots = [...match.slots];
+        }
+        return;
+    }
+
+    if (!match.next && match.bracket !== 'round_robin') {
+        bracket.championId = winner === BYE ? null : winner;
+        return;
+    }
+
+    placeInSlot(bracket, match.next, winner);
+    placeInSlot(bracket, match.loserNext, loser);
+}
+
+// Matches still waiting for a result from the organizer
+function isMatchPlayable(match) {
+    return !match.winner && !match.skipped && match.slots.every(slot => slot && slot !== BYE);
+}
+
+function reportBracketResult(bracket, matchId, winnerId, score = '') {
+    const match = findMatch(bracket, matchId);
+    if (!match) {
+        throw new Error(t('error.matchNotFound'));
+    }
+    if (!isMatchPlayable(match)) {
+        throw new Error(t('error.matchNotReady'));
+    }
+
+    if (winnerId === 'draw') {
+        if (bracket.format !== 'round_robin') {
+            throw new Error(t('error.drawRoundRobinOnly'));
+        }
+        match.winner = 'draw';
+        match.loser = 'draw';
+        match.score = score;
+    } else {
+        if (!match.slots.includes(winnerId)) {
+            throw new Error(t('error.winnerNotInMatch'));
+        }
+        const loser = match.slots[0] === winnerId ? match.slots[1] : match.slots[0];
+        completeMatch(bracket, match, winnerId, loser, score);
+    }
+
+    if (bracket.format === 'round_robin' && bracket.matches.every(item => item.winner)) {
+        bracket.championId = getRoundRobinStandings(bracket)[0].id;
+    }
+    return bracket;
+}
+
+// A result can be taken back while nothing downstream depends on it, other
+// than matches that were only decided because of a bye
+function canUndoMatch(bracket, match) {
+    if (!match.winner || match.isBye) return false;
+    if (match.bracket === 'round_robin') return true;
+    if (match.id === 'GF-1') {
+        return !findMatch(bracket, 'GF-2').winner;
+    }
+    return canUndoDownstream(bracket, match);
+}
+
+function canUndoDownstream(bracket, match) {
+    return [match.next, match.loserNext].every(target => {
+        if (!target) return true;
+        const next = findMatch(bracket, target.matchId);
+        return !next.winner || (next.isBye && canUndoDownstream(bracket, next));
+    });
+}
+
+function retractFromSlot(bracket, target) {
+    if (!target) return;
+    const match = findMatch(bracket, target.matchId);
+    if (match.isBye) {
+        retractFromSlot(bracket, match.next);
+        retractFromSlot(bracket, match.loserNext);
+        match.winner = null;
+        match.loser = null;
+        match.isBye = false;
+    }
+    match.slots[target.slot] = null;
+}
+
+function undoBracketResult(bracket, matchId) {
+    const match = findMatch(bracket, matchId);
+    if (!match || !canUndoMatch(bracket, match)) {
+        throw new Error(t('error.resultLocked'));
+    }
+
+    if (match.id === 'GF-1') {
+        const reset = findMatch(bracket, 'GF-2');
+        reset.slots = [null, null];
+        reset.skipped = false;
+    } else if (match.bracket !== 'round_robin') {
+        retractFromSlot(bracket, match.next);
+        retractFromSlot(bracket, match.loserNext);
+    }
+
+    match.winner = null;
+    match.loser = null;
+    match.score = '';
+    bracket.championId = null;
+    return bracket;
+}
+
+// Win = 1 point, draw = ½; byes are not counted
+function getRoundRobinStandings(bracket) {
+    const rows = new Map(bracket.participants.map(p => [p.id, {
+        id: p.id, name: p.name, played: 0, wins: 0, draws: 0, losses: 0, points: 0
+    }]));
+
+    bracket.matches.filter(match => match.winner && !match.isBye).forEach(match => {
+        match.slots.forEach(id => {
+            const row = rows.get(id);
+            row.played++;
+            if (match.winner === 'draw') {
+                row.draws++;
+                row.points += 0.5;
+            } else if (match.winner === id) {
+                row.wins++;
+                row.points += 1;
+            } else {
+                row.losses++;
+            }
+        });
+    });
+
+    return [...rows.values()].sort((a, b) =>
+        b.points - a.points || b.wins - a.wins || a.name.localeCompare(b.name)
+    );
+}
+
+// Swiss System
+// Each round pairs players with equal (or the closest) scores who have not
+// met yet. Results are stored from white's point of view; a bye is a pairing
+// without a black player and is worth a full point.
+const SWISS_RESULTS = {
+    '1-0': [1, 0],
+    '0-1': [0, 1],
+    '½-½': [0.5, 0.5]
+};
+const SWISS_BYE_POINTS = 1;
+const SWISS_PAIRING_BUDGET = 200000;
+
+// Odd fields give everyone a bye once, so they can play one round more
+function getMaxSwissRounds(playerCount) {
+    return playerCount % 2 === 0 ? playerCount - 1 : playerCount;
+}
+
+function createSwissTournament(participants, totalRounds) {
+    if (participants.length < 2) {
+        throw new Error(t('error.swissTooFewParticipants'));
+    }
+    if (!Number.isInteger(totalRounds) || totalRounds < 1 || totalRounds > getMaxSwissRounds(participants.length)) {
+        throw new Error(t('error.swissRoundCount', { max: getMaxSwissRounds(participants.length) }));
+    }
+
+    return {
+        createdAt: new Date().toISOString(),
+        totalRounds,
+        participants: participants.map(({ id, name }, index) => ({ id, name, number: index + 1 })),
+        rounds: []
+    };
+}
+
+function getSwissPlayerStats(swiss) {
+    const stats = new Map(swiss.participants.map(p => [p.id, {
+        ...p, score: 0, byes: 0, opponents: [], colors: [], results: []
+    }]));
+
+    swiss.rounds.forEach(round => round.pairings.forEach(pairing => {
+        const white = stats.get(pairing.white);
+        if (!pairing.black) {
+            white.byes++;
+            white.score += SWISS_BYE_POINTS;
+            return;
+        }
+
+        const black = stats.get(pairing.black);
+        white.opponents.push(black.id);
+        black.opponents.push(white.id);
+        white.colors.push('white');
+        black.colors.push('black');
+        if (pairing.result) {
+            const [whitePoints, blackPoints] = SWISS_RESULTS[pairing.result];
+            white.score += whitePoints;
+            black.score += blackPoints;
+            white.results.push({ opponent: black.id, points: whitePoints });
+            black.results.push({ opponent: white.id, points: blackPoints });
+        }
+    }));
+    return stats;
+}
+
+// Buchholz: sum of the opponents' scores.
+// Sonneborn-Berger: scores of beaten opponents plus half of drawn ones.
+function getSwissStandings(swiss) {
+    const stats = getSwissPlayerStats(swiss);
+    return [...stats.values()].map(player => ({
+        id: player.id,
+        name: player.name,
+        number: player.number,
+        score: player.score,
+        played: player.results.length,
+        byes: player.byes,
+        buchholz: player.opponents.reduce((sum, id) => sum + stats.get(id).score, 0),
+        sonnebornBerger: player.results.reduce((sum, result) => sum + result.points * stats.get(result.opponent).score, 0)
+    })).sort((a, b) =>
+        b.score - a.score ||
+        b.buchholz - a.buchholz ||
+        b.sonnebornBerger - a.sonnebornBerger ||
+        a.number - b.number
+    );
+}
+
+function getCurrentSwissRound(swiss) {
+    return swiss.rounds[swiss.rounds.length - 1] || null;
+}
+
+function isSwissRoundComplete(round) {
+    return round.pairings.every(pairing => pairing.result);
+}
+
+function pairSwissRound(swiss) {
+    const current = getCurrentSwissRound(swiss);
+    if (current && !isSwissRoundComplete(current)) {
+        throw new Error(t('error.swissRoundIncomplete'));
+    }
+    if (swiss.rounds.length >= swiss.totalRounds) {
+        throw new Error(t('error.swissAllPaired'));
+    }
+
+    const ranked = [...getSwissPlayerStats(swiss).values()]
+        .sort((a, b) => b.score - a.score || a.number - b.number);
+
+    // With an odd field the bye goes to the lowest-ranked player who has not
+    // had one, moving up the table until the rest can still be paired
+    const byeCandidates = ranked.length % 2 === 0
+        ? [null]
+        : [...ranked].reverse().sort((a, b) => a.byes - b.byes);
+
+    const budget = { steps: 0 };
+    for (const byePlayer of byeCandidates) {
+        const pairs = findSwissPairs(ranked.filter(p => p !== byePlayer), budget);
+        if (!pairs) continue;
+
+        const round = swiss.rounds.length + 1;
+        const pairings = pairs.map(([a, b], index) => {
+            const [white, black] = assignSwissColors(a, b);
+            return { id: `S${round}-${index + 1}`, white: white.id, black: black.id, result: null };
+        });
+        if (byePlayer) {
+            pairings.push({ id: `S${round}-bye`, white: byePlayer.id, black: null, result: 'bye' });
+        }
+        swiss.rounds.push({ number: round, createdAt: new Date().toISOString(), pairings });
+        return swiss;
+    }
+
+    throw new Error(t('error.swissNoPairing'));
+}
+
+// Backtracking search: the top unpaired player takes the preferred opponent
+// that still lets everyone else be paired without rematches
+function findSwissPairs(players, budget) {
+    if (players.length === 0) return [];
+    if (++budget.steps > SWISS_PAIRING_BUDGET) return null;
+
+    const [first, ...rest] = players;
+    const group = players.filter(p => p.score === first.score);
+    const half = Math.floor(group.length / 2);
+
+    // Same score group first, ideally the player half a group below (top half
+    // meets bottom half), then the nearest score groups
+    const candidates = rest
+        .filter(p => !first.opponents.includes(p.id))
+        .sort((a, b) =>
+            Math.abs(first.score - a.score) - Math.abs(first.score - b.score) ||
+            Math.abs(players.indexOf(a) - half) - Math.abs(players.indexOf(b) - half)
+        );
+
+    for (const opponent of candidates) {
+        const pairs = findSwissPairs(rest.filter(p => p !== opponent), budget);
+        if (pairs) return [[first, opponent], ...pairs];
+    }
+    return null;
+}
+
+// Whoever has played black more often gets white; ties go to whoever had
+// black last, then to the higher-ranked player
+function assignSwissColors(a, b) {
+    const balance = player => player.colors.reduce((sum, color) => sum + (color === 'white' ? 1 : -1), 0);
+    const last = player => player.colors[player.colors.length - 1];
+
+    if (balance(a) !== balance(b)) {
+        return balance(a) < balance(b) ? [a, b] : [b, a];
+    }
+    if (last(a) !== last(b)) {
+        return last(b) === 'black' ? [b, a] : [a, b];
+    }
+    return [a, b];
+}
+
+function setSwissResult(swiss, roundNumber, pairingId, result) {
+    const round = swiss.rounds.find(item => item.number === roundNumber);
+    const pairing = round && round.pairings.find(item => item.id === pairingId);
+    if (!pairing || !pairing.black) {
+        throw new Error(t('error.pairingNotFound'));
+    }
+    if (result && !SWISS_RESULTS[result]) {
+        throw new Error(`Unknown result: ${result}`);
+    }
+    pairing.result = result || null;
+    return swiss;
+}
+
+// Registration Form Fields
+// Organizers can ask extra questions on top of name and email. Each field is
+// { id, label, type, required, options?, min?, max? }; min/max bound numbers
+// (e.g. rating ranges or age limits) and dates. Answers are stored on the
+// inscription under answers[field.id].
+const FORM_FIELD_TYPES = {
+    text: 'formFieldType.text',
+    number: 'formFieldType.number',
+    select: 'formFieldType.select',
+    checkbox: 'formFieldType.checkbox',
+    date: 'formFieldType.date'
+};
+
+function validateFormFieldDefinitions(fields) {
+    for (const field of fields) {
+        if (!field.label) {
+            return t('formField.labelRequired');
+        }
+        if (!FORM_FIELD_TYPES[field.type]) {
+            return t('formField.unknownType', { label: field.label });
+        }
+        if (field.type === 'select' && (!field.options || field.options.length === 0)) {
+            return t('formField.optionsRequired', { label: field.label });
+        }
+        if (field.type === 'number' && [field.min, field.max].some(limit => limit !== undefined && !Number.isFinite(limit))) {
+            return t('formField.limitsNotNumbers', { label: field.label });
+        }
+        if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+            return t('formField.limitsReversed', { label: field.label });
+        }
+    }
+
+    const labels = fields.map(field => field.label.toLowerCase());
+    if (new Set(labels).size !== labels.length) {
+        return t('formField.labelsNotUnique');
+    }
+    return null;
+}
+
+// Turns a raw form value into the stored answer. Returns { value } or
+// { error }; optional fields left empty come back as { value: null }.
+function parseFormFieldAnswer(field, raw) {
+    if (field.type === 'checkbox') {
+        if (field.required && !raw) {
+            return { error: t('formField.checkRequired', { label: field.label }) };
+        }
+        return { value: Boolean(raw) };
+    }
+
+    const text = (raw || '').trim();
+    if (text === '') {
+        return field.required ? { error: t('formField.required', { label: field.label }) } : { value: null };
+    }
+
+    if (field.type === 'number') {
+        const value = Number(text);
+        if (!Number.isFinite(value)) {
+            return { error: t('formField.notANumber', { label: field.label }) };
+        }
+        return checkFormFieldLimits(field, value, field.min, field.max);
+    }
+
+    if (field.type === 'date') {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(new Date(text))) {
+            return { error: t('formField.notADate', { label: field.label }) };
+        }
+        // ISO dates compare correctly as strings
+        return checkFormFieldLimits(field, text, field.min, field.max);
+    }
+
+    if (field.type === 'select' && !field.options.includes(text)) {
+        return { error: t('formField.chooseOption', { label: field.label }) };
+    }
+
+    return { value: text };
+}
+
+function checkFormFieldLimits(field, value, min, max) {
+    if (min !== undefined && max !== undefined && (value < min || value > max)) {
+        return { error: t('formField.between', { label: field.label, min, max }) };
+    }
+    if (min !== undefined && value < min) {
+        return { error: t('formField.atLeast', { label: field.label, min }) };
+    }
+    if (max !== undefined && value > max) {
+        return { error: t('formField.atMost', { label: field.label, max }) };
+    }
+    return { value };
+}
+
+function formatFormFieldAnswer(field, value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (field.type === 'checkbox') {
+        return value ? t('common.yes') : t('common.no');
+    }
+    return String(value);
+}
+
+// Teams
+// Keeps each team's members together, teams in order of first appearance.
+// Inscriptions without a team form a group of their own.
+function groupByTeam(inscriptions) {
+    const groups = new Map();
+    inscriptions.forEach(inscription => {
+        const key = inscription.teamId || inscription.id;
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(inscription);
+    });
+    return [...groups.values()];
+}
+
+// Message Templates
+// Replaces {{placeholder}} with its value; unknown placeholders stay as typed
+function fillMessageTemplate(text, values) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => key in values ? String(values[key]) : match);
+}
+
+function getDefaultMessageTemplate(kind, locale = getLocale()) {
+    return {
+        subject: t(`email.${kind}.subject`, {}, locale),
+        body: t(`email.${kind}.body`, {}, locale)
+    };
+}
+
+// Fees
+// The price of one registration: the member fee for members when the event
+// has one, less the early-bird discount until earlyBirdUntil, less the
+// discount code's percentage. Returns { fee } or { error } for an unknown
+// code; fee holds the fields stored on the inscription.
+function calculateFee(event, { member = false, discountCode = '' } = {}, now = new Date()) {
+    const tier = member && event.memberFeeAmount != null ? 'member' : 'standard';
+    let amount = tier === 'member' ? event.memberFeeAmount : event.feeAmount;
+    
+    const earlyBird = Boolean(event.earlyBirdDiscount && event.earlyBirdUntil && now < getEventTime(event, event.earlyBirdUntil));
+    if (earlyBird) {
+        amount = Math.max(0, amount - event.earlyBirdDiscount);
+    }
+    
+    const code = discountCode.trim().toUpperCase();
+    const discount = code ? (event.discountCodes || []).find(item => item.code === code) : null;
+    if (code && !discount) {
+        return { error: t('fee.invalidDiscountCode', { code: discountCode.trim() }) };
+    }
+    if (discount) {
+        amount = Math.round(amount * (100 - discount.percentOff) / 100);
+    }
+    
+    return {
+        fee: {
+            amountDue: amount,
+            currency: event.feeCurrency,
+            feeTier: tier,
+            earlyBird,
+            discountCode: discount ? discount.code : null,
+            paymentStatus: amount > 0 ? 'unpaid' : 'waived'
+        }
+    };
+}
+
+function hasFee(event) {
+    return event.feeAmount !== null && event.feeAmount !== undefined;
+}
+
+// 1250 -> "12.50" for number inputs; no amount leaves them empty
+function formatMoneyInput(cents) {
+    return cents === null || cents === undefined ? '' : (cents / 100).toFixed(2);
+}
+
+// "12.50" -> 1250; empty input is null, anything unreadable NaN
+function parseMoney(value) {
+    const text = String(value ?? '').trim();
+    return text === '' ? null : Math.round(parseFloat(text) * 100);
+}
+
+// "CLUB:10, STAFF:100" -> [{ code: 'CLUB', percentOff: 10 }, ...]
+function parseDiscountCodes(text) {
+    const codes = String(text || '').split(',').map(item => item.trim()).filter(Boolean).map(item => {
+        const [code, percentOff] = item.split(':').map(part => part.trim());
+        return { code: code.toUpperCase(), percentOff: Number(percentOff) };
+    });
+    return codes.length > 0 ? codes : null;
+}
+
+function formatDiscountCodes(codes) {
+    return (codes || []).map(item => `${item.code}:${item.percentOff}`).join(', ');
+}
+
+function formatMoney(cents, currency) {
+    return new Intl.NumberFormat(getIntlLocale(), { style: 'currency', currency }).format(cents / 100);
+}
+
+function isValidCurrency(currency) {
+    if (!/^[A-Z]{3}$/.test(currency || '')) {
+        return false;
+    }
+    return typeof Intl.supportedValuesOf !== 'function' || Intl.supportedValuesOf('currency').includes(currency);
+}
+
+// Organizer Passwords
+// Only a salted PBKDF2 hash is stored. With local storage the password is
+// checked here; server.js checks it itself and never sends the hash back.
+const PASSWORD_HASH_ITERATIONS = 100000;
+
+async function hashPassword(password, salt) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: PASSWORD_HASH_ITERATIONS },
+        key,
+        256
+    );
+    return Array.from(new Uint8Array(bits), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Check-in Tickets
+// A ticket is "GS1.<inscription id>.<signature>", the signature being an
+// HMAC of the event and inscription ids keyed with the inscription's secret
+// token. Registration IDs show up on printed lists, tokens only in the
+// participant's own links, so a ticket cannot be made up from a list.
+const CHECK_IN_TICKET_PREFIX = 'GS1';
+
+async function signCheckInTicket(inscription) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(inscription.token), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${inscription.eventId}.${inscription.id}`));
+    return Array.from(new Uint8Array(signature).slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// QR Codes
+// Just enough of ISO/IEC 18004 for check-in tickets: byte mode, error
+// correction level M and versions 1-10, which hold up to 213 bytes.
+// QR_VERSIONS[v] lists the error correction codewords per block, the
+// blocks as [count, data codewords] groups and the alignment centres.
+const QR_VERSIONS = [
+    null,
+    { ec: 10, blocks: [[1, 16]], align: [] },
+    { ec: 16, blocks: [[1, 28]], align: [6, 18] },
+    { ec: 26, blocks: [[1, 44]], align: [6, 22] },
+    { ec: 18, blocks: [[2, 32]], align: [6, 26] },
+    { ec: 24, blocks: [[2, 43]], align: [6, 30] },
+    { ec: 16, blocks: [[4, 27]], align: [6, 34] },
+    { ec: 18, blocks: [[4, 31]], align: [6, 22, 38] },
+    { ec: 22, blocks: [[2, 38], [2, 39]], align: [6, 24, 42] },
+    { ec: 22, blocks: [[3, 36], [2, 37]], align: [6, 26, 46] },
+    { ec: 26, blocks: [[4, 43], [1, 44]], align: [6, 28, 50] }
+];
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Log and antilog tables of GF(256) with the QR polynomial x^8+x^4+x^3+x^2+1
+const QR_GF_EXP = [];
+const QR_GF_LOG = [];
+for (let i = 0, value = 1; i < 255; i++) {
+    QR_GF_EXP[i] = value;
+    QR_GF_LOG[value] = i;
+    value = value & 0x80 ? ((value << 1) ^ 0x11d) : value << 1;
+}
+
+function qrMultiply(a, b) {
+    return a === 0 || b === 0 ? 0 : QR_GF_EXP[(QR_GF_LOG[a] + QR_GF_LOG[b]) % 255];
+}
+
+// Reed-Solomon remainder of data divided by the degree-n generator polynomial
+function qrErrorCorrection(data, degree) {
+    let generator = [1];
+    for (let i = 0; i < degree; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= qrMultiply(coefficient, QR_GF_EXP[i]);
+        });
+        generator = next;
+    }
+    
+    let remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder[0];
+        remainder = [...remainder.slice(1), 0];
+        for (let i = 0; i < degree; i++) {
+            remainder[i] ^= qrMultiply(generator[i + 1], factor);
+        }
+    });
+    return remainder;
+}
+
+// Data codewords followed by error correction, interleaved across blocks
+function encodeQrCodewords(bytes, version) {
+    const { ec, blocks: groups } = QR_VERSIONS[version];
+    const dataLength = groups.reduce((sum, [count, size]) => sum + count * size, 0);
+    
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, dataLength * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    for (let pad = 0xec; data.length < dataLength; pad ^= 0xec ^ 0x11) {
+        data.push(pad);
+    }
+    
+    const blocks = [];
+    let offset = 0;
+    groups.forEach(([count, size]) => {
+        for (let i = 0; i < count; i++) {
+            const block = data.slice(offset, offset + size);
+            blocks.push({ data: block, ec: qrErrorCorrection(block, ec) });
+            offset += size;
+        }
+    });
+    
+    const codewords = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(block => { if (i < block.data.length) codewords.push(block.data[i]); });
+    }
+    for (let i = 0; i < ec; i++) {
+        blocks.forEach(block => codewords.push(block.ec[i]));
+    }
+    return codewords;
+}
+
+// Lower is better: long runs, 2x2 blocks, finder look-alikes and an uneven
+// share of dark modules all make a code harder to read
+function scoreQrMatrix(modules) {
+    const size = modules.length;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i], modules.map(row => row[i]));
+    }
+    
+    let penalty = 0;
+    lines.forEach(line => {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+                continue;
+            }
+            if (run >= 5) penalty += run - 2;
+            run = 1;
+        }
+        const pattern = line.map(dark => dark ? 1 : 0).join('');
+        penalty += 40 * ((pattern.match(/(?=10111010000|00001011101)/g) || []).length);
+    });
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const color = modules[y][x];
+            if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+                penalty += 3;
+            }
+        }
+    }
+    const dark = modules.flat().filter(Boolean).length;
+    penalty += 10 * Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size));
+    return penalty;
+}
+
+// Returns rows of booleans, true for dark modules
+function createQrMatrix(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    const version = QR_VERSIONS.findIndex((entry, v) => entry &&
+        bytes.length <= Math.floor((entry.blocks.reduce((sum, [count, size]) => sum + count * size, 0) * 8 - (v < 10 ? 12 : 20)) / 8));
+    if (version === -1) {
+        throw new Error('Too much data for a QR code');
+    }
+    
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+    
+    // Finder patterns with their separators, then timing and alignment
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    });
+    for (let i = 8; i < size - 8; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+    // Alignment patterns go everywhere except on top of the finders
+    const centres = QR_VERSIONS[version].align;
+    const last = centres.length - 1;
+    centres.forEach((cy, i) => centres.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+    
+    // Format information (drawn for real once the mask is chosen) and the
+    // version blocks of versions 7 and up
+    const drawFormat = mask => {
+        let remainder = mask;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((mask << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true);
+    };
+    drawFormat(0);
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            set(size - 11 + i % 3, Math.floor(i / 3), dark);
+            set(Math.floor(i / 3), size - 11 + i % 3, dark);
+        }
+    }
+    
+    // Codewords zigzag up and down in two-module columns from the right,
+    // stepping over the vertical timing pattern
+    const codewords = encodeQrCodewords(bytes, version);
+    let bitIndex = 0;
+    for (let right = size - 1, upward = true; right >= 1; right -= 2, upward = !upward) {
+        if (right === 6) right = 5;
+        for (let step = 0; step < size; step++) {
+            const y = upward ? size - 1 - step : step;
+            for (const x of [right, right - 1]) {
+                if (reserved[y][x]) continue;
+                const byte = codewords[bitIndex >>> 3];
+                modules[y][x] = byte !== undefined && ((byte >>> (7 - (bitIndex & 7))) & 1) === 1;
+                bitIndex++;
+            }
+        }
+    }
+    
+    // Keep the mask that scores best
+    const masked = QR_MASKS.map((mask, index) => {
+        drawFormat(index);
+        return modules.map((row, y) => row.map((dark, x) => reserved[y][x] ? dark : dark !== mask(x, y)));
+    });
+    const scores = masked.map(scoreQrMatrix);
+    return masked[scores.indexOf(Math.min(...scores))];
+}
+
+// An SVG with the recommended four-module quiet zone
+function renderQrCode(text, { label = t('qr.label') } = {}) {
+    const modules = createQrMatrix(text);
+    const size = modules.length + 8;
+    const path = modules.flatMap((row, y) => row.map((dark, x) => dark ? `M${x + 4},${y + 4}h1v1h-1z` : '')).join('');
+    return html`
+        <svg class="qr-code" viewBox="0 0 ${size} ${size}" role="img" aria-label="${label}" shape-rendering="crispEdges">
+            <rect width="${size}" height="${size}" fill="#fff"/>
+            <path d="${path}" fill="#000"/>
+        </svg>
+    `;
+}
+
+// Initialize Data Manager
+const dataManager = new DataManager();
+
+// HTML Rendering
+// Markup is built with the html`` tag, which escapes every interpolated
+// value unless it is markup from another html`` template. Arrays render item
+// by item, so render functions may return a list of templates, and values
+// passed to inline handlers go through jsArg() to stay a single JS literal.
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function renderHtmlValue(value) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    if (value instanceof SafeHtml) {
+        return value.markup;
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderHtmlValue).join('');
+    }
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) => markup + renderHtmlValue(values[index - 1]) + string));
+}
+
+// onclick="deleteEvent(${jsArg(event.id)})": the JSON literal keeps quotes
+// in ids from ending the string, and html`` escapes it for the attribute
+function jsArg(value) {
+    return JSON.stringify(value);
+}
+
+// Utility Functions
+// Dates are shown in the page's language unless a locale is given (emails
+// use the participant's), and in the viewer's time zone unless one is given
+function formatDate(dateString, locale = getLocale(), timeZone = undefined) {
+    const date = new Date(dateString);
+    return date.toLocaleDateString(getIntlLocale(locale), {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone
+    });
+}
+
+// A wall-clock time exactly as written, wherever the viewer is
+function formatLocalDateTime(localDateTime, locale = getLocale()) {
+    return formatDate(zonedTimeToDate(localDateTime, 'UTC'), locale, 'UTC');
+}
+
+// Event times (date, registration window, early-bird deadline and session
+// dates) are wall-clock times in the event's own time zone. This is the
+// instant one of them refers to, for comparing with now.
+function getEventTime(event, localDateTime = event.date) {
+    return zonedTimeToDate(localDateTime, event.timezone);
+}
+
+// Shown in the event's time zone, followed by the viewer's own time when
+// their clock differs at that moment
+function formatEventDate(event, localDateTime = event.date, { locale = getLocale(), localTime = true } = {}) {
+    const eventTime = formatLocalDateTime(localDateTime, locale);
+    if (!event.timezone) {
+        return eventTime;
+    }
+    const instant = getEventTime(event, localDateTime);
+    const viewerTimeZone = getDefaultTimeZone();
+    const date = `${eventTime} (${event.timezone})`;
+    if (!localTime || getTimeZoneOffset(instant, viewerTimeZone) === getTimeZoneOffset(instant, event.timezone)) {
+        return date;
+    }
+    const sameDay = dateToZonedTime(instant, viewerTimeZone).slice(0, 10) === localDateTime.slice(0, 10);
+    const time = sameDay
+        ? instant.toLocaleTimeString(getIntlLocale(locale), { hour: '2-digit', minute: '2-digit' })
+        : formatDate(instant, locale);
+    return t('date.withLocalTime', { date, time });
+}
+
+function getDefaultTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// This time tomorrow on the clocks of timeZone, for new events
+function getDefaultEventDate(timeZone = getDefaultTimeZone()) {
+    return dateToZonedTime(new Date(Date.now() + 24 * 60 * 60 * 1000), timeZone);
+}
+
+// Series dates are wall-clock times counted in UTC, so a daylight saving
+// change between two occurrences leaves their time of day alone
+function getSeriesDates(startDate, { frequency, interval, until, exceptions = [] }) {
+    const start = new Date(`${startDate}Z`);
+    const dates = [];
+    for (let step = 0; dates.length <= MAX_SERIES_OCCURRENCES; step++) {
+        const date = frequency === 'monthly'
+            ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step * interval, start.getUTCDate(), start.getUTCHours(), start.getUTCMinutes()))
+            : new Date(start.getTime() + step * interval * 7 * 24 * 60 * 60 * 1000);
+        const localDateTime = date.toISOString().slice(0, 16);
+        if (localDateTime.slice(0, 10) > until) {
+            break;
+        }
+        if (date.getUTCDate() === start.getUTCDate() || frequency !== 'monthly') {
+            if (!exceptions.includes(localDateTime.slice(0, 10))) {
+                dates.push(localDateTime);
+            }
+        }
+    }
+    return dates;
+}
+
+// Move a wall-clock time by as much as 'from' is to 'to'
+function shiftLocalDateTime(localDateTime, from, to) {
+    if (!localDateTime) {
+        return localDateTime;
+    }
+    const offset = new Date(`${to}Z`) - new Date(`${from}Z`);
+    return new Date(new Date(`${localDateTime}Z`).getTime() + offset).toISOString().slice(0, 16);
+}
+
+// "Every 2 weeks until Dec 20, 2026"
+function describeSeriesRule(rule) {
+    return t(rule.frequency === 'monthly' ? 'series.everyMonths' : 'series.everyWeeks', {
+        count: rule.interval,
+        date: formatDateShort(`${rule.until}T00:00`)
+    });
+}
+
+// People are told apart by email address, case-insensitively
+function normalizeEmail(email) {
+    return (email || '').trim().toLowerCase();
+}
+
+function formatDateShort(dateString) {
+    const date = new Date(dateString);
+    return date.toLocaleDateString(getIntlLocale(), {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+    });
+}
+
+function showNotification(message, type = 'success') {
+    // Create notification element
+    const notification = document.createElement('div');
+    notification.className = `notification notification-${type}`;
+    notification.innerHTML = html`
+        <div class="notification-content">
+            <span class="notification-icon">${type === 'success' ? '✅' : '❌'}</span>
+            <span class="notification-message">${message}</span>
+        </div>
+    `;
+    
+    // Add styles
+    notification.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        background: ${type === 'success' ? '#28A745' : '#DC3545'};
+        color: white;
+        padding: 15px 20px;
+        border-radius: 8px;
+        box-shadow: 0 4px 15px rgba(0,0,0,0.2);
+        z-index: 3000;
+        animation: slideInRight 0.3s ease-out;
+        max-width: 300px;
+    `;
+    
+    document.body.appendChild(notification);
+    
+    // Remove after 3 seconds
+    setTimeout(() => {
+        notification.style.animation = 'slideOutRight 0.3s ease-out';
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.parentNode.removeChild(notification);
+            }
+        }, 300);
+    }, 3000);
+}
+
+// Home Page Functions
+function joinFromLink() {
+    const linkInput = document.getElementById('joinLink');
+    const link = linkInput.value.trim();
+    
+    if (!link) {
+        showNotification(t('home.invalidLink'), 'error');
+        return;
+    }
+    
+    // Extract event ID from URL
+    const url = new URL(link);
+    const eventId = url.searchParams.get('id');
+    
+    if (!eventId) {
+        showNotification(t('home.invalidLinkFormat'), 'error');
+        return;
+    }
+    
+    // Redirect to inscription page
+    window.location.href = `inscription.html?id=${eventId}`;
+}
+
+// Organizer Account Functions
+// The signed-in organizer is remembered for the browser tab only
+const SESSION_KEY = 'goldensign_session';
+let currentOrganizer = null;
+
+function restoreOrganizerSession() {
+    currentOrganizer = dataManager.resumeSession(sessionStorage.getItem(SESSION_KEY));
+    showManagerAccess();
+}
+
+function startOrganizerSession(organizer) {
+    currentOrganizer = organizer;
+    sessionStorage.setItem(SESSION_KEY, organizer.id);
+    showManagerAccess();
+}
+
+async function signOut() {
+    currentOrganizer = null;
+    sessionStorage.removeItem(SESSION_KEY);
+    try {
+        await dataManager.signOut();
+    } catch (err) {
+        console.error('Error signing out:', err);
+    }
+    document.querySelectorAll('.modal').forEach(modal => {
+        modal.classList.remove('show');
+        modal.style.display = 'none';
+    });
+    showManagerAccess();
+}
+
+// The dashboard stays hidden until an organizer signs in
+function showManagerAccess() {
+    const signedIn = Boolean(currentOrganizer);
+    document.getElementById('authSection').style.display = signedIn ? 'none' : '';
+    document.getElementById('dashboardTabs').style.display = signedIn ? '' : 'none';
+    document.getElementById('organizerMenu').style.display = signedIn ? 'flex' : 'none';
+    
+    if (!signedIn) {
+        ['createSection', 'eventsSection', 'communitiesSection', 'participantsSection'].forEach(id => {
+            document.getElementById(id).style.display = 'none';
+        });
+        switchAuthMode(dataManager.organizers.length === 0 ? 'signup' : 'signin');
+        return;
+    }
+    document.getElementById('organizerName').textContent = currentOrganizer.name;
+    document.querySelectorAll('.admin-only').forEach(element => {
+        element.style.display = currentOrganizer.isAdmin ? '' : 'none';
+    });
+    switchTab('create');
+    updateTemplateSelect();
+    updateEventsList();
+}
+
+function switchAuthMode(mode) {
+    document.getElementById('signInForm').style.display = mode === 'signin' ? '' : 'none';
+    document.getElementById('signUpForm').style.display = mode === 'signup' ? '' : 'none';
+}
+
+async function handleSignInSubmit(submitEvent) {
+    submitEvent.preventDefault();
+    
+    const formData = new FormData(submitEvent.target);
+    const organizer = await dataManager.authenticate(formData.get('email'), formData.get('password'));
+    if (!organizer) {
+        showNotification(t('auth.wrongCredentials'), 'error');
+        return;
+    }
+    
+    submitEvent.target.reset();
+    startOrganizerSession(organizer);
+    showNotification(t('auth.welcomeBack', { name: organizer.name }));
+}
+
+async function handleSignUpSubmit(submitEvent) {
+    submitEvent.preventDefault();
+    
+    const formData = new FormData(submitEvent.target);
+    const name = formData.get('name').trim();
+    const email = formData.get('email').trim();
+    const password = formData.get('password');
+    
+    if (!name || !EMAIL_PATTERN.test(email)) {
+        showNotification(t('auth.nameAndEmailRequired'), 'error');
+        return;
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        showNotification(t('auth.passwordTooShort', { count: MIN_PASSWORD_LENGTH }), 'error');
+        return;
+    }
+    if (password !== formData.get('passwordConfirm')) {
+        showNotification(t('auth.passwordMismatch'), 'error');
+        return;
+    }
+    
+    let organizer;
+    try {
+        organizer = await dataManager.createOrganizer({ name, email, password });
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('auth.signUpFailed'), 'error');
+        return;
+    }
+    
+    submitEvent.target.reset();
+    startOrganizerSession(organizer);
+    showNotification(t('auth.accountCreated'));
+}
+
+function organizerCan(event, permission) {
+    return Boolean(currentOrganizer) && dataManager.can(event, currentOrganizer.id, permission);
+}
+
+// Look up an event for an action and refuse it when the signed-in
+// organizer's role does not include the permission
+function requireEventPermission(eventId, permission) {
+    const event = dataManager.getEvent(eventId);
+    if (!event || !dataManager.getEventRole(event, currentOrganizer && currentOrganizer.id)) {
+        showNotification(t('error.eventNotFound'), 'error');
+        return null;
+    }
+    if (!organizerCan(event, permission)) {
+        showNotification(t('sharing.notAllowed', { title: event.title }), 'error');
+        return null;
+    }
+    return event;
+}
+
+function renderEventRoleBadge(event) {
+    const role = dataManager.getEventRole(event, currentOrganizer.id);
+    return html`<span class="role-badge ${role}">${t(EVENT_ROLES[role].label)}</span>`;
+}
+
+// Co-organizers of an event; only the owner can change them
+function renderEventSharing(event) {
+    const owner = dataManager.getOrganizer(event.ownerId);
+    const collaborators = (event.collaborators || [])
+        .map(item => ({ ...item, organizer: dataManager.getOrganizer(item.organizerId) }))
+        .filter(item => item.organizer);
+    const canShare = organizerCan(event, 'share');
+    
+    return html`
+        <div class="event-sharing">
+            <label><strong>${t('sharing.organizers')}:</strong></label>
+            <ul class="event-sharing-list">
+                <li class="event-sharing-item">
+                    <span>${owner ? `${owner.name} (${owner.email})` : t('sharing.noOwner')}</span>
+                    <span class="role-badge owner">${t('role.owner')}</span>
+                </li>
+                ${collaborators.map(item => html`
+                    <li class="event-sharing-item">
+                        <span>${item.organizer.name} (${item.organizer.email})</span>
+                        ${canShare ? html`
+                            <span class="table-actions">
+                                <select onchange="shareEventWith(${jsArg(event.id)}, ${jsArg(item.organizer.email)}, this.value)">
+                                    <option value="editor" ${item.role === 'editor' ? 'selected' : ''}>${t('role.editor')}</option>
+                                    <option value="viewer" ${item.role === 'viewer' ? 'selected' : ''}>${t('role.viewer')}</option>
+                                </select>
+                                <button type="button" class="btn btn-secondary btn-small" onclick="removeCoOrganizer(${jsArg(event.id)}, ${jsArg(item.organizerId)})">${t('common.remove')}</button>
+                            </span>
+                        ` : html`<span class="role-badge ${item.role}">${t(EVENT_ROLES[item.role].label)}</span>`}
+                    </li>
+                `)}
+            </ul>
+            ${canShare ? html`
+                <form class="inline-form" onsubmit="handleShareSubmit(event)">
+                    <input type="email" name="email" required placeholder="${t('sharing.emailPlaceholder')}">
+                    <select name="role">
+                        <option value="editor">${t('role.editor')}</option>
+                        <option value="viewer">${t('role.viewer')}</option>
+                    </select>
+                    <button type="submit" class="btn btn-secondary btn-small">${t('sharing.share')}</button>
+                </form>
+                <small class="form-hint">${t('sharing.rolesHint')}</small>
+            ` : ''}
+        </div>
+    `;
+}
+
+async function shareEventWith(eventId, email, role) {
+    if (!requireEventPermission(eventId, 'share')) return;
+    
+    let event;
+    try {
+        event = await dataManager.shareEvent(eventId, email, role);
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message, 'error');
+        return;
+    }
+    showNotification(t('sharing.updated'));
+    showEventModal(event);
+}
+
+function handleShareSubmit(submitEvent) {
+    submitEvent.preventDefault();
+    const formData = new FormData(submitEvent.target);
+    shareEventWith(document.getElementById('eventModal').dataset.eventId, formData.get('email'), formData.get('role'));
+}
+
+async function removeCoOrganizer(eventId, organizerId) {
+    if (!requireEventPermission(eventId, 'share')) return;
+    
+    let event;
+    try {
+        event = await dataManager.unshareEvent(eventId, organizerId);
+    } catch (err) {
+        console.error(err);
+        showNotification(t('sharing.removeFailed'), 'error');
+        return;
+    }
+    showNotification(t('sharing.removed'));
+    showEventModal(event);
+}
+
+// Manager Page Functions
+let currentEventType = 'tournament';
+let currentTab = 'create';
+
+function toggleEventType(type) {
+    currentEventType = type;
+    
+    // Update button states
+    document.getElementById('tournamentBtn').classList.toggle('active', type === 'tournament');
+    document.getElementById('courseBtn').classList.toggle('active', type === 'course');
+    
+    // Update form placeholder
+    const titleInput = document.getElementById('eventTitle');
+    titleInput.placeholder = type === 'tournament' ? t('eventForm.tournamentTitlePlaceholder') : t('eventForm.courseTitlePlaceholder');
+}
+
+function switchTab(tab) {
+    currentTab = tab;
+    
+    // Update tab buttons
+    document.getElementById('createTab').classList.toggle('active', tab === 'create');
+    document.getElementById('communitiesTab').classList.toggle('active', tab === 'communities');
+    document.getElementById('participantsTab').classList.toggle('active', tab === 'participants');
+    
+    // Show/hide sections
+    document.getElementById('createSection').style.display = tab === 'create' ? 'block' : 'none';
+    document.getElementById('eventsSection').style.display = tab === 'create' ? 'block' : 'none';
+    document.getElementById('communitiesSection').style.display = tab === 'communities' ? 'block' : 'none';
+    document.getElementById('participantsSection').style.display = tab === 'participants' ? 'block' : 'none';
+    
+    // Update communities data when switching to communities tab
+    if (tab === 'communities') {
+        updateCommunitiesList();
+    }
+    if (tab === 'participants') {
+        updateParticipantsList();
+    }
+}
+
+async function handleEventFormSubmit(event) {
+    event.preventDefault();
+    
+    const formData = new FormData(event.target);
+    const eventData = readEventForm(event.target);
+    const rule = formData.get('repeat') === 'on' ? readSeriesRule(formData) : null;
+    
+    // Validate form
+    const validationError = validateEventData(eventData)
+        || validateFormFieldDefinitions(eventData.formFields)
+        || (rule && validateSeriesRule(eventData.date, rule));
+    if (validationError) {
+        showNotification(validationError, 'error');
+        return;
+    }
+    
+    // Create event, or every occurrence of a series
+    let newEvent;
+    let occurrences = 1;
+    try {
+        if (rule) {
+            const { events } = await dataManager.createSeries(eventData, rule);
+            newEvent = events[0];
+            occurrences = events.length;
+        } else {
+            newEvent = await dataManager.createEvent(eventData);
+        }
+    } catch (err) {
+        console.error(err);
+        showNotification(t('eventForm.saveFailed'), 'error');
+        return;
+    }
+    
+    // Show success message and open modal
+    showNotification(rule
+        ? t('series.created', { count: occurrences })
+        : t(currentEventType === 'tournament' ? 'eventForm.tournamentCreated' : 'eventForm.courseCreated'));
+    
+    // Reset form
+    resetEventForm();
+    
+    // Update events list
+    updateEventsList();
+    
+    // Show event details modal
+    showEventModal(newEvent);
+}
+
+function readEventForm(form) {
+    const formData = new FormData(form);
+    const eventData = {
+        title: formData.get('title'),
+        description: formData.get('description'),
+        maxParticipants: parseInt(formData.get('maxParticipants')),
+        date: formData.get('date'),
+        type: currentEventType,
+        waitlistEnabled: formData.get('waitlistEnabled') === 'on',
+        registrationOpensAt: formData.get('registrationOpensAt') || null,
+        registrationClosesAt: formData.get('registrationClosesAt') || null,
+        verificationRequired: formData.get('verificationRequired') === 'on',
+        verificationHoldMinutes: parseInt(formData.get('verificationHoldMinutes')),
+        durationMinutes: parseInt(formData.get('durationMinutes')),
+        timezone: formData.get('timezone').trim(),
+        location: formData.get('location').trim(),
+        ...readFeeFields(formData, { enabled: formData.get('feeEnabled') === 'on' }),
+        formFields: collectFormFields(),
+        ownerId: currentOrganizer.id
+    };
+    if (formData.get('teamMode') === 'on') {
+        eventData.teamMode = true;
+        eventData.teamSizeMin = parseInt(formData.get('teamSizeMin'));
+        eventData.teamSizeMax = parseInt(formData.get('teamSizeMax'));
+    }
+    return eventData;
+}
+
+function resetEventForm() {
+    document.getElementById('eventForm').reset();
+    document.getElementById('formFieldsList').innerHTML = '';
+    toggleTeamSizeFields(false);
+    toggleVerificationFields(false);
+    toggleFeeFields(false);
+    toggleSeriesFields(false);
+    document.getElementById('timezone').value = getDefaultTimeZone();
+    document.getElementById('eventDate').value = getDefaultEventDate();
+    document.getElementById('deleteTemplateBtn').disabled = true;
+}
+
+// Skip dates are typed as "2026-12-24, 2026-12-31"
+function readSeriesRule(formData) {
+    return {
+        frequency: formData.get('seriesFrequency'),
+        interval: parseInt(formData.get('seriesInterval')),
+        until: formData.get('seriesUntil'),
+        exceptions: [...new Set(formData.get('seriesExceptions').split(',').map(day => day.trim()).filter(Boolean))].sort()
+    };
+}
+
+function validateSeriesRule(startDate, rule) {
+    if (!SERIES_FREQUENCIES[rule.frequency] || !(rule.interval >= 1)) {
+        return t('validation.seriesInterval');
+    }
+    if (!rule.until || rule.until < startDate.slice(0, 10)) {
+        return t('validation.seriesUntil');
+    }
+    if (rule.exceptions.some(day => !/^\d{4}-\d{2}-\d{2}$/.test(day))) {
+        return t('validation.seriesExceptions');
+    }
+    
+    const dates = getSeriesDates(startDate, rule);
+    if (dates.length === 0) {
+        return t('validation.seriesEmpty');
+    }
+    if (dates.length > MAX_SERIES_OCCURRENCES) {
+        return t('validation.seriesTooLong', { count: MAX_SERIES_OCCURRENCES });
+    }
+    return null;
+}
+
+function toggleSeriesFields(enabled) {
+    document.getElementById('seriesFields').style.display = enabled ? 'block' : 'none';
+}
+
+// Event Templates
+function updateTemplateSelect() {
+    const templates = dataManager.getTemplatesFor(currentOrganizer.id);
+    document.getElementById('templateSelect').innerHTML = html`
+        <option value="">${t('templates.none')}</option>
+        ${templates.map(template => html`<option value="${template.id}">${template.name}</option>`)}
+    `;
+    document.getElementById('deleteTemplateBtn').disabled = true;
+}
+
+// Fill the create form with a template's settings. The date and the
+// registration window are left as they are.
+function applyEventTemplate(templateId) {
+    const template = dataManager.getTemplate(templateId);
+    document.getElementById('deleteTemplateBtn').disabled = !template;
+    if (!template) return;
+    
+    const settings = template.settings;
+    const form = document.getElementById('eventForm');
+    toggleEventType(settings.type || 'tournament');
+    form.elements.title.value = settings.title || '';
+    form.elements.description.value = settings.description || '';
+    form.elements.maxParticipants.value = settings.maxParticipants || '';
+    form.elements.durationMinutes.value = settings.durationMinutes || DEFAULT_EVENT_DURATION_MINUTES;
+    form.elements.timezone.value = settings.timezone || getDefaultTimeZone();
+    form.elements.location.value = settings.location || '';
+    
+    form.elements.teamMode.checked = Boolean(settings.teamMode);
+    form.elements.teamSizeMin.value = settings.teamSizeMin || 2;
+    form.elements.teamSizeMax.value = settings.teamSizeMax || 2;
+    toggleTeamSizeFields(Boolean(settings.teamMode));
+    form.elements.waitlistEnabled.checked = Boolean(settings.waitlistEnabled);
+    form.elements.verificationRequired.checked = Boolean(settings.verificationRequired);
+    form.elements.verificationHoldMinutes.value = settings.verificationHoldMinutes || DEFAULT_VERIFICATION_HOLD_MINUTES;
+    toggleVerificationFields(Boolean(settings.verificationRequired));
+    
+    form.elements.feeEnabled.checked = hasFee(settings);
+    form.elements.feeAmount.value = formatMoneyInput(settings.feeAmount);
+    form.elements.feeCurrency.value = settings.feeCurrency || DEFAULT_FEE_CURRENCY;
+    form.elements.memberFeeAmount.value = formatMoneyInput(settings.memberFeeAmount);
+    form.elements.discountCodes.value = formatDiscountCodes(settings.discountCodes);
+    form.elements.earlyBirdDiscount.value = formatMoneyInput(settings.earlyBirdDiscount);
+    toggleFeeFields(hasFee(settings));
+    
+    document.getElementById('formFieldsList').innerHTML = '';
+    (settings.formFields || []).forEach(field => addFormFieldRow(field));
+}
+
+// Templates are named after the event title in the form
+async function saveEventTemplate() {
+    const eventData = readEventForm(document.getElementById('eventForm'));
+    const name = eventData.title.trim();
+    if (!name) {
+        showNotification(t('templates.titleRequired'), 'error');
+        return;
+    }
+    const existing = dataManager.getTemplatesFor(currentOrganizer.id).find(template => template.name === name);
+    if (existing && !confirm(t('templates.confirmReplace', { name }))) {
+        return;
+    }
+    
+    let template;
+    try {
+        template = await dataManager.saveTemplate(currentOrganizer.id, name, eventData);
+    } catch (err) {
+        console.error(err);
+        showNotification(t('templates.saveFailed'), 'error');
+        return;
+    }
+    updateTemplateSelect();
+    document.getElementById('templateSelect').value = template.id;
+    document.getElementById('deleteTemplateBtn').disabled = false;
+    showNotification(t('templates.saved', { name }));
+}
+
+async function deleteEventTemplate() {
+    const template = dataManager.getTemplate(document.getElementById('templateSelect').value);
+    if (!template || !confirm(t('templates.confirmDelete', { name: template.name }))) {
+        return;
+    }
+    
+    try {
+        await dataManager.deleteTemplate(template.id);
+    } catch (err) {
+        console.error(err);
+        showNotification(t('templates.deleteFailed'), 'error');
+        return;
+    }
+    updateTemplateSelect();
+    showNotification(t('templates.deleted', { name: template.name }));
+}
+
+// Shared by the create form and the edit mode of the event modal. Edits may
+// keep a date that has already passed, so only new dates must be upcoming.
+function validateEventData(eventData, { requireFutureDate = true } = {}) {
+    if (!eventData.title || !eventData.description || !eventData.maxParticipants || !eventData.date) {
+        return t('validation.requiredFields');
+    }
+    
+    if (eventData.maxParticipants < 1) {
+        return t('validation.maxParticipants');
+    }
+    
+    // The time zone decides which instants the dates below refer to
+    if (eventData.timezone && !isValidTimeZone(eventData.timezone)) {
+        return t('validation.timezone', { timezone: eventData.timezone });
+    }
+    
+    if (requireFutureDate && getEventTime(eventData) < new Date()) {
+        return t('validation.dateInPast');
+    }
+    
+    const { registrationOpensAt: opensAt, registrationClosesAt: closesAt } = eventData;
+    if (opensAt && closesAt && getEventTime(eventData, opensAt) >= getEventTime(eventData, closesAt)) {
+        return t('validation.registrationWindow');
+    }
+    
+    if (opensAt && getEventTime(eventData, opensAt) >= getEventTime(eventData)) {
+        return t('validation.registrationOpensAfterEvent');
+    }
+    
+    if (eventData.teamMode && !(eventData.teamSizeMin >= 1 && eventData.teamSizeMax >= eventData.teamSizeMin)) {
+        return t('validation.teamSize');
+    }
+    
+    if ('durationMinutes' in eventData && !(eventData.durationMinutes >= 1)) {
+        return t('validation.duration');
+    }
+    
+    if (eventData.verificationRequired && !(eventData.verificationHoldMinutes >= 1)) {
+        return t('validation.verificationHold');
+    }
+    
+    return hasFee(eventData) ? validateFeeFields(eventData) : null;
+}
+
+function validateFeeFields(eventData) {
+    if (!(eventData.feeAmount > 0)) {
+        return t('validation.feeAmount');
+    }
+    
+    if (!isValidCurrency(eventData.feeCurrency)) {
+        return t('validation.currency', { currency: eventData.feeCurrency });
+    }
+    
+    if (eventData.memberFeeAmount !== null && !(eventData.memberFeeAmount >= 0)) {
+        return t('validation.memberFee');
+    }
+    
+    if ((eventData.earlyBirdDiscount !== null) !== Boolean(eventData.earlyBirdUntil)) {
+        return t('validation.earlyBirdIncomplete');
+    }
+    
+    if (eventData.earlyBirdDiscount !== null && !(eventData.earlyBirdDiscount > 0)) {
+        return t('validation.earlyBirdAmount');
+    }
+    
+    const codes = eventData.discountCodes || [];
+    const invalid = codes.some(item => !/^[A-Z0-9_-]+$/.test(item.code) || !Number.isInteger(item.percentOff) || item.percentOff < 1 || item.percentOff > 100);
+    if (invalid) {
+        return t('validation.discountCodes');
+    }
+    
+    if (new Set(codes.map(item => item.code)).size !== codes.length) {
+        return t('validation.discountCodesUnique');
+    }
+    
+    return null;
+}
+
+// Shared by the create and edit forms. A blank fee makes the event free and
+// clears the other fee settings along with it.
+function readFeeFields(formData, { enabled = true } = {}) {
+    const feeAmount = enabled ? parseMoney(formData.get('feeAmount')) : null;
+    if (feeAmount === null) {
+        return { feeAmount: null, feeCurrency: null, memberFeeAmount: null, earlyBirdDiscount: null, earlyBirdUntil: null, discountCodes: null };
+    }
+    return {
+        feeAmount,
+        feeCurrency: formData.get('feeCurrency').trim().toUpperCase(),
+        memberFeeAmount: parseMoney(formData.get('memberFeeAmount')),
+        earlyBirdDiscount: parseMoney(formData.get('earlyBirdDiscount')),
+        earlyBirdUntil: formData.get('earlyBirdUntil') || null,
+        discountCodes: parseDiscountCodes(formData.get('discountCodes'))
+    };
+}
+
+// "€20.00 · Members €15.00 · €5.00 off until ..." for the modal and the
+// public event page
+function describeFee(event) {
+    const parts = [formatMoney(event.feeAmount, event.feeCurrency)];
+    if (event.memberFeeAmount !== null && event.memberFeeAmount !== undefined) {
+        parts.push(t('fee.members', { amount: formatMoney(event.memberFeeAmount, event.feeCurrency) }));
+    }
+    if (event.earlyBirdDiscount && getEventTime(event, event.earlyBirdUntil) > new Date()) {
+        parts.push(t('fee.earlyBird', { amount: formatMoney(event.earlyBirdDiscount, event.feeCurrency), date: formatEventDate(event, event.earlyBirdUntil) }));
+    }
+    return parts.join(' · ');
+}
+
+function toggleVerificationFields(enabled) {
+    document.getElementById('verificationFields').style.display = enabled ? 'block' : 'none';
+}
+
+function toggleFeeFields(enabled) {
+    document.getElementById('feeFields').style.display = enabled ? 'block' : 'none';
+}
+
+function toggleTeamSizeFields(enabled) {
+    document.getElementById('teamSizeFields').style.display = enabled ? 'grid' : 'none';
+    document.getElementById('maxParticipantsLabel').textContent = `${enabled ? t('eventForm.maxTeams') : t('eventForm.maxParticipants')} *`;
+}
+
+// Registration field builder rows in the create form, optionally filled
+// with a field from a template
+function addFormFieldRow(field = null) {
+    const row = document.createElement('div');
+    row.className = 'form-field-row';
+    row.dataset.fieldId = field ? field.id : dataManager.generateId();
+    row.innerHTML = html`
+        <input type="text" class="form-field-label" placeholder="${t('formFieldBuilder.questionPlaceholder')}">
+        <select class="form-field-type" onchange="updateFormFieldRow(this)">
+            ${Object.entries(FORM_FIELD_TYPES).map(([value, label]) => html`<option value="${value}">${t(label)}</option>`)}
+        </select>
+        <input type="text" class="form-field-options" placeholder="${t('formFieldBuilder.optionsPlaceholder')}">
+        <input type="number" class="form-field-min" placeholder="${t('formFieldBuilder.min')}">
+        <input type="number" class="form-field-max" placeholder="${t('formFieldBuilder.max')}">
+        <label class="form-field-required">
+            <input type="checkbox" class="form-field-required-input">
+            ${t('formFieldBuilder.required')}
+        </label>
+        <button type="button" class="btn btn-secondary btn-small" onclick="removeFormFieldRow(this)" title="${t('formFieldBuilder.remove')}">✕</button>
+    `;
+    document.getElementById('formFieldsList').appendChild(row);
+    if (field) {
+        row.querySelector('.form-field-label').value = field.label;
+        row.querySelector('.form-field-type').value = field.type;
+        row.querySelector('.form-field-options').value = (field.options || []).join(', ');
+        row.querySelector('.form-field-min').value = field.min ?? '';
+        row.querySelector('.form-field-max').value = field.max ?? '';
+        row.querySelector('.form-field-required-input').checked = Boolean(field.required);
+    }
+    updateFormFieldRow(row.querySelector('.form-field-type'));
+}
+
+// Only show the inputs that make sense for the chosen type
+function updateFormFieldRow(typeSelect) {
+    const row = typeSelect.closest('.form-field-row');
+    const type = typeSelect.value;
+    const hasLimits = type === 'number' || type === 'date';
+    
+    row.querySelector('.form-field-options').style.display = type === 'select' ? '' : 'none';
+    row.querySelectorAll('.form-field-min, .form-field-max').forEach(input => {
+        input.style.display = hasLimits ? '' : 'none';
+        input.type = type === 'date' ? 'date' : 'number';
+    });
+}
+
+function removeFormFieldRow(button) {
+    button.closest('.form-field-row').remove();
+}
+
+function collectFormFields() {
+    return [...document.querySelectorAll('#formFieldsList .form-field-row')].map(row => {
+        const type = row.querySelector('.form-field-type').value;
+        const field = {
+            id: row.dataset.fieldId,
+            label: row.querySelector('.form-field-label').value.trim(),
+            type,
+            required: row.querySelector('.form-field-required-input').checked
+        };
+        
+        if (type === 'select') {
+            field.options = row.querySelector('.form-field-options').value
+                .split(',')
+                .map(option => option.trim())
+                .filter(Boolean);
+        }
+        if (type === 'number' || type === 'date') {
+            const min = row.querySelector('.form-field-min').value;
+            const max = row.querySelector('.form-field-max').value;
+            if (min !== '') field.min = type === 'number' ? parseFloat(min) : min;
+            if (max !== '') field.max = type === 'number' ? parseFloat(max) : max;
+        }
+        return field;
+    });
+}
+
+function updateEventsList() {
+    const eventsList = document.getElementById('eventsList');
+    const events = dataManager.getEventsFor(currentOrganizer.id);
+    const eventsCount = document.getElementById('eventsCount');
+    
+    eventsCount.textContent = t('count.events', { count: events.length });
+    
+    if (events.length === 0) {
+        eventsList.innerHTML = html`
+            <div class="empty-state">
+                <div class="empty-icon">📅</div>
+                <h3>${t('events.emptyTitle')}</h3>
+                <p>${t('events.emptyText')}</p>
+            </div>
+        `;
+        return;
+    }
+    
+    eventsList.innerHTML = groupBySeries(events).map(group => group.series
+        ? renderSeriesGroup(group.series, group.events, renderEventCard)
+        : renderEventCard(group.events[0])
+    ).join('');
+}
+
+function renderEventCard(event) {
+    const inscriptions = dataManager.getAcceptedInscriptions(event.id);
+    const waitlist = dataManager.getWaitlist(event.id);
+    const availableSlots = dataManager.getAvailableSlots(event);
+    const registration = dataManager.getRegistrationWindow(event);
+    
+    return html`
+        <div class="event-card" data-event-id="${event.id}">
+            <div class="event-card-header">
+                <div>
+                    <h3 class="event-title">${event.title}</h3>
+                    <div class="event-type-badge">${t(`eventType.${event.type}`)}</div>
+                </div>
+                ${renderEventRoleBadge(event)}
+            </div>
+            <p class="event-description">${event.description}</p>
+            <div class="event-details">
+                <div class="event-detail">
+                    <span class="event-detail-icon">📅</span>
+                    <span>${formatEventDate(event)}</span>
+                </div>
+                <div class="event-detail">
+                    <span class="event-detail-icon">👥</span>
+                    <span>${event.teamMode
+                        ? `${t('events.teamsOfMax', { count: dataManager.getCompetitors(event.id).length, max: event.maxParticipants })} · ${t('count.players', { count: inscriptions.length })}`
+                        : t('events.participantsOfMax', { count: inscriptions.length, max: event.maxParticipants })}</span>
+                </div>
+                <div class="event-detail">
+                    <span class="event-detail-icon">${availableSlots > 0 ? '✅' : '❌'}</span>
+                    <span>${availableSlots > 0 ? t('events.slotsAvailable', { count: availableSlots }) : t('eventStatus.full')}</span>
+                </div>
+                ${event.waitlistEnabled ? html`
+                    <div class="event-detail">
+                        <span class="event-detail-icon">⏳</span>
+                        <span>${t('events.onWaitlist', { count: waitlist.length })}</span>
+                    </div>
+                ` : ''}
+                ${registration !== 'open' ? html`
+                    <div class="event-detail">
+                        <span class="event-detail-icon">🔒</span>
+                        <span>${registration === 'upcoming'
+                            ? t('events.registrationOpens', { date: formatEventDate(event, event.registrationOpensAt) })
+                            : t('events.registrationClosed', { date: formatEventDate(event, event.registrationClosesAt) })}</span>
+                    </div>
+                ` : ''}
+            </div>
+            <div class="event-actions">
+                <button class="btn btn-primary" onclick="showEventModal(${jsArg(event.id)})">
+                    <span class="btn-icon">👁️</span>
+                    ${t('events.viewDetails')}
+                </button>
+                <button class="btn btn-secondary" onclick="copyEventLink(${jsArg(event.id)})">
+                    <span class="btn-icon">📋</span>
+                    ${t('events.copyLink')}
+                </button>
+                <button class="btn btn-secondary" onclick="viewInscriptions(${jsArg(event.id)})">
+                    <span class="btn-icon">👥</span>
+                    ${t('events.viewInscriptions')}
+                </button>
+                ${event.type === 'tournament' && organizerCan(event, 'edit') ? html`
+                    <button class="btn btn-secondary" onclick="openBracket(${jsArg(event.id)})">
+                        <span class="btn-icon">🏅</span>
+                        ${t('events.bracket')}
+                    </button>
+                    <button class="btn btn-secondary" onclick="openSwiss(${jsArg(event.id)})">
+                        <span class="btn-icon">♟️</span>
+                        ${t('events.swiss')}
+                    </button>
+                ` : ''}
+                ${event.type === 'course' && organizerCan(event, 'edit') ? html`
+                    <button class="btn btn-secondary" onclick="openCourse(${jsArg(event.id)})">
+                        <span class="btn-icon">🗓️</span>
+                        ${t('events.sessions')}
+                    </button>
+                ` : ''}
+                ${organizerCan(event, 'checkIn') ? html`
+                    <a class="btn btn-secondary" href="${dataManager.generateCheckInUrl(event.id)}">
+                        <span class="btn-icon">📷</span>
+                        ${t('events.checkIn')}
+                    </a>
+                ` : ''}
+                ${organizerCan(event, 'edit') ? html`
+                    <button class="btn btn-secondary" onclick="openMessages(${jsArg(event.id)})">
+                        <span class="btn-icon">✉️</span>
+                        ${t('events.messages')}
+                    </button>
+                ` : ''}
+                ${organizerCan(event, 'delete') ? html`
+                    <button class="btn btn-secondary" onclick="deleteEvent(${jsArg(event.id)})" style="color: var(--danger); border-color: var(--danger);">
+                        <span class="btn-icon">🗑️</span>
+                        ${t('common.delete')}
+                    </button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+// Occurrences of a series are listed together, where the first of them
+// would be. Events whose series record is missing are listed on their own.
+function groupBySeries(events) {
+    const groups = [];
+    const seriesGroups = new Map();
+    events.forEach(event => {
+        const series = event.seriesId && dataManager.getSeries(event.seriesId);
+        if (!series) {
+            groups.push({ series: null, events: [event] });
+            return;
+        }
+        if (!seriesGroups.has(series.id)) {
+            seriesGroups.set(series.id, { series, events: [] });
+            groups.push(seriesGroups.get(series.id));
+        }
+        seriesGroups.get(series.id).events.push(event);
+    });
+    groups.forEach(group => group.events.sort((a, b) => a.date.localeCompare(b.date)));
+    return groups;
+}
+
+function renderSeriesGroup(series, events, renderCard) {
+    const now = new Date();
+    const next = events.find(event => getEventTime(event) > now);
+    const summary = [describeSeriesRule(series.rule), t('count.events', { count: events.length })];
+    if (series.rule.exceptions.length > 0) {
+        summary.push(t('series.skipped', { count: series.rule.exceptions.length }));
+    }
+    if (next) {
+        summary.push(t('series.next', { date: formatEventDate(next) }));
+    }
+    
+    return html`
+        <details class="series-group" data-series-id="${series.id}">
+            <summary class="series-header">
+                <div>
+                    <h3 class="series-title">🔁 ${series.title}</h3>
+                    <div class="series-summary">${summary.join(' · ')}</div>
+                </div>
+                <div class="event-type-badge">${t(`eventType.${series.type}`)}</div>
+            </summary>
+            <div class="series-events">
+                ${events.map(renderCard)}
+                ${events.every(event => organizerCan(event, 'delete')) ? html`
+                    <div class="series-actions">
+                        <button class="btn btn-secondary btn-small" onclick="deleteSeries(${jsArg(series.id)})" style="color: var(--danger); border-color: var(--danger);">
+                            <span class="btn-icon">🗑️</span>
+                            ${t('series.delete')}
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        </details>
+    `;
+}
+
+function showEventModal(eventId) {
+    const event = typeof eventId === 'string' ? dataManager.getEvent(eventId) : eventId;
+    if (!event || !dataManager.getEventRole(event, currentOrganizer && currentOrganizer.id)) return;
+    
+    const modal = document.getElementById('eventModal');
+    const modalEventInfo = document.getElementById('modalEventInfo');
+    const inscriptions = dataManager.getAcceptedInscriptions(event.id);
+    const waitlist = dataManager.getWaitlist(event.id);
+    const availableSlots = dataManager.getAvailableSlots(event);
+    
+    const eventUrl = dataManager.generateEventUrl(event.id);
+    
+    modalEventInfo.innerHTML = html`
+        <div class="event-details">
+            <h3>${event.title}</h3>
+            <div class="event-type-badge">${t(`eventType.${event.type}`)}</div>
+            <p><strong>${t('eventField.description')}:</strong> ${event.description}</p>
+            <p><strong>${t('eventField.date')}:</strong> ${formatEventDate(event)} · ${t('count.minutes', { count: event.durationMinutes || DEFAULT_EVENT_DURATION_MINUTES })}</p>
+            ${event.location ? html`<p><strong>${t('eventField.location')}:</strong> ${event.location}</p>` : ''}
+            ${event.teamMode ? html`
+                <p><strong>${t('eventModal.teamSize')}:</strong> ${t('eventModal.teamSizeRange', { min: event.teamSizeMin, max: event.teamSizeMax })}</p>
+                <p><strong>${t('eventForm.maxTeams')}:</strong> ${event.maxParticipants}</p>
+                <p><strong>${t('eventModal.currentRegistrations')}:</strong> ${t('count.teams', { count: dataManager.getCompetitors(event.id).length })} · ${t('count.players', { count: inscriptions.length })}</p>
+            ` : html`
+                <p><strong>${t('eventForm.maxParticipants')}:</strong> ${event.maxParticipants}</p>
+                <p><strong>${t('eventModal.currentRegistrations')}:</strong> ${inscriptions.length}</p>
+            `}
+            <p><strong>${t('eventModal.availableSlots')}:</strong> ${availableSlots}</p>
+            <p><strong>${t('eventField.waitlistEnabled')}:</strong> ${event.waitlistEnabled ? t('eventModal.waiting', { count: waitlist.length }) : t('common.disabled')}</p>
+            ${event.verificationRequired ? html`
+                <p><strong>${t('eventModal.emailVerification')}:</strong> ${t('eventModal.verificationSummary', { count: dataManager.getPendingInscriptions(event.id).length, minutes: t('count.minutes', { count: event.verificationHoldMinutes }) })}</p>
+            ` : ''}
+            ${hasFee(event) ? html`
+                <p><strong>${t('eventField.feeAmount')}:</strong> ${describeFee(event)}${(event.discountCodes || []).length > 0 ? ` · ${t('eventModal.codes', { codes: formatDiscountCodes(event.discountCodes) })}` : ''}</p>
+                <p><strong>${t('eventModal.revenue')}:</strong> ${formatMoney(dataManager.getRevenue(event.id), event.feeCurrency)} · ${t('eventModal.unpaid', { count: dataManager.getInscriptionsForEvent(event.id).filter(inscription => inscription.paymentStatus === 'unpaid' && inscription.status !== 'cancelled').length })}</p>
+            ` : ''}
+            <p><strong>${t('eventModal.status')}:</strong> ${availableSlots > 0 ? t('eventModal.openForRegistration') : event.waitlistEnabled ? t('eventModal.fullWaitlistOpen') : t('eventStatus.full')}</p>
+            <div class="event-url-section">
+                <label><strong>${t('eventModal.registrationLink')}:</strong></label>
+                <div class="url-display">
+                    <input type="text" value="${eventUrl}" readonly class="url-input" id="eventUrlInput">
+                    <button onclick="copyUrlFromInput()" class="btn btn-secondary btn-small">
+                        <span class="btn-icon">📋</span>
+                        ${t('common.copy')}
+                    </button>
+                </div>
+            </div>
+            ${renderEventSharing(event)}
+            ${renderEventHistory(event)}
+        </div>
+    `;
+    
+    // Store current event ID for modal actions
+    modal.dataset.eventId = event.id;
+    document.getElementById('editEventBtn').style.display = organizerCan(event, 'edit') ? '' : 'none';
+    
+    modal.classList.add('show');
+    modal.style.display = 'flex';
+}
+
+function renderEventHistory(event) {
+    const history = event.history || [];
+    if (history.length === 0) {
+        return '';
+    }
+    
+    return html`
+        <div class="event-history">
+            <label><strong>${t('eventModal.changeHistory')}:</strong></label>
+            <ul class="event-history-list">
+                ${[...history].reverse().map(entry => html`
+                    <li class="event-history-entry">
+                        <div class="event-history-meta">${formatDate(entry.at)} · ${entry.by}</div>
+                        ${entry.changes.map(change => html`
+                            <div class="event-history-change">
+                                ${EVENT_FIELD_LABELS[change.field] ? t(EVENT_FIELD_LABELS[change.field]) : change.field}: 
+                                <span class="event-history-from">${formatHistoryValue(change.field, change.from)}</span>
+                                → ${formatHistoryValue(change.field, change.to)}
+                            </div>
+                        `)}
+                        ${entry.movedToWaitlist > 0 ? html`
+                            <div class="event-history-change">${t('eventModal.movedToWaitlist', { count: entry.movedToWaitlist })}</div>
+                        ` : ''}
+                    </li>
+                `)}
+            </ul>
+        </div>
+    `;
+}
+
+function formatHistoryValue(field, value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (DATE_EVENT_FIELDS.includes(field)) return formatLocalDateTime(value);
+    if (MONEY_EVENT_FIELDS.includes(field)) return (value / 100).toFixed(2);
+    if (field === 'discountCodes') return formatDiscountCodes(value);
+    if (typeof value === 'boolean') return value ? t('common.enabled') : t('common.disabled');
+    return value;
+}
+
+// Switch the event modal into edit mode
+function editEventFromModal() {
+    const modal = document.getElementById('eventModal');
+    const event = requireEventPermission(modal.dataset.eventId, 'edit');
+    if (!event) return;
+    
+    document.getElementById('modalEventInfo').innerHTML = html`
+        <form id="editEventForm" class="event-form edit-event-form">
+            <div class="form-group">
+                <label for="editEventTitle">${t('eventField.title')} *</label>
+                <input type="text" id="editEventTitle" name="title" required>
+            </div>
+            <div class="form-group">
+                <label for="editEventDescription">${t('eventField.description')} *</label>
+                <textarea id="editEventDescription" name="description" required></textarea>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="editEventType">${t('eventField.type')} *</label>
+                    <select id="editEventType" name="type">
+                        <option value="tournament" ${event.type === 'tournament' ? 'selected' : ''}>${t('eventType.tournament')}</option>
+                        <option value="course" ${event.type === 'course' ? 'selected' : ''}>${t('eventType.course')}</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="editMaxParticipants">${t('eventForm.maxParticipants')} *</label>
+                    <input type="number" id="editMaxParticipants" name="maxParticipants" required min="1">
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="editEventDate">${t('eventField.date')} *</label>
+                    <input type="datetime-local" id="editEventDate" name="date" required>
+                </div>
+                <div class="form-group">
+                    <label for="editDurationMinutes">${t('eventField.durationMinutes')} *</label>
+                    <input type="number" id="editDurationMinutes" name="durationMinutes" required min="1">
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="editTimezone">${t('eventField.timezone')} *</label>
+                    <input type="text" id="editTimezone" name="timezone" required list="timezoneOptions">
+                </div>
+                <div class="form-group">
+                    <label for="editLocation">${t('eventField.location')}</label>
+                    <input type="text" id="editLocation" name="location">
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="editRegistrationOpensAt">${t('eventField.registrationOpensAt')}</label>
+                    <input type="datetime-local" id="editRegistrationOpensAt" name="registrationOpensAt">
+                </div>
+                <div class="form-group">
+                    <label for="editRegistrationClosesAt">${t('eventField.registrationClosesAt')}</label>
+                    <input type="datetime-local" id="editRegistrationClosesAt" name="registrationClosesAt">
+                </div>
+            </div>
+            <div class="form-group checkbox-group">
+                <label for="editWaitlistEnabled">
+                    <input type="checkbox" id="editWaitlistEnabled" name="waitlistEnabled" ${event.waitlistEnabled ? 'checked' : ''}>
+                    ${t('eventForm.waitlistEnabled')}
+                </label>
+            </div>
+            <div class="form-group checkbox-group">
+                <label for="editVerificationRequired">
+                    <input type="checkbox" id="editVerificationRequired" name="verificationRequired" ${event.verificationRequired ? 'checked' : ''}>
+                    ${t('eventForm.verificationRequired')}
+                </label>
+            </div>
+            <div class="form-group">
+                <label for="editVerificationHoldMinutes">${t('eventForm.verificationHoldMinutes')}</label>
+                <input type="number" id="editVerificationHoldMinutes" name="verificationHoldMinutes" min="1">
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="editFeeAmount">${t('eventForm.feeAmount')}</label>
+                    <input type="number" id="editFeeAmount" name="feeAmount" min="0" step="0.01">
+                    <small class="form-hint">${t('eventForm.feeAmountEditHint')}</small>
+                </div>
+                <div class="form-group">
+                    <label for="editFeeCurrency">${t('eventField.feeCurrency')}</label>
+                    <input type="text" id="editFeeCurrency" name="feeCurrency" maxlength="3">
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="editMemberFeeAmount">${t('eventForm.memberFeeAmount')}</label>
+                    <input type="number" id="editMemberFeeAmount" name="memberFeeAmount" min="0" step="0.01">
+                </div>
+                <div class="form-group">
+                    <label for="editDiscountCodes">${t('eventForm.discountCodes')}</label>
+                    <input type="text" id="editDiscountCodes" name="discountCodes" placeholder="${t('eventForm.discountCodesPlaceholder')}">
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="editEarlyBirdDiscount">${t('eventForm.earlyBirdDiscount')}</label>
+                    <input type="number" id="editEarlyBirdDiscount" name="earlyBirdDiscount" min="0" step="0.01">
+                </div>
+                <div class="form-group">
+                    <label for="editEarlyBirdUntil">${t('eventForm.earlyBirdUntil')}</label>
+                    <input type="datetime-local" id="editEarlyBirdUntil" name="earlyBirdUntil">
+                </div>
+            </div>
+            <div class="modal-actions">
+                <button type="submit" class="btn btn-primary">
+                    <span class="btn-icon">💾</span>
+                    ${t('common.saveChanges')}
+                </button>
+                <button type="button" class="btn btn-secondary" onclick="showEventModal(${jsArg(event.id)})">${t('common.cancel')}</button>
+            </div>
+        </form>
+    `;
+    
+    // Fill values through the DOM so quotes and markup in them stay intact
+    const form = document.getElementById('editEventForm');
+    form.elements.title.value = event.title;
+    form.elements.description.value = event.description;
+    form.elements.maxParticipants.value = event.maxParticipants;
+    form.elements.date.value = event.date;
+    form.elements.durationMinutes.value = event.durationMinutes || DEFAULT_EVENT_DURATION_MINUTES;
+    form.elements.timezone.value = event.timezone || getDefaultTimeZone();
+    form.elements.location.value = event.location || '';
+    form.elements.registrationOpensAt.value = event.registrationOpensAt || '';
+    form.elements.registrationClosesAt.value = event.registrationClosesAt || '';
+    form.elements.verificationHoldMinutes.value = event.verificationHoldMinutes || DEFAULT_VERIFICATION_HOLD_MINUTES;
+    form.elements.feeAmount.value = formatMoneyInput(event.feeAmount);
+    form.elements.feeCurrency.value = event.feeCurrency || DEFAULT_FEE_CURRENCY;
+    form.elements.memberFeeAmount.value = formatMoneyInput(event.memberFeeAmount);
+    form.elements.discountCodes.value = formatDiscountCodes(event.discountCodes);
+    form.elements.earlyBirdDiscount.value = formatMoneyInput(event.earlyBirdDiscount);
+    form.elements.earlyBirdUntil.value = event.earlyBirdUntil || '';
+    form.addEventListener('submit', handleEventEditSubmit);
+}
+
+async function handleEventEditSubmit(submitEvent) {
+    submitEvent.preventDefault();
+    
+    const eventId = document.getElementById('eventModal').dataset.eventId;
+    const event = requireEventPermission(eventId, 'edit');
+    if (!event) return;
+    
+    const formData = new FormData(submitEvent.target);
+    const changes = {
+        title: formData.get('title'),
+        description: formData.get('description'),
+        maxParticipants: parseInt(formData.get('maxParticipants')),
+        date: formData.get('date'),
+        type: formData.get('type'),
+        waitlistEnabled: formData.get('waitlistEnabled') === 'on',
+        registrationOpensAt: formData.get('registrationOpensAt') || null,
+        registrationClosesAt: formData.get('registrationClosesAt') || null,
+        verificationRequired: formData.get('verificationRequired') === 'on',
+        verificationHoldMinutes: parseInt(formData.get('verificationHoldMinutes')),
+        durationMinutes: parseInt(formData.get('durationMinutes')),
+        timezone: formData.get('timezone').trim(),
+        location: formData.get('location').trim(),
+        ...readFeeFields(formData)
+    };
+    
+    const validationError = validateEventData(changes, { requireFutureDate: changes.date !== event.date });
+    if (validationError) {
+        showNotification(validationError, 'error');
+        return;
+    }
+    
+    // Shrinking below the accepted count needs the overflow moved to the waitlist
+    const acceptedCount = dataManager.getSlotGroups(eventId, 'accepted').length;
+    const overflow = acceptedCount - changes.maxParticipants;
+    if (overflow > 0 && !confirm(t(event.teamMode ? 'eventEdit.confirmOverflowTeams' : 'eventEdit.confirmOverflow', { accepted: acceptedCount, count: overflow }))) {
+        return;
+    }
+    
+    let result;
+    try {
+        result = await dataManager.updateEvent(eventId, changes, {
+            changedBy: currentOrganizer.name,
+            moveOverflowToWaitlist: overflow > 0
+        });
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('eventForm.saveFailed'), 'error');
+        return;
+    }
+    
+    let message = t('eventEdit.updated');
+    if (result.demoted.length > 0) message += ` ${t('eventEdit.demoted', { count: result.demoted.length })}`;
+    if (result.promoted.length > 0) message += ` ${t('eventEdit.promoted', { count: result.promoted.length })}`;
+    showNotification(message);
+    
+    updateEventsList();
+    if (currentTab === 'communities') {
+        updateCommunitiesList();
+    }
+    showEventModal(result.event);
+}
+
+function closeModal() {
+    const modal = document.getElementById('eventModal');
+    modal.classList.remove('show');
+    modal.style.display = 'none';
+}
+
+function copyEventLink(eventId) {
+    const event = dataManager.getEvent(eventId);
+    if (!event) {
+        showNotification(t('error.eventNotFound'), 'error');
+        return;
+    }
+    
+    copyLinkToClipboard(dataManager.generateEventUrl(eventId), t('events.linkCopied'));
+}
+
+function copyLinkToClipboard(url, successMessage) {
+    navigator.clipboard.writeText(url).then(() => {
+        showNotification(successMessage);
+    }).catch(() => {
+        // Fallback for older browsers
+        const textArea = document.createElement('textarea');
+        textArea.value = url;
+        textArea.style.position = 'fixed';
+        textArea.style.left = '-999999px';
+        textArea.style.top = '-999999px';
+        document.body.appendChild(textArea);
+        textArea.focus();
+        textArea.select();
+        
+        try {
+            document.execCommand('copy');
+            showNotification(successMessage);
+        } catch (err) {
+            showNotification(t('common.copyFailed', { url }), 'error');
+        }
+        
+        document.body.removeChild(textArea);
+    });
+}
+
+function copyEventLinkFromModal() {
+    const modal = document.getElementById('eventModal');
+    const eventId = modal.dataset.eventId;
+    if (eventId) {
+        copyEventLink(eventId);
+    } else {
+        showNotification(t('events.noneSelected'), 'error');
+    }
+}
+
+function copyUrlFromInput() {
+    const urlInput = document.getElementById('eventUrlInput');
+    if (urlInput) {
+        urlInput.select();
+        urlInput.setSelectionRange(0, 99999); // For mobile devices
+        
+        try {
+            document.execCommand('copy');
+            showNotification(t('common.urlCopied'));
+        } catch (err) {
+            // Fallback to clipboard API
+            navigator.clipboard.writeText(urlInput.value).then(() => {
+                showNotification(t('common.urlCopied'));
+            }).catch(() => {
+                showNotification(t('common.urlCopyFailed'), 'error');
+            });
+        }
+    }
+}
+
+// Search, sort and selection of the inscriptions list survive re-rendering
+// it for the same event
+let inscriptionsView = { eventId: null, query: '', sort: 'status', selected: new Set() };
+
+const INSCRIPTION_SORTS = {
+    status: 'inscriptions.sortStatus',
+    name: 'inscriptions.sortName',
+    date: 'inscriptions.sortDate'
+};
+
+// Item style of each status when the list is not grouped by status
+const INSCRIPTION_STATUS_VARIANTS = {
+    pending_verification: 'pending',
+    waitlisted: 'waitlisted',
+    cancelled: 'cancelled'
+};
+
+// Bulk actions of the inscriptions list. Each one applies to the selected
+// registrations it makes sense for and skips the others. Actions with
+// offeredFor only show on the events it accepts.
+const INSCRIPTION_BULK_ACTIONS = {
+    cancel: {
+        label: 'bulk.cancel',
+        done: 'bulk.cancelled',
+        appliesTo: inscription => inscription.status !== 'cancelled',
+        run: inscription => dataManager.cancelInscription(inscription.id, { cancelledBy: 'organizer' })
+    },
+    waitlist: {
+        label: 'bulk.waitlist',
+        done: 'bulk.waitlisted',
+        offeredFor: event => Boolean(event.waitlistEnabled) && !event.teamMode,
+        appliesTo: inscription => inscription.status === 'accepted',
+        run: inscription => dataManager.moveToWaitlist(inscription.id)
+    },
+    markPaid: {
+        label: 'bulk.markPaid',
+        done: 'bulk.markedPaid',
+        appliesTo: inscription => inscription.paymentStatus === 'unpaid' && inscription.status !== 'cancelled',
+        run: inscription => dataManager.setPaymentStatus(inscription.id, 'paid', { recordedBy: currentOrganizer.name })
+    },
+    checkIn: {
+        label: 'bulk.checkIn',
+        done: 'bulk.checkedIn',
+        appliesTo: inscription => inscription.status === 'accepted' && !inscription.checkedInAt,
+        run: inscription => dataManager.checkIn(inscription.eventId, inscription.id, { checkedInBy: currentOrganizer.name })
+    }
+};
+
+function viewInscriptions(eventId) {
+    const event = requireEventPermission(eventId, 'viewInscriptions');
+    if (!event) return;
+    
+    if (inscriptionsView.eventId !== eventId) {
+        inscriptionsView = { eventId, query: '', sort: 'status', selected: new Set() };
+    }
+    // Forget registrations that were transferred or erased meanwhile
+    inscriptionsView.selected = new Set([...inscriptionsView.selected].filter(id => {
+        const inscription = dataManager.getInscription(id);
+        return inscription && inscription.eventId === eventId;
+    }));
+    
+    const inscriptions = dataManager.getAcceptedInscriptions(eventId);
+    const waitlist = dataManager.getWaitlist(eventId);
+    const canEdit = organizerCan(event, 'edit');
+    const modal = document.getElementById('inscriptionsModal');
+    const inscriptionsList = document.getElementById('inscriptionsList');
+    
+    // Update modal title with event name
+    const modalTitle = modal.querySelector('h3');
+    modalTitle.textContent = t('inscriptions.title', { title: event.title });
+    
+    inscriptionsList.innerHTML = html`
+        <div class="inscriptions-header">
+            <p><strong>${t('inscriptions.total')}:</strong> ${event.teamMode
+                ? t('inscriptions.teamsOfMax', { count: dataManager.getCompetitors(eventId).length, max: event.maxParticipants })
+                : t('inscriptions.ofMax', { count: inscriptions.length, max: event.maxParticipants })}</p>
+            <p><strong>${t('eventModal.availableSlots')}:</strong> ${dataManager.getAvailableSlots(event)}</p>
+            ${event.waitlistEnabled ? html`<p><strong>${t('eventField.waitlistEnabled')}:</strong> ${waitlist.length}</p>` : ''}
+        </div>
+        <div class="inscriptions-toolbar">
+            <input type="search" id="inscriptionSearch" placeholder="${t('inscriptions.searchPlaceholder')}" aria-label="${t('inscriptions.searchPlaceholder')}" oninput="updateInscriptionsView()">
+            <select id="inscriptionSort" aria-label="${t('inscriptions.sortBy')}" onchange="updateInscriptionsView()">
+                ${Object.entries(INSCRIPTION_SORTS).map(([value, label]) => html`<option value="${value}">${t(label)}</option>`)}
+            </select>
+            ${canEdit ? html`
+                <button class="btn btn-secondary btn-small" onclick="openInscriptionForm()">
+                    <span class="btn-icon">➕</span>
+                    ${t('inscriptions.add')}
+                </button>
+            ` : ''}
+        </div>
+        <div id="inscriptionFormPanel"></div>
+        ${canEdit ? renderBulkBar(event) : ''}
+        <div id="bulkEmailPanel"></div>
+        <div id="inscriptionResults"></div>
+    `;
+    document.getElementById('inscriptionSearch').value = inscriptionsView.query;
+    document.getElementById('inscriptionSort').value = inscriptionsView.sort;
+    renderInscriptionResults(event);
+    
+    modal.classList.add('show');
+    modal.style.display = 'flex';
+}
+
+function updateInscriptionsView() {
+    const event = dataManager.getEvent(inscriptionsView.eventId);
+    if (!event) return;
+    inscriptionsView.query = document.getElementById('inscriptionSearch').value;
+    inscriptionsView.sort = document.getElementById('inscriptionSort').value;
+    renderInscriptionResults(event);
+}
+
+// Sorted by status, registrations are grouped as accepted, pending,
+// waitlisted and cancelled; by name or date they form one list
+function renderInscriptionResults(event) {
+    const query = inscriptionsView.query.trim().toLowerCase();
+    const matches = inscription => !query || inscription.name.toLowerCase().includes(query) || inscription.email.toLowerCase().includes(query);
+    const results = document.getElementById('inscriptionResults');
+    
+    if (dataManager.getInscriptionsForEvent(event.id).length === 0) {
+        results.innerHTML = html`
+            <div class="empty-state">
+                <div class="empty-icon">👥</div>
+                <h3>${t('inscriptions.emptyTitle')}</h3>
+                <p>${t('inscriptions.emptyText')}</p>
+            </div>
+        `;
+        inscriptionsView.visible = [];
+        updateBulkBar();
+        return;
+    }
+    
+    if (inscriptionsView.sort === 'status') {
+        const inscriptions = dataManager.getAcceptedInscriptions(event.id).filter(matches);
+        const pending = dataManager.getPendingInscriptions(event.id).filter(matches);
+        const waitlist = dataManager.getWaitlist(event.id).filter(matches);
+        const cancelled = dataManager.getCancelledInscriptions(event.id).filter(matches);
+        
+        // Team events list members under their team
+        const renderItems = event.teamMode ? renderTeamGroups : renderInscriptionItems;
+        const teamCount = list => event.teamMode ? ` · ${t('count.teams', { count: groupByTeam(list).length })}` : '';
+        
+        results.innerHTML = html`
+            <h4 class="inscriptions-group-title">${t('inscriptions.accepted')} (${inscriptions.length}${teamCount(inscriptions)})</h4>
+            ${renderItems(inscriptions)}
+            ${pending.length > 0 ? html`
+                <h4 class="inscriptions-group-title">${t('inscriptions.pending')} (${pending.length})</h4>
+                ${renderItems(pending, 'pending')}
+            ` : ''}
+            ${waitlist.length > 0 ? html`
+                <h4 class="inscriptions-group-title">${t('eventField.waitlistEnabled')} (${waitlist.length}${teamCount(waitlist)})</h4>
+                ${renderItems(waitlist, 'waitlisted')}
+            ` : ''}
+            ${cancelled.length > 0 ? html`
+                <h4 class="inscriptions-group-title">${t('inscriptions.cancelled')} (${cancelled.length})</h4>
+                ${renderItems(cancelled, 'cancelled')}
+            ` : ''}
+        `;
+        inscriptionsView.visible = [...inscriptions, ...pending, ...waitlist, ...cancelled].map(inscription => inscription.id);
+    } else {
+        const compare = inscriptionsView.sort === 'name'
+            ? (a, b) => a.name.localeCompare(b.name)
+            : (a, b) => a.createdAt.localeCompare(b.createdAt);
+        const list = dataManager.getInscriptionsForEvent(event.id).filter(matches).sort(compare);
+        results.innerHTML = renderInscriptionItems(list, '', { showStatus: true });
+        inscriptionsView.visible = list.map(inscription => inscription.id);
+    }
+    updateBulkBar();
+}
+
+function renderInscriptionItems(inscriptions, variant = '', { showStatus = false } = {}) {
+    if (inscriptions.length === 0) {
+        return html`<p class="inscriptions-group-empty">${t('inscriptions.nobody')}</p>`;
+    }
+    
+    const canEdit = organizerCan(dataManager.getEvent(inscriptions[0].eventId), 'edit');
+    return inscriptions.map((inscription, index) => html`
+        <div class="inscription-item ${variant || (showStatus && INSCRIPTION_STATUS_VARIANTS[inscription.status]) || ''}">
+            ${canEdit ? html`
+                <input type="checkbox" class="inscription-select" aria-label="${t('inscriptions.select', { name: inscription.name })}" ${inscriptionsView.selected.has(inscription.id) ? 'checked' : ''} onchange="toggleInscriptionSelection(${jsArg(inscription.id)}, this.checked)">
+            ` : ''}
+            <div class="inscription-number">#${index + 1}</div>
+            <div class="inscription-info">
+                <div class="inscription-name">${inscription.name}${inscription.teamRole === 'captain' ? html` <span class="team-captain">${t('teams.captain')}</span>` : ''}</div>
+                <div class="inscription-email">${inscription.email}</div>
+                ${showStatus ? html`
+                    <div class="inscription-meta">${t(INSCRIPTION_STATUS_LABELS[inscription.status])}${inscription.teamId && dataManager.getTeam(inscription.teamId) ? ` · ${dataManager.getTeam(inscription.teamId).name}` : ''}</div>
+                ` : ''}
+                ${renderInscriptionAnswers(inscription)}
+                ${renderInscriptionPayment(inscription)}
+                ${inscription.checkedInAt && inscription.status === 'accepted' ? html`
+                    <div class="inscription-meta">${t('inscriptions.checkedIn', { date: formatDate(inscription.checkedInAt) })}</div>
+                ` : ''}
+                ${inscription.status === 'pending_verification' ? html`
+                    <div class="inscription-meta">${t(inscription.verifyAs === 'accepted' ? 'inscriptions.slotHeld' : 'inscriptions.waitlistHeld', { date: formatDate(inscription.verificationExpiresAt) })}</div>
+                ` : ''}
+                ${inscription.status === 'cancelled' ? html`
+                    <div class="inscription-meta">${inscription.cancelledBy === 'verification timeout'
+                        ? t('inscriptions.verificationTimedOut', { date: formatDate(inscription.cancelledAt) })
+                        : t('inscriptions.cancelledBy', {
+                            by: ['participant', 'organizer'].includes(inscription.cancelledBy) ? t(`cancelledBy.${inscription.cancelledBy}`) : inscription.cancelledBy,
+                            date: formatDate(inscription.cancelledAt)
+                        })}</div>
+                ` : ''}
+            </div>
+            <div class="inscription-date">
+                ${formatDateShort(inscription.createdAt)}
+                ${canEdit ? html`
+                    <button class="btn btn-secondary btn-small" onclick="openInscriptionForm(${jsArg(inscription.id)})" title="${t('inscriptions.edit')}">✏️</button>
+                ` : ''}
+            </div>
+        </div>
+    `);
+}
+
+// Bulk Actions
+function renderBulkBar(event) {
+    const targets = event.teamMode ? [] : dataManager.getEventsFor(currentOrganizer.id)
+        .filter(other => other.id !== event.id && !other.teamMode && organizerCan(other, 'edit'));
+    
+    return html`
+        <div id="bulkBar" class="bulk-bar">
+            <label class="bulk-select-all">
+                <input type="checkbox" id="bulkSelectAll" onchange="selectAllInscriptions(this.checked)">
+                <span id="bulkCount"></span>
+            </label>
+            <div class="bulk-actions">
+                ${Object.entries(INSCRIPTION_BULK_ACTIONS).filter(([, { offeredFor }]) => !offeredFor || offeredFor(event)).map(([action, { label }]) => html`
+                    <button class="btn btn-secondary btn-small" onclick="runBulkAction(${jsArg(action)})">${t(label)}</button>
+                `)}
+                ${targets.length > 0 ? html`
+                    <select id="bulkTransferTarget" aria-label="${t('bulk.transferTarget')}">
+                        ${targets.map(other => html`<option value="${other.id}">${other.title} · ${formatDateShort(getEventTime(other))}</option>`)}
+                    </select>
+                    <button class="btn btn-secondary btn-small" onclick="transferSelection()">${t('bulk.transfer')}</button>
+                ` : ''}
+                <button class="btn btn-secondary btn-small" onclick="openBulkEmail()">${t('bulk.email')}</button>
+            </div>
+        </div>
+    `;
+}
+
+function updateBulkBar() {
+    const bar = document.getElementById('bulkBar');
+    if (!bar) return;
+    
+    const count = inscriptionsView.selected.size;
+    document.getElementById('bulkCount').textContent = t('bulk.selected', { count });
+    const selectAll = document.getElementById('bulkSelectAll');
+    selectAll.checked = inscriptionsView.visible.length > 0 && inscriptionsView.visible.every(id => inscriptionsView.selected.has(id));
+    selectAll.disabled = inscriptionsView.visible.length === 0;
+    bar.querySelectorAll('.bulk-actions button, .bulk-actions select').forEach(control => {
+        control.disabled = count === 0;
+    });
+}
+
+function toggleInscriptionSelection(inscriptionId, selected) {
+    if (selected) {
+        inscriptionsView.selected.add(inscriptionId);
+    } else {
+        inscriptionsView.selected.delete(inscriptionId);
+    }
+    updateBulkBar();
+}
+
+// Selects or clears whatever the search currently shows
+function selectAllInscriptions(selected) {
+    inscriptionsView.visible.forEach(id => {
+        if (selected) {
+            inscriptionsView.selected.add(id);
+        } else {
+            inscriptionsView.selected.delete(id);
+        }
+    });
+    document.querySelectorAll('#inscriptionResults .inscription-select').forEach(checkbox => {
+        checkbox.checked = selected;
+    });
+    updateBulkBar();
+}
+
+function getSelectedInscriptions() {
+    return [...inscriptionsView.selected].map(id => dataManager.getInscription(id)).filter(Boolean);
+}
+
+// Lists elsewhere on the page count registrations too
+function refreshAfterInscriptionChanges(eventId) {
+    viewInscriptions(eventId);
+    updateEventsList();
+    if (currentTab === 'communities') {
+        updateCommunitiesList();
+    }
+}
+
+async function runBulkAction(action) {
+    const event = requireEventPermission(inscriptionsView.eventId, 'edit');
+    if (!event) return;
+    
+    const { done, appliesTo, run } = INSCRIPTION_BULK_ACTIONS[action];
+    const selected = getSelectedInscriptions();
+    const applicable = selected.filter(appliesTo);
+    if (applicable.length === 0) {
+        showNotification(t('bulk.nothingApplies'), 'error');
+        return;
+    }
+    if (action === 'cancel' && !confirm(t('bulk.confirmCancel', { count: applicable.length }))) {
+        return;
+    }
+    
+    try {
+        for (const inscription of applicable) {
+            await run(inscription);
+        }
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('bulk.failed'), 'error');
+        refreshAfterInscriptionChanges(event.id);
+        return;
+    }
+    inscriptionsView.selected.clear();
+    const skipped = selected.length - applicable.length;
+    showNotification(`${t(done, { count: applicable.length })}${skipped > 0 ? ` ${t('bulk.skipped', { count: skipped })}` : ''}`);
+    refreshAfterInscriptionChanges(event.id);
+}
+
+async function transferSelection() {
+    const event = requireEventPermission(inscriptionsView.eventId, 'edit');
+    const target = event && requireEventPermission(document.getElementById('bulkTransferTarget').value, 'edit');
+    if (!target) return;
+    
+    const applicable = getSelectedInscriptions().filter(inscription => inscription.status !== 'cancelled');
+    if (applicable.length === 0) {
+        showNotification(t('bulk.nothingApplies'), 'error');
+        return;
+    }
+    if (!confirm(t('bulk.confirmTransfer', { count: applicable.length, title: target.title }))) {
+        return;
+    }
+    
+    try {
+        for (const inscription of applicable) {
+            await dataManager.transferInscription(inscription.id, target.id);
+        }
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('bulk.failed'), 'error');
+        refreshAfterInscriptionChanges(event.id);
+        return;
+    }
+    inscriptionsView.selected.clear();
+    showNotification(t('bulk.transferred', { count: applicable.length, title: target.title }));
+    refreshAfterInscriptionChanges(event.id);
+}
+
+function openBulkEmail() {
+    if (!requireEventPermission(inscriptionsView.eventId, 'edit')) return;
+    
+    document.getElementById('bulkEmailPanel').innerHTML = html`
+        <form id="bulkEmailForm" class="event-form bulk-panel" onsubmit="sendBulkEmail(event)">
+            <h4 class="inscriptions-group-title">${t('bulk.emailTitle', { count: inscriptionsView.selected.size })}</h4>
+            <div class="form-group">
+                <label for="bulkEmailSubject">${t('messages.subject')} *</label>
+                <input type="text" id="bulkEmailSubject" name="subject" required>
+            </div>
+            <div class="form-group">
+                <label for="bulkEmailBody">${t('messages.body')} *</label>
+                <textarea id="bulkEmailBody" name="body" required rows="6"></textarea>
+                <small class="form-hint">${t('messages.placeholders')}: ${MESSAGE_PLACEHOLDERS.map(key => `{{${key}}}`).join(' ')} · ${t('bulk.emailHint')}</small>
+            </div>
+            <div class="modal-actions">
+                <button type="submit" class="btn btn-primary btn-small">${t('bulk.send')}</button>
+                <button type="button" class="btn btn-secondary btn-small" onclick="closeBulkEmail()">${t('common.cancel')}</button>
+            </div>
+        </form>
+    `;
+}
+
+function closeBulkEmail() {
+    document.getElementById('bulkEmailPanel').innerHTML = '';
+}
+
+// Unverified addresses are left out, like for every other email
+async function sendBulkEmail(submitEvent) {
+    submitEvent.preventDefault();
+    
+    const event = requireEventPermission(inscriptionsView.eventId, 'edit');
+    if (!event) return;
+    
+    const formData = new FormData(submitEvent.target);
+    const template = { subject: formData.get('subject').trim(), body: formData.get('body').trim() };
+    const recipients = getSelectedInscriptions().filter(inscription => inscription.status !== 'pending_verification');
+    if (!template.subject || !template.body) {
+        showNotification(t('bulk.emailIncomplete'), 'error');
+        return;
+    }
+    if (recipients.length === 0) {
+        showNotification(t('bulk.nothingApplies'), 'error');
+        return;
+    }
+    
+    try {
+        for (const inscription of recipients) {
+            await dataManager.queueAnnouncement(inscription, template);
+        }
+    } catch (err) {
+        console.error(err);
+        showNotification(t('bulk.failed'), 'error');
+        return;
+    }
+    inscriptionsView.selected.clear();
+    showNotification(t('bulk.emailQueued', { count: recipients.length }));
+    refreshAfterInscriptionChanges(event.id);
+}
+
+// Manual Registrations
+function openInscriptionForm(inscriptionId = null) {
+    const event = requireEventPermission(inscriptionsView.eventId, 'edit');
+    if (!event) return;
+    
+    const inscription = inscriptionId ? dataManager.getInscription(inscriptionId) : null;
+    const teams = event.teamMode ? dataManager.getTeamsForEvent(event.id) : [];
+    if (!inscription && event.teamMode && teams.length === 0) {
+        showNotification(t('inscriptions.noTeams'), 'error');
+        return;
+    }
+    
+    document.getElementById('inscriptionFormPanel').innerHTML = html`
+        <form id="manualInscriptionForm" class="event-form bulk-panel">
+            <h4 class="inscriptions-group-title">${inscription ? t('inscriptions.editTitle', { name: inscription.name }) : t('inscriptions.addTitle')}</h4>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="manualName">${t('auth.name')} *</label>
+                    <input type="text" id="manualName" name="name" required>
+                </div>
+                <div class="form-group">
+                    <label for="manualEmail">${t('auth.email')} *</label>
+                    <input type="email" id="manualEmail" name="email" required>
+                </div>
+            </div>
+            ${inscription ? '' : html`
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="manualStatus">${t('eventModal.status')}</label>
+                        <select id="manualStatus" name="status">
+                            <option value="accepted">${t('inscriptionStatus.accepted')}</option>
+                            <option value="waitlisted">${t('inscriptionStatus.waitlisted')}</option>
+                        </select>
+                    </div>
+                    ${event.teamMode ? html`
+                        <div class="form-group">
+                            <label for="manualTeam">${t('inscriptions.team')} *</label>
+                            <select id="manualTeam" name="teamId" required>
+                                ${teams.map(team => html`<option value="${team.id}">${team.name}</option>`)}
+                            </select>
+                        </div>
+                    ` : ''}
+                </div>
+            `}
+            ${renderFormFieldInputs(event.formFields || [], { optional: true })}
+            <small class="form-hint">${t('inscriptions.manualHint')}</small>
+            <div class="modal-actions">
+                <button type="submit" class="btn btn-primary btn-small">${inscription ? t('common.saveChanges') : t('inscriptions.add')}</button>
+                <button type="button" class="btn btn-secondary btn-small" onclick="closeInscriptionForm()">${t('common.cancel')}</button>
+            </div>
+        </form>
+    `;
+    
+    // Fill values through the DOM so quotes and markup in them stay intact
+    const form = document.getElementById('manualInscriptionForm');
+    form.dataset.inscriptionId = inscription ? inscription.id : '';
+    if (inscription) {
+        form.elements.name.value = inscription.name;
+        form.elements.email.value = inscription.email;
+        const answers = inscription.answers || {};
+        (event.formFields || []).filter(field => answers[field.id] !== undefined).forEach(field => {
+            const input = form.elements[`field_${field.id}`];
+            if (field.type === 'checkbox') {
+                input.checked = Boolean(answers[field.id]);
+            } else {
+                input.value = answers[field.id];
+            }
+        });
+    }
+    form.addEventListener('submit', handleInscriptionFormSubmit);
+    form.elements.name.focus();
+}
+
+function closeInscriptionForm() {
+    document.getElementById('inscriptionFormPanel').innerHTML = '';
+}
+
+async function handleInscriptionFormSubmit(submitEvent) {
+    submitEvent.preventDefault();
+    
+    const event = requireEventPermission(inscriptionsView.eventId, 'edit');
+    if (!event) return;
+    
+    const form = submitEvent.target;
+    const formData = new FormData(form);
+    const inscriptionId = form.dataset.inscriptionId;
+    const name = formData.get('name').trim();
+    const email = formData.get('email').trim();
+    if (!name || !EMAIL_PATTERN.test(email)) {
+        showNotification(t('participants.nameAndEmailRequired'), 'error');
+        return;
+    }
+    const { answers, error } = collectRegistrationAnswers(event, formData, { optional: true });
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
+    const registered = dataManager.getInscriptionsForEvent(event.id).some(inscription =>
+        inscription.id !== inscriptionId && inscription.status !== 'cancelled' && normalizeEmail(inscription.email) === normalizeEmail(email)
+    );
+    if (registered && !confirm(t('inscriptions.confirmDuplicate', { email }))) {
+        return;
+    }
+    
+    try {
+        if (inscriptionId) {
+            await dataManager.editInscription(inscriptionId, { name, email, answers });
+        } else {
+            await dataManager.addInscriptionAsOrganizer(event.id, {
+                name,
+                email,
+                answers,
+                status: formData.get('status'),
+                teamId: formData.get('teamId') || null
+            });
+        }
+    } catch (err) {
+        console.error(err);
+        showNotification(t('inscriptions.saveFailed'), 'error');
+        return;
+    }
+    showNotification(t(inscriptionId ? 'inscriptions.updated' : 'inscriptions.added', { name }));
+    refreshAfterInscriptionChanges(event.id);
+}
+
+function renderTeamGroups(inscriptions, variant = '') {
+    if (inscriptions.length === 0) {
+        return renderInscriptionItems(inscriptions, variant);
+    }
+    
+    return groupByTeam(inscriptions).map(members => {
+        const team = dataManager.getTeam(members[0].teamId);
+        return html`
+            <div class="team-group">
+                <div class="team-group-header">
+                    <span class="team-group-name">${team ? team.name : t('teams.noTeam')}</span>
+                    <span class="team-group-meta">${t('count.members', { count: members.length })}${team ? ` · ${t('teams.inviteCode', { code: team.inviteCode })}` : ''}</span>
+                </div>
+                ${renderInscriptionItems(members, variant)}
+            </div>
+        `;
+    });
+}
+
+function renderInscriptionAnswers(inscription) {
+    const event = dataManager.getEvent(inscription.eventId);
+    const answers = inscription.answers || {};
+    const lines = (event && event.formFields || [])
+        .filter(field => answers[field.id] !== undefined)
+        .map(field => `${field.label}: ${formatFormFieldAnswer(field, answers[field.id])}`);
+    
+    return lines.length > 0 ? html`<div class="inscription-meta">${lines.join(' · ')}</div>` : '';
+}
+
+function renderInscriptionPayment(inscription) {
+    if (!inscription.paymentStatus) {
+        return '';
+    }
+    
+    const event = dataManager.getEvent(inscription.eventId);
+    const canEdit = organizerCan(event, 'edit');
+    const details = [
+        t(FEE_TIER_LABELS[inscription.feeTier]),
+        inscription.earlyBird ? t('payment.earlyBird') : null,
+        inscription.discountCode ? t('payment.code', { code: inscription.discountCode }) : null
+    ].filter(Boolean).join(', ');
+    
+    return html`
+        <div class="inscription-meta">
+            ${formatMoney(inscription.amountDue, inscription.currency)} · 
+            <span class="payment-status ${inscription.paymentStatus}">${t(PAYMENT_STATUS_LABELS[inscription.paymentStatus])}</span>
+            ${details ? ` · ${details}` : ''}
+            ${inscription.paymentStatus === 'paid' ? ` · ${inscription.paymentProvider === 'manual' ? t('payment.recordedBy', { name: inscription.paymentRecordedBy }) : inscription.paymentReference}` : ''}
+            ${canEdit && inscription.paymentStatus === 'unpaid' ? html`
+                <button class="btn btn-secondary btn-small" onclick="recordPayment(${jsArg(inscription.id)}, 'paid')">${t('payment.markPaid')}</button>
+                <button class="btn btn-secondary btn-small" onclick="recordPayment(${jsArg(inscription.id)}, 'waived')">${t('payment.waive')}</button>
+            ` : ''}
+            ${canEdit && inscription.paymentStatus === 'paid' ? html`
+                <button class="btn btn-secondary btn-small" onclick="refundInscription(${jsArg(inscription.id)})">${t('payment.refund')}</button>
+            ` : ''}
+        </div>
+    `;
+}
+
+async function recordPayment(inscriptionId, paymentStatus) {
+    const inscription = dataManager.getInscription(inscriptionId);
+    if (!inscription || !requireEventPermission(inscription.eventId, 'edit')) return;
+    
+    try {
+        await dataManager.setPaymentStatus(inscriptionId, paymentStatus, { recordedBy: currentOrganizer.name });
+    } catch (err) {
+        console.error(err);
+        showNotification(t('payment.saveFailed'), 'error');
+        return;
+    }
+    showNotification(t(paymentStatus === 'paid' ? 'payment.recorded' : 'payment.waived', { name: inscription.name }));
+    viewInscriptions(inscription.eventId);
+}
+
+async function refundInscription(inscriptionId) {
+    const inscription = dataManager.getInscription(inscriptionId);
+    if (!inscription || !requireEventPermission(inscription.eventId, 'edit')) return;
+    
+    const amount = formatMoney(inscription.amountDue, inscription.currency);
+    const how = inscription.paymentProvider === 'manual' ? t('payment.refundManual') : t('payment.refundProvider');
+    if (!confirm(`${t('payment.confirmRefund', { amount, name: inscription.name })} ${how}`)) {
+        return;
+    }
+    
+    try {
+        await dataManager.refundPayment(inscriptionId, { recordedBy: currentOrganizer.name });
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('payment.refundFailed'), 'error');
+        return;
+    }
+    showNotification(t('payment.refunded', { amount, name: inscription.name }));
+    viewInscriptions(inscription.eventId);
+}
+
+function viewInscriptionsFromModal() {
+    const modal = document.getElementById('eventModal');
+    const eventId = modal.dataset.eventId;
+    if (eventId) {
+        // Close the event modal first
+        closeModal();
+        // Then open inscriptions modal
+        setTimeout(() => {
+            viewInscriptions(eventId);
+        }, 300);
+    } else {
+        showNotification(t('events.noneSelected'), 'error');
+    }
+}
+
+function closeInscriptionsModal() {
+    const modal = document.getElementById('inscriptionsModal');
+    modal.classList.remove('show');
+    modal.style.display = 'none';
+}
+
+async function deleteSeries(seriesId) {
+    const series = dataManager.getSeries(seriesId);
+    const events = series ? dataManager.getSeriesEvents(seriesId) : [];
+    if (!series || !events.every(event => organizerCan(event, 'delete'))) return;
+    if (!confirm(t('series.confirmDelete', { count: events.length }))) {
+        return;
+    }
+    
+    try {
+        await dataManager.deleteSeries(seriesId);
+    } catch (err) {
+        console.error(err);
+        showNotification(t('events.deleteFailed'), 'error');
+        return;
+    }
+    updateEventsList();
+    if (currentTab === 'communities') {
+        updateCommunitiesList();
+    }
+    showNotification(t('series.deleted'));
+}
+
+async function deleteEvent(eventId) {
+    if (!requireEventPermission(eventId, 'delete')) return;
+    if (!confirm(t('events.confirmDelete'))) {
+        return;
+    }
+    
+    try {
+        await dataManager.deleteEvent(eventId);
+    } catch (err) {
+        console.error(err);
+        showNotification(t('events.deleteFailed'), 'error');
+        return;
+    }
+    updateEventsList();
+    if (currentTab === 'communities') {
+        updateCommunitiesList();
+    }
+    showNotification(t('events.deleted'));
+}
+
+// Bracket Functions
+function openBracket(eventId) {
+    const event = requireEventPermission(eventId, 'edit');
+    if (!event) return;
+    
+    const modal = document.getElementById('bracketModal');
+    modal.querySelector('h3').textContent = t('bracket.title', { title: event.title });
+    modal.dataset.eventId = eventId;
+    
+    document.getElementById('bracketContent').innerHTML = event.bracket
+        ? html`
+            <div class="bracket-toolbar">
+                <span class="bracket-format">${t(BRACKET_FORMATS[event.bracket.format])}</span>
+                <button class="btn btn-secondary btn-small" onclick="copyBracketLink(${jsArg(event.id)})">
+                    <span class="btn-icon">📋</span>
+                    ${t('bracket.copyLink')}
+                </button>
+                <button class="btn btn-secondary btn-small" onclick="resetBracket(${jsArg(event.id)})" style="color: var(--danger); border-color: var(--danger);">
+                    <span class="btn-icon">🔄</span>
+                    ${t('bracket.reset')}
+                </button>
+            </div>
+            ${renderBracket(event, { editable: true })}
+        `
+        : renderBracketSetup(event);
+    
+    modal.classList.add('show');
+    modal.style.display = 'flex';
+}
+
+function closeBracketModal() {
+    const modal = document.getElementById('bracketModal');
+    modal.classList.remove('show');
+    modal.style.display = 'none';
+}
+
+function renderBracketSetup(event) {
+    const competitors = dataManager.getCompetitors(event.id);
+    if (competitors.length < 2) {
+        return html`
+            <div class="empty-state">
+                <div class="empty-icon">🏅</div>
+                <h3>${t('bracket.notEnoughTitle')}</h3>
+                <p>${t('bracket.notEnoughText')}</p>
+            </div>
+        `;
+    }
+    
+    return html`
+        <form id="bracketSetupForm" class="event-form" onsubmit="handleBracketSetupSubmit(event)">
+            <div class="form-group">
+                <label for="bracketFormat">${t('bracket.format')} *</label>
+                <select id="bracketFormat" name="format">
+                    ${Object.entries(BRACKET_FORMATS).map(([value, label]) => html`
+                        <option value="${value}">${t(label)}</option>
+                    `)}
+                </select>
+            </div>
+            <div class="form-group checkbox-group">
+                <label for="bracketSeeded">
+                    <input type="checkbox" id="bracketSeeded" name="seeded" onchange="toggleBracketSeeds(this.checked)">
+                    ${t('bracket.seedParticipants')}
+                </label>
+                <small class="form-hint">${t('bracket.seedHint')}</small>
+            </div>
+            <div id="bracketSeeds" class="bracket-seeds" style="display: none;">
+                ${competitors.map(competitor => html`
+                    <div class="bracket-seed-row">
+                        <span>${competitor.name}</span>
+                        <input type="number" min="1" max="${competitors.length}" name="seed-${competitor.id}" placeholder="${t('bracket.seed')}">
+                    </div>
+                `)}
+            </div>
+            <button type="submit" class="btn btn-primary">
+                <span class="btn-icon">🏅</span>
+                ${t('bracket.generate')} (${t(event.teamMode ? 'count.teams' : 'count.participants', { count: competitors.length })})
+            </button>
+        </form>
+    `;
+}
+
+function toggleBracketSeeds(show) {
+    document.getElementById('bracketSeeds').style.display = show ? 'grid' : 'none';
+}
+
+async function handleBracketSetupSubmit(submitEvent) {
+    submitEvent.preventDefault();
+    
+    const eventId = document.getElementById('bracketModal').dataset.eventId;
+    const formData = new FormData(submitEvent.target);
+    const seeds = {};
+    if (formData.get('seeded') === 'on') {
+        for (const [name, value] of formData.entries()) {
+            if (name.startsWith('seed-') && value) {
+                seeds[name.slice(5)] = value;
+            }
+        }
+        
+        const values = Object.values(seeds);
+        if (new Set(values).size !== values.length) {
+            showNotification(t('bracket.seedsUnique'), 'error');
+            return;
+        }
+    }
+    
+    try {
+        await dataManager.createBracket(eventId, { format: formData.get('format'), seeds });
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('bracket.generateFailed'), 'error');
+        return;
+    }
+    
+    showNotification(t('bracket.generated'));
+    openBracket(eventId);
+}
+
+async function reportMatch(eventId, matchId, winnerId) {
+    const scoreInput = document.getElementById(`score-${matchId}`);
+    
+    try {
+        await dataManager.reportMatchResult(eventId, matchId, winnerId, scoreInput ? scoreInput.value.trim() : '');
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('match.saveFailed'), 'error');
+        return;
+    }
+    
+    const event = dataManager.getEvent(eventId);
+    if (event.bracket.championId) {
+        const champion = event.bracket.participants.find(p => p.id === event.bracket.championId);
+        showNotification(t('bracket.championNotice', { name: champion.name }));
+    }
+    openBracket(eventId);
+}
+
+async function undoMatch(eventId, matchId) {
+    try {
+        await dataManager.undoMatchResult(eventId, matchId);
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('match.undoFailed'), 'error');
+        return;
+    }
+    openBracket(eventId);
+}
+
+async function resetBracket(eventId) {
+    if (!confirm(t('bracket.confirmReset'))) {
+        return;
+    }
+    
+    try {
+        await dataManager.deleteBracket(eventId);
+    } catch (err) {
+        console.error(err);
+        showNotification(t('bracket.resetFailed'), 'error');
+        return;
+    }
+    openBracket(eventId);
+}
+
+function copyBracketLink(eventId) {
+    copyLinkToClipboard(dataManager.generateBracketUrl(eventId), t('bracket.linkCopied'));
+}
+
+// Shared by the manager modal (editable) and the public bracket page
+function renderBracket(event, { editable = false } = {}) {
+    const bracket = event.bracket;
+    const champion = bracket.participants.find(p => p.id === bracket.championId);
+    
+    let sections;
+    if (bracket.format === 'round_robin') {
+        sections = [{ title: null, matches: bracket.matches }];
+    } else {
+        sections = [
+            { title: bracket.format === 'double' ? t('bracket.winnersBracket') : null, matches: bracket.matches.filter(m => m.bracket === 'winners') },
+            { title: t('bracket.losersBracket'), matches: bracket.matches.filter(m => m.bracket === 'losers') },
+            { title: t('bracket.grandFinal'), matches: bracket.matches.filter(m => m.bracket === 'final' && !m.skipped) }
+        ].filter(section => section.matches.length > 0);
+    }
+    
+    return html`
+        ${champion ? html`
+            <div class="bracket-champion">🏆 ${t('bracket.champion')}: <strong>${champion.name}</strong></div>
+        ` : ''}
+        ${sections.map(section => html`
+            <div class="bracket-section">
+                ${section.title ? html`<h4 class="bracket-section-title">${section.title}</h4>` : ''}
+                <div class="bracket-rounds">
+                    ${groupMatchesByRound(section.matches).map(([round, matches]) => html`
+                        <div class="bracket-round">
+                            <div class="bracket-round-title">${getBracketRoundLabel(bracket, matches[0])}</div>
+                            ${matches.map(match => renderBracketMatch(event, match, editable))}
+                        </div>
+                    `)}
+                </div>
+            </div>
+        `)}
+        ${bracket.format === 'round_robin' ? renderRoundRobinStandings(bracket) : ''}
+    `;
+}
+
+function groupMatchesByRound(matches) {
+    const rounds = new Map();
+    matches.forEach(match => {
+        if (!rounds.has(match.round)) rounds.set(match.round, []);
+        rounds.get(match.round).push(match);
+    });
+    return [...rounds.entries()];
+}
+
+function getBracketRoundLabel(bracket, match) {
+    if (match.bracket === 'final') {
+        return t(match.round === 1 ? 'bracket.grandFinal' : 'bracket.bracketReset');
+    }
+    if (match.bracket === 'losers') {
+        return t('bracket.losersRound', { round: match.round });
+    }
+    if (match.bracket === 'winners') {
+        const lastRound = Math.max(...bracket.matches.filter(m => m.bracket === 'winners').map(m => m.round));
+        const double = bracket.format === 'double';
+        if (match.round === lastRound) return t(double ? 'bracket.winnersFinal' : 'bracket.final');
+        if (match.round === lastRound - 1) return t(double ? 'bracket.winnersSemifinals' : 'bracket.semifinals');
+        if (match.round === lastRound - 2) return t(double ? 'bracket.winnersQuarterfinals' : 'bracket.quarterfinals');
+    }
+    return t('bracket.round', { round: match.round });
+}
+
+function renderBracketMatch(event, match, editable) {
+    const bracket = event.bracket;
+    const playable = editable && isMatchPlayable(match);
+    
+    const renderSlot = slot => {
+        const participant = bracket.participants.find(p => p.id === slot);
+        const name = slot === BYE ? t('bracket.bye') : participant ? participant.name : t('bracket.tbd');
+        const classes = ['bracket-slot'];
+        if (match.winner && match.winner === slot) classes.push('winner');
+        if (match.winner && match.winner !== slot && match.winner !== 'draw') classes.push('loser');
+        if (!participant) classes.push('empty');
+        
+        return html`
+            <div class="${classes.join(' ')}">
+                ${participant && participant.seed ? html`<span class="bracket-seed">${participant.seed}</span>` : ''}
+                <span class="bracket-name">${name}</span>
+                ${playable ? html`
+                    <button class="btn btn-secondary btn-small" onclick="reportMatch(${jsArg(event.id)}, ${jsArg(match.id)}, ${jsArg(slot)})">${t('match.win')}</button>
+                ` : ''}
+            </div>
+        `;
+    };
+    
+    let footer = '';
+    if (playable) {
+        footer = html`
+            <input type="text" id="score-${match.id}" class="bracket-score-input" placeholder="${t('match.scorePlaceholder')}">
+            ${bracket.format === 'round_robin' ? html`
+                <button class="btn btn-secondary btn-small" onclick="reportMatch(${jsArg(event.id)}, ${jsArg(match.id)}, 'draw')">${t('match.draw')}</button>
+            ` : ''}
+        `;
+    } else if (match.isBye) {
+        footer = html`<span class="bracket-score">${t('bracket.bye')}</span>`;
+    } else if (match.winner) {
+        footer = html`
+            <span class="bracket-score">${match.winner === 'draw' ? t('match.draw') : ''} ${match.score}</span>
+            ${editable && canUndoMatch(bracket, match) ? html`
+                <button class="btn btn-secondary btn-small" onclick="undoMatch(${jsArg(event.id)}, ${jsArg(match.id)})">${t('match.undo')}</button>
+            ` : ''}
+        `;
+    }
+    
+    return html`
+        <div class="bracket-match ${match.winner ? 'decided' : ''}">
+            ${match.slots.map(renderSlot)}
+            ${footer ? html`<div class="bracket-match-footer">${footer}</div>` : ''}
+        </div>
+    `;
+}
+
+function renderRoundRobinStandings(bracket) {
+    return html`
+        <div class="bracket-section">
+            <h4 class="bracket-section-title">${t('standings.title')}</h4>
+            <table class="standings-table">
+                <thead>
+                    <tr><th>#</th><th>${t('standings.player')}</th><th>${t('standings.played')}</th><th>${t('standings.wins')}</th><th>${t('standings.draws')}</th><th>${t('standings.losses')}</th><th>${t('standings.points')}</th></tr>
+                </thead>
+                <tbody>
+                    ${getRoundRobinStandings(bracket).map((row, index) => html`
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td>${row.name}</td>
+                            <td>${row.played}</td>
+                            <td>${row.wins}</td>
+                            <td>${row.draws}</td>
+                            <td>${row.losses}</td>
+                            <td><strong>${row.points}</strong></td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Swiss Functions
+function openSwiss(eventId) {
+    const event = requireEventPermission(eventId, 'edit');
+    if (!event) return;
+    
+    const modal = document.getElementById('swissModal');
+    modal.querySelector('h3').textContent = t('swiss.title', { title: event.title });
+    modal.dataset.eventId = eventId;
+    document.getElementById('swissContent').innerHTML = event.swiss ? renderSwiss(event) : renderSwissSetup(event);
+    
+    modal.classList.add('show');
+    modal.style.display = 'flex';
+}
+
+function closeSwissModal() {
+    const modal = document.getElementById('swissModal');
+    modal.classList.remove('show');
+    modal.style.display = 'none';
+}
+
+function renderSwissSetup(event) {
+    const playerCount = dataManager.getCompetitors(event.id).length;
+    if (playerCount < 2) {
+        return html`
+            <div class="empty-state">
+                <div class="empty-icon">♟️</div>
+                <h3>${t('bracket.notEnoughTitle')}</h3>
+                <p>${t('swiss.notEnoughText')}</p>
+            </div>
+        `;
+    }
+    
+    const maxRounds = getMaxSwissRounds(playerCount);
+    return html`
+        <form id="swissSetupForm" class="event-form" onsubmit="handleSwissSetupSubmit(event)">
+            <div class="form-group">
+                <label for="swissRounds">${t('swiss.rounds')} *</label>
+                <input type="number" id="swissRounds" name="rounds" required min="1" max="${maxRounds}" value="${Math.min(Math.ceil(Math.log2(playerCount)), maxRounds)}">
+                <small class="form-hint">${t('count.players', { count: playerCount })}. ${t('swiss.pairingOrder')}</small>
+            </div>
+            <button type="submit" class="btn btn-primary">
+                <span class="btn-icon">♟️</span>
+                ${t('swiss.start')}
+            </button>
+        </form>
+    `;
+}
+
+async function handleSwissSetupSubmit(submitEvent) {
+    submitEvent.preventDefault();
+    
+    const eventId = document.getElementById('swissModal').dataset.eventId;
+    const totalRounds = parseInt(new FormData(submitEvent.target).get('rounds'));
+    
+    try {
+        await dataManager.startSwiss(eventId, totalRounds);
+        await dataManager.pairNextSwissRound(eventId);
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('swiss.startFailed'), 'error');
+        return;
+    }
+    
+    showNotification(t('swiss.firstRoundPaired'));
+    openSwiss(eventId);
+}
+
+function renderSwiss(event) {
+    const swiss = event.swiss;
+    const names = new Map(swiss.participants.map(p => [p.id, p.name]));
+    const current = getCurrentSwissRound(swiss);
+    const canPair = swiss.rounds.length < swiss.totalRounds && (!current || isSwissRoundComplete(current));
+    
+    return html`
+        <div class="bracket-toolbar">
+            <span class="bracket-format">${t('swiss.roundOf', { round: swiss.rounds.length, total: swiss.totalRounds })}</span>
+            ${canPair ? html`
+                <button class="btn btn-primary btn-small" onclick="pairNextRound(${jsArg(event.id)})">
+                    <span class="btn-icon">🔀</span>
+                    ${t('swiss.pairRound', { round: swiss.rounds.length + 1 })}
+                </button>
+            ` : ''}
+            <button class="btn btn-secondary btn-small" onclick="exportSwissStandings(${jsArg(event.id)})">
+                <span class="btn-icon">📊</span>
+                ${t('swiss.exportStandings')}
+            </button>
+            ${swiss.rounds.length > 0 ? html`
+                <button class="btn btn-secondary btn-small" onclick="deleteLastRound(${jsArg(event.id)})">
+                    <span class="btn-icon">↩️</span>
+                    ${t('swiss.deleteLastRound')}
+                </button>
+            ` : ''}
+            <button class="btn btn-secondary btn-small" onclick="resetSwiss(${jsArg(event.id)})" style="color: var(--danger); border-color: var(--danger);">
+                <span class="btn-icon">🔄</span>
+                ${t('swiss.reset')}
+            </button>
+        </div>
+        
+        ${[...swiss.rounds].reverse().map(round => html`
+            <div class="bracket-section">
+                <h4 class="bracket-section-title">${t('bracket.round', { round: round.number })}${isSwissRoundComplete(round) ? ' ✓' : ''}</h4>
+                <table class="standings-table">
+                    <thead>
+                        <tr><th>${t('swiss.board')}</th><th>${t('swiss.white')}</th><th>${t('swiss.result')}</th><th>${t('swiss.black')}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${round.pairings.map((pairing, index) => html`
+                            <tr>
+                                <td>${pairing.black ? index + 1 : '—'}</td>
+                                <td>${names.get(pairing.white)}</td>
+                                <td>
+                                    ${pairing.black ? html`
+                                        <select class="swiss-result-select" onchange="recordSwissResultFromSelect(${jsArg(event.id)}, ${round.number}, ${jsArg(pairing.id)}, this.value)">
+                                            <option value="" ${!pairing.result ? 'selected' : ''}>—</option>
+                                            ${Object.keys(SWISS_RESULTS).map(result => html`
+                                                <option value="${result}" ${pairing.result === result ? 'selected' : ''}>${result}</option>
+                                            `)}
+                                        </select>
+                                    ` : `${t('bracket.bye')} (+${SWISS_BYE_POINTS})`}
+                                </td>
+                                <td>${pairing.black ? names.get(pairing.black) : ''}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        `)}
+        
+        <div class="bracket-section">
+            <h4 class="bracket-section-title">${t('standings.title')}</h4>
+            ${renderSwissStandings(swiss)}
+        </div>
+    `;
+}
+
+function renderSwissStandings(swiss) {
+    return html`
+        <table class="standings-table">
+            <thead>
+                <tr><th>#</th><th>${t('standings.player')}</th><th>${t('standings.score')}</th><th>Buchholz</th><th>SB</th><th>${t('standings.gamesPlayed')}</th></tr>
+            </thead>
+            <tbody>
+                ${getSwissStandings(swiss).map((row, index) => html`
+                    <tr>
+                        <td>${index + 1}</td>
+                        <td>${row.name}</td>
+                        <td><strong>${row.score}</strong></td>
+                        <td>${row.buchholz}</td>
+                        <td>${row.sonnebornBerger}</td>
+                        <td>${row.played}${row.byes > 0 ? ` + ${t('count.byes', { count: row.byes })}` : ''}</td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    `;
+}
+
+async function pairNextRound(eventId) {
+    try {
+        await dataManager.pairNextSwissRound(eventId);
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('swiss.pairFailed'), 'error');
+        return;
+    }
+    openSwiss(eventId);
+}
+
+async function recordSwissResultFromSelect(eventId, roundNumber, pairingId, result) {
+    try {
+        await dataManager.recordSwissResult(eventId, roundNumber, pairingId, result);
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('match.saveFailed'), 'error');
+    }
+    openSwiss(eventId);
+}
+
+async function deleteLastRound(eventId) {
+    if (!confirm(t('swiss.confirmDeleteRound'))) {
+        return;
+    }
+    
+    try {
+        await dataManager.deleteLastSwissRound(eventId);
+    } catch (err) {
+        console.error(err);
+        showNotification(t('swiss.deleteRoundFailed'), 'error');
+        return;
+    }
+    openSwiss(eventId);
+}
+
+async function resetSwiss(eventId) {
+    if (!confirm(t('swiss.confirmReset'))) {
+        return;
+    }
+    
+    try {
+        await dataManager.deleteSwiss(eventId);
+    } catch (err) {
+        console.error(err);
+        showNotification(t('swiss.resetFailed'), 'error');
+        return;
+    }
+    openSwiss(eventId);
+}
+
+// Course Functions
+function openCourse(eventId, rollCallSessionId = null) {
+    const event = requireEventPermission(eventId, 'edit');
+    if (!event) return;
+    
+    const modal = document.getElementById('courseModal');
+    modal.querySelector('h3').textContent = t('course.title', { title: event.title });
+    modal.dataset.eventId = eventId;
+    document.getElementById('courseContent').innerHTML = rollCallSessionId
+        ? renderRollCall(event, rollCallSessionId)
+        : renderCourseOverview(event);
+    
+    modal.classList.add('show');
+    modal.style.display = 'flex';
+}
+
+function closeCourseModal() {
+    const modal = document.getElementById('courseModal');
+    modal.classList.remove('show');
+    modal.style.display = 'none';
+}
+
+function renderCourseOverview(event) {
+    const sessions = dataManager.getSessions(event);
+    const attendance = event.attendance || {};
+    const summary = dataManager.getAttendanceSummary(event);
+    const threshold = event.certificateThreshold ?? DEFAULT_CERTIFICATE_THRESHOLD;
+    
+    return html`
+        <div class="bracket-section">
+            <h4 class="bracket-section-title">${t('course.schedule')} (${t('count.sessions', { count: sessions.length })})</h4>
+            ${sessions.length > 0 ? html`
+                <table class="standings-table">
+                    <thead>
+                        <tr><th>#</th><th>${t('course.session')}</th><th>${t('eventField.date')}</th><th>${t('course.present')}</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${sessions.map((session, index) => html`
+                            <tr>
+                                <td>${index + 1}</td>
+                                <td>${session.title || t('course.sessionNumber', { number: index + 1 })}</td>
+                                <td>${formatEventDate(event, session.date)}</td>
+                                <td>${attendance[session.id] ? attendance[session.id].length : '—'}</td>
+                                <td class="table-actions">
+                                    <button class="btn btn-secondary btn-small" onclick="openCourse(${jsArg(event.id)}, ${jsArg(session.id)})">${t('course.rollCall')}</button>
+                                    <button class="btn btn-secondary btn-small" onclick="removeSession(${jsArg(event.id)}, ${jsArg(session.id)})" style="color: var(--danger); border-color: var(--danger);">${t('common.remove')}</button>
+                                </td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            ` : html`<p class="inscriptions-group-empty">${t('course.noSessions')}</p>`}
+            
+            <form id="sessionForm" class="inline-form" onsubmit="handleSessionFormSubmit(event)">
+                <input type="text" name="title" placeholder="${t('course.sessionTitlePlaceholder')}">
+                <input type="datetime-local" name="date" required>
+                <button type="submit" class="btn btn-primary btn-small">
+                    <span class="btn-icon">➕</span>
+                    ${t('course.addSession')}
+                </button>
+            </form>
+        </div>
+        
+        <div class="bracket-section">
+            <h4 class="bracket-section-title">${t('course.attendance')}</h4>
+            <form class="inline-form" onsubmit="handleThresholdSubmit(event)">
+                <label for="certificateThreshold">${t('course.certificateThreshold')}</label>
+                <input type="number" id="certificateThreshold" name="threshold" min="0" max="100" value="${threshold}"> %
+                <button type="submit" class="btn btn-secondary btn-small">${t('common.save')}</button>
+            </form>
+            ${summary.length > 0 ? html`
+                <table class="standings-table">
+                    <thead>
+                        <tr><th>${t('course.participant')}</th><th>${t('course.attended')}</th><th>%</th><th>${t('course.certificate')}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${summary.map(row => html`
+                            <tr>
+                                <td>${row.inscription.name}</td>
+                                <td>${row.attended} / ${row.held}</td>
+                                <td><strong>${formatRate(row.percentage / 100)}</strong></td>
+                                <td>
+                                    ${row.eligible ? html`
+                                        <a class="btn btn-secondary btn-small" href="${dataManager.generateCertificateUrl(row.inscription)}" target="_blank">🎓 ${t('course.certificate')}</a>
+                                    ` : '—'}
+                                </td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            ` : html`<p class="inscriptions-group-empty">${t('course.noParticipants')}</p>`}
+        </div>
+    `;
+}
+
+function renderRollCall(event, sessionId) {
+    const sessions = dataManager.getSessions(event);
+    const index = sessions.findIndex(session => session.id === sessionId);
+    const session = sessions[index];
+    if (!session) {
+        return renderCourseOverview(event);
+    }
+    
+    const present = (event.attendance || {})[sessionId] || [];
+    const inscriptions = dataManager.getAcceptedInscriptions(event.id);
+    
+    return html`
+        <div class="bracket-toolbar">
+            <span class="bracket-format">${session.title || t('course.sessionNumber', { number: index + 1 })} · ${formatEventDate(event, session.date)}</span>
+            <button class="btn btn-secondary btn-small" onclick="openCourse(${jsArg(event.id)})">← ${t('common.back')}</button>
+        </div>
+        ${inscriptions.length > 0 ? inscriptions.map(inscription => html`
+            <label class="roll-call-item">
+                <input type="checkbox" ${present.includes(inscription.id) ? 'checked' : ''} onchange="toggleAttendance(${jsArg(event.id)}, ${jsArg(sessionId)}, ${jsArg(inscription.id)}, this.checked)">
+                <span class="inscription-name">${inscription.name}</span>
+                <span class="inscription-email">${inscription.email}</span>
+            </label>
+        `) : html`<p class="inscriptions-group-empty">${t('course.noParticipants')}</p>`}
+    `;
+}
+
+async function handleSessionFormSubmit(submitEvent) {
+    submitEvent.preventDefault();
+    
+    const eventId = document.getElementById('courseModal').dataset.eventId;
+    const formData = new FormData(submitEvent.target);
+    
+    try {
+        await dataManager.addSession(eventId, {
+            title: formData.get('title').trim(),
+            date: formData.get('date')
+        });
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('course.addSessionFailed'), 'error');
+        return;
+    }
+    openCourse(eventId);
+}
+
+async function removeSession(eventId, sessionId) {
+    if (!confirm(t('course.confirmRemoveSession'))) {
+        return;
+    }
+    
+    try {
+        await dataManager.removeSession(eventId, sessionId);
+    } catch (err) {
+        console.error(err);
+        showNotification(t('course.removeSessionFailed'), 'error');
+        return;
+    }
+    openCourse(eventId);
+}
+
+async function toggleAttendance(eventId, sessionId, inscriptionId, present) {
+    try {
+        await dataManager.setAttendance(eventId, sessionId, inscriptionId, present);
+    } catch (err) {
+        console.error(err);
+        showNotification(t('course.attendanceFailed'), 'error');
+        openCourse(eventId, sessionId);
+    }
+}
+
+async function handleThresholdSubmit(submitEvent) {
+    submitEvent.preventDefault();
+    
+    const eventId = document.getElementById('courseModal').dataset.eventId;
+    const threshold = parseFloat(new FormData(submitEvent.target).get('threshold'));
+    
+    try {
+        await dataManager.setCertificateThreshold(eventId, threshold);
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('course.thresholdFailed'), 'error');
+        return;
+    }
+    showNotification(t('course.thresholdSaved'));
+    openCourse(eventId);
+}
+
+// Message Functions
+function openMessages(eventId) {
+    const event = requireEventPermission(eventId, 'edit');
+    if (!event) return;
+    
+    const modal = document.getElementById('messagesModal');
+    modal.querySelector('h3').textContent = t('messages.title', { title: event.title });
+    modal.dataset.eventId = eventId;
+    document.getElementById('messagesContent').innerHTML = renderMessages(event);
+    
+    modal.classList.add('show');
+    modal.style.display = 'flex';
+}
+
+function closeMessagesModal() {
+    const modal = document.getElementById('messagesModal');
+    modal.classList.remove('show');
+    modal.style.display = 'none';
+}
+
+function renderMessages(event) {
+    const messages = dataManager.getMessagesForEvent(event.id);
+    const sentByServer = (window.GOLDENSIGN_CONFIG || {}).storage === 'rest';
+    
+    return html`
+        <div class="bracket-section">
+            <h4 class="bracket-section-title">${t('messages.templates')}</h4>
+            <small class="form-hint">${t('messages.placeholders')}: ${MESSAGE_PLACEHOLDERS.map(key => `{{${key}}}`).join(' ')}</small>
+            ${Object.entries(MESSAGE_KINDS).map(([kind, label]) => {
+                const template = dataManager.getMessageTemplate(event, kind);
+                const customized = Boolean((event.messageTemplates || {})[kind]);
+                return html`
+                    <details class="message-template">
+                        <summary>${t(label)}${customized ? ` (${t('messages.customized')})` : ''}</summary>
+                        <form class="event-form" onsubmit="handleMessageTemplateSubmit(event)">
+                            <input type="hidden" name="kind" value="${kind}">
+                            <div class="form-group">
+                                <label>${t('messages.subject')} *</label>
+                                <input type="text" name="subject" required value="${template.subject}">
+                            </div>
+                            <div class="form-group">
+                                <label>${t('messages.body')} *</label>
+                                <textarea name="body" required rows="6">${template.body}</textarea>
+                            </div>
+                            <div class="modal-actions">
+                                <button type="submit" class="btn btn-primary btn-small">${t('messages.saveTemplate')}</button>
+                                ${customized ? html`
+                                    <button type="button" class="btn btn-secondary btn-small" onclick="resetMessageTemplate(${jsArg(kind)})">${t('messages.resetTemplate')}</button>
+                                ` : ''}
+                            </div>
+                        </form>
+                    </details>
+                `;
+            })}
+        </div>
+        
+        <div class="bracket-section">
+            <div class="bracket-toolbar">
+                <h4 class="bracket-section-title">${t('messages.outbox')} (${messages.length})</h4>
+                <button class="btn btn-secondary btn-small" onclick="refreshOutbox()">
+                    <span class="btn-icon">🔄</span>
+                    ${t('messages.refresh')}
+                </button>
+            </div>
+            ${sentByServer ? '' : html`
+                <p class="form-hint">${t('messages.browserStorageHint')}</p>
+            `}
+            ${messages.length > 0 ? html`
+                <table class="standings-table">
+                    <thead>
+                        <tr><th>${t('messages.message')}</th><th>${t('messages.to')}</th><th>${t('messages.subject')}</th><th>${t('eventModal.status')}</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${messages.map(message => html`
+                            <tr>
+                                <td>${t(MESSAGE_KIND_LABELS[message.kind])}</td>
+                                <td>${message.to}</td>
+                                <td>${message.subject}</td>
+                                <td>
+                                    <span class="message-status ${message.status}">${t(MESSAGE_STATUS_LABELS[message.status])}</span>
+                                    <div class="inscription-meta">${describeMessageTiming(message)}</div>
+                                    ${message.error ? html`<div class="inscription-meta">${message.error}</div>` : ''}
+                                </td>
+                                <td class="table-actions">
+                                    ${message.status === 'failed' ? html`
+                                        <button class="btn btn-secondary btn-small" onclick="retryMessage(${jsArg(message.id)})">${t('messages.retry')}</button>
+                                    ` : ''}
+                                    ${message.status === 'queued' ? html`
+                                        <button class="btn btn-secondary btn-small" onclick="cancelMessage(${jsArg(message.id)})">${t('common.cancel')}</button>
+                                    ` : ''}
+                                </td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            ` : html`<p class="inscriptions-group-empty">${t('messages.empty')}</p>`}
+        </div>
+    `;
+}
+
+function describeMessageTiming(message) {
+    if (message.status === 'sent') {
+        return t('messages.sentAt', { date: formatDate(message.sentAt) });
+    }
+    if (message.status === 'queued' && message.sendAfter && new Date(message.sendAfter) > new Date()) {
+        return t('messages.scheduledFor', { date: formatDate(message.sendAfter) });
+    }
+    return t('messages.queuedAt', { date: formatDate(message.createdAt) });
+}
+
+async function handleMessageTemplateSubmit(submitEvent) {
+    submitEvent.preventDefault();
+    
+    const eventId = document.getElementById('messagesModal').dataset.eventId;
+    const formData = new FormData(submitEvent.target);
+    const template = {
+        subject: formData.get('subject').trim(),
+        body: formData.get('body')
+    };
+    if (!template.subject || !template.body.trim()) {
+        showNotification(t('messages.templateIncomplete'), 'error');
+        return;
+    }
+    
+    try {
+        await dataManager.setMessageTemplate(eventId, formData.get('kind'), template);
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('messages.templateSaveFailed'), 'error');
+        return;
+    }
+    showNotification(t('messages.templateSaved'));
+    openMessages(eventId);
+}
+
+async function resetMessageTemplate(kind) {
+    const eventId = document.getElementById('messagesModal').dataset.eventId;
+    await dataManager.setMessageTemplate(eventId, kind, null);
+    showNotification(t('messages.templateReset'));
+    openMessages(eventId);
+}
+
+async function retryMessage(messageId) {
+    await dataManager.retryMessage(messageId);
+    openMessages(document.getElementById('messagesModal').dataset.eventId);
+}
+
+async function cancelMessage(messageId) {
+    await dataManager.updateMessage(messageId, { status: 'cancelled' });
+    openMessages(document.getElementById('messagesModal').dataset.eventId);
+}
+
+async function refreshOutbox() {
+    try {
+        await dataManager.reloadMessages();
+    } catch (err) {
+        console.error(err);
+        showNotification(t('messages.outboxFailed'), 'error');
+        return;
+    }
+    openMessages(document.getElementById('messagesModal').dataset.eventId);
+}
+
+// Calendar Feed Functions
+// Subscribing needs the GoldenSign server; with browser storage the feed
+// can only be downloaded as a snapshot
+async function openCalendarFeed({ reset = false } = {}) {
+    const events = dataManager.getEventsFor(currentOrganizer.id);
+    const served = (window.GOLDENSIGN_CONFIG || {}).storage === 'rest';
+    const feedUrl = served ? await dataManager.generateCalendarFeedUrl(currentOrganizer.id, { reset }) : null;
+    
+    document.getElementById('calendarContent').innerHTML = html`
+        <p>${t('calendarFeed.intro', { count: events.length })}</p>
+        ${served ? html`
+            <div class="event-url-section">
+                <label><strong>${t('calendarFeed.link')}:</strong></label>
+                <div class="url-display">
+                    <input type="text" value="${feedUrl}" readonly class="url-input" id="calendarFeedInput">
+                    <button onclick="copyCalendarFeedUrl()" class="btn btn-secondary btn-small">
+                        <span class="btn-icon">📋</span>
+                        ${t('common.copy')}
+                    </button>
+                </div>
+                <small class="form-hint">${t('calendarFeed.linkHint')}</small>
+            </div>
+        ` : html`
+            <p class="form-hint">${t('calendarFeed.browserStorageHint')}</p>
+        `}
+        <div class="modal-actions">
+            <button class="btn btn-primary" onclick="downloadOrganizerCalendar()">
+                <span class="btn-icon">📥</span>
+                ${t('calendarFeed.download')}
+            </button>
+            ${served ? html`
+                <button class="btn btn-secondary" onclick="resetCalendarFeed()">${t('calendarFeed.resetLink')}</button>
+            ` : ''}
+        </div>
+    `;
+    
+    const modal = document.getElementById('calendarModal');
+    modal.classList.add('show');
+    modal.style.display = 'flex';
+}
+
+function closeCalendarModal() {
+    const modal = document.getElementById('calendarModal');
+    modal.classList.remove('show');
+    modal.style.display = 'none';
+}
+
+function copyCalendarFeedUrl() {
+    const input = document.getElementById('calendarFeedInput');
+    navigator.clipboard.writeText(input.value).then(() => {
+        showNotification(t('calendarFeed.copied'));
+    }).catch(() => {
+        input.select();
+        showNotification(t('calendarFeed.copyManually'), 'error');
+    });
+}
+
+async function resetCalendarFeed() {
+    if (!confirm(t('calendarFeed.confirmReset'))) {
+        return;
+    }
+    await openCalendarFeed({ reset: true });
+    showNotification(t('calendarFeed.reset'));
+}
+
+function downloadOrganizerCalendar() {
+    const events = dataManager.getEventsFor(currentOrganizer.id);
+    downloadFile(dataManager.generateCalendar(events, `${currentOrganizer.name} · GoldenSign`), 'goldensign_events.ics', 'text/calendar');
+}
+
+// Communities Management Functions
+function updateCommunitiesList() {
+    const events = dataManager.getEventsFor(currentOrganizer.id);
+    const communitiesList = document.getElementById('communitiesList');
+    const totalEvents = document.getElementById('totalEvents');
+    const totalParticipants = document.getElementById('totalParticipants');
+    const totalRevenue = document.getElementById('totalRevenue');
+    
+    // Calculate total participants
+    let totalParticipantsCount = 0;
+    events.forEach(event => {
+        const inscriptions = dataManager.getAcceptedInscriptions(event.id);
+        totalParticipantsCount += inscriptions.length;
+    });
+    
+    // Revenue adds up per currency
+    const revenue = {};
+    events.filter(hasFee).forEach(event => {
+        revenue[event.feeCurrency] = (revenue[event.feeCurrency] || 0) + dataManager.getRevenue(event.id);
+    });
+    
+    // Update stats
+    totalEvents.textContent = t('communities.totalEvents', { count: events.length });
+    totalParticipants.textContent = t('communities.totalParticipants', { count: totalParticipantsCount });
+    totalRevenue.textContent = t('communities.totalRevenue', { amount: Object.entries(revenue).map(([currency, cents]) => formatMoney(cents, currency)).join(' + ') });
+    totalRevenue.style.display = Object.keys(revenue).length > 0 ? '' : 'none';
+    
+    if (events.length === 0) {
+        document.getElementById('analyticsDashboard').innerHTML = '';
+        communitiesList.innerHTML = html`
+            <div class="empty-state">
+                <div class="empty-icon">🏆</div>
+                <h3>${t('communities.emptyTitle')}</h3>
+                <p>${t('communities.emptyText')}</p>
+            </div>
+        `;
+        return;
+    }
+    
+    // Apply filters
+    const filteredEvents = filterEvents(events);
+    renderAnalytics(filteredEvents);
+    
+    communitiesList.innerHTML = groupBySeries(filteredEvents).map(group => group.series
+        ? renderSeriesGroup(group.series, group.events, renderCommunityCard)
+        : renderCommunityCard(group.events[0])
+    ).join('');
+}
+
+function renderCommunityCard(event) {
+    const inscriptions = dataManager.getAcceptedInscriptions(event.id);
+    const waitlist = dataManager.getWaitlist(event.id);
+    const availableSlots = dataManager.getAvailableSlots(event);
+    const isPast = getEventTime(event) < new Date();
+    const isFull = availableSlots <= 0;
+    
+    return html`
+        <div class="community-card" data-event-id="${event.id}">
+            <div class="community-card-header">
+                <div>
+                    <h3 class="community-title">${event.title}</h3>
+                    <div class="community-type-badge">${t(`eventType.${event.type}`)}</div>
+                </div>
+            </div>
+            
+            <p class="community-description">${event.description}</p>
+            
+            <div class="community-stats">
+                <div class="community-stat">
+                    <div class="community-stat-value">${inscriptions.length}</div>
+                    <div class="community-stat-label">${t('communities.participants')}</div>
+                </div>
+                <div class="community-stat">
+                    <div class="community-stat-value">${event.maxParticipants}</div>
+                    <div class="community-stat-label">${t('communities.maxCapacity')}</div>
+                </div>
+                <div class="community-stat">
+                    <div class="community-stat-value">${availableSlots}</div>
+                    <div class="community-stat-label">${t('communities.available')}</div>
+                </div>
+                <div class="community-stat">
+                    <div class="community-stat-value">${formatDateShort(event.date)}</div>
+                    <div class="community-stat-label">${t('eventField.date')}</div>
+                </div>
+                ${hasFee(event) ? html`
+                    <div class="community-stat">
+                        <div class="community-stat-value">${formatMoney(dataManager.getRevenue(event.id), event.feeCurrency)}</div>
+                        <div class="community-stat-label">${t('eventModal.revenue')}</div>
+                    </div>
+                ` : ''}
+            </div>
+            
+            <div class="community-participants">
+                <div class="participants-header">
+                    <span class="participants-title">${t('communities.participants')} (${inscriptions.length})${waitlist.length > 0 ? ` · ${t('events.onWaitlist', { count: waitlist.length })}` : ''}</span>
+                    ${inscriptions.length > 0 ? html`
+                        <button class="participants-toggle" onclick="toggleParticipants(${jsArg(event.id)})">
+                            <span id="toggleText-${event.id}">${t('communities.show')}</span>
+                        </button>
+                    ` : ''}
+                </div>
+                
+                ${inscriptions.length > 0 ? html`
+                    <div id="participants-${event.id}" class="participants-list">
+                        ${inscriptions.map((inscription, index) => html`
+                            <div class="participant-item">
+                                <div class="participant-info">
+                                    <div class="participant-name">${inscription.name}</div>
+                                    <div class="participant-email">${inscription.email}</div>
+                                </div>
+                                <div class="participant-date">${formatDateShort(inscription.createdAt)}</div>
+                            </div>
+                        `)}
+                    </div>
+                ` : html`
+                    <div class="empty-state" style="padding: 20px; text-align: center;">
+                        <p>${t('communities.noParticipants')}</p>
+                    </div>
+                `}
+            </div>
+            
+            <div class="community-actions">
+                <button class="btn btn-primary" onclick="copyEventLink(${jsArg(event.id)})">
+                    <span class="btn-icon">📋</span>
+                    ${t('events.copyLink')}
+                </button>
+                <button class="btn btn-secondary" onclick="viewInscriptions(${jsArg(event.id)})">
+                    <span class="btn-icon">👥</span>
+                    ${t('events.viewDetails')}
+                </button>
+                ${organizerCan(event, 'export') ? html`
+                    <button class="btn btn-secondary" onclick="exportEventData(${jsArg(event.id)})">
+                        <span class="btn-icon">📊</span>
+                        ${t('communities.exportData')}
+                    </button>
+                ` : ''}
+                ${organizerCan(event, 'delete') ? html`
+                    <button class="btn btn-secondary" onclick="deleteEvent(${jsArg(event.id)})" style="color: var(--danger); border-color: var(--danger);">
+                        <span class="btn-icon">🗑️</span>
+                        ${t('common.delete')}
+                    </button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+// Analytics Functions
+// The dashboard above the community cards covers the events that pass the
+// type and status filters. Charts are plain SVG and HTML built here.
+const CHART_COLORS = ['#D4AF37', '#343A40', '#28A745', '#DC3545', '#17A2B8', '#6F42C1', '#FD7E14', '#6C757D'];
+const TIMELINE_CHART_MAX_EVENTS = CHART_COLORS.length;
+
+function renderAnalytics(events) {
+    const dashboard = document.getElementById('analyticsDashboard');
+    if (events.length === 0) {
+        dashboard.innerHTML = html`<p class="analytics-empty">${t('analytics.noEvents')}</p>`;
+        return;
+    }
+    
+    const rows = events.map(event => ({ event, ...dataManager.getEventAnalytics(event) }));
+    const { people, returning } = dataManager.getReturningParticipants(events);
+    
+    dashboard.innerHTML = html`
+        <div class="analytics-kpis">
+            ${renderAnalyticsSummary(rows).map(({ label, value }) => html`
+                <div class="analytics-kpi">
+                    <div class="analytics-kpi-value">${value}</div>
+                    <div class="analytics-kpi-label">${label}</div>
+                </div>
+            `)}
+            <div class="analytics-kpi">
+                <div class="analytics-kpi-value">${formatRate(people > 0 ? returning / people : null)}</div>
+                <div class="analytics-kpi-label">${t('analytics.returning', { returning, people })}</div>
+            </div>
+        </div>
+        <div class="analytics-grid">
+            <div class="analytics-panel">
+                <h3>${t('analytics.registrationsOverTime')}</h3>
+                ${renderRegistrationTimelineChart(rows)}
+            </div>
+            <div class="analytics-panel">
+                <h3>${t('analytics.fillRate')}</h3>
+                ${renderFillRateChart(rows)}
+            </div>
+        </div>
+        <div class="analytics-panel">
+            <h3>${t('analytics.typeComparison')}</h3>
+            ${renderTypeComparison(rows)}
+        </div>
+    `;
+}
+
+// Totals for a set of analytics rows; rates are over everything pooled
+function summarizeAnalytics(rows) {
+    const sum = key => rows.reduce((total, row) => total + row[key], 0);
+    const filled = rows.filter(row => row.timeToFull !== null).map(row => row.timeToFull).sort((a, b) => a - b);
+    const tracked = rows.filter(row => row.attendanceTracked);
+    return {
+        events: rows.length,
+        registrations: sum('registrations'),
+        fillRate: rows.length > 0 ? sum('fillRate') / rows.length : null,
+        medianTimeToFull: filled.length > 0 ? filled[Math.floor((filled.length - 1) / 2)] : null,
+        cancellationRate: sum('registrations') > 0 ? sum('cancelled') / sum('registrations') : null,
+        noShowRate: tracked.reduce((total, row) => total + row.expected, 0) > 0
+            ? tracked.reduce((total, row) => total + row.noShows, 0) / tracked.reduce((total, row) => total + row.expected, 0)
+            : null
+    };
+}
+
+function renderAnalyticsSummary(rows) {
+    const summary = summarizeAnalytics(rows);
+    return [
+        { label: t('analytics.registrations'), value: summary.registrations },
+        { label: t('analytics.averageFillRate'), value: formatRate(summary.fillRate) },
+        { label: t('analytics.medianTimeToFull'), value: summary.medianTimeToFull !== null ? formatDuration(summary.medianTimeToFull) : '—' },
+        { label: t('analytics.cancellationRate'), value: formatRate(summary.cancellationRate) },
+        { label: t('analytics.noShowRate'), value: formatRate(summary.noShowRate) }
+    ];
+}
+
+// One step line per event with the running total of registrations. Only
+// the busiest events are drawn so the lines stay apart.
+function renderRegistrationTimelineChart(rows) {
+    const series = rows
+        .filter(row => row.registrations > 0)
+        .sort((a, b) => b.registrations - a.registrations)
+        .slice(0, TIMELINE_CHART_MAX_EVENTS)
+        .map(row => ({ event: row.event, points: dataManager.getRegistrationTimeline(row.event.id) }));
+    if (series.length === 0) {
+        return html`<p class="analytics-empty">${t('inscriptions.emptyTitle')}.</p>`;
+    }
+    
+    const width = 600;
+    const height = 240;
+    const pad = { top: 15, right: 15, bottom: 30, left: 40 };
+    const days = series.flatMap(item => item.points.map(point => Date.parse(point.day)));
+    const first = Math.min(...days);
+    const span = Math.max(Math.max(...days) - first, 86400000);
+    const top = Math.max(...series.map(item => item.points[item.points.length - 1].total));
+    const x = day => pad.left + (Date.parse(day) - first) / span * (width - pad.left - pad.right);
+    const y = total => height - pad.bottom - total / top * (height - pad.top - pad.bottom);
+    const lastDay = new Date(first + span).toISOString().slice(0, 10);
+    
+    const lines = series.map((item, index) => {
+        const path = item.points.map((point, pointIndex) =>
+            pointIndex === 0 ? `M${x(point.day)},${y(0)}V${y(point.total)}` : `H${x(point.day)}V${y(point.total)}`
+        ).join('') + `H${x(lastDay)}`;
+        return html`<path d="${path}" fill="none" stroke="${CHART_COLORS[index]}" stroke-width="2"/>`;
+    });
+    
+    return html`
+        <svg class="analytics-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${t('analytics.registrationsOverTime')}">
+            <line x1="${pad.left}" y1="${y(0)}" x2="${width - pad.right}" y2="${y(0)}" stroke="#E9ECEF"/>
+            <line x1="${pad.left}" y1="${y(top)}" x2="${width - pad.right}" y2="${y(top)}" stroke="#E9ECEF" stroke-dasharray="4"/>
+            <text x="${pad.left - 8}" y="${y(0)}" text-anchor="end" dominant-baseline="middle">0</text>
+            <text x="${pad.left - 8}" y="${y(top)}" text-anchor="end" dominant-baseline="middle">${top}</text>
+            <text x="${pad.left}" y="${height - 8}">${formatDateShort(first)}</text>
+            <text x="${width - pad.right}" y="${height - 8}" text-anchor="end">${formatDateShort(first + span)}</text>
+            ${lines}
+        </svg>
+        <ul class="analytics-legend">
+            ${series.map((item, index) => html`
+                <li><span class="analytics-swatch" style="background: ${CHART_COLORS[index]};"></span>${item.event.title}</li>
+            `)}
+        </ul>
+    `;
+}
+
+function renderFillRateChart(rows) {
+    return html`
+        <div class="analytics-bars">
+            ${rows.map(row => html`
+                <div class="analytics-bar-row">
+                    <div class="analytics-bar-label">${row.event.title}</div>
+                    <div class="analytics-bar-track">
+                        <div class="analytics-bar" style="width: ${Math.round(row.fillRate * 100)}%;"></div>
+                    </div>
+                    <div class="analytics-bar-value">${formatRate(row.fillRate)}${row.timeToFull !== null ? ` · ${t('analytics.fullIn', { duration: formatDuration(row.timeToFull) })}` : ''}</div>
+                </div>
+            `)}
+        </div>
+    `;
+}
+
+function renderTypeComparison(rows) {
+    const types = ['tournament', 'course'].map(type => ({
+        label: t(`analytics.${type}s`),
+        ...summarizeAnalytics(rows.filter(row => row.event.type === type))
+    }));
+    
+    return html`
+        <table class="analytics-table">
+            <thead>
+                <tr>
+                    <th></th>
+                    ${types.map(type => html`<th>${type.label}</th>`)}
+                </tr>
+            </thead>
+            <tbody>
+                <tr><td>${t('analytics.events')}</td>${types.map(type => html`<td>${type.events}</td>`)}</tr>
+                <tr><td>${t('analytics.registrationsPerEvent')}</td>${types.map(type => html`<td>${type.events > 0 ? (Math.round(type.registrations / type.events * 10) / 10).toLocaleString(getIntlLocale()) : '—'}</td>`)}</tr>
+                <tr><td>${t('analytics.averageFillRate')}</td>${types.map(type => html`<td>${formatRate(type.fillRate)}</td>`)}</tr>
+                <tr><td>${t('analytics.medianTimeToFull')}</td>${types.map(type => html`<td>${type.medianTimeToFull !== null ? formatDuration(type.medianTimeToFull) : '—'}</td>`)}</tr>
+                <tr><td>${t('analytics.cancellationRate')}</td>${types.map(type => html`<td>${formatRate(type.cancellationRate)}</td>`)}</tr>
+                <tr><td>${t('analytics.noShowRate')}</td>${types.map(type => html`<td>${formatRate(type.noShowRate)}</td>`)}</tr>
+            </tbody>
+        </table>
+    `;
+}
+
+function formatRate(rate) {
+    return rate === null ? '—' : new Intl.NumberFormat(getIntlLocale(), { style: 'percent', maximumFractionDigits: 0 }).format(rate);
+}
+
+function formatDuration(milliseconds) {
+    const minutes = Math.round(milliseconds / 60000);
+    if (minutes < 60) return t('duration.minutes', { minutes });
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return t('duration.hours', { hours, minutes: minutes % 60 });
+    const days = Math.floor(hours / 24);
+    return t('duration.days', { count: days, hours: hours % 24 });
+}
+
+function filterEvents(events) {
+    const typeFilter = document.getElementById('typeFilter').value;
+    const statusFilter = document.getElementById('statusFilter').value;
+    
+    return events.filter(event => {
+        // Type filter
+        if (typeFilter !== 'all' && event.type !== typeFilter) {
+            return false;
+        }
+        
+        // Status filter
+        if (statusFilter !== 'all' && dataManager.getEventStatus(event) !== statusFilter) {
+            return false;
+        }
+        
+        return true;
+    });
+}
+
+function filterCommunities() {
+    updateCommunitiesList();
+}
+
+function toggleParticipants(eventId) {
+    const participantsList = document.getElementById(`participants-${eventId}`);
+    const toggleText = document.getElementById(`toggleText-${eventId}`);
+    
+    if (participantsList.classList.contains('show')) {
+        participantsList.classList.remove('show');
+        toggleText.textContent = t('communities.show');
+    } else {
+        participantsList.classList.add('show');
+        toggleText.textContent = t('communities.hide');
+    }
+}
+
+// Participant Directory
+// One entry per person across the events the organizer can see. Editing,
+// merging and erasing a person needs edit rights on all of their events.
+function getDirectoryEvents() {
+    return dataManager.getEventsFor(currentOrganizer.id).filter(event => organizerCan(event, 'viewInscriptions'));
+}
+
+function canChangeParticipant(person, permission = 'edit') {
+    return person.inscriptions.every(inscription => organizerCan(dataManager.getEvent(inscription.eventId), permission));
+}
+
+function updateParticipantsList() {
+    const people = dataManager.getParticipants(getDirectoryEvents());
+    const query = document.getElementById('participantSearch').value.trim().toLowerCase();
+    const matches = people.filter(person => !query || person.name.toLowerCase().includes(query) || person.key.includes(query));
+    const participantsList = document.getElementById('participantsList');
+    
+    document.getElementById('participantsCount').textContent = t('count.people', { count: people.length });
+    
+    if (people.length === 0) {
+        participantsList.innerHTML = html`
+            <div class="empty-state">
+                <div class="empty-icon">👤</div>
+                <h3>${t('participants.emptyTitle')}</h3>
+                <p>${t('participants.emptyText')}</p>
+            </div>
+        `;
+        return;
+    }
+    if (matches.length === 0) {
+        participantsList.innerHTML = html`<p class="inscriptions-group-empty">${t('participants.noMatches')}</p>`;
+        return;
+    }
+    
+    participantsList.innerHTML = matches.map(person => html`
+        <div class="participant-item">
+            <div class="participant-info">
+                <div class="participant-name">${person.name}</div>
+                <div class="participant-email">${person.email}</div>
+            </div>
+            <div class="participant-date">
+                ${t('count.events', { count: new Set(person.inscriptions.map(inscription => inscription.eventId)).size })} · ${t('participants.lastRegistered', { date: formatDateShort(person.lastRegisteredAt) })}
+            </div>
+            <button class="btn btn-secondary btn-small" onclick="openParticipant(${jsArg(person.key)})">${t('events.viewDetails')}</button>
+        </div>
+    `).join('');
+}
+
+function openParticipant(key) {
+    const person = dataManager.getParticipant(key, getDirectoryEvents());
+    if (!person) return;
+    
+    const modal = document.getElementById('participantModal');
+    modal.querySelector('h3').textContent = person.name;
+    modal.dataset.participantKey = key;
+    document.getElementById('participantContent').innerHTML = renderParticipant(person);
+    
+    // Fill values through the DOM so quotes and markup in them stay intact
+    const form = document.getElementById('participantContactForm');
+    if (form) {
+        form.elements.name.value = person.name;
+        form.elements.email.value = person.email;
+        form.addEventListener('submit', handleParticipantContactSubmit);
+    }
+    
+    modal.classList.add('show');
+    modal.style.display = 'flex';
+}
+
+function closeParticipantModal() {
+    const modal = document.getElementById('participantModal');
+    modal.classList.remove('show');
+    modal.style.display = 'none';
+}
+
+function getOpenParticipant() {
+    return dataManager.getParticipant(document.getElementById('participantModal').dataset.participantKey, getDirectoryEvents());
+}
+
+function renderParticipant(person) {
+    const history = dataManager.getParticipantHistory(person);
+    const canEdit = canChangeParticipant(person);
+    const duplicates = canEdit
+        ? dataManager.getParticipants(getDirectoryEvents()).filter(other => other.key !== person.key && canChangeParticipant(other))
+        : [];
     
-    eventsList.innerHTML = events.map(event => {
-        const inscriptions = dataManager.getInscriptionsForEvent(event.id);
-        const availableSlots = event.maxParticipants - inscriptions.length;
+    return html`
+        <div class="bracket-section">
+            <h4 class="bracket-section-title">${t('participants.history')} (${history.length})</h4>
+            <table class="standings-table">
+                <thead>
+                    <tr><th>${t('participants.event')}</th><th>${t('eventField.date')}</th><th>${t('eventModal.status')}</th><th>${t('participants.attendance')}</th><th>${t('participants.result')}</th></tr>
+                </thead>
+                <tbody>
+                    ${history.map(({ inscription, event, attendance, result }) => {
+                        const team = inscription.teamId && dataManager.getTeam(inscription.teamId);
+                        return html`
+                            <tr>
+                                <td>
+                                    ${event.title}
+                                    <div class="inscription-meta">${t(`eventType.${event.type}`)}${team ? ` · ${team.name}` : ''}</div>
+                                </td>
+                                <td>${formatEventDate(event, event.date, { localTime: false })}</td>
+                                <td>
+                                    ${t(INSCRIPTION_STATUS_LABELS[inscription.status])}
+                                    ${inscription.paymentStatus ? html`
+                                        <div class="inscription-meta"><span class="payment-status ${inscription.paymentStatus}">${t(PAYMENT_STATUS_LABELS[inscription.paymentStatus])}</span></div>
+                                    ` : ''}
+                                </td>
+                                <td>${describeParticipantAttendance(inscription, attendance)}</td>
+                                <td>${describeParticipantResult(result)}</td>
+                            </tr>
+                        `;
+                    })}
+                </tbody>
+            </table>
+        </div>
         
-        return `
-            <div class="event-card" data-event-id="${event.id}">
-                <div class="event-card-header">
-                    <div>
-                        <h3 class="event-title">${event.title}</h3>
-                        <div class="event-type-badge">${event.type}</div>
-                    </div>
-                </div>
-                <p class="event-description">${event.description}</p>
-                <div class="event-details">
-                    <div class="event-detail">
-                        <span class="event-detail-icon">📅</span>
-                        <span>${formatDate(event.date)}</span>
+        ${canEdit ? html`
+            <div class="bracket-section">
+                <h4 class="bracket-section-title">${t('participants.contact')}</h4>
+                <form id="participantContactForm" class="event-form">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="participantName">${t('auth.name')} *</label>
+                            <input type="text" id="participantName" name="name" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="participantEmail">${t('auth.email')} *</label>
+                            <input type="email" id="participantEmail" name="email" required>
+                        </div>
                     </div>
-                    <div class="event-detail">
-                        <span class="event-detail-icon">👥</span>
-                        <span>${inscriptions.length}/${event.maxParticipants} participants</span>
+                    <small class="form-hint">${t('participants.contactHint')}</small>
+                    <div class="modal-actions">
+                        <button type="submit" class="btn btn-primary btn-small">${t('common.saveChanges')}</button>
                     </div>
-                    <div class="event-detail">
-                        <span class="event-detail-icon">${availableSlots > 0 ? '✅' : '❌'}</span>
-                        <span>${availableSlots > 0 ? `${availableSlots} slots available` : 'Full'}</span>
+                </form>
+            </div>
+            ${duplicates.length > 0 ? html`
+                <div class="bracket-section">
+                    <h4 class="bracket-section-title">${t('participants.merge')}</h4>
+                    <small class="form-hint">${t('participants.mergeHint', { name: person.name })}</small>
+                    <div class="form-group">
+                        <div class="template-controls">
+                            <select id="mergeDuplicate">
+                                ${duplicates.map(other => html`<option value="${other.key}">${other.name} · ${other.email}</option>`)}
+                            </select>
+                            <button type="button" class="btn btn-secondary btn-small" onclick="mergeParticipant()">${t('participants.mergeButton')}</button>
+                        </div>
                     </div>
                 </div>
-                <div class="event-actions">
-                    <button class="btn btn-primary" onclick="showEventModal('${event.id}')">
-                        <span class="btn-icon">👁️</span>
-                        View Details
-                    </button>
-                    <button class="btn btn-secondary" onclick="copyEventLink('${event.id}')">
-                        <span class="btn-icon">📋</span>
-                        Copy Link
-                    </button>
-                    <button class="btn btn-secondary" onclick="viewInscriptions('${event.id}')">
-                        <span class="btn-icon">👥</span>
-                        View Inscriptions
-                    </button>
-                    <button class="btn btn-secondary" onclick="deleteEvent('${event.id}')" style="color: var(--danger); border-color: var(--danger);">
-                        <span class="btn-icon">🗑️</span>
-                        Delete
-                    </button>
-                </div>
-            </div>
-        `;
-    }).join('');
+            ` : ''}
+        ` : html`
+            <p class="form-hint">${t('participants.readOnly')}</p>
+        `}
+        
+        <div class="modal-actions">
+            ${canChangeParticipant(person, 'export') ? html`
+                <button class="btn btn-secondary" onclick="exportParticipantData()">
+                    <span class="btn-icon">📦</span>
+                    ${t('participants.export')}
+                </button>
+            ` : ''}
+            ${canEdit ? html`
+                <button class="btn btn-secondary" onclick="eraseParticipantData()" style="color: var(--danger); border-color: var(--danger);">
+                    <span class="btn-icon">🗑️</span>
+                    ${t('participants.erase')}
+                </button>
+            ` : ''}
+        </div>
+    `;
 }
 
-function showEventModal(eventId) {
-    const event = typeof eventId === 'string' ? dataManager.getEvent(eventId) : eventId;
+// Session attendance for courses, check-in for everything else
+function describeParticipantAttendance(inscription, attendance) {
+    if (attendance && attendance.held > 0) {
+        return t('participants.sessionsAttended', { attended: attendance.attended, count: attendance.held });
+    }
+    return inscription.checkedInAt ? t('participants.checkedIn') : '—';
+}
+
+function describeParticipantResult(result) {
+    if (!result) {
+        return '—';
+    }
+    if (result.rank) {
+        return t('participants.rank', { rank: result.rank, of: result.of, points: result.points });
+    }
+    return result.champion ? t('bracket.champion') : t('participants.record', { wins: result.wins, losses: result.losses });
+}
+
+async function handleParticipantContactSubmit(submitEvent) {
+    submitEvent.preventDefault();
+    
+    const person = getOpenParticipant();
+    if (!person || !canChangeParticipant(person)) return;
+    
+    const formData = new FormData(submitEvent.target);
+    const name = formData.get('name').trim();
+    const email = formData.get('email').trim();
+    if (!name || !EMAIL_PATTERN.test(email)) {
+        showNotification(t('participants.nameAndEmailRequired'), 'error');
+        return;
+    }
+    const key = normalizeEmail(email);
+    if (key !== person.key && dataManager.getParticipant(key, getDirectoryEvents())) {
+        showNotification(t('participants.emailTaken', { email }), 'error');
+        return;
+    }
+    
+    try {
+        await dataManager.updateParticipant(person, { name, email });
+    } catch (err) {
+        console.error(err);
+        showNotification(t('participants.saveFailed'), 'error');
+        return;
+    }
+    showNotification(t('participants.saved', { name }));
+    updateParticipantsList();
+    openParticipant(key);
+}
+
+async function mergeParticipant() {
+    const person = getOpenParticipant();
+    const duplicate = person && dataManager.getParticipant(document.getElementById('mergeDuplicate').value, getDirectoryEvents());
+    if (!duplicate || !canChangeParticipant(person) || !canChangeParticipant(duplicate)) return;
+    if (!confirm(t('participants.confirmMerge', { duplicate: `${duplicate.name} <${duplicate.email}>`, name: person.name, count: duplicate.inscriptions.length }))) {
+        return;
+    }
+    
+    try {
+        await dataManager.mergeParticipants(duplicate, person);
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message || t('participants.saveFailed'), 'error');
+        return;
+    }
+    showNotification(t('participants.merged', { name: person.name }));
+    updateParticipantsList();
+    openParticipant(person.key);
+}
+
+function exportParticipantData() {
+    const person = getOpenParticipant();
+    if (!person || !canChangeParticipant(person, 'export')) return;
+    
+    const data = dataManager.exportParticipant(person);
+    downloadFile(JSON.stringify(data, null, 2), `goldensign_participant_${person.key.replace(/[^a-z0-9]/g, '_')}.json`, 'application/json');
+    showNotification(t('participants.exported'));
+}
+
+async function eraseParticipantData() {
+    const person = getOpenParticipant();
+    if (!person || !canChangeParticipant(person)) return;
+    if (!confirm(t('participants.confirmErase', { name: person.name, count: person.inscriptions.length }))) {
+        return;
+    }
+    
+    try {
+        await dataManager.eraseParticipant(person, t('participants.erasedName'));
+    } catch (err) {
+        console.error(err);
+        showNotification(t('participants.eraseFailed'), 'error');
+        return;
+    }
+    closeParticipantModal();
+    updateParticipantsList();
+    showNotification(t('participants.erased', { name: person.name }));
+}
+
+function exportEventData(eventId) {
+    const event = requireEventPermission(eventId, 'export');
     if (!event) return;
     
-    const modal = document.getElementById('eventModal');
-    const modalEventInfo = document.getElementById('modalEventInfo');
-    const inscriptions = dataManager.getInscriptionsForEvent(event.id);
-    const availableSlots = event.maxParticipants - inscriptions.length;
+    // Team events keep each team's members on consecutive rows
+    const ordered = list => event.teamMode ? groupByTeam(list).flat() : list;
+    const inscriptions = ordered(dataManager.getAcceptedInscriptions(eventId));
+    const waitlist = ordered(dataManager.getWaitlist(eventId));
+    const cancelled = ordered(dataManager.getCancelledInscriptions(eventId));
     
-    const eventUrl = dataManager.generateEventUrl(event.id);
+    // Create CSV content
+    let csvContent = csvRow([`${t('csv.event')}: ${event.title}`]);
+    csvContent += csvRow([`${t('csv.type')}: ${t(`eventType.${event.type}`)}`]);
+    csvContent += csvRow([`${t('csv.date')}: ${formatEventDate(event, event.date, { localTime: false })}`]);
+    if (event.teamMode) {
+        csvContent += csvRow([`${t('csv.teamSize')}: ${event.teamSizeMin}-${event.teamSizeMax}`]);
+        csvContent += csvRow([`${t('csv.maxTeams')}: ${event.maxParticipants}`]);
+        csvContent += csvRow([`${t('csv.currentTeams')}: ${dataManager.getCompetitors(eventId).length}`]);
+    } else {
+        csvContent += csvRow([`${t('csv.maxParticipants')}: ${event.maxParticipants}`]);
+    }
+    csvContent += csvRow([`${t('csv.currentParticipants')}: ${inscriptions.length}`]);
+    csvContent += csvRow([`${t('csv.waitlisted')}: ${waitlist.length}`]);
+    csvContent += csvRow([`${t('csv.cancelled')}: ${cancelled.length}`]);
+    if (hasFee(event)) {
+        csvContent += csvRow([`${t('csv.fee')}: ${formatMoney(event.feeAmount, event.feeCurrency)}`]);
+        csvContent += csvRow([`${t('csv.revenue')}: ${formatMoney(dataManager.getRevenue(eventId), event.feeCurrency)}`]);
+    }
+    csvContent += '\n';
     
-    modalEventInfo.innerHTML = `
-        <div class="event-details">
-            <h3>${event.title}</h3>
-            <div class="event-type-badge">${event.type}</div>
-            <p><strong>Description:</strong> ${event.description}</p>
-            <p><strong>Date:</strong> ${formatDate(event.date)}</p>
-            <p><strong>Max Participants:</strong> ${event.maxParticipants}</p>
-            <p><strong>Current Registrations:</strong> ${inscriptions.length}</p>
-            <p><strong>Available Slots:</strong> ${availableSlots}</p>
-            <p><strong>Status:</strong> ${availableSlots > 0 ? 'Open for registration' : 'Full'}</p>
-            <div class="event-url-section">
-                <label><strong>Registration Link:</strong></label>
-                <div class="url-display">
-                    <input type="text" value="${eventUrl}" readonly class="url-input" id="eventUrlInput">
-                    <button onclick="copyUrlFromInput()" class="btn btn-secondary btn-small">
-                        <span class="btn-icon">📋</span>
-                        Copy
-                    </button>
-                </div>
-            </div>
-        </div>
-    `;
+    // Custom registration fields become extra columns after the fixed ones
+    const fields = event.formFields || [];
+    const answerColumns = inscription => fields.map(field => formatFormFieldAnswer(field, (inscription.answers || {})[field.id]));
     
-    // Store current event ID for modal actions
-    modal.dataset.eventId = event.id;
+    const teamColumns = inscription => {
+        if (!event.teamMode) return [];
+        const team = dataManager.getTeam(inscription.teamId);
+        return [team ? team.name : '', inscription.teamRole ? t(`csv.role.${inscription.teamRole}`) : ''];
+    };
     
-    modal.classList.add('show');
-    modal.style.display = 'flex';
+    // Registrations taken before the event had a fee have no payment data
+    const paymentColumns = inscription => {
+        if (!hasFee(event)) return [];
+        if (!inscription.paymentStatus) return ['', '', '', '', '', ''];
+        return [
+            (inscription.amountDue / 100).toFixed(2),
+            inscription.currency,
+            t(PAYMENT_STATUS_LABELS[inscription.paymentStatus]),
+            inscription.paidAt ? formatDate(inscription.paidAt) : '',
+            inscription.paymentReference,
+            inscription.discountCode
+        ];
+    };
+    const paymentHeaders = hasFee(event) ? ['csv.amountDue', 'csv.currency', 'csv.paymentStatus', 'csv.paidAt', 'csv.paymentReference', 'csv.discountCode'] : [];
+    const headers = [...(event.teamMode ? ['csv.team', 'csv.role'] : []), 'csv.name', 'csv.email', 'csv.registrationDate', 'csv.status', 'csv.waitlistPosition', 'csv.cancelledAt', 'csv.cancelledBy', ...paymentHeaders];
+    
+    csvContent += csvRow([...csvHeaders(headers), ...fields.map(field => field.label)]);
+    
+    const inscriptionRow = (inscription, status, { position = '', cancelledAt = '', cancelledBy = '' } = {}) => csvRow([
+        ...teamColumns(inscription),
+        inscription.name,
+        inscription.email,
+        formatDate(inscription.createdAt),
+        t(`csv.status.${status}`),
+        position,
+        cancelledAt,
+        cancelledBy,
+        ...paymentColumns(inscription),
+        ...answerColumns(inscription)
+    ]);
+    inscriptions.forEach(inscription => {
+        csvContent += inscriptionRow(inscription, 'accepted');
+    });
+    waitlist.forEach(inscription => {
+        csvContent += inscriptionRow(inscription, 'waitlisted', { position: dataManager.getWaitlistPosition(inscription) });
+    });
+    cancelled.forEach(inscription => {
+        csvContent += inscriptionRow(inscription, 'cancelled', {
+            cancelledAt: formatDate(inscription.cancelledAt),
+            cancelledBy: ['participant', 'organizer'].includes(inscription.cancelledBy) ? t(`cancelledBy.${inscription.cancelledBy}`) : inscription.cancelledBy
+        });
+    });
+    
+    // Tournaments running Swiss rounds carry their standings along
+    if (event.swiss) {
+        csvContent += `\n${buildSwissStandingsCsv(event.swiss)}`;
+    }
+    
+    downloadCsv(csvContent, `${getEventFileSlug(event)}_participants.csv`);
+    showNotification(t('export.eventDone'));
 }
 
-function closeModal() {
-    const modal = document.getElementById('eventModal');
-    modal.classList.remove('show');
-    modal.style.display = 'none';
+function exportSwissStandings(eventId) {
+    const event = requireEventPermission(eventId, 'export');
+    if (!event || !event.swiss) return;
+    
+    let csvContent = csvRow([`${t('csv.event')}: ${event.title}`]);
+    csvContent += csvRow([`${t('csv.roundsPlayed')}: ${t('inscriptions.ofMax', { count: event.swiss.rounds.length, max: event.swiss.totalRounds })}`]);
+    csvContent += '\n';
+    csvContent += buildSwissStandingsCsv(event.swiss);
+    
+    downloadCsv(csvContent, `${getEventFileSlug(event)}_standings.csv`);
+    showNotification(t('export.standingsDone'));
+}
+
+function buildSwissStandingsCsv(swiss) {
+    let csvContent = csvRow([...csvHeaders(['csv.rank', 'csv.name', 'csv.score', 'csv.gamesPlayed', 'csv.byes']), 'Buchholz', 'Sonneborn-Berger']);
+    getSwissStandings(swiss).forEach((row, index) => {
+        csvContent += csvRow([index + 1, row.name, row.score, row.played, row.byes, row.buchholz, row.sonnebornBerger]);
+    });
+    return csvContent;
+}
+
+// Header cells in the page's language; the importer knows them in all of them
+function csvHeaders(keys) {
+    return keys.map(key => t(key));
+}
+
+// One line of a CSV export. Every cell is quoted with its quotes doubled, so
+// names, titles and answers holding commas, quotes or line breaks read back
+// intact (see parseCsv).
+function csvRow(cells) {
+    return `${cells.map(csvCell).join(',')}\n`;
+}
+
+function csvCell(value) {
+    return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+function getEventFileSlug(event) {
+    return event.title.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+}
+
+// "Add to calendar" on the public pages
+function downloadEventCalendar(eventId) {
+    const event = dataManager.getEvent(eventId);
+    if (!event) return;
+    downloadFile(dataManager.generateCalendar([event], event.title), `${getEventFileSlug(event)}.ics`, 'text/calendar');
+}
+
+function downloadCsv(csvContent, filename) {
+    downloadFile(csvContent, filename, 'text/csv');
+}
+
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+}
+
+function exportCommunitiesData() {
+    const events = dataManager.getEventsFor(currentOrganizer.id);
+    if (events.length === 0) {
+        showNotification(t('export.noEvents'), 'error');
+        return;
+    }
+    
+    let csvContent = csvRow(csvHeaders(['csv.event', 'csv.type', 'csv.date', 'csv.timezone', 'csv.maxParticipants', 'csv.currentParticipants', 'csv.teams', 'csv.availableSlots', 'csv.waitlisted', 'csv.registrationOpens', 'csv.registrationCloses', 'csv.status']));
+    
+    events.forEach(event => {
+        const inscriptions = dataManager.getAcceptedInscriptions(event.id);
+        const waitlist = dataManager.getWaitlist(event.id);
+        const availableSlots = dataManager.getAvailableSlots(event);
+        const opensAt = event.registrationOpensAt ? formatLocalDateTime(event.registrationOpensAt) : '';
+        const closesAt = event.registrationClosesAt ? formatLocalDateTime(event.registrationClosesAt) : '';
+        const status = t(EVENT_STATUS_LABELS[dataManager.getEventStatus(event)], {});
+        
+        const teams = event.teamMode ? dataManager.getCompetitors(event.id).length : '';
+        
+        csvContent += csvRow([event.title, t(`eventType.${event.type}`), formatLocalDateTime(event.date), event.timezone, event.maxParticipants, inscriptions.length, teams, availableSlots, waitlist.length, opensAt, closesAt, status]);
+    });
+    
+    downloadCsv(csvContent, `communities_overview_${new Date().toISOString().split('T')[0]}.csv`);
+    showNotification(t('export.communitiesDone'));
+}
+
+// Backup Functions
+// Backups hold every organizer's events, so only the workspace
+// administrator may take or restore them
+function backupWorkspace() {
+    if (!currentOrganizer.isAdmin) {
+        showNotification(t('backup.adminOnly'), 'error');
+        return;
+    }
+    const backup = dataManager.createBackup();
+    downloadFile(JSON.stringify(backup, null, 2), `goldensign_backup_${backup.createdAt.split('T')[0]}.json`, 'application/json');
+    showNotification(t('backup.downloaded'));
+}
+
+async function handleRestoreFile(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    if (!currentOrganizer.isAdmin) {
+        showNotification(t('backup.restoreAdminOnly'), 'error');
+        return;
+    }
+    
+    let backup;
+    try {
+        backup = JSON.parse((await file.text()).replace(/^\uFEFF/, ''));
+        dataManager.readBackup(backup);
+    } catch (err) {
+        showNotification(err instanceof SyntaxError ? t('import.invalidJson') : err.message, 'error');
+        return;
+    }
+    
+    const counts = WORKSPACE_COLLECTIONS
+        .filter(collection => Array.isArray(backup.data[collection]))
+        .map(collection => `${backup.data[collection].length} ${collection}`)
+        .join(', ');
+    if (!confirm(t('backup.confirmRestore', { date: formatDate(backup.createdAt), counts }))) {
+        return;
+    }
+    
+    try {
+        await dataManager.restoreBackup(backup, { restoredBy: currentOrganizer.id });
+    } catch (err) {
+        console.error(err);
+        showNotification(t('backup.restoreFailed'), 'error');
+        return;
+    }
+    // The restored accounts may no longer include the one signed in
+    restoreOrganizerSession();
+    showNotification(t('backup.restored'));
+}
+
+// Import Functions
+// Imports take a CSV (events, or the participants of one event) or a JSON
+// dump of every collection. Each row is checked with the same rules as the
+// create and registration forms and planned as create, merge or skip; the
+// organizer reviews that plan before anything is written.
+const IMPORT_FIELDS = {
+    events: [
+        { key: 'title', label: 'eventField.title', header: 'csv.event', required: true, aliases: ['title', 'event', 'event title'] },
+        { key: 'type', label: 'eventField.type', header: 'csv.type', required: true, aliases: ['type', 'event type'] },
+        { key: 'date', label: 'eventField.date', header: 'csv.date', required: true, aliases: ['date', 'event date'] },
+        { key: 'timezone', label: 'eventField.timezone', header: 'csv.timezone', aliases: ['timezone', 'time zone', 'tz'] },
+        { key: 'maxParticipants', label: 'eventField.maxParticipants', header: 'csv.maxParticipants', required: true, aliases: ['max participants', 'max teams', 'capacity'] },
+        { key: 'description', label: 'eventField.description', aliases: ['description'] },
+        { key: 'waitlistEnabled', label: 'eventForm.waitlistEnabled', aliases: ['waitlist', 'waitlist enabled'] },
+        { key: 'registrationOpensAt', label: 'eventField.registrationOpensAt', header: 'csv.registrationOpens', aliases: ['registration opens'] },
+        { key: 'registrationClosesAt', label: 'eventField.registrationClosesAt', header: 'csv.registrationCloses', aliases: ['registration closes'] }
+    ],
+    inscriptions: [
+        { key: 'name', label: 'importField.name', header: 'csv.name', required: true, aliases: ['name', 'full name', 'participant'] },
+        { key: 'email', label: 'importField.email', header: 'csv.email', required: true, aliases: ['email', 'email address', 'e-mail'] },
+        { key: 'createdAt', label: 'importField.createdAt', header: 'csv.registrationDate', aliases: ['registration date', 'registered at', 'created at'] },
+        { key: 'status', label: 'eventModal.status', header: 'csv.status', aliases: ['status'] }
+    ]
+};
+
+const IMPORT_RESULT_LABELS = {
+    create: 'importResult.create',
+    merge: 'importResult.merge',
+    skip: 'importResult.skip',
+    created: 'importResult.created',
+    merged: 'importResult.merged',
+    skipped: 'importResult.skipped'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Month names in every language, for reading back the dates exports write
+const IMPORT_MONTHS = new Map(Object.values(LOCALES).flatMap(({ intl }) =>
+    Array.from({ length: 12 }, (_, month) => {
+        const date = new Date(2000, month, 1);
+        return [date.toLocaleDateString(intl, { month: 'long' }).toLowerCase(), date.toLocaleDateString('en-US', { month: 'long' })];
+    })
+));
+
+// File, mapping and plan of the import in progress
+let importState = null;
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Header names a fixed field is recognized by: its aliases plus its label
+// and export header in every language
+function getImportAliases(field) {
+    const translated = Object.keys(LOCALES).flatMap(locale => [field.label, field.header].filter(Boolean).map(key => t(key, {}, locale).toLowerCase()));
+    return [...new Set([...field.aliases, ...translated])];
+}
+
+// Exports start with "Key: value" lines and may append more tables after a
+// blank line, so look for the header row and stop at the next blank one
+function extractCsvTable(rows) {
+    const normalize = row => row.map(cell => cell.trim().toLowerCase());
+    const hasColumn = (cells, kind, key) => {
+        const aliases = getImportAliases(IMPORT_FIELDS[kind].find(field => field.key === key));
+        return cells.some(cell => aliases.includes(cell));
+    };
+    const headerIndex = rows.findIndex(row => {
+        const cells = normalize(row);
+        return (hasColumn(cells, 'inscriptions', 'name') && hasColumn(cells, 'inscriptions', 'email')) ||
+            (hasColumn(cells, 'events', 'date') && hasColumn(cells, 'events', 'title'));
+    });
+    if (headerIndex === -1) {
+        return null;
+    }
+    
+    const body = [];
+    for (let i = headerIndex + 1; i < rows.length; i++) {
+        if (rows[i].every(cell => cell.trim() === '')) break;
+        body.push({ line: i + 1, cells: rows[i] });
+    }
+    return {
+        kind: hasColumn(normalize(rows[headerIndex]), 'inscriptions', 'email') ? 'inscriptions' : 'events',
+        headers: rows[headerIndex].map(cell => cell.trim()),
+        rows: body
+    };
+}
+
+// Form fields of the target event can be mapped like the fixed ones
+function getImportFields(kind, event) {
+    const customFields = kind === 'inscriptions' && event
+        ? (event.formFields || []).map(field => ({ key: `field:${field.id}`, label: field.label, aliases: [field.label.toLowerCase()] }))
+        : [];
+    return [...IMPORT_FIELDS[kind].map(field => ({ ...field, label: t(field.label), aliases: getImportAliases(field) })), ...customFields];
+}
+
+function guessImportMapping(fields, headers) {
+    const normalized = headers.map(header => header.toLowerCase());
+    return Object.fromEntries(fields.map(field => [
+        field.key,
+        normalized.findIndex(header => field.aliases.includes(header))
+    ]));
+}
+
+// Accepts ISO dates and the dates exports write in any language, like
+// "January 1, 2031 at 10:00 AM" or "1 de enero de 2031, 10:00". Returns the
+// datetime-local format the forms store, or null.
+function parseImportDate(value) {
+    // Keep the numbers, AM/PM and the month name (in English, so capitalized)
+    const text = (value || '').trim().toLowerCase().split(/[\s,]+/)
+        .map(word => IMPORT_MONTHS.get(word) || word)
+        .filter(word => /\d/.test(word) || /^[ap]m$/.test(word) || /^[A-Z]/.test(word))
+        .join(' ');
+    const date = new Date(text);
+    if (!value || isNaN(date)) {
+        return null;
+    }
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function parseImportBoolean(value) {
+    return /^(yes|y|true|1|on|enabled)$/i.test((value || '').trim()) ||
+        matchesAnyLocale(value, 'common.yes') || matchesAnyLocale(value, 'common.enabled');
+}
+
+// Event types may be written as shown in any language
+function parseImportEventType(value) {
+    return ['tournament', 'course'].find(type => value.toLowerCase() === type || matchesAnyLocale(value, `eventType.${type}`)) || null;
+}
+
+function skipImportRow(entry, reason) {
+    return { ...entry, action: 'skip', reason };
+}
+
+// Rows later in the file see the slots and emails taken by earlier ones
+function createImportTracker() {
+    const slots = new Map();
+    const emails = new Map();
+    
+    return {
+        // Status a new registration gets, or null when the event is full
+        // and has no waitlist
+        claimSlot(event, slotKey) {
+            if (!slots.has(event.id)) {
+                const holders = dataManager.getInscriptionsForEvent(event.id)
+                    .filter(inscription => dataManager.getSlotStatus(inscription) === 'accepted');
+                slots.set(event.id, new Set(holders.map(inscription => inscription.teamId || inscription.id)));
+            }
+            const taken = slots.get(event.id);
+            if (taken.has(slotKey)) {
+                return 'accepted';
+            }
+            if (taken.size < event.maxParticipants) {
+                taken.add(slotKey);
+                return 'accepted';
+            }
+            return event.waitlistEnabled ? 'waitlisted' : null;
+        },
+        
+        // False when the email is already registered for the event
+        claimEmail(eventId, email) {
+            if (!emails.has(eventId)) {
+                emails.set(eventId, new Set(dataManager.getInscriptionsForEvent(eventId)
+                    .filter(inscription => inscription.status !== 'cancelled')
+                    .map(inscription => inscription.email.toLowerCase())));
+            }
+            const registered = emails.get(eventId);
+            if (registered.has(email.toLowerCase())) {
+                return false;
+            }
+            registered.add(email.toLowerCase());
+            return true;
+        }
+    };
+}
+
+// Existing events only get the imported fields that differ, through the
+// same capacity checks as editing
+function planEventMerge(entry, existing, changes) {
+    if (!organizerCan(existing, 'edit')) {
+        return skipImportRow(entry, t('import.roleNoChanges'));
+    }
+    const isSame = (current, next) => typeof next === 'boolean' ? Boolean(current) === next : (current ?? null) === (next ?? null);
+    const differs = EDITABLE_EVENT_FIELDS.some(field => field in changes && !isSame(existing[field], changes[field]));
+    if (!differs) {
+        return skipImportRow(entry, t('import.upToDate'));
+    }
+    
+    const accepted = dataManager.getSlotGroups(existing.id, 'accepted').length;
+    if (changes.maxParticipants < accepted) {
+        return skipImportRow(entry, t('import.capacityBelowAccepted', { count: accepted, max: changes.maxParticipants }));
+    }
+    
+    return {
+        ...entry,
+        action: 'merge',
+        reason: t('import.updatesEvent', { fields: EDITABLE_EVENT_FIELDS.filter(field => field in changes && !isSame(existing[field], changes[field])).map(field => t(EVENT_FIELD_LABELS[field])).join(', ') }),
+        apply: () => dataManager.updateEvent(existing.id, changes, { changedBy: 'import' })
+    };
+}
+
+function planCsvEventImport(table, mapping) {
+    const seen = new Set();
+    
+    return table.rows.map(({ line, cells }) => {
+        const value = key => mapping[key] >= 0 ? (cells[mapping[key]] || '').trim() : '';
+        const entry = { line, label: value('title') || t('import.untitled') };
+        
+        const eventData = {
+            title: value('title'),
+            // The communities export has no descriptions; fall back to the title
+            description: value('description') || value('title'),
+            type: parseImportEventType(value('type')),
+            date: parseImportDate(value('date')),
+            // Dates in files without a time zone column are read as this browser's
+            timezone: value('timezone') || getDefaultTimeZone(),
+            maxParticipants: parseInt(value('maxParticipants')),
+            waitlistEnabled: parseImportBoolean(value('waitlistEnabled')),
+            registrationOpensAt: parseImportDate(value('registrationOpensAt')),
+            registrationClosesAt: parseImportDate(value('registrationClosesAt'))
+        };
+        
+        if (!eventData.type) {
+            return skipImportRow(entry, t('import.unknownType', { type: value('type') }));
+        }
+        const badDate = DATE_EVENT_FIELDS.find(key => value(key) && !eventData[key]);
+        if (badDate) {
+            return skipImportRow(entry, t('import.invalidDate', { value: value(badDate) }));
+        }
+        // Past events are imported too: migrating history is the point
+        const error = validateEventData(eventData, { requireFutureDate: false });
+        if (error) {
+            return skipImportRow(entry, error);
+        }
+        
+        const key = `${eventData.title.toLowerCase()}|${eventData.date}`;
+        if (seen.has(key)) {
+            return skipImportRow(entry, t('import.duplicateEvent'));
+        }
+        seen.add(key);
+        
+        const existing = dataManager.getEvents().find(event =>
+            event.title.toLowerCase() === eventData.title.toLowerCase() && event.date === eventData.date
+        );
+        if (existing) {
+            const changes = Object.fromEntries(Object.entries(eventData).filter(([field]) => value(field) !== ''));
+            return planEventMerge(entry, existing, changes);
+        }
+        
+        return {
+            ...entry,
+            action: 'create',
+            reason: t('import.newEvent'),
+            apply: () => dataManager.createEvent({ ...eventData, formFields: [], ownerId: currentOrganizer.id })
+        };
+    });
 }
 
-function copyEventLink(eventId) {
-    const event = dataManager.getEvent(eventId);
-    if (!event) {
-        showNotification('Event not found', 'error');
-        return;
-    }
-    
-    const url = dataManager.generateEventUrl(eventId);
+function planCsvInscriptionImport(table, mapping, event) {
+    const tracker = createImportTracker();
+    const fields = event.formFields || [];
     
-    navigator.clipboard.writeText(url).then(() => {
-        showNotification(`Event link copied to clipboard!`);
-    }).catch(() => {
-        // Fallback for older browsers
-        const textArea = document.createElement('textarea');
-        textArea.value = url;
-        textArea.style.position = 'fixed';
-        textArea.style.left = '-999999px';
-        textArea.style.top = '-999999px';
-        document.body.appendChild(textArea);
-        textArea.focus();
-        textArea.select();
+    return table.rows.map(({ line, cells }) => {
+        const value = key => mapping[key] >= 0 ? (cells[mapping[key]] || '').trim() : '';
+        const name = value('name');
+        const email = value('email');
+        const entry = { line, label: email ? `${name} (${email})` : name || t('import.empty') };
         
-        try {
-            document.execCommand('copy');
-            showNotification(`Event link copied to clipboard!`);
-        } catch (err) {
-            showNotification('Failed to copy link. Please copy manually: ' + url, 'error');
+        if (!name || !EMAIL_PATTERN.test(email)) {
+            return skipImportRow(entry, t('import.nameAndEmailRequired'));
+        }
+        if (value('status').toLowerCase() === 'cancelled' || matchesAnyLocale(value('status'), 'csv.status.cancelled')) {
+            return skipImportRow(entry, t('import.cancelledRegistration'));
         }
         
-        document.body.removeChild(textArea);
+        const answers = {};
+        for (const field of fields) {
+            const raw = value(`field:${field.id}`);
+            const { value: answer, error } = parseFormFieldAnswer(field, field.type === 'checkbox' ? parseImportBoolean(raw) : raw);
+            if (error) {
+                return skipImportRow(entry, error);
+            }
+            if (answer !== null) {
+                answers[field.id] = answer;
+            }
+        }
+        
+        const registeredAt = value('createdAt') && parseImportDate(value('createdAt'));
+        if (value('createdAt') && !registeredAt) {
+            return skipImportRow(entry, t('import.invalidDate', { value: value('createdAt') }));
+        }
+        
+        if (!tracker.claimEmail(event.id, email)) {
+            return skipImportRow(entry, t('import.emailRegistered'));
+        }
+        const id = dataManager.generateId();
+        const status = tracker.claimSlot(event, id);
+        if (!status) {
+            return skipImportRow(entry, t('import.eventFull'));
+        }
+        
+        return {
+            ...entry,
+            action: 'create',
+            reason: t(status === 'waitlisted' ? 'import.newRegistrationWaitlisted' : 'import.newRegistration'),
+            apply: () => dataManager.importRecord('inscriptions', {
+                id,
+                eventId: event.id,
+                name,
+                email,
+                answers,
+                createdAt: registeredAt ? new Date(registeredAt).toISOString() : new Date().toISOString(),
+                status,
+                token: dataManager.generateToken()
+            })
+        };
     });
 }
 
-function copyEventLinkFromModal() {
-    const modal = document.getElementById('eventModal');
-    const eventId = modal.dataset.eventId;
-    if (eventId) {
-        copyEventLink(eventId);
-    } else {
-        showNotification('No event selected', 'error');
-    }
-}
-
-function copyUrlFromInput() {
-    const urlInput = document.getElementById('eventUrlInput');
-    if (urlInput) {
-        urlInput.select();
-        urlInput.setSelectionRange(0, 99999); // For mobile devices
+// A dump holds { events, inscriptions, teams } like the storage backend.
+// Records keep their ids so the references between them survive. New events
+// belong to the organizer importing them; existing ones need edit rights.
+function planJsonImport(dump) {
+    const tracker = createImportTracker();
+    const plannedEvents = new Map();
+    const plannedTeams = new Set();
+    const plan = [];
+    const isLocked = eventId => {
+        const existing = dataManager.getEvent(eventId);
+        return existing && !organizerCan(existing, 'edit');
+    };
+    
+    (dump.events || []).forEach((record, index) => {
+        const entry = { line: `events[${index}]`, label: record.title || t('import.untitled') };
+        const event = { ...record, id: record.id || dataManager.generateId(), ownerId: currentOrganizer.id, collaborators: [] };
         
-        try {
-            document.execCommand('copy');
-            showNotification('URL copied to clipboard!');
-        } catch (err) {
-            // Fallback to clipboard API
-            navigator.clipboard.writeText(urlInput.value).then(() => {
-                showNotification('URL copied to clipboard!');
-            }).catch(() => {
-                showNotification('Failed to copy URL', 'error');
-            });
+        if (!['tournament', 'course'].includes(event.type)) {
+            plan.push(skipImportRow(entry, t('import.unknownType', { type: event.type })));
+            return;
         }
-    }
-}
-
-function viewInscriptions(eventId) {
-    const event = dataManager.getEvent(eventId);
-    if (!event) {
-        showNotification('Event not found', 'error');
-        return;
-    }
+        const error = validateEventData(event, { requireFutureDate: false }) ||
+            validateFormFieldDefinitions(event.formFields || []);
+        if (error) {
+            plan.push(skipImportRow(entry, error));
+            return;
+        }
+        
+        const existing = dataManager.getEvent(event.id);
+        if (existing) {
+            const changes = Object.fromEntries(EDITABLE_EVENT_FIELDS.filter(field => field in event).map(field => [field, event[field]]));
+            const merge = planEventMerge(entry, existing, changes);
+            plan.push(merge);
+            plannedEvents.set(event.id, merge.action === 'merge' ? { ...existing, ...changes } : existing);
+            return;
+        }
+        
+        // Without a time zone the dates are read as this browser's, like migrated events
+        plan.push({ ...entry, action: 'create', reason: t('import.newEvent'), apply: () => dataManager.importRecord('events', { timezone: getDefaultTimeZone(), ...event }) });
+        plannedEvents.set(event.id, event);
+    });
     
-    const inscriptions = dataManager.getInscriptionsForEvent(eventId);
-    const modal = document.getElementById('inscriptionsModal');
-    const inscriptionsList = document.getElementById('inscriptionsList');
+    (dump.teams || []).forEach((record, index) => {
+        const entry = { line: `teams[${index}]`, label: record.name || t('import.unnamedTeam') };
+        if (dataManager.getTeam(record.id)) {
+            plan.push(skipImportRow(entry, t('import.alreadyImported')));
+            plannedTeams.add(record.id);
+        } else if (isLocked(record.eventId)) {
+            plan.push(skipImportRow(entry, t('import.roleNoChanges')));
+        } else if (!record.id || !record.name || !plannedEvents.has(record.eventId)) {
+            plan.push(skipImportRow(entry, t('import.invalidTeam')));
+        } else {
+            plan.push({ ...entry, action: 'create', reason: t('import.newTeam'), apply: () => dataManager.importRecord('teams', record) });
+            plannedTeams.add(record.id);
+        }
+    });
     
-    // Update modal title with event name
-    const modalTitle = modal.querySelector('h3');
-    modalTitle.textContent = `Inscriptions for "${event.title}"`;
+    (dump.inscriptions || []).forEach((record, index) => {
+        const entry = { line: `inscriptions[${index}]`, label: record.email ? `${record.name} (${record.email})` : record.name || t('import.empty') };
+        const event = plannedEvents.get(record.eventId) || dataManager.getEvent(record.eventId);
+        const inscription = { ...record, id: record.id || dataManager.generateId() };
+        
+        if (!event) {
+            plan.push(skipImportRow(entry, t('error.eventNotFound')));
+            return;
+        }
+        if (isLocked(event.id)) {
+            plan.push(skipImportRow(entry, t('import.roleNoChanges')));
+            return;
+        }
+        if (dataManager.getInscription(inscription.id)) {
+            plan.push(skipImportRow(entry, t('import.alreadyImported')));
+            return;
+        }
+        if (!inscription.name || !EMAIL_PATTERN.test(inscription.email || '')) {
+            plan.push(skipImportRow(entry, t('import.nameAndEmailRequired')));
+            return;
+        }
+        if (inscription.teamId && !plannedTeams.has(inscription.teamId)) {
+            plan.push(skipImportRow(entry, t('import.teamNotFound')));
+            return;
+        }
+        
+        if (inscription.status !== 'cancelled') {
+            if (!tracker.claimEmail(event.id, inscription.email)) {
+                plan.push(skipImportRow(entry, t('import.emailRegistered')));
+                return;
+            }
+            const status = tracker.claimSlot(event, inscription.teamId || inscription.id);
+            if (!status) {
+                plan.push(skipImportRow(entry, t('import.eventFull')));
+                return;
+            }
+            inscription.status = status;
+        }
+        inscription.token = inscription.token || dataManager.generateToken();
+        inscription.createdAt = inscription.createdAt || new Date().toISOString();
+        
+        plan.push({
+            ...entry,
+            action: 'create',
+            reason: record.status && record.status !== inscription.status
+                ? t('import.newRegistrationStatusChanged', { status: inscription.status, original: record.status })
+                : t('import.newRegistration'),
+            apply: () => dataManager.importRecord('inscriptions', inscription)
+        });
+    });
     
-    if (inscriptions.length === 0) {
-        inscriptionsList.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-icon">👥</div>
-                <h3>No registrations yet</h3>
-                <p>Share the event link to start receiving registrations!</p>
-            </div>
-        `;
-    } else {
-        inscriptionsList.innerHTML = `
-            <div class="inscriptions-header">
-                <p><strong>Total Registrations:</strong> ${inscriptions.length} of ${event.maxParticipants}</p>
-                <p><strong>Available Slots:</strong> ${event.maxParticipants - inscriptions.length}</p>
-            </div>
-            ${inscriptions.map((inscription, index) => `
-                <div class="inscription-item">
-                    <div class="inscription-number">#${index + 1}</div>
-                    <div class="inscription-info">
-                        <div class="inscription-name">${inscription.name}</div>
-                        <div class="inscription-email">${inscription.email}</div>
-                    </div>
-                    <div class="inscription-date">${formatDateShort(inscription.createdAt)}</div>
-                </div>
-            `).join('')}
-        `;
-    }
+    return plan;
+}
+
+function openImportModal() {
+    importState = null;
+    renderImportStep();
     
+    const modal = document.getElementById('importModal');
     modal.classList.add('show');
     modal.style.display = 'flex';
 }
 
-function viewInscriptionsFromModal() {
-    const modal = document.getElementById('eventModal');
-    const eventId = modal.dataset.eventId;
-    if (eventId) {
-        // Close the event modal first
-        closeModal();
-        // Then open inscriptions modal
-        setTimeout(() => {
-            viewInscriptions(eventId);
-        }, 300);
-    } else {
-        showNotification('No event selected', 'error');
-    }
-}
-
-function closeInscriptionsModal() {
-    const modal = document.getElementById('inscriptionsModal');
+function closeImportModal() {
+    const modal = document.getElementById('importModal');
     modal.classList.remove('show');
     modal.style.display = 'none';
 }
 
-function deleteEvent(eventId) {
-    if (!confirm('Are you sure you want to delete this event? This action cannot be undone.')) {
-        return;
+function renderImportStep() {
+    const content = document.getElementById('importContent');
+    if (!importState) {
+        content.innerHTML = html`
+            <div class="form-group">
+                <label for="importFile">${t('import.file')}</label>
+                <input type="file" id="importFile" accept=".csv,.json,text/csv,application/json" onchange="handleImportFile(this)">
+                <small class="form-hint">${t('import.fileHint')}</small>
+            </div>
+        `;
+    } else if (importState.plan) {
+        content.innerHTML = renderImportPlan();
+    } else {
+        content.innerHTML = renderImportMapping();
     }
-    
-    dataManager.deleteEvent(eventId);
-    updateEventsList();
-    showNotification('Event deleted successfully');
 }
 
-// Communities Management Functions
-function updateCommunitiesList() {
-    const events = dataManager.getEvents();
-    const communitiesList = document.getElementById('communitiesList');
-    const totalEvents = document.getElementById('totalEvents');
-    const totalParticipants = document.getElementById('totalParticipants');
+async function handleImportFile(input) {
+    const file = input.files[0];
+    if (!file) return;
     
-    // Calculate total participants
-    let totalParticipantsCount = 0;
-    events.forEach(event => {
-        const inscriptions = dataManager.getInscriptionsForEvent(event.id);
-        totalParticipantsCount += inscriptions.length;
-    });
+    const text = (await file.text()).replace(/^\uFEFF/, '');
     
-    // Update stats
-    totalEvents.textContent = `${events.length} Event${events.length !== 1 ? 's' : ''}`;
-    totalParticipants.textContent = `${totalParticipantsCount} Participant${totalParticipantsCount !== 1 ? 's' : ''}`;
+    if (file.name.toLowerCase().endsWith('.json') || /^\s*[{[]/.test(text)) {
+        let dump;
+        try {
+            dump = JSON.parse(text);
+        } catch (err) {
+            showNotification(t('import.invalidJson'), 'error');
+            return;
+        }
+        if (dump && dump.app === 'goldensign') {
+            try {
+                dump = dataManager.readBackup(dump);
+            } catch (err) {
+                showNotification(err.message, 'error');
+                return;
+            }
+        }
+        if (!dump || !Array.isArray(dump.events) && !Array.isArray(dump.inscriptions)) {
+            showNotification(t('import.jsonNeedsLists'), 'error');
+            return;
+        }
+        importState = { fileName: file.name, plan: planJsonImport(dump), back: null };
+        renderImportStep();
+        return;
+    }
     
-    if (events.length === 0) {
-        communitiesList.innerHTML = `
-            <div class="empty-state">
-                <div class="empty-icon">🏆</div>
-                <h3>No communities yet</h3>
-                <p>Create your first tournament or course to start building your community!</p>
-            </div>
-        `;
+    const table = extractCsvTable(parseCsv(text));
+    if (!table || table.rows.length === 0) {
+        showNotification(t('import.noHeaderRow'), 'error');
         return;
     }
     
-    // Apply filters
-    const filteredEvents = filterEvents(events);
+    const eventId = (getImportTargetEvents()[0] || {}).id || null;
+    importState = { fileName: file.name, table, kind: table.kind, eventId };
+    importState.mapping = guessImportMapping(getImportFields(importState.kind, dataManager.getEvent(eventId)), table.headers);
+    renderImportStep();
+}
+
+// Participants go into individual events the organizer may edit
+function getImportTargetEvents() {
+    return dataManager.getEventsFor(currentOrganizer.id).filter(event => !event.teamMode && organizerCan(event, 'edit'));
+}
+
+function renderImportMapping() {
+    const { table, kind, eventId, mapping } = importState;
+    const fields = getImportFields(kind, dataManager.getEvent(eventId));
+    const targetEvents = getImportTargetEvents();
     
-    communitiesList.innerHTML = filteredEvents.map(event => {
-        const inscriptions = dataManager.getInscriptionsForEvent(event.id);
-        const availableSlots = event.maxParticipants - inscriptions.length;
-        const eventDate = new Date(event.date);
-        const now = new Date();
-        const isPast = eventDate < now;
-        const isFull = availableSlots <= 0;
-        
-        return `
-            <div class="community-card" data-event-id="${event.id}">
-                <div class="community-card-header">
-                    <div>
-                        <h3 class="community-title">${event.title}</h3>
-                        <div class="community-type-badge">${event.type}</div>
-                    </div>
-                </div>
-                
-                <p class="community-description">${event.description}</p>
-                
-                <div class="community-stats">
-                    <div class="community-stat">
-                        <div class="community-stat-value">${inscriptions.length}</div>
-                        <div class="community-stat-label">Participants</div>
-                    </div>
-                    <div class="community-stat">
-                        <div class="community-stat-value">${event.maxParticipants}</div>
-                        <div class="community-stat-label">Max Capacity</div>
-                    </div>
-                    <div class="community-stat">
-                        <div class="community-stat-value">${availableSlots}</div>
-                        <div class="community-stat-label">Available</div>
-                    </div>
-                    <div class="community-stat">
-                        <div class="community-stat-value">${formatDateShort(event.date)}</div>
-                        <div class="community-stat-label">Date</div>
-                    </div>
+    return html`
+        <p class="import-summary"><strong>${importState.fileName}</strong> · ${t('count.rows', { count: table.rows.length })}</p>
+        <form id="importMappingForm" class="event-form" onsubmit="previewImport(event)">
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="importKind">${t('import.importAs')}</label>
+                    <select id="importKind" onchange="changeImportTarget()">
+                        <option value="events" ${kind === 'events' ? 'selected' : ''}>${t('analytics.events')}</option>
+                        <option value="inscriptions" ${kind === 'inscriptions' ? 'selected' : ''}>${t('import.participantsOfEvent')}</option>
+                    </select>
                 </div>
-                
-                <div class="community-participants">
-                    <div class="participants-header">
-                        <span class="participants-title">Participants (${inscriptions.length})</span>
-                        ${inscriptions.length > 0 ? `
-                            <button class="participants-toggle" onclick="toggleParticipants('${event.id}')">
-                                <span id="toggleText-${event.id}">Show</span>
-                            </button>
-                        ` : ''}
+                ${kind === 'inscriptions' ? html`
+                    <div class="form-group">
+                        <label for="importEventId">${t('import.intoEvent')}</label>
+                        <select id="importEventId" onchange="changeImportTarget()">
+                            ${targetEvents.map(event => html`
+                                <option value="${event.id}" ${event.id === eventId ? 'selected' : ''}>${event.title} (${formatDateShort(event.date)})</option>
+                            `)}
+                        </select>
+                        <small class="form-hint">${t('import.teamEventsHint')}</small>
                     </div>
-                    
-                    ${inscriptions.length > 0 ? `
-                        <div id="participants-${event.id}" class="participants-list">
-                            ${inscriptions.map((inscription, index) => `
-                                <div class="participant-item">
-                                    <div class="participant-info">
-                                        <div class="participant-name">${inscription.name}</div>
-                                        <div class="participant-email">${inscription.email}</div>
-                                    </div>
-                                    <div class="participant-date">${formatDateShort(inscription.createdAt)}</div>
-                                </div>
-                            `).join('')}
-                        </div>
-                    ` : `
-                        <div class="empty-state" style="padding: 20px; text-align: center;">
-                            <p>No participants yet. Share the event link to start receiving registrations!</p>
-                        </div>
-                    `}
-                </div>
-                
-                <div class="community-actions">
-                    <button class="btn btn-primary" onclick="copyEventLink('${event.id}')">
-                        <span class="btn-icon">📋</span>
-                        Copy Link
-                    </button>
-                    <button class="btn btn-secondary" onclick="viewInscriptions('${event.id}')">
-                        <span class="btn-icon">👥</span>
-                        View Details
-                    </button>
-                    <button class="btn btn-secondary" onclick="exportEventData('${event.id}')">
-                        <span class="btn-icon">📊</span>
-                        Export Data
-                    </button>
-                    <button class="btn btn-secondary" onclick="deleteEvent('${event.id}')" style="color: var(--danger); border-color: var(--danger);">
-                        <span class="btn-icon">🗑️</span>
-                        Delete
-                    </button>
-                </div>
+                ` : ''}
             </div>
-        `;
-    }).join('');
+            <table class="standings-table">
+                <thead>
+                    <tr><th>${t('import.field')}</th><th>${t('import.column')}</th></tr>
+                </thead>
+                <tbody>
+                    ${fields.map(field => html`
+                        <tr>
+                            <td>${field.label}${field.required ? ' *' : ''}</td>
+                            <td>
+                                <select class="swiss-result-select" name="map-${field.key}">
+                                    <option value="-1">— ${t('import.notImported')} —</option>
+                                    ${table.headers.map((header, index) => html`
+                                        <option value="${index}" ${mapping[field.key] === index ? 'selected' : ''}>${header || t('import.columnNumber', { number: index + 1 })}</option>
+                                    `)}
+                                </select>
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+            <div class="modal-actions">
+                <button type="submit" class="btn btn-primary">
+                    <span class="btn-icon">🔍</span>
+                    ${t('import.preview')}
+                </button>
+                <button type="button" class="btn btn-secondary" onclick="openImportModal()">${t('import.chooseAnotherFile')}</button>
+            </div>
+        </form>
+    `;
 }
 
-function filterEvents(events) {
-    const typeFilter = document.getElementById('typeFilter').value;
-    const statusFilter = document.getElementById('statusFilter').value;
-    
-    return events.filter(event => {
-        // Type filter
-        if (typeFilter !== 'all' && event.type !== typeFilter) {
-            return false;
-        }
-        
-        // Status filter
-        const inscriptions = dataManager.getInscriptionsForEvent(event.id);
-        const availableSlots = event.maxParticipants - inscriptions.length;
-        const eventDate = new Date(event.date);
-        const now = new Date();
-        const isPast = eventDate < now;
-        const isFull = availableSlots <= 0;
-        
-        if (statusFilter === 'open' && (isFull || isPast)) {
-            return false;
+function readImportMapping() {
+    const form = document.getElementById('importMappingForm');
+    const mapping = {};
+    for (const [name, value] of new FormData(form).entries()) {
+        if (name.startsWith('map-')) {
+            mapping[name.slice(4)] = parseInt(value);
         }
-        if (statusFilter === 'full' && !isFull) {
-            return false;
-        }
-        if (statusFilter === 'past' && !isPast) {
-            return false;
-        }
-        
-        return true;
-    });
-}
-
-function filterCommunities() {
-    updateCommunitiesList();
+    }
+    return mapping;
 }
 
-function toggleParticipants(eventId) {
-    const participantsList = document.getElementById(`participants-${eventId}`);
-    const toggleText = document.getElementById(`toggleText-${eventId}`);
-    
-    if (participantsList.classList.contains('show')) {
-        participantsList.classList.remove('show');
-        toggleText.textContent = 'Show';
-    } else {
-        participantsList.classList.add('show');
-        toggleText.textContent = 'Hide';
+function changeImportTarget() {
+    const kind = document.getElementById('importKind').value;
+    const eventSelect = document.getElementById('importEventId');
+    importState.kind = kind;
+    if (eventSelect) {
+        importState.eventId = eventSelect.value;
     }
+    
+    // Keep the columns already picked and guess the ones that are new
+    const fields = getImportFields(kind, dataManager.getEvent(importState.eventId));
+    importState.mapping = { ...guessImportMapping(fields, importState.table.headers), ...readImportMapping() };
+    renderImportStep();
 }
 
-function exportEventData(eventId) {
-    const event = dataManager.getEvent(eventId);
-    if (!event) return;
+function previewImport(submitEvent) {
+    submitEvent.preventDefault();
     
-    const inscriptions = dataManager.getInscriptionsForEvent(eventId);
-    
-    // Create CSV content
-    let csvContent = `Event: ${event.title}\n`;
-    csvContent += `Type: ${event.type}\n`;
-    csvContent += `Date: ${formatDate(event.date)}\n`;
-    csvContent += `Max Participants: ${event.maxParticipants}\n`;
-    csvContent += `Current Participants: ${inscriptions.length}\n\n`;
-    csvContent += `Name,Email,Registration Date\n`;
-    
-    inscriptions.forEach(inscription => {
-        csvContent += `"${inscription.name}","${inscription.email}","${formatDate(inscription.createdAt)}"\n`;
-    });
-    
-    // Download CSV
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${event.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_participants.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    window.URL.revokeObjectURL(url);
+    const { table, kind, eventId } = importState;
+    const mapping = readImportMapping();
+    const event = dataManager.getEvent(eventId);
+    const missing = getImportFields(kind, event).filter(field => field.required && !(mapping[field.key] >= 0));
+    if (missing.length > 0) {
+        showNotification(t('import.chooseColumn', { fields: missing.map(field => field.label).join(', ') }), 'error');
+        return;
+    }
+    if (kind === 'inscriptions' && !event) {
+        showNotification(t('import.chooseEvent'), 'error');
+        return;
+    }
     
-    showNotification('Event data exported successfully!');
+    importState.mapping = mapping;
+    importState.plan = kind === 'events'
+        ? planCsvEventImport(table, mapping)
+        : planCsvInscriptionImport(table, mapping, event);
+    renderImportStep();
 }
 
-function exportCommunitiesData() {
-    const events = dataManager.getEvents();
-    if (events.length === 0) {
-        showNotification('No events to export', 'error');
+function backToImportMapping() {
+    if (!importState.table) {
+        openImportModal();
         return;
     }
+    importState.plan = null;
+    renderImportStep();
+}
+
+function renderImportPlan() {
+    const { plan, done } = importState;
+    const count = action => plan.filter(entry => (done ? entry.result : entry.action) === action).length;
+    const summary = done
+        ? t('import.doneSummary', { created: count('created'), merged: count('merged'), skipped: count('skipped') })
+        : t('import.planSummary', { create: count('create'), merge: count('merge'), skip: count('skip') });
+    const pending = plan.length - count('skip');
     
-    let csvContent = 'Event,Type,Date,Max Participants,Current Participants,Available Slots,Status\n';
+    return html`
+        <p class="import-summary"><strong>${importState.fileName}</strong> · ${summary}</p>
+        <table class="standings-table">
+            <thead>
+                <tr><th>${t('import.row')}</th><th>${t('import.item')}</th><th>${t(done ? 'swiss.result' : 'import.action')}</th><th>${t('import.details')}</th></tr>
+            </thead>
+            <tbody>
+                ${plan.map(entry => {
+                    const outcome = done ? entry.result : entry.action;
+                    return html`
+                        <tr>
+                            <td>${entry.line}</td>
+                            <td>${entry.label}</td>
+                            <td><span class="import-badge ${outcome}">${t(IMPORT_RESULT_LABELS[outcome])}</span></td>
+                            <td>${entry.reason}</td>
+                        </tr>
+                    `;
+                })}
+            </tbody>
+        </table>
+        <div class="modal-actions">
+            ${done ? html`
+                <button class="btn btn-secondary" onclick="downloadImportReport()">
+                    <span class="btn-icon">📊</span>
+                    ${t('import.downloadReport')}
+                </button>
+                <button class="btn btn-primary" onclick="closeImportModal()">${t('import.done')}</button>
+            ` : html`
+                <button class="btn btn-primary" onclick="runImport()" ${pending === 0 ? 'disabled' : ''}>
+                    <span class="btn-icon">📥</span>
+                    ${t('import.importRows', { count: pending })}
+                </button>
+                <button class="btn btn-secondary" onclick="backToImportMapping()">${t('common.back')}</button>
+            `}
+        </div>
+    `;
+}
+
+async function runImport() {
+    for (const entry of importState.plan) {
+        if (entry.action === 'skip') {
+            entry.result = 'skipped';
+            continue;
+        }
+        try {
+            await entry.apply();
+            entry.result = entry.action === 'create' ? 'created' : 'merged';
+        } catch (err) {
+            console.error(err);
+            entry.result = 'skipped';
+            entry.reason = err.message || t('import.rowFailed');
+        }
+    }
+    importState.done = true;
+    renderImportStep();
     
-    events.forEach(event => {
-        const inscriptions = dataManager.getInscriptionsForEvent(event.id);
-        const availableSlots = event.maxParticipants - inscriptions.length;
-        const eventDate = new Date(event.date);
-        const now = new Date();
-        const isPast = eventDate < now;
-        const isFull = availableSlots <= 0;
-        
-        let status = 'Open';
-        if (isPast) status = 'Past';
-        else if (isFull) status = 'Full';
-        
-        csvContent += `"${event.title}","${event.type}","${formatDate(event.date)}",${event.maxParticipants},${inscriptions.length},${availableSlots},"${status}"\n`;
+    updateEventsList();
+    updateCommunitiesList();
+    showNotification(t('import.finished'));
+}
+
+function downloadImportReport() {
+    let csvContent = csvRow([`${t('import.reportTitle')}: ${importState.fileName}`]);
+    csvContent += '\n';
+    csvContent += csvRow(csvHeaders(['import.row', 'import.item', 'swiss.result', 'import.details']));
+    importState.plan.forEach(entry => {
+        csvContent += csvRow([entry.line, entry.label, t(IMPORT_RESULT_LABELS[entry.result]), entry.reason]);
     });
     
-    // Download CSV
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `communities_overview_${new Date().toISOString().split('T')[0]}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    window.URL.revokeObjectURL(url);
-    
-    showNotification('Communities data exported successfully!');
+    downloadCsv(csvContent, `import_report_${new Date().toISOString().split('T')[0]}.csv`);
 }
 
 // Inscription Page Functions
@@ -778,21 +7792,67 @@ function showNotFoundState() {
 }
 
 function displayEventDetails(event) {
-    const inscriptions = dataManager.getInscriptionsForEvent(event.id);
-    const availableSlots = event.maxParticipants - inscriptions.length;
+    showBracketLinks(event);
     
-    // Check if event is full
-    if (availableSlots <= 0) {
+    const availableSlots = dataManager.getAvailableSlots(event);
+    const joinsWaitlist = availableSlots <= 0;
+    const registration = dataManager.getRegistrationWindow(event);
+    
+    // Full team events still let people join the teams that hold a slot
+    const teamsOnly = event.teamMode && joinsWaitlist && !event.waitlistEnabled;
+    
+    // Check if event is full (a closed or not yet open window says more)
+    if (registration === 'open' && joinsWaitlist && !event.waitlistEnabled && !event.teamMode) {
         showFullState();
         return;
     }
     
     // Update event details
-    document.getElementById('eventTypeBadge').textContent = event.type;
+    document.getElementById('eventTypeBadge').textContent = t(`eventType.${event.type}`);
     document.getElementById('eventTitle').textContent = event.title;
     document.getElementById('eventDescription').textContent = event.description;
-    document.getElementById('eventDate').textContent = formatDate(event.date);
-    document.getElementById('availableSlots').textContent = `${availableSlots} of ${event.maxParticipants} slots available`;
+    document.getElementById('eventDate').textContent = formatEventDate(event);
+    document.getElementById('locationCard').style.display = event.location ? 'flex' : 'none';
+    document.getElementById('eventLocation').textContent = event.location || '';
+    document.getElementById('addToCalendarBtn').dataset.eventId = event.id;
+    document.getElementById('availableSlots').textContent = joinsWaitlist
+        ? `${t('registration.full')} · ${teamsOnly ? t('registration.teamsCanGrow') : t('events.onWaitlist', { count: dataManager.getSlotGroups(event.id, 'waitlisted').length })}`
+        : t(event.teamMode ? 'registration.teamSlotsAvailable' : 'registration.slotsAvailable', { count: availableSlots, max: event.maxParticipants });
+    
+    document.getElementById('deadlineCard').style.display = event.registrationClosesAt ? 'flex' : 'none';
+    if (event.registrationClosesAt) {
+        document.getElementById('registrationDeadline').textContent = formatEventDate(event, event.registrationClosesAt);
+    }
+    
+    // Outside the registration window the form gives way to a notice
+    document.getElementById('registrationSection').style.display = registration === 'open' ? 'block' : 'none';
+    document.getElementById('registrationUpcoming').style.display = registration === 'upcoming' ? 'block' : 'none';
+    document.getElementById('registrationClosed').style.display = registration === 'closed' ? 'block' : 'none';
+    if (registration === 'upcoming') {
+        document.getElementById('registrationOpensAt').textContent = formatEventDate(event, event.registrationOpensAt);
+        startRegistrationCountdown(event);
+    }
+    if (registration === 'closed') {
+        document.getElementById('registrationClosedAt').textContent = formatEventDate(event, event.registrationClosesAt);
+    }
+    
+    renderRegistrationFields(event);
+    setupTeamRegistration(event, { canCreate: !teamsOnly });
+    
+    const sessions = dataManager.getSessions(event);
+    document.getElementById('scheduleCard').style.display = sessions.length > 0 ? 'flex' : 'none';
+    document.getElementById('eventSchedule').innerHTML = sessions.map((session, index) => html`
+        <li>${formatEventDate(event, session.date)} — ${session.title || t('course.sessionNumber', { number: index + 1 })}</li>
+    `).join('');
+    
+    // Full events with a waitlist still take registrations, into the queue
+    document.getElementById('registrationTitle').textContent = t(teamsOnly
+        ? 'registration.joinTeamTitle'
+        : joinsWaitlist ? 'registration.joinWaitlistTitle' : 'registration.title');
+    document.getElementById('registrationSubmitText').textContent = t(teamsOnly
+        ? 'registration.joinTeam'
+        : joinsWaitlist ? 'registration.joinWaitlist'
+        : 'registration.submit');
     
     // Show event details
     document.getElementById('loadingState').style.display = 'none';
@@ -800,6 +7860,185 @@ function displayEventDetails(event) {
     
     // Store event ID for form submission
     document.getElementById('registrationForm').dataset.eventId = event.id;
+    setupFeeFields(event);
+}
+
+// Paid events show their price, and the form asks for what lowers it
+function setupFeeFields(event) {
+    const paid = hasFee(event);
+    document.getElementById('feeCard').style.display = paid ? 'flex' : 'none';
+    document.getElementById('registrationFeeFields').style.display = paid ? 'block' : 'none';
+    if (!paid) return;
+    
+    document.getElementById('eventFee').textContent = describeFee(event);
+    document.getElementById('memberField').style.display = event.memberFeeAmount !== null && event.memberFeeAmount !== undefined ? 'block' : 'none';
+    // The server keeps the codes from visitors, who may still have one
+    const hasCodes = event.discountCodes === undefined || event.discountCodes.length > 0;
+    document.getElementById('discountCodeField').style.display = hasCodes ? 'block' : 'none';
+    updateFeeQuote();
+}
+
+async function updateFeeQuote() {
+    const form = document.getElementById('registrationForm');
+    const event = dataManager.getEvent(form.dataset.eventId);
+    if (!event || !hasFee(event)) return;
+    
+    const options = { member: form.elements.member.checked, discountCode: form.elements.discountCode.value };
+    const { fee, error } = await dataManager.quoteFee(event, options);
+    // A later keystroke asked again meanwhile
+    if (form.elements.member.checked !== options.member || form.elements.discountCode.value !== options.discountCode) return;
+    document.getElementById('feeQuote').textContent = error || t(event.teamMode ? 'registration.youPayPerMember' : 'registration.youPay', { amount: formatMoney(fee.amountDue, fee.currency) });
+}
+
+function renderRegistrationFields(event) {
+    document.getElementById('customFields').innerHTML = renderFormFieldInputs(event.formFields || []);
+}
+
+// Inputs for custom form fields, named field_<id>. Optional inputs drop the
+// required marks and limits for organizers entering registrations by hand.
+function renderFormFieldInputs(fields, { optional = false } = {}) {
+    return html`${fields.map(field => {
+        const inputId = `field_${field.id}`;
+        const isRequired = field.required && !optional;
+        const required = isRequired ? 'required' : '';
+        const limits = optional ? '' : html`${field.min !== undefined ? html`min="${field.min}"` : ''} ${field.max !== undefined ? html`max="${field.max}"` : ''}`;
+        
+        if (field.type === 'checkbox') {
+            return html`
+                <div class="form-group checkbox-group">
+                    <label for="${inputId}">
+                        <input type="checkbox" id="${inputId}" name="${inputId}" ${required}>
+                        ${field.label}${isRequired ? ' *' : ''}
+                    </label>
+                </div>
+            `;
+        }
+        
+        const control = field.type === 'select'
+            ? html`<select id="${inputId}" name="${inputId}" ${required}>
+                    <option value="">${t('registration.selectOption')}</option>
+                    ${field.options.map(option => html`<option value="${option}">${option}</option>`)}
+               </select>`
+            : html`<input type="${field.type}" id="${inputId}" name="${inputId}" ${required} ${limits} ${field.type === 'number' ? html`step="any"` : ''}>`;
+        
+        return html`
+            <div class="form-group">
+                <label for="${inputId}">${field.label}${isRequired ? ' *' : ''}</label>
+                ${control}
+            </div>
+        `;
+    })}`;
+}
+
+// Validates the custom answers in the submitted form. Returns { answers }
+// or { error } with the first problem found. Optional skips the required
+// checks and limits, leaving only type checks.
+function collectRegistrationAnswers(event, formData, { optional = false } = {}) {
+    const answers = {};
+    for (const field of event.formFields || []) {
+        const raw = field.type === 'checkbox'
+            ? formData.get(`field_${field.id}`) === 'on'
+            : formData.get(`field_${field.id}`);
+        const rules = optional ? { ...field, required: false, min: undefined, max: undefined } : field;
+        const { value, error } = parseFormFieldAnswer(rules, raw);
+        if (error) {
+            return { error };
+        }
+        if (value !== null) {
+            answers[field.id] = value;
+        }
+    }
+    return { answers };
+}
+
+// Team events ask the registrant to create a team or join one by invite
+// code. Creating is off when the event is full and has no waitlist.
+function setupTeamRegistration(event, { canCreate }) {
+    document.getElementById('teamFields').style.display = event.teamMode ? '' : 'none';
+    if (!event.teamMode) {
+        return;
+    }
+    
+    document.getElementById('teamSizeHint').textContent =
+        t('registration.teamSizeHint', { min: event.teamSizeMin, max: event.teamSizeMax });
+    
+    const membersList = document.getElementById('teamMembersList');
+    if (membersList.children.length === 0) {
+        for (let i = 1; i < event.teamSizeMin; i++) {
+            addTeamMemberRow();
+        }
+    }
+    
+    const createOption = document.querySelector('input[name="teamAction"][value="create"]');
+    createOption.disabled = !canCreate;
+    const action = canCreate ? document.querySelector('input[name="teamAction"]:checked').value : 'join';
+    document.querySelector(`input[name="teamAction"][value="${action}"]`).checked = true;
+    toggleTeamAction(action);
+}
+
+function toggleTeamAction(action) {
+    const creating = action === 'create';
+    document.getElementById('createTeamFields').style.display = creating ? '' : 'none';
+    document.getElementById('joinTeamFields').style.display = creating ? 'none' : '';
+    document.getElementById('teamName').required = creating;
+    document.getElementById('inviteCode').required = !creating;
+    document.querySelectorAll('#teamMembersList input').forEach(input => {
+        input.required = creating;
+    });
+}
+
+function addTeamMemberRow() {
+    const row = document.createElement('div');
+    row.className = 'team-member-row';
+    row.innerHTML = html`
+        <input type="text" name="memberName" required placeholder="${t('registration.teammateName')}">
+        <input type="email" name="memberEmail" required placeholder="${t('registration.teammateEmail')}">
+        <button type="button" class="btn btn-secondary btn-small" onclick="removeTeamMemberRow(this)" title="${t('registration.removeTeammate')}">✕</button>
+    `;
+    document.getElementById('teamMembersList').appendChild(row);
+}
+
+function removeTeamMemberRow(button) {
+    button.closest('.team-member-row').remove();
+}
+
+function collectTeammates(formData) {
+    const names = formData.getAll('memberName');
+    const emails = formData.getAll('memberEmail');
+    return names
+        .map((name, index) => ({ name: name.trim(), email: (emails[index] || '').trim() }))
+        .filter(member => member.name || member.email);
+}
+
+let registrationCountdownTimer = null;
+
+// Ticks every second until registration opens, then shows the form
+function startRegistrationCountdown(event) {
+    clearInterval(registrationCountdownTimer);
+    
+    const tick = () => {
+        const remaining = getEventTime(event, event.registrationOpensAt) - new Date();
+        if (remaining <= 0) {
+            clearInterval(registrationCountdownTimer);
+            displayEventDetails(event);
+            return;
+        }
+        document.getElementById('registrationCountdown').textContent = formatCountdown(remaining);
+    };
+    
+    tick();
+    registrationCountdownTimer = setInterval(tick, 1000);
+}
+
+function formatCountdown(milliseconds) {
+    const totalSeconds = Math.ceil(milliseconds / 1000);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor(totalSeconds % 86400 / 3600);
+    const minutes = Math.floor(totalSeconds % 3600 / 60);
+    const seconds = totalSeconds % 60;
+    const pad = value => String(value).padStart(2, '0');
+    
+    return `${days > 0 ? `${days}d ` : ''}${pad(hours)}h ${pad(minutes)}m ${pad(seconds)}s`;
 }
 
 function showFullState() {
@@ -807,64 +8046,254 @@ function showFullState() {
     document.getElementById('fullState').style.display = 'block';
 }
 
-function handleRegistrationForm(event) {
+async function handleRegistrationForm(event) {
     event.preventDefault();
     
     const formData = new FormData(event.target);
     const eventId = event.target.dataset.eventId;
+    
+    // Other participants may have registered since the page was loaded
+    try {
+        await dataManager.load();
+    } catch (err) {
+        console.error(err);
+        showNotification(t('common.serverUnreachable'), 'error');
+        return;
+    }
+    
     const eventObj = dataManager.getEvent(eventId);
     
     if (!eventObj) {
-        showNotification('Event not found', 'error');
+        showNotification(t('error.eventNotFound'), 'error');
+        return;
+    }
+    
+    // The window may have opened or closed while the page was open
+    const registration = dataManager.getRegistrationWindow(eventObj);
+    if (registration !== 'open') {
+        showNotification(t(registration === 'upcoming' ? 'registration.notOpenYet' : 'registration.closed'), 'error');
+        displayEventDetails(eventObj);
         return;
     }
     
+    // Expired holds free their slot and their email address
+    await dataManager.releaseExpiredHolds();
+    
+    // Joining a team that already holds a slot needs no free one
+    const teamAction = eventObj.teamMode ? formData.get('teamAction') : null;
+    const teammates = teamAction === 'create' ? collectTeammates(formData) : [];
+    
     // Check if event is still available
     const inscriptions = dataManager.getInscriptionsForEvent(eventId);
-    if (inscriptions.length >= eventObj.maxParticipants) {
-        showNotification('Sorry, this event is now full', 'error');
+    if (teamAction !== 'join' && dataManager.getAvailableSlots(eventObj) <= 0 && !eventObj.waitlistEnabled) {
+        showNotification(t('registration.nowFull'), 'error');
         return;
     }
     
     // Check if email is already registered
+    const emails = [formData.get('email'), ...teammates.map(member => member.email)].map(email => email.toLowerCase());
     const existingInscription = inscriptions.find(inscription => 
-        inscription.email.toLowerCase() === formData.get('email').toLowerCase()
+        inscription.status !== 'cancelled' &&
+        emails.includes(normalizeEmail(inscription.email))
     );
     
     if (existingInscription) {
-        showNotification('This email is already registered for this event', 'error');
+        showNotification(t('registration.alreadyRegistered', { email: existingInscription.email }), 'error');
+        return;
+    }
+    
+    if (new Set(emails).size !== emails.length) {
+        showNotification(t('registration.emailsUnique'), 'error');
+        return;
+    }
+    
+    const { answers, error } = collectRegistrationAnswers(eventObj, formData);
+    if (error) {
+        showNotification(error, 'error');
         return;
     }
     
+    // Paid events price the registration now; teammates pay the same
+    let fee = {};
+    if (hasFee(eventObj)) {
+        const quote = await dataManager.quoteFee(eventObj, {
+            member: formData.get('member') === 'on',
+            discountCode: formData.get('discountCode') || ''
+        });
+        if (quote.error) {
+            showNotification(quote.error, 'error');
+            return;
+        }
+        fee = quote.fee;
+    }
+    
     // Create inscription
     const inscriptionData = {
         eventId: eventId,
         name: formData.get('name'),
-        email: formData.get('email')
+        email: formData.get('email'),
+        answers,
+        ...fee
     };
     
-    const inscription = dataManager.createInscription(inscriptionData);
+    let registered;
+    let team = null;
+    try {
+        if (teamAction === 'join') {
+            const joined = await dataManager.joinTeam(eventId, formData.get('inviteCode'), inscriptionData);
+            team = joined.team;
+            registered = [joined.inscription];
+        } else if (teamAction === 'create') {
+            const members = [inscriptionData, ...teammates.map(member => ({ ...member, ...fee }))];
+            ({ team, inscriptions: registered } = await dataManager.registerTeam(eventId, { name: formData.get('teamName'), members }));
+        } else {
+            registered = [await dataManager.createInscription(inscriptionData)];
+        }
+    } catch (err) {
+        console.error(err);
+        // The server also refuses emails registered by others, which this
+        // page does not get to see
+        showNotification(err.status === 409 ? t('registration.taken') : err.message || t('registration.saveFailed'), 'error');
+        return;
+    }
+    
+    // Whoever gets a slot pays for it right away, the waitlist once promoted
+    const [inscription] = registered;
+    const due = registered.filter(item => item.paymentStatus === 'unpaid' && dataManager.getSlotStatus(item) === 'accepted');
+    if (due.length > 0) {
+        document.getElementById('eventDetails').style.display = 'none';
+        openCheckout(due, () => showSuccessState(eventObj, inscription, team));
+        return;
+    }
     
     // Show success state
-    showSuccessState(eventObj, inscription);
+    showSuccessState(eventObj, inscription, team);
 }
 
-function showSuccessState(event, inscription) {
-    const successMessage = `You have successfully registered for "${event.title}"!`;
+function showSuccessState(event, inscription, team = null) {
+    const isPending = inscription.status === 'pending_verification';
+    let successMessage = inscription.status === 'waitlisted'
+        ? t('success.waitlisted', { title: event.title, position: dataManager.getWaitlistPosition(inscription) })
+        : t('success.registered', { title: event.title });
+    if (isPending) {
+        successMessage = t(inscription.verifyAs === 'accepted' ? 'success.verifyToKeepSpot' : 'success.verifyToJoinWaitlist', {
+            email: inscription.email,
+            date: formatDate(inscription.verificationExpiresAt),
+            title: event.title
+        });
+    }
+    if (team && inscription.teamRole === 'captain') {
+        successMessage += ` ${t('success.teamCreated', { name: team.name, code: team.inviteCode })}`;
+    } else if (team) {
+        successMessage += ` ${t('success.teamJoined', { name: team.name })}`;
+    }
+    if (inscription.paymentStatus === 'paid') {
+        successMessage += ` ${t('success.paid', { amount: formatMoney(inscription.amountDue, inscription.currency) })}`;
+    } else if (inscription.paymentStatus === 'unpaid') {
+        successMessage += ` ${t(dataManager.getSlotStatus(inscription) === 'accepted' ? 'success.feeDue' : 'success.feeDueLater', { amount: formatMoney(inscription.amountDue, inscription.currency) })}`;
+    }
     document.getElementById('successMessage').textContent = successMessage;
+    if (inscription.status === 'waitlisted') {
+        document.getElementById('successTitle').textContent = t('confirmation.waitlisted.title');
+    } else if (isPending) {
+        document.getElementById('successTitle').textContent = t('success.checkEmail');
+    }
     
-    // Store inscription ID for confirmation page
+    // Store inscription ID and token for confirmation page
     document.getElementById('successState').dataset.inscriptionId = inscription.id;
+    document.getElementById('successState').dataset.token = inscription.token;
     
     document.getElementById('eventDetails').style.display = 'none';
     document.getElementById('successState').style.display = 'block';
 }
 
 function goToConfirmation() {
-    const inscriptionId = document.getElementById('successState').dataset.inscriptionId;
+    const { inscriptionId, token } = document.getElementById('successState').dataset;
     if (inscriptionId) {
-        window.location.href = `confirmation.html?id=${inscriptionId}`;
+        window.location.href = `confirmation.html?id=${inscriptionId}&token=${token}`;
+    }
+}
+
+// Checkout Functions
+// Used right after registering and from the confirmation page to pay later.
+// Payments go through the configured provider (see createPaymentProvider).
+let checkoutState = null;
+
+function openCheckout(inscriptions, onDone) {
+    const [first] = inscriptions;
+    const total = formatMoney(inscriptions.reduce((sum, inscription) => sum + inscription.amountDue, 0), first.currency);
+    checkoutState = { inscriptionIds: inscriptions.map(inscription => inscription.id), onDone };
+    
+    const container = document.getElementById('checkoutState');
+    container.innerHTML = html`
+        <h2>${t('checkout.title')}</h2>
+        <ul class="checkout-items">
+            ${inscriptions.map(inscription => html`
+                <li>
+                    <span>${inscription.name} · ${[
+                        t(FEE_TIER_LABELS[inscription.feeTier]),
+                        inscription.earlyBird ? t('payment.earlyBird') : null,
+                        inscription.discountCode
+                    ].filter(Boolean).join(', ')}</span>
+                    <span>${formatMoney(inscription.amountDue, inscription.currency)}</span>
+                </li>
+            `)}
+            <li class="checkout-total">
+                <span>${t('checkout.total')}</span>
+                <span>${total}</span>
+            </li>
+        </ul>
+        <form id="checkoutForm" class="registration-form">
+            <div class="form-group">
+                <label for="cardNumber">${t('checkout.cardNumber')} *</label>
+                <input type="text" id="cardNumber" name="cardNumber" inputmode="numeric" autocomplete="cc-number" required>
+                ${dataManager.payments.name === 'mock' ? html`
+                    <small class="form-hint">${t('checkout.testMode', { card: MOCK_DECLINED_CARD })}</small>
+                ` : ''}
+            </div>
+            <p id="checkoutError" class="checkout-error" style="display: none;"></p>
+            <div class="success-actions">
+                <button type="submit" class="btn btn-primary">
+                    <span class="btn-icon">💳</span>
+                    ${t('checkout.pay', { amount: total })}
+                </button>
+                <button type="button" class="btn btn-secondary" onclick="closeCheckout(false)">${t('checkout.payLater')}</button>
+            </div>
+        </form>
+    `;
+    document.getElementById('checkoutForm').addEventListener('submit', handleCheckoutSubmit);
+    container.style.display = 'block';
+}
+
+async function handleCheckoutSubmit(submitEvent) {
+    submitEvent.preventDefault();
+    
+    const submitButton = submitEvent.target.querySelector('button[type="submit"]');
+    const errorMessage = document.getElementById('checkoutError');
+    const inscriptions = checkoutState.inscriptionIds.map(id => dataManager.getInscription(id));
+    submitButton.disabled = true;
+    errorMessage.style.display = 'none';
+    
+    try {
+        await dataManager.payInscriptions(inscriptions, submitEvent.target.elements.cardNumber.value);
+    } catch (err) {
+        // A declined card is the registrant's to fix; anything else is ours
+        if (!(err instanceof PaymentError)) {
+            console.error(err);
+        }
+        errorMessage.textContent = err instanceof PaymentError ? err.message : t('checkout.failed');
+        errorMessage.style.display = 'block';
+        submitButton.disabled = false;
+        return;
     }
+    closeCheckout(true);
+}
+
+function closeCheckout(paid) {
+    const { onDone } = checkoutState;
+    checkoutState = null;
+    document.getElementById('checkoutState').style.display = 'none';
+    onDone(paid);
 }
 
 // Confirmation Page Functions
@@ -897,26 +8326,417 @@ function showConfirmationNotFound() {
     document.getElementById('notFoundState').style.display = 'block';
 }
 
+// Badge, title and subtitle are message ids
+const CONFIRMATION_STATES = {
+    pending_verification: {
+        icon: '📧',
+        badge: 'confirmation.pending.badge',
+        title: 'confirmation.pending.title',
+        subtitle: 'confirmation.pending.subtitle'
+    },
+    accepted: {
+        icon: '✅',
+        badge: 'confirmation.accepted.badge',
+        title: 'confirmation.accepted.title',
+        subtitle: 'confirmation.accepted.subtitle'
+    },
+    waitlisted: {
+        icon: '⏳',
+        badge: 'confirmation.waitlisted.badge',
+        title: 'confirmation.waitlisted.title',
+        subtitle: 'confirmation.waitlisted.subtitle'
+    },
+    cancelled: {
+        icon: '❌',
+        badge: 'confirmation.cancelled.badge',
+        title: 'confirmation.cancelled.title',
+        subtitle: 'confirmation.cancelled.subtitle'
+    }
+};
+
 function displayConfirmationDetails(inscription, event) {
     // Update confirmation details
     document.getElementById('participantName').textContent = inscription.name;
     document.getElementById('participantEmail').textContent = inscription.email;
     document.getElementById('eventTitle').textContent = event.title;
-    document.getElementById('eventType').textContent = event.type;
-    document.getElementById('eventDate').textContent = formatDate(event.date);
+    document.getElementById('eventType').textContent = t(`eventType.${event.type}`);
+    document.getElementById('eventDate').textContent = formatEventDate(event);
+    document.getElementById('locationRow').style.display = event.location ? 'flex' : 'none';
+    document.getElementById('eventLocation').textContent = event.location || '';
+    document.getElementById('addToCalendarBtn').dataset.eventId = event.id;
     document.getElementById('registrationId').textContent = inscription.id;
     
+    // Header, badge and extra rows depend on where the inscription stands
+    const state = CONFIRMATION_STATES[inscription.status] || CONFIRMATION_STATES.accepted;
+    const statusBadge = document.getElementById('statusBadge');
+    statusBadge.textContent = t(state.badge);
+    statusBadge.classList.toggle('waitlisted', inscription.status === 'waitlisted');
+    statusBadge.classList.toggle('cancelled', inscription.status === 'cancelled');
+    statusBadge.classList.toggle('pending', inscription.status === 'pending_verification');
+    document.getElementById('confirmationIcon').textContent = state.icon;
+    document.getElementById('confirmationTitle').textContent = t(state.title);
+    document.getElementById('confirmationSubtitle').textContent = inscription.status === 'pending_verification'
+        ? `${t(state.subtitle)} ${t('confirmation.expires', { date: formatDate(inscription.verificationExpiresAt) })}`
+        : t(state.subtitle);
+    
+    const isWaitlisted = inscription.status === 'waitlisted';
+    document.getElementById('waitlistPositionRow').style.display = isWaitlisted ? 'flex' : 'none';
+    if (isWaitlisted) {
+        document.getElementById('waitlistPosition').textContent = t('confirmation.waitlistPosition', { position: dataManager.getWaitlistPosition(inscription), total: dataManager.getSlotGroups(event.id, 'waitlisted').length });
+    }
+    
+    const isCancelled = inscription.status === 'cancelled';
+    document.getElementById('cancelledRow').style.display = isCancelled ? 'flex' : 'none';
+    if (isCancelled) {
+        document.getElementById('cancelledInfo').textContent = t('confirmation.cancelledInfo', {
+            date: formatDate(inscription.cancelledAt),
+            by: ['participant', 'organizer'].includes(inscription.cancelledBy) ? t(`cancelledBy.${inscription.cancelledBy}`) : inscription.cancelledBy
+        });
+    }
+    
+    // Only the holder of the secret link may cancel
+    const token = new URLSearchParams(window.location.search).get('token');
+    const canCancel = !isCancelled && Boolean(inscription.token) && token === inscription.token;
+    document.getElementById('cancelRegistrationBtn').style.display = canCancel ? 'inline-flex' : 'none';
+    
+    // Only members holding their own link see the code that lets others join
+    const team = inscription.teamId ? dataManager.getTeam(inscription.teamId) : null;
+    document.getElementById('teamRow').style.display = team ? 'flex' : 'none';
+    document.getElementById('inviteCodeRow').style.display = team && canCancel ? 'flex' : 'none';
+    if (team) {
+        document.getElementById('teamInfo').textContent = `${team.name}${inscription.teamRole === 'captain' ? ` (${t('confirmation.captain')})` : ''}`;
+        document.getElementById('inviteCode').textContent = team.inviteCode;
+    }
+    
+    document.getElementById('paymentRow').style.display = inscription.paymentStatus ? 'flex' : 'none';
+    if (inscription.paymentStatus) {
+        document.getElementById('paymentInfo').textContent = `${formatMoney(inscription.amountDue, inscription.currency)} · ${t(PAYMENT_STATUS_LABELS[inscription.paymentStatus])}`;
+    }
+    const canPay = canCancel && inscription.status === 'accepted' && inscription.paymentStatus === 'unpaid';
+    document.getElementById('payNowBtn').style.display = canPay ? 'inline-flex' : 'none';
+    
+    document.getElementById('checkedInRow').style.display = inscription.checkedInAt ? 'flex' : 'none';
+    if (inscription.checkedInAt) {
+        document.getElementById('checkedInInfo').textContent = formatDate(inscription.checkedInAt);
+    }
+    
+    // The ticket is for the holder of the secret link, and only gets them in
+    // while the registration stays accepted
+    const ticket = document.getElementById('checkInTicket');
+    ticket.style.display = canCancel && inscription.status === 'accepted' ? 'block' : 'none';
+    if (canCancel && inscription.status === 'accepted') {
+        renderCheckInTicket(inscription);
+    }
+    
+    const attendance = dataManager.getAttendanceFor(inscription);
+    const certificateLink = document.getElementById('certificateLink');
+    certificateLink.style.display = canCancel && attendance && attendance.eligible ? 'inline-flex' : 'none';
+    certificateLink.href = dataManager.generateCertificateUrl(inscription);
+    
     // Show confirmation details
     document.getElementById('loadingState').style.display = 'none';
     document.getElementById('confirmationDetails').style.display = 'block';
 }
 
+async function renderCheckInTicket(inscription) {
+    const ticket = await dataManager.generateCheckInTicket(inscription);
+    document.getElementById('checkInQr').innerHTML = renderQrCode(ticket, { label: t('checkIn.ticket') });
+}
+
+async function cancelRegistration() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const inscriptionId = urlParams.get('id');
+    const token = urlParams.get('token');
+    
+    if (!confirm(t('confirmation.confirmCancel'))) {
+        return;
+    }
+    
+    try {
+        await dataManager.load();
+        await dataManager.cancelInscription(inscriptionId, { token });
+    } catch (err) {
+        console.error(err);
+        showNotification(err.message === t('error.invalidCancellationLink')
+            ? t('confirmation.cancelNotAllowed')
+            : t('confirmation.cancelFailed'), 'error');
+        return;
+    }
+    
+    const inscription = dataManager.getInscription(inscriptionId);
+    displayConfirmationDetails(inscription, dataManager.getEvent(inscription.eventId));
+    showNotification(t('confirmation.cancelledNotice'));
+}
+
+function payRegistration() {
+    const inscription = dataManager.getInscription(new URLSearchParams(window.location.search).get('id'));
+    if (!inscription) return;
+    
+    document.getElementById('payNowBtn').style.display = 'none';
+    openCheckout([inscription], paid => {
+        displayConfirmationDetails(inscription, dataManager.getEvent(inscription.eventId));
+        if (paid) {
+            showNotification(t('confirmation.paymentReceived'));
+        }
+    });
+}
+
 function printConfirmation() {
     window.print();
 }
 
+// Check-in Page Functions
+// Reached from the manager in the same tab, so the organizer's session
+// carries over. Counts refresh on a timer to include other devices' scans.
+const CHECK_IN_REFRESH_MS = 10000;
+const CHECK_IN_SCAN_INTERVAL_MS = 300;
+let checkInScanner = null;
+let lastScannedCode = { code: null, at: 0 };
+
+function loadCheckInFromUrl() {
+    const eventId = new URLSearchParams(window.location.search).get('id');
+    const event = dataManager.getEvent(eventId);
+    currentOrganizer = dataManager.resumeSession(sessionStorage.getItem(SESSION_KEY));
+    
+    document.getElementById('loadingState').style.display = 'none';
+    if (!event || !organizerCan(event, 'checkIn')) {
+        document.getElementById('accessDeniedState').style.display = 'block';
+        return;
+    }
+    
+    document.getElementById('checkInDetails').dataset.eventId = event.id;
+    document.getElementById('eventTitle').textContent = event.title;
+    document.getElementById('eventDate').textContent = formatEventDate(event);
+    updateCheckInCounts(event.id);
+    
+    const canScan = 'BarcodeDetector' in window && navigator.mediaDevices && navigator.mediaDevices.getUserMedia;
+    document.getElementById('startScannerBtn').style.display = canScan ? 'inline-flex' : 'none';
+    document.getElementById('scannerUnsupported').style.display = canScan ? 'none' : 'block';
+    document.getElementById('checkInForm').addEventListener('submit', handleCheckInSubmit);
+    document.getElementById('checkInDetails').style.display = 'block';
+    
+    setInterval(refreshCheckInCounts, CHECK_IN_REFRESH_MS);
+}
+
+function updateCheckInCounts(eventId) {
+    const { arrived, expected } = dataManager.getCheckInCounts(eventId);
+    document.getElementById('arrivedCount').textContent = arrived;
+    document.getElementById('expectedCount').textContent = expected;
+    document.getElementById('checkInProgress').style.width = `${expected > 0 ? Math.round(arrived / expected * 100) : 0}%`;
+}
+
+async function refreshCheckInCounts() {
+    try {
+        await dataManager.reloadInscriptions();
+    } catch (err) {
+        console.error(err);
+        return;
+    }
+    updateCheckInCounts(document.getElementById('checkInDetails').dataset.eventId);
+}
+
+async function submitCheckIn(code) {
+    const eventId = document.getElementById('checkInDetails').dataset.eventId;
+    let result;
+    try {
+        // Another device may have let the same person in a moment ago
+        await dataManager.reloadInscriptions();
+        result = await dataManager.checkIn(eventId, code, { checkedInBy: currentOrganizer.name });
+    } catch (err) {
+        console.error(err);
+        showNotification(t('checkIn.saveFailed'), 'error');
+        return;
+    }
+    
+    showCheckInResult(result);
+    updateCheckInCounts(eventId);
+}
+
+function showCheckInResult({ outcome, inscription }) {
+    const { level } = CHECK_IN_OUTCOMES[outcome];
+    const label = t(CHECK_IN_OUTCOMES[outcome].label);
+    const team = inscription && inscription.teamId ? dataManager.getTeam(inscription.teamId) : null;
+    let detail = outcome === 'duplicate'
+        ? t(inscription.checkedInBy ? 'checkIn.firstCheckedInBy' : 'checkIn.firstCheckedIn', { date: formatDate(inscription.checkedInAt), name: inscription.checkedInBy })
+        : '';
+    if (outcome === 'checkedIn' && inscription.paymentStatus === 'unpaid') {
+        detail = t('checkIn.paymentDue', { amount: formatMoney(inscription.amountDue, inscription.currency) });
+    }
+    const entry = html`
+        <div class="checkin-result ${level}">
+            <div class="checkin-result-label">${label}</div>
+            ${inscription ? html`
+                <div class="checkin-result-name">${inscription.name}${team ? ` · ${team.name}` : ''}</div>
+                <div class="inscription-meta">${inscription.email}${detail ? ` · ${detail}` : ''}</div>
+            ` : ''}
+            ${outcome === 'checkedIn' ? html`
+                <button class="btn btn-secondary btn-small" onclick="undoCheckIn(${jsArg(inscription.id)}, this)">${t('match.undo')}</button>
+            ` : ''}
+        </div>
+    `;
+    
+    document.getElementById('checkInResult').innerHTML = entry;
+    const log = document.getElementById('checkInLog');
+    log.insertAdjacentHTML('afterbegin', html`<li>${formatDateShort(new Date())} ${new Date().toLocaleTimeString(getIntlLocale(), { hour: '2-digit', minute: '2-digit' })} — ${label}${inscription ? `: ${inscription.name}` : ''}</li>`);
+}
+
+async function handleCheckInSubmit(submitEvent) {
+    submitEvent.preventDefault();
+    const input = submitEvent.target.elements.code;
+    if (!input.value.trim()) return;
+    await submitCheckIn(input.value);
+    input.value = '';
+    input.focus();
+}
+
+async function undoCheckIn(inscriptionId, button) {
+    await dataManager.undoCheckIn(inscriptionId);
+    button.closest('.checkin-result').querySelector('.checkin-result-label').textContent = t('checkIn.undone');
+    button.remove();
+    updateCheckInCounts(document.getElementById('checkInDetails').dataset.eventId);
+}
+
+// Scans with the browser's built-in barcode detector where there is one;
+// the typed registration ID works everywhere else
+async function startScanner() {
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    } catch (err) {
+        console.error(err);
+        showNotification(t('checkIn.cameraFailed'), 'error');
+        return;
+    }
+    
+    const video = document.getElementById('scannerVideo');
+    video.srcObject = stream;
+    await video.play();
+    document.getElementById('scannerView').style.display = 'block';
+    document.getElementById('startScannerBtn').style.display = 'none';
+    
+    const detector = new BarcodeDetector({ formats: ['qr_code'] });
+    checkInScanner = {
+        stream,
+        timer: setInterval(async () => {
+            const codes = await detector.detect(video).catch(() => []);
+            if (codes.length === 0) return;
+            // The same ticket stays in view for a while; read it once
+            const code = codes[0].rawValue;
+            const now = Date.now();
+            if (code === lastScannedCode.code && now - lastScannedCode.at < 3000) return;
+            lastScannedCode = { code, at: now };
+            await submitCheckIn(code);
+        }, CHECK_IN_SCAN_INTERVAL_MS)
+    };
+}
+
+function stopScanner() {
+    if (!checkInScanner) return;
+    clearInterval(checkInScanner.timer);
+    checkInScanner.stream.getTracks().forEach(track => track.stop());
+    checkInScanner = null;
+    document.getElementById('scannerView').style.display = 'none';
+    document.getElementById('startScannerBtn').style.display = 'inline-flex';
+}
+
+// Verification Page Functions
+async function verifyFromUrl() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const inscriptionId = urlParams.get('id');
+    
+    let inscription;
+    try {
+        ({ inscription } = await dataManager.verifyInscription(inscriptionId, urlParams.get('token')));
+    } catch (err) {
+        console.error(err);
+        const expired = err.message === t('error.verificationLinkExpired');
+        document.getElementById('loadingState').style.display = 'none';
+        document.getElementById(expired ? 'expiredState' : 'notFoundState').style.display = 'block';
+        if (expired) {
+            document.getElementById('registerAgainLink').href = dataManager.generateEventUrl(dataManager.getInscription(inscriptionId).eventId);
+        }
+        return;
+    }
+    
+    const event = dataManager.getEvent(inscription.eventId);
+    document.getElementById('verifiedMessage').textContent = inscription.status === 'waitlisted'
+        ? t('verify.waitlisted', { name: inscription.name, title: event.title, position: dataManager.getWaitlistPosition(inscription) })
+        : t('verify.accepted', { name: inscription.name, title: event.title });
+    document.getElementById('confirmationLink').href = dataManager.generateConfirmationUrl(inscription);
+    document.getElementById('loadingState').style.display = 'none';
+    document.getElementById('verifiedState').style.display = 'block';
+}
+
+// Certificate Page Functions
+function loadCertificateFromUrl() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const inscription = dataManager.getInscription(urlParams.get('id'));
+    const event = inscription ? dataManager.getEvent(inscription.eventId) : null;
+    const attendance = inscription && event ? dataManager.getAttendanceFor(inscription) : null;
+    
+    document.getElementById('loadingState').style.display = 'none';
+    if (!attendance || !inscription.token || urlParams.get('token') !== inscription.token || !attendance.eligible) {
+        document.getElementById('notFoundState').style.display = 'block';
+        return;
+    }
+    
+    const sessions = dataManager.getSessions(event);
+    document.getElementById('certificateName').textContent = inscription.name;
+    document.getElementById('certificateCourse').textContent = event.title;
+    document.getElementById('certificateAttendance').textContent =
+        t('certificate.attendance', { attended: attendance.attended, count: attendance.held, percentage: attendance.percentage });
+    document.getElementById('certificateDate').textContent = formatDateShort(sessions[sessions.length - 1].date);
+    document.getElementById('certificateId').textContent = inscription.id;
+    document.getElementById('certificateDetails').style.display = 'block';
+}
+
+// Bracket Page Functions
+function loadBracketFromUrl() {
+    const eventId = new URLSearchParams(window.location.search).get('id');
+    const event = eventId ? dataManager.getEvent(eventId) : null;
+    
+    document.getElementById('loadingState').style.display = 'none';
+    if (!event) {
+        document.getElementById('notFoundState').style.display = 'block';
+        return;
+    }
+    
+    document.getElementById('eventTitle').textContent = event.title;
+    document.getElementById('eventDate').textContent = formatEventDate(event);
+    document.getElementById('registrationLink').href = `inscription.html?id=${event.id}`;
+    
+    if (!event.bracket) {
+        document.getElementById('bracketPendingState').style.display = 'block';
+        return;
+    }
+    
+    document.getElementById('bracketFormat').textContent = t(BRACKET_FORMATS[event.bracket.format]);
+    document.getElementById('bracketView').innerHTML = renderBracket(event);
+    document.getElementById('bracketDetails').style.display = 'block';
+}
+
+// Point the "View Bracket" links on the inscription page at the public bracket
+function showBracketLinks(event) {
+    document.querySelectorAll('.bracket-link').forEach(link => {
+        link.href = `bracket.html?id=${event.id}`;
+        link.style.display = event.bracket ? 'inline-flex' : 'none';
+    });
+}
+
+// Wait for the storage backend to deliver events and inscriptions
+async function waitForData() {
+    try {
+        await dataManager.ready;
+        return true;
+    } catch (err) {
+        console.error(err);
+        showNotification(err instanceof SchemaVersionError ? err.message : t('common.loadFailed'), 'error');
+        return false;
+    }
+}
+
 // Event Listeners
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     // Add CSS for notifications
     const style = document.createElement('style');
     style.textContent = `
@@ -938,7 +8758,10 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     `;
     document.head.appendChild(style);
-    
+
+    translatePage();
+    setupLanguageSwitcher();
+
     // Initialize page-specific functionality
     const currentPage = window.location.pathname.split('/').pop();
     
@@ -949,21 +8772,34 @@ document.addEventListener('DOMContentLoaded', function() {
             eventForm.addEventListener('submit', handleEventFormSubmit);
         }
         
-        // Set default date to tomorrow
-        const dateInput = document.getElementById('eventDate');
-        if (dateInput) {
-            const tomorrow = new Date();
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            dateInput.value = tomorrow.toISOString().slice(0, 16);
+        // Suggest the IANA time zone names this browser knows, starting with
+        // its own, and this time tomorrow on its clocks
+        document.getElementById('timezone').value = getDefaultTimeZone();
+        document.getElementById('eventDate').value = getDefaultEventDate();
+        if (Intl.supportedValuesOf) {
+            document.getElementById('timezoneOptions').innerHTML = Intl.supportedValuesOf('timeZone')
+                .map(timeZone => html`<option value="${timeZone}">`)
+                .join('');
         }
         
-        // Initialize events list
-        updateEventsList();
+        document.getElementById('signInForm').addEventListener('submit', handleSignInSubmit);
+        document.getElementById('signUpForm').addEventListener('submit', handleSignUpSubmit);
+        
+        // Show the dashboard if an organizer is already signed in
+        await waitForData();
+        restoreOrganizerSession();
         
         // Close modals when clicking outside
         window.addEventListener('click', function(event) {
             const eventModal = document.getElementById('eventModal');
             const inscriptionsModal = document.getElementById('inscriptionsModal');
+            const bracketModal = document.getElementById('bracketModal');
+            const swissModal = document.getElementById('swissModal');
+            const courseModal = document.getElementById('courseModal');
+            const importModal = document.getElementById('importModal');
+            const messagesModal = document.getElementById('messagesModal');
+            const calendarModal = document.getElementById('calendarModal');
+            const participantModal = document.getElementById('participantModal');
             
             if (event.target === eventModal) {
                 closeModal();
@@ -971,6 +8807,27 @@ document.addEventListener('DOMContentLoaded', function() {
             if (event.target === inscriptionsModal) {
                 closeInscriptionsModal();
             }
+            if (event.target === bracketModal) {
+                closeBracketModal();
+            }
+            if (event.target === swissModal) {
+                closeSwissModal();
+            }
+            if (event.target === courseModal) {
+                closeCourseModal();
+            }
+            if (event.target === importModal) {
+                closeImportModal();
+            }
+            if (event.target === messagesModal) {
+                closeMessagesModal();
+            }
+            if (event.target === calendarModal) {
+                closeCalendarModal();
+            }
+            if (event.target === participantModal) {
+                closeParticipantModal();
+            }
         });
         
     } else if (currentPage === 'inscription.html') {
@@ -981,11 +8838,33 @@ document.addEventListener('DOMContentLoaded', function() {
         }
         
         // Load event from URL
+        await waitForData();
         loadEventFromUrl();
         
     } else if (currentPage === 'confirmation.html') {
         // Confirmation page initialization
+        await waitForData();
         loadConfirmationFromUrl();
+        
+    } else if (currentPage === 'checkin.html') {
+        // Door check-in page initialization
+        await waitForData();
+        loadCheckInFromUrl();
+        
+    } else if (currentPage === 'verify.html') {
+        // Email verification page initialization
+        await waitForData();
+        verifyFromUrl();
+        
+    } else if (currentPage === 'certificate.html') {
+        // Certificate page initialization
+        await waitForData();
+        loadCertificateFromUrl();
+        
+    } else if (currentPage === 'bracket.html') {
+        // Public bracket page initialization
+        await waitForData();
+        loadBracketFromUrl();
     }
     
     // Add smooth scrolling for anchor links
@@ -1009,16 +8888,106 @@ window.toggleEventType = toggleEventType;
 window.switchTab = switchTab;
 window.showEventModal = showEventModal;
 window.closeModal = closeModal;
+window.editEventFromModal = editEventFromModal;
 window.copyEventLink = copyEventLink;
 window.copyEventLinkFromModal = copyEventLinkFromModal;
 window.copyUrlFromInput = copyUrlFromInput;
 window.viewInscriptions = viewInscriptions;
 window.viewInscriptionsFromModal = viewInscriptionsFromModal;
 window.closeInscriptionsModal = closeInscriptionsModal;
+window.updateInscriptionsView = updateInscriptionsView;
+window.toggleInscriptionSelection = toggleInscriptionSelection;
+window.selectAllInscriptions = selectAllInscriptions;
+window.runBulkAction = runBulkAction;
+window.transferSelection = transferSelection;
+window.openBulkEmail = openBulkEmail;
+window.closeBulkEmail = closeBulkEmail;
+window.sendBulkEmail = sendBulkEmail;
+window.openInscriptionForm = openInscriptionForm;
+window.closeInscriptionForm = closeInscriptionForm;
 window.deleteEvent = deleteEvent;
 window.filterCommunities = filterCommunities;
 window.toggleParticipants = toggleParticipants;
 window.exportEventData = exportEventData;
 window.exportCommunitiesData = exportCommunitiesData;
 window.goToConfirmation = goToConfirmation;
+window.cancelRegistration = cancelRegistration;
 window.printConfirmation = printConfirmation;
+window.openBracket = openBracket;
+window.closeBracketModal = closeBracketModal;
+window.toggleBracketSeeds = toggleBracketSeeds;
+window.handleBracketSetupSubmit = handleBracketSetupSubmit;
+window.reportMatch = reportMatch;
+window.undoMatch = undoMatch;
+window.resetBracket = resetBracket;
+window.copyBracketLink = copyBracketLink;
+window.openSwiss = openSwiss;
+window.closeSwissModal = closeSwissModal;
+window.handleSwissSetupSubmit = handleSwissSetupSubmit;
+window.pairNextRound = pairNextRound;
+window.recordSwissResultFromSelect = recordSwissResultFromSelect;
+window.deleteLastRound = deleteLastRound;
+window.resetSwiss = resetSwiss;
+window.exportSwissStandings = exportSwissStandings;
+window.toggleTeamSizeFields = toggleTeamSizeFields;
+window.toggleVerificationFields = toggleVerificationFields;
+window.openImportModal = openImportModal;
+window.backupWorkspace = backupWorkspace;
+window.switchAuthMode = switchAuthMode;
+window.openMessages = openMessages;
+window.closeMessagesModal = closeMessagesModal;
+window.handleMessageTemplateSubmit = handleMessageTemplateSubmit;
+window.resetMessageTemplate = resetMessageTemplate;
+window.retryMessage = retryMessage;
+window.cancelMessage = cancelMessage;
+window.refreshOutbox = refreshOutbox;
+window.openCalendarFeed = openCalendarFeed;
+window.closeCalendarModal = closeCalendarModal;
+window.copyCalendarFeedUrl = copyCalendarFeedUrl;
+window.resetCalendarFeed = resetCalendarFeed;
+window.downloadOrganizerCalendar = downloadOrganizerCalendar;
+window.downloadEventCalendar = downloadEventCalendar;
+window.toggleFeeFields = toggleFeeFields;
+window.updateFeeQuote = updateFeeQuote;
+window.recordPayment = recordPayment;
+window.refundInscription = refundInscription;
+window.closeCheckout = closeCheckout;
+window.payRegistration = payRegistration;
+window.startScanner = startScanner;
+window.stopScanner = stopScanner;
+window.undoCheckIn = undoCheckIn;
+window.signOut = signOut;
+window.shareEventWith = shareEventWith;
+window.handleShareSubmit = handleShareSubmit;
+window.removeCoOrganizer = removeCoOrganizer;
+window.handleRestoreFile = handleRestoreFile;
+window.closeImportModal = closeImportModal;
+window.handleImportFile = handleImportFile;
+window.changeImportTarget = changeImportTarget;
+window.previewImport = previewImport;
+window.backToImportMapping = backToImportMapping;
+window.runImport = runImport;
+window.downloadImportReport = downloadImportReport;
+window.toggleTeamAction = toggleTeamAction;
+window.addTeamMemberRow = addTeamMemberRow;
+window.removeTeamMemberRow = removeTeamMemberRow;
+window.addFormFieldRow = addFormFieldRow;
+window.toggleSeriesFields = toggleSeriesFields;
+window.applyEventTemplate = applyEventTemplate;
+window.saveEventTemplate = saveEventTemplate;
+window.deleteEventTemplate = deleteEventTemplate;
+window.deleteSeries = deleteSeries;
+window.updateParticipantsList = updateParticipantsList;
+window.openParticipant = openParticipant;
+window.closeParticipantModal = closeParticipantModal;
+window.mergeParticipant = mergeParticipant;
+window.exportParticipantData = exportParticipantData;
+window.eraseParticipantData = eraseParticipantData;
+window.updateFormFieldRow = updateFormFieldRow;
+window.removeFormFieldRow = removeFormFieldRow;
+window.openCourse = openCourse;
+window.closeCourseModal = closeCourseModal;
+window.handleSessionFormSubmit = handleSessionFormSubmit;
+window.removeSession = removeSession;
+window.toggleAttendance = toggleAttendance;
+window.handleThresholdSubmit = handleThresholdSubmit;
@@ -0,0 +1,404 @@
+// GoldenSign - Reference storage server
+// Serves the static pages and a small HTTP/JSON API that persists events and
+// inscriptions to a JSON file, so every device sees the same data.
+//
+// Usage:
+//   node server.js
+//   PORT=8080 GOLDENSIGN_DATA=/var/lib/goldensign.json node server.js
+//   SMTP_HOST=localhost SMTP_PORT=1025 SMTP_FROM=events@example.com node server.js
+//
+// With SMTP_HOST set, queued messages are delivered by the outbox worker in
+// mailer.js. Also read: SMTP_SECURE=1 (TLS from the start), SMTP_USER,
+// SMTP_PASS and OUTBOX_INTERVAL_MS (default 30000).
+//
+// API (used by RestStorageAdapter in script.js):
+//   POST   /api/session           -> sign in with { email, password }
+//   GET    /api/session           -> the signed-in organizer
+//   DELETE /api/session           -> sign out
+//   POST   /api/payments          -> charge { inscriptionIds, source } and
+//                                    return the paid registrations; a failed
+//                                    charge is 402 with { error, reason }
+//   POST   /api/quote             -> the fee for { eventId, member,
+//                                    discountCode } as { fee }; an unknown
+//                                    code is 400 with { error, reason }
+//   GET    /api/:collection       -> array of records
+//   PUT    /api/:collection/:id   -> create or replace one record
+//   DELETE /api/:collection/:id   -> remove one record
+//
+// Who may read and change what is decided in access.js. Payments go through
+// the provider in payments.js (the mock one, which takes any test card).
+//
+// Calendar feeds (calendar.js), one per organizer:
+//   GET    /calendar/:token.ics   -> iCalendar of the organizer's events
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { SmtpTransport, OutboxWorker } = require('./mailer');
+const { buildCalendar } = require('./calendar');
+const { MockPaymentProvider, PaymentError } = require('./payments');
+const {
+    AccessError, SessionStore, identify, signIn, viewRecords, viewOrganizer, authorizePut, authorizeRemove, authorizePayment, quoteFee
+} = require('./access');
+
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const DATA_FILE = process.env.GOLDENSIGN_DATA || path.join(__dirname, 'goldensign-data.json');
+const STATIC_ROOT = __dirname;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const JSON_TYPE = 'application/json; charset=utf-8';
+const CALENDAR_TYPE = 'text/calendar; charset=utf-8';
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// The client assets, the only files served. Everything else in the
+// directory (this server, mailer.js, the data file) stays private.
+const STATIC_FILES = new Set([
+    'index.html',
+    'manager.html',
+    'inscription.html',
+    'confirmation.html',
+    'verify.html',
+    'checkin.html',
+    'bracket.html',
+    'certificate.html',
+    'google2fb07f3aab8775d3.html',
+    'styles.css',
+    'i18n.js',
+    'calendar.js',
+    'script.js'
+]);
+
+// Served in place of the static config.js so the pages use this server's API
+const REST_CONFIG = `window.GOLDENSIGN_CONFIG = {
+    storage: 'rest',
+    apiUrl: '/api'
+};
+`;
+
+// JSON file store
+class JsonFileStore {
+    constructor(file) {
+        this.file = file;
+        this.data = this.read();
+    }
+
+    read() {
+        if (!fs.existsSync(this.file)) {
+            return {};
+        }
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    }
+
+    // Write to a temporary file first so a crash never leaves half a file behind
+    save() {
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmp, this.file);
+    }
+
+    list(collection) {
+        return this.data[collection] || [];
+    }
+
+    put(collection, record) {
+        const records = this.list(collection);
+        const index = records.findIndex(item => item.id === record.id);
+        if (index === -1) {
+            records.push(record);
+        } else {
+            records[index] = record;
+        }
+        this.data[collection] = records;
+        this.save();
+        return record;
+    }
+
+    remove(collection, id) {
+        const records = this.list(collection);
+        const remaining = records.filter(item => item.id !== id);
+        if (remaining.length === records.length) {
+            return false;
+        }
+        this.data[collection] = remaining;
+        this.save();
+        return true;
+    }
+}
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Helpers
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': JSON_TYPE });
+    res.end(JSON.stringify(body));
+}
+
+// decodeURIComponent, throwing `error` instead of a URIError for broken
+// percent-encoding such as "%E0%A4%A"
+function decodePathSegment(value, error) {
+    try {
+        return decodeURIComponent(value);
+    } catch (err) {
+        throw error;
+    }
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (err) {
+                reject(new HttpError(400, 'Request body must be valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// API
+async function handleSession(req, res, store, sessions, requester) {
+    if (req.method === 'POST') {
+        sendJson(res, 200, signIn(store, sessions, await readJsonBody(req)));
+        return;
+    }
+    if (req.method === 'GET') {
+        if (!requester.organizer) {
+            throw new HttpError(401, 'Not signed in');
+        }
+        sendJson(res, 200, { organizer: viewOrganizer(requester.organizer, { store, requester }) });
+        return;
+    }
+    if (req.method === 'DELETE') {
+        sessions.remove(requester.sessionToken);
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    throw new HttpError(405, 'Method not allowed');
+}
+
+// One charge for all the registrations; they are only marked paid once the
+// provider took the money
+async function handlePayment(req, res, store, payments, requester) {
+    if (req.method !== 'POST') {
+        throw new HttpError(405, 'Method not allowed');
+    }
+    const { inscriptionIds, source } = await readJsonBody(req) || {};
+    const context = { store, requester };
+    const { event, inscriptions } = authorizePayment(inscriptionIds, context);
+    const [first] = inscriptions;
+
+    let reference;
+    try {
+        ({ reference } = await payments.charge({
+            amount: inscriptions.reduce((sum, inscription) => sum + inscription.amountDue, 0),
+            currency: first.currency,
+            description: event ? event.title : 'GoldenSign',
+            email: first.email,
+            source
+        }));
+    } catch (err) {
+        if (err instanceof PaymentError) {
+            sendJson(res, 402, { error: err.message, reason: err.reason });
+            return;
+        }
+        throw err;
+    }
+
+    const paidAt = new Date().toISOString();
+    const paid = inscriptions.map(inscription => store.put('inscriptions', {
+        ...inscription,
+        paymentStatus: 'paid',
+        paidAt,
+        paymentProvider: payments.name,
+        paymentReference: reference
+    }));
+    sendJson(res, 200, viewRecords('inscriptions', paid, context));
+}
+
+// Discount codes stay on the server, so the registration page asks here
+async function handleQuote(req, res, store) {
+    if (req.method !== 'POST') {
+        throw new HttpError(405, 'Method not allowed');
+    }
+    const { fee, error } = quoteFee(store, await readJsonBody(req) || {});
+    if (error) {
+        sendJson(res, 400, { error: 'Unknown discount code', reason: error });
+        return;
+    }
+    sendJson(res, 200, { fee });
+}
+
+async function handleApi(req, res, store, sessions, payments, pathname) {
+    const requester = identify(req, store, sessions);
+    if (pathname === '/api/session') {
+        await handleSession(req, res, store, sessions, requester);
+        return;
+    }
+    if (pathname === '/api/payments') {
+        await handlePayment(req, res, store, payments, requester);
+        return;
+    }
+    if (pathname === '/api/quote') {
+        await handleQuote(req, res, store);
+        return;
+    }
+
+    const match = pathname.match(/^\/api\/([a-z_]+)(?:\/([^/]+))?$/);
+    if (!match) {
+        throw new HttpError(404, 'Unknown API route');
+    }
+    const collection = match[1];
+    const id = match[2] ? decodePathSegment(match[2], new HttpError(400, 'Malformed record id')) : null;
+    const context = { store, requester };
+
+    if (req.method === 'GET' && !id) {
+        sendJson(res, 200, viewRecords(collection, store.list(collection), context));
+        return;
+    }
+
+    if (req.method === 'PUT' && id) {
+        const record = await readJsonBody(req);
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new HttpError(400, 'Record must be a JSON object');
+        }
+        if (record.id !== id) {
+            throw new HttpError(400, 'Record id does not match the URL');
+        }
+        const saved = store.put(collection, authorizePut(collection, record, context));
+        sendJson(res, 200, viewRecords(collection, [saved], context)[0] || { id });
+        return;
+    }
+
+    if (req.method === 'DELETE' && id) {
+        const stored = store.list(collection).find(item => item.id === id);
+        if (!stored) {
+            throw new HttpError(404, 'Record not found');
+        }
+        authorizeRemove(collection, stored, context);
+        store.remove(collection, id);
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    throw new HttpError(405, 'Method not allowed');
+}
+
+// Calendar feeds
+// The organizer's secret calendarToken is the only credential, so calendar
+// apps can subscribe without signing in
+function serveCalendar(req, res, store, pathname) {
+    const match = pathname.match(/^\/calendar\/([a-f0-9]+)\.ics$/);
+    const organizer = match && store.list('organizers').find(item => item.calendarToken === match[1]);
+    if (!organizer) {
+        throw new HttpError(404, 'Calendar not found');
+    }
+
+    const events = store.list('events').filter(event =>
+        event.ownerId === organizer.id || (event.collaborators || []).some(item => item.organizerId === organizer.id)
+    );
+    const protocol = req.headers['x-forwarded-proto'] || 'http';
+    res.writeHead(200, { 'Content-Type': CALENDAR_TYPE });
+    res.end(buildCalendar(events, {
+        name: `${organizer.name} · GoldenSign`,
+        baseUrl: `${protocol}://${req.headers.host}`
+    }));
+}
+
+// Static files
+function serveStatic(res, pathname) {
+    if (pathname === '/config.js') {
+        res.writeHead(200, { 'Content-Type': MIME_TYPES['.js'] });
+        res.end(REST_CONFIG);
+        return;
+    }
+
+    const relative = pathname === '/' ? 'index.html' : decodePathSegment(pathname, new HttpError(404, 'Not found')).replace(/^\/+/, '');
+    if (!STATIC_FILES.has(relative)) {
+        throw new HttpError(404, 'Not found');
+    }
+    const file = path.join(STATIC_ROOT, relative);
+    const extension = path.extname(file);
+
+    fs.readFile(file, (err, content) => {
+        if (err) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[extension] });
+        res.end(content);
+    });
+}
+
+function createServer(store, { sessions = new SessionStore(), payments = new MockPaymentProvider() } = {}) {
+    return http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        try {
+            if (pathname.startsWith('/api/')) {
+                await handleApi(req, res, store, sessions, payments, pathname);
+            } else if (req.method === 'GET' && pathname.startsWith('/calendar/')) {
+                serveCalendar(req, res, store, pathname);
+            } else if (req.method === 'GET') {
+                serveStatic(res, pathname);
+            } else {
+                throw new HttpError(405, 'Method not allowed');
+            }
+        } catch (err) {
+            const status = err instanceof HttpError || err instanceof AccessError ? err.status : 500;
+            if (status === 500) {
+                console.error(err);
+            }
+            sendJson(res, status, { error: status === 500 ? 'Internal server error' : err.message });
+        }
+    });
+}
+
+if (require.main === module) {
+    const store = new JsonFileStore(DATA_FILE);
+    createServer(store).listen(PORT, () => {
+        console.log(`GoldenSign running at http://localhost:${PORT} (data: ${DATA_FILE})`);
+    });
+
+    if (process.env.SMTP_HOST) {
+        const transport = new SmtpTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 25,
+            secure: process.env.SMTP_SECURE === '1',
+            user: process.env.SMTP_USER || null,
+            pass: process.env.SMTP_PASS || null,
+            from: process.env.SMTP_FROM || 'goldensign@localhost'
+        });
+        new OutboxWorker(store, transport, {
+            intervalMs: parseInt(process.env.OUTBOX_INTERVAL_MS, 10) || 30000
+        }).start();
+        console.log(`Delivering messages through ${process.env.SMTP_HOST}`);
+    }
+}
+
+module.exports = { JsonFileStore, createServer };
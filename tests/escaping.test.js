@@ -0,0 +1,275 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+// Closes the attribute, the string literal, the call and the script, and
+// carries characters JSON and HTML each treat specially
+const HOSTILE = `"><img src=x onerror=alert(1)>');alert(2);//</script><script>alert(3)</script>\\' &amp;`;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+function escapeHtml(value) {
+    return value.replace(/[&<>"']/g, char => Object.keys(ENTITIES).find(entity => ENTITIES[entity] === char));
+}
+
+function unescapeHtml(value) {
+    return value.replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity]);
+}
+
+// Stands in for any element the page looks up: it keeps what is assigned
+// to it, records the markup written into it and answers everything else
+// with itself, so the page's own entry points can run without a browser
+function createElement(markup) {
+    const values = { value: '', textContent: '', innerHTML: '', checked: false, disabled: false, dataset: {}, style: {}, length: 0 };
+    const element = new Proxy(function () {}, {
+        get(target, name) {
+            if (name === Symbol.iterator) return function* () {};
+            if (name === Symbol.toPrimitive) return () => '';
+            if (typeof name === 'symbol' || name === 'then') return undefined;
+            if (name === 'insertAdjacentHTML') return (position, text) => markup.push(String(text));
+            return name in values ? values[name] : element;
+        },
+        set(target, name, value) {
+            if (name === 'innerHTML') markup.push(String(value));
+            values[name] = value;
+            return true;
+        },
+        apply: () => element
+    });
+    return element;
+}
+
+// Runs a page action against a document of stand-ins, with the form
+// fields the action reads set to `values`, and returns all the markup it
+// wrote
+function render(app, action, values = {}) {
+    const markup = [];
+    const elements = new Map();
+    const document = createElement(markup);
+    document.getElementById = id => {
+        if (!elements.has(id)) {
+            elements.set(id, createElement(markup));
+            if (id in values) elements.get(id).value = values[id];
+        }
+        return elements.get(id);
+    };
+    app.context.document = document;
+    action();
+    return markup.join('');
+}
+
+// Tags and their attributes the way a browser would read the markup;
+// anything that is not name="value" fails, so a value that escaped its
+// quotes shows up here
+function readTags(markup) {
+    return Array.from(markup.matchAll(/<([a-zA-Z][\w-]*)([^>]*)>/g), ([source, name, body]) => {
+        const attributes = [];
+        const attribute = /\s+([^\s"'<>/=]+)(?:="([^"]*)")?/y;
+        const rest = body.replace(/\s*\/?\s*$/, '');
+        while (attribute.lastIndex < rest.length) {
+            const match = attribute.exec(rest);
+            assert.ok(match, `malformed tag ${source}`);
+            attributes.push({ name: match[1].toLowerCase(), value: unescapeHtml(match[2] || '') });
+        }
+        return { name: name.toLowerCase(), attributes };
+    });
+}
+
+// Runs an inline handler against a scope that records every call instead
+// of making it; `this` is the element the handler is on
+function runHandler(code) {
+    const calls = [];
+    const scope = new Proxy({}, {
+        has: (target, name) => typeof name === 'string',
+        get: (target, name) => name === Symbol.unscopables ? undefined : (...args) => { calls.push({ name, args }); }
+    });
+    new Function('scope', `with (scope) { ${code} }`).call({ value: 'editor', checked: true }, scope);
+    return calls;
+}
+
+// Markup is safe when no hostile value became markup, every hostile text
+// is shown escaped, and every handler is one call to a page function whose
+// arguments are the values that were passed in
+function assertSafe(app, markup, { shows = [], passes = [] }) {
+    const tags = readTags(markup);
+    assert.deepStrictEqual(tags.filter(tag => ['img', 'script'].includes(tag.name)), []);
+    shows.forEach(text => assert.ok(markup.includes(escapeHtml(text)), `${JSON.stringify(text)} is not shown escaped`));
+
+    const passed = new Set();
+    for (const { name, value } of tags.flatMap(tag => tag.attributes.filter(attribute => attribute.name.startsWith('on')))) {
+        const calls = runHandler(value);
+        assert.strictEqual(calls.length, 1, `${name}="${value}" makes ${calls.length} calls`);
+        const [{ name: callee, args }] = calls;
+        assert.strictEqual(typeof app.context[callee], 'function', `${name}="${value}" calls ${callee}`);
+        args.filter(arg => typeof arg === 'string').forEach(arg => passed.add(arg));
+    }
+    passes.forEach(value => assert.ok(passed.has(value), `${JSON.stringify(value)} is not passed to a handler intact`));
+    Array.from(passed).filter(arg => arg.includes('alert')).forEach(arg => {
+        assert.ok(passes.includes(arg), `${JSON.stringify(arg)} reached a handler changed`);
+    });
+}
+
+// A workspace where every id, name, email and free text is hostile, seen
+// by the owner of the events
+async function setup() {
+    const app = await loadApp();
+    const dataManager = app.get('dataManager');
+    let count = 0;
+    dataManager.generateId = () => `id${++count}${HOSTILE}`;
+
+    const owner = await dataManager.createOrganizer({ name: `Olga ${HOSTILE}`, email: `olga${HOSTILE}@example.com`, password: 'correct horse' });
+    const coOrganizer = await dataManager.createOrganizer({ name: `Carl ${HOSTILE}`, email: `carl${HOSTILE}@example.com`, password: 'correct horse' });
+    app.run(`currentOrganizer = dataManager.getOrganizer(${JSON.stringify(owner.id)})`);
+
+    const event = await dataManager.createEvent({
+        title: `Cup ${HOSTILE}`,
+        description: `About ${HOSTILE}`,
+        type: 'tournament',
+        date: '2030-07-01T10:00',
+        maxParticipants: 8,
+        waitlistEnabled: true,
+        ownerId: owner.id,
+        formFields: [{ id: `shirt${HOSTILE}`, label: `Shirt ${HOSTILE}`, type: 'text' }]
+    });
+    await dataManager.shareEvent(event.id, coOrganizer.email, 'editor');
+    await dataManager.updateEvent(event.id, { description: `Still about ${HOSTILE}` }, { changedBy: `Olga ${HOSTILE}` });
+    const inscriptions = [];
+    for (const name of ['Ann', 'Ben', 'Cleo', 'Dan']) {
+        inscriptions.push(await dataManager.createInscription({
+            eventId: event.id,
+            name: `${name} ${HOSTILE}`,
+            email: `${name.toLowerCase()}${HOSTILE}@example.com`,
+            answers: { [`shirt${HOSTILE}`]: `XL ${HOSTILE}` }
+        }));
+    }
+
+    const course = await dataManager.createEvent({ title: `Course ${HOSTILE}`, description: '', type: 'course', date: '2030-08-01T10:00', maxParticipants: 8, ownerId: owner.id });
+    await dataManager.addSession(course.id, { title: `Lesson ${HOSTILE}`, date: '2030-08-01T10:00' });
+    const student = await dataManager.createInscription({ eventId: course.id, name: `Eve ${HOSTILE}`, email: `eve${HOSTILE}@example.com` });
+
+    return { app, dataManager, owner, coOrganizer, event: dataManager.getEvent(event.id), inscriptions, course: dataManager.getEvent(course.id), student };
+}
+
+test('event lists escape event text and keep event ids whole in handlers', async () => {
+    const { app, event, course } = await setup();
+    const shows = [event.title, event.description, course.title];
+    assertSafe(app, render(app, () => app.get('updateEventsList')()), { shows, passes: [event.id, course.id] });
+    assertSafe(app, render(app, () => app.get('updateCommunitiesList')(), { typeFilter: 'all', statusFilter: 'all' }), { shows, passes: [event.id, course.id] });
+});
+
+test('the event modal escapes organizers and changes and keeps their ids whole', async () => {
+    const { app, event, owner, coOrganizer } = await setup();
+    assertSafe(app, render(app, () => app.get('showEventModal')(event.id)), {
+        shows: [event.title, `${owner.name} (${owner.email})`, `${coOrganizer.name} (${coOrganizer.email})`, `Olga ${HOSTILE}`, `About ${HOSTILE}`],
+        passes: [event.id, coOrganizer.id, coOrganizer.email]
+    });
+});
+
+test('registration lists escape what participants typed and keep their ids whole', async () => {
+    const { app, dataManager, event, course, inscriptions } = await setup();
+    await dataManager.updateInscription(inscriptions[0].id, {
+        paymentStatus: 'unpaid',
+        amountDue: 1000,
+        currency: 'EUR',
+        feeTier: 'standard',
+        discountCode: `CODE${HOSTILE}`
+    });
+    await dataManager.updateInscription(inscriptions[1].id, {
+        paymentStatus: 'paid',
+        amountDue: 1000,
+        currency: 'EUR',
+        feeTier: 'standard',
+        paymentProvider: 'manual',
+        paymentRecordedBy: `Olga ${HOSTILE}`
+    });
+
+    const markup = render(app, () => app.get('viewInscriptions')(event.id));
+    assertSafe(app, markup, {
+        shows: [
+            ...inscriptions.flatMap(inscription => [inscription.name, inscription.email]),
+            `Shirt ${HOSTILE}: XL ${HOSTILE}`,
+            `CODE${HOSTILE}`,
+            `Olga ${HOSTILE}`,
+            course.title
+        ],
+        passes: [...inscriptions.map(inscription => inscription.id), 'waitlist']
+    });
+    assert.ok(readTags(markup).some(tag => tag.name === 'option' && tag.attributes.some(({ name, value }) => name === 'value' && value === course.id)));
+});
+
+test('team groups escape team names', async () => {
+    const { app, dataManager, owner } = await setup();
+    const event = await dataManager.createEvent({ title: 'League', type: 'tournament', date: '2030-07-01T10:00', maxParticipants: 4, teamMode: true, teamSizeMin: 1, teamSizeMax: 2, ownerId: owner.id });
+    const { team, inscriptions } = await dataManager.registerTeam(event.id, {
+        name: `Team ${HOSTILE}`,
+        members: [{ name: `Fay ${HOSTILE}`, email: `fay${HOSTILE}@example.com` }]
+    });
+    assertSafe(app, render(app, () => app.get('viewInscriptions')(event.id)), { shows: [team.name, inscriptions[0].name], passes: [inscriptions[0].id] });
+});
+
+test('brackets, Swiss rounds and courses keep ids whole in handlers', async () => {
+    const { app, dataManager, event, inscriptions, course, student } = await setup();
+    await dataManager.createBracket(event.id, { format: 'single' });
+    assertSafe(app, render(app, () => app.get('openBracket')(event.id)), {
+        shows: inscriptions.map(inscription => inscription.name),
+        passes: [event.id, ...inscriptions.map(inscription => inscription.id)]
+    });
+
+    await dataManager.startSwiss(event.id, 3);
+    await dataManager.pairNextSwissRound(event.id);
+    const [round] = dataManager.getEvent(event.id).swiss.rounds;
+    assertSafe(app, render(app, () => app.get('openSwiss')(event.id)), {
+        shows: inscriptions.map(inscription => inscription.name),
+        passes: [event.id, ...round.pairings.filter(pairing => pairing.black).map(pairing => pairing.id)]
+    });
+
+    const [session] = course.sessions;
+    assertSafe(app, render(app, () => app.get('openCourse')(course.id)), { shows: [session.title], passes: [course.id, session.id] });
+    assertSafe(app, render(app, () => app.get('openCourse')(course.id, session.id)), { shows: [student.name], passes: [course.id, session.id, student.id] });
+});
+
+test('the outbox escapes message text and keeps message ids whole', async () => {
+    const { app, dataManager, event } = await setup();
+    await dataManager.setMessageTemplate(event.id, 'confirmation', { subject: `Hi ${HOSTILE}`, body: `Body ${HOSTILE}` });
+    const messages = dataManager.getMessagesForEvent(event.id);
+    Object.assign(messages[0], { status: 'failed', error: `Bounced ${HOSTILE}` });
+
+    assertSafe(app, render(app, () => app.get('openMessages')(event.id)), {
+        shows: [`Hi ${HOSTILE}`, `Body ${HOSTILE}`, `Bounced ${HOSTILE}`, messages[0].to, messages[0].subject],
+        passes: messages.map(message => message.id)
+    });
+});
+
+test('check-in results escape the participant and keep their id whole', async () => {
+    const { app, inscriptions: [inscription] } = await setup();
+    assertSafe(app, render(app, () => app.get('showCheckInResult')({ outcome: 'checkedIn', inscription })), {
+        shows: [inscription.name, inscription.email],
+        passes: [inscription.id]
+    });
+});
+
+test('series groups escape the series title and keep its id whole', async () => {
+    const { app, dataManager, owner, event, course } = await setup();
+    const { series, events } = await dataManager.createSeries(
+        { title: `Weekly ${HOSTILE}`, description: '', type: 'course', date: '2030-07-01T10:00', maxParticipants: 8, ownerId: owner.id },
+        { frequency: 'weekly', interval: 1, until: '2030-07-15' }
+    );
+    assertSafe(app, render(app, () => app.get('updateEventsList')()), {
+        shows: [series.title],
+        passes: [series.id, event.id, course.id, ...events.map(item => item.id)]
+    });
+});
+
+test('the participant directory escapes people and keeps their keys whole', async () => {
+    const { app, dataManager, event, course } = await setup();
+    const people = dataManager.getParticipants([event, course]);
+    assertSafe(app, render(app, () => app.get('updateParticipantsList')()), {
+        shows: people.flatMap(person => [person.name, person.email]),
+        passes: people.map(person => person.key)
+    });
+
+    const [person, ...others] = people;
+    assertSafe(app, render(app, () => app.get('openParticipant')(person.key)), {
+        shows: [event.title, ...others.map(other => `${other.name} · ${other.email}`)]
+    });
+});
@@ -0,0 +1,68 @@
+// GoldenSign - Test helpers
+// The pages' scripts are plain browser scripts, so the tests run them in a
+// fresh VM context with just enough of a browser around them: in-memory
+// localStorage and sessionStorage, Web Crypto and a document that never
+// fires DOMContentLoaded. No dependencies; run the suite with
+//   node --test tests/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+const PAGE_SCRIPTS = ['config.js', 'i18n.js', 'calendar.js', 'script.js'];
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+// Returns the context the scripts ran in; top-level declarations are read
+// back with app.get('name')
+async function loadApp() {
+    const context = {
+        console,
+        crypto: webcrypto,
+        TextEncoder,
+        URL,
+        URLSearchParams,
+        Intl,
+        structuredClone,
+        setTimeout,
+        clearTimeout,
+        localStorage: new MemoryStorage(),
+        sessionStorage: new MemoryStorage(),
+        navigator: { languages: ['en'] },
+        location: { origin: 'http://localhost', pathname: '/', search: '' },
+        document: { addEventListener() {} }
+    };
+    context.window = context;
+    vm.createContext(context);
+    PAGE_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    const app = {
+        context,
+        get: name => vm.runInContext(name, context),
+        run: code => vm.runInContext(code, context)
+    };
+    await app.get('dataManager').ready;
+    return app;
+}
+
+module.exports = { loadApp, ROOT };
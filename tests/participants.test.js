@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers');
+
+async function setup() {
+    const app = await loadApp();
+    const dataManager = app.get('dataManager');
+    const event = await dataManager.createEvent({ title: 'Cup', type: 'tournament', date: '2030-01-01T10:00', maxParticipants: 10, ownerId: 'o' });
+    const other = await dataManager.createEvent({ title: 'Course', type: 'course', date: '2030-02-01T10:00', maxParticipants: 10, ownerId: 'o' });
+    const person = key => dataManager.getParticipant(key, [event, other]);
+    return { dataManager, event, other, person };
+}
+
+test('merging takes over the name and email of the person merged into', async () => {
+    const { dataManager, event, other, person } = await setup();
+    await dataManager.createInscription({ eventId: event.id, name: 'Ann Lee', email: 'ann@example.com' });
+    await dataManager.createInscription({ eventId: other.id, name: 'Ann', email: 'ann.lee@example.com' });
+
+    await dataManager.mergeParticipants(person('ann.lee@example.com'), person('ann@example.com'));
+
+    assert.strictEqual(person('ann.lee@example.com'), null);
+    const merged = person('ann@example.com');
+    assert.strictEqual(merged.inscriptions.length, 2);
+    assert.deepStrictEqual(Array.from(merged.inscriptions, inscription => inscription.name), ['Ann Lee', 'Ann Lee']);
+});
+
+test('merging is refused when both are registered for the same event', async () => {
+    const { dataManager, event, person } = await setup();
+    await dataManager.createInscription({ eventId: event.id, name: 'Ann Lee', email: 'ann@example.com' });
+    const duplicate = await dataManager.createInscription({ eventId: event.id, name: 'Ann', email: 'ann.lee@example.com' });
+
+    await assert.rejects(
+        dataManager.mergeParticipants(person('ann.lee@example.com'), person('ann@example.com')),
+        { message: 'Both are registered for "Cup". Cancel one of the registrations before merging.' }
+    );
+    assert.strictEqual(duplicate.email, 'ann.lee@example.com');
+    assert.strictEqual(dataManager.getInscriptionsForEvent(event.id).filter(inscription => inscription.email === 'ann@example.com').length, 1);
+});
+
+test('a cancelled registration for the same event does not block merging', async () => {
+    const { dataManager, event, person } = await setup();
+    await dataManager.createInscription({ eventId: event.id, name: 'Ann Lee', email: 'ann@example.com' });
+    const duplicate = await dataManager.createInscription({ eventId: event.id, name: 'Ann', email: 'ann.lee@example.com' });
+    await dataManager.cancelInscription(duplicate.id, { cancelledBy: 'organizer' });
+
+    await dataManager.mergeParticipants(person('ann.lee@example.com'), person('ann@example.com'));
+
+    assert.strictEqual(duplicate.email, 'ann@example.com');
+    assert.strictEqual(duplicate.status, 'cancelled');
+});
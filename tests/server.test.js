@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStore, createServer } = require('../server');
+
+// A server on a free port with an empty data file of its own
+async function startServer(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'goldensign-'));
+    const store = new JsonFileStore(path.join(directory, 'data.json'));
+    const server = createServer(store);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return { store, request: (method, url, options = {}) => fetch(base + url, { method, ...options }) };
+}
+
+test('broken percent-encoding is not found for files and a bad request for API ids', async t => {
+    const { request } = await startServer(t);
+    assert.strictEqual((await request('GET', '/%E0%A4%A')).status, 404);
+    assert.strictEqual((await request('GET', '/script.js')).status, 200);
+    assert.strictEqual((await request('DELETE', '/api/events/%E0%A4%A')).status, 400);
+    assert.strictEqual((await request('PUT', '/api/events/%E0%A4%A', { body: '{}' })).status, 400);
+});
+
+// An event with a fee and one unpaid registration held through `token`
+function seedPaidEvent(store) {
+    store.put('events', { id: 'event-1', title: 'Open day', date: '2030-07-01T10:00', maxParticipants: 10, feeAmount: 1500, feeCurrency: 'EUR' });
+    store.put('inscriptions', {
+        id: 'inscription-1', eventId: 'event-1', name: 'Ana', email: 'ana@example.com', status: 'accepted', token: 'token-1',
+        amountDue: 1500, currency: 'EUR', feeTier: 'standard', earlyBird: false, discountCode: null, paymentStatus: 'unpaid'
+    });
+}
+
+const json = body => ({ headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+const holding = (token, body) => ({ ...json(body), headers: { 'Content-Type': 'application/json', 'X-Inscription-Tokens': token } });
+
+test('registration holders cannot mark themselves paid', async t => {
+    const { store, request } = await startServer(t);
+    seedPaidEvent(store);
+    const [inscription] = store.list('inscriptions');
+    const paid = { ...inscription, paymentStatus: 'paid', paidAt: new Date().toISOString(), paymentProvider: 'mock', paymentReference: 'mock_forged' };
+
+    assert.strictEqual((await request('PUT', '/api/inscriptions/inscription-1', holding('token-1', paid))).status, 401);
+    assert.strictEqual(store.list('inscriptions')[0].paymentStatus, 'unpaid');
+});
+
+test('payments are charged on the server before registrations become paid', async t => {
+    const { store, request } = await startServer(t);
+    seedPaidEvent(store);
+    const pay = (token, source) => request('POST', '/api/payments', holding(token, { inscriptionIds: ['inscription-1'], source }));
+
+    assert.strictEqual((await pay('someone-else', '4242 4242 4242 4242')).status, 401);
+    const declined = await pay('token-1', '4000 0000 0000 0002');
+    assert.strictEqual(declined.status, 402);
+    assert.strictEqual((await declined.json()).reason, 'declined');
+    assert.strictEqual(store.list('inscriptions')[0].paymentStatus, 'unpaid');
+
+    const response = await pay('token-1', '4242 4242 4242 4242');
+    assert.strictEqual(response.status, 200);
+    const [paid] = await response.json();
+    assert.strictEqual(paid.paymentStatus, 'paid');
+    assert.strictEqual(paid.paymentProvider, 'mock');
+    assert.deepStrictEqual(store.list('inscriptions')[0], paid);
+    assert.strictEqual((await pay('token-1', '4242 4242 4242 4242')).status, 409);
+});
+
+// A new registration for the paid event as the page would send it
+function registration(fields = {}) {
+    return {
+        id: 'inscription-2', eventId: 'event-1', name: 'Bruno', email: 'bruno@example.com', status: 'accepted', token: 'token-2',
+        amountDue: 1500, currency: 'EUR', feeTier: 'standard', earlyBird: false, discountCode: null, paymentStatus: 'unpaid', ...fields
+    };
+}
+
+test('registrations pay what the server prices, discount codes included', async t => {
+    const { store, request } = await startServer(t);
+    seedPaidEvent(store);
+    store.put('events', { ...store.list('events')[0], discountCodes: [{ code: 'FRIENDS', percentOff: 20 }] });
+    const register = fields => request('PUT', '/api/inscriptions/inscription-2', json(registration(fields)));
+
+    assert.strictEqual((await register({ amountDue: 1 })).status, 400);
+    assert.strictEqual((await register({ paymentStatus: 'waived', amountDue: 0 })).status, 400);
+    assert.strictEqual((await register({ discountCode: 'GUESSED', amountDue: 0, paymentStatus: 'waived' })).status, 400);
+    assert.strictEqual((await register({ feeTier: 'member' })).status, 400);
+    assert.strictEqual((await register({ discountCode: 'FRIENDS', amountDue: 1200 })).status, 200);
+    assert.strictEqual(store.list('inscriptions')[1].amountDue, 1200);
+});
+
+test('the registration page gets quotes instead of discount codes', async t => {
+    const { store, request } = await startServer(t);
+    seedPaidEvent(store);
+    const event = {
+        ...store.list('events')[0],
+        discountCodes: [{ code: 'FRIENDS', percentOff: 20 }],
+        history: [
+            { at: '2030-01-01T10:00:00.000Z', by: 'Olga', changes: [{ field: 'discountCodes', from: [], to: [{ code: 'FRIENDS', percentOff: 20 }] }], movedToWaitlist: 0 },
+            { at: '2030-01-02T10:00:00.000Z', by: 'Olga', changes: [{ field: 'title', from: 'Open house', to: 'Open day' }], movedToWaitlist: 0 }
+        ]
+    };
+    store.put('events', event);
+
+    const [visible] = await (await request('GET', '/api/events')).json();
+    assert.strictEqual('discountCodes' in visible, false);
+    assert.deepStrictEqual(visible.history, [event.history[1]]);
+    assert.doesNotMatch(JSON.stringify(visible), /FRIENDS/);
+
+    const quote = await request('POST', '/api/quote', json({ eventId: 'event-1', discountCode: 'friends' }));
+    assert.strictEqual((await quote.json()).fee.amountDue, 1200);
+    const unknown = await request('POST', '/api/quote', json({ eventId: 'event-1', discountCode: 'GUESSED' }));
+    assert.strictEqual(unknown.status, 400);
+    assert.strictEqual((await unknown.json()).reason, 'invalidDiscountCode');
+});
+
+test('events that verify emails only take holds, which the server times', async t => {
+    const { store, request } = await startServer(t);
+    store.put('events', { id: 'event-2', title: 'Workshop', date: '2030-07-01T10:00', maxParticipants: 10, verificationRequired: true, verificationHoldMinutes: 30 });
+    const register = fields => request('PUT', '/api/inscriptions/inscription-3', json({
+        id: 'inscription-3', eventId: 'event-2', name: 'Carla', email: 'carla@example.com', token: 'token-3', ...fields
+    }));
+
+    assert.strictEqual((await register({ status: 'accepted' })).status, 403);
+    const before = Date.now();
+    const response = await register({
+        status: 'pending_verification', verifyAs: 'accepted', verificationToken: 'verify-3', verificationExpiresAt: '2099-01-01T00:00:00.000Z'
+    });
+    assert.strictEqual(response.status, 200);
+    const expiresAt = new Date(store.list('inscriptions')[0].verificationExpiresAt).getTime();
+    assert.ok(expiresAt >= before + 30 * 60 * 1000 && expiresAt <= Date.now() + 30 * 60 * 1000);
+});
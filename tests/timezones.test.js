@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { zonedTimeToDate, dateToZonedTime } = require('../calendar');
+const { loadApp } = require('./helpers');
+
+// The viewer's time zone is the process's; each test picks its own
+const originalTimeZone = process.env.TZ;
+
+test.afterEach(() => {
+    if (originalTimeZone === undefined) {
+        delete process.env.TZ;
+    } else {
+        process.env.TZ = originalTimeZone;
+    }
+});
+
+const iso = date => date.toISOString();
+
+test('zonedTimeToDate reads wall-clock times in the given zone', () => {
+    assert.strictEqual(iso(zonedTimeToDate('2030-07-01T10:00', 'Europe/Madrid')), '2030-07-01T08:00:00.000Z');
+    assert.strictEqual(iso(zonedTimeToDate('2030-01-15T10:00', 'Europe/Madrid')), '2030-01-15T09:00:00.000Z');
+    assert.strictEqual(iso(zonedTimeToDate('2030-07-01T10:00', 'Asia/Kolkata')), '2030-07-01T04:30:00.000Z');
+});
+
+test('zonedTimeToDate moves times skipped by spring forward ahead by the gap', () => {
+    // Madrid jumps from 02:00 to 03:00 on 31 March 2030
+    assert.strictEqual(iso(zonedTimeToDate('2030-03-31T02:30', 'Europe/Madrid')), '2030-03-31T01:30:00.000Z');
+    assert.strictEqual(dateToZonedTime(zonedTimeToDate('2030-03-31T02:30', 'Europe/Madrid'), 'Europe/Madrid'), '2030-03-31T03:30');
+    // New York jumps from 02:00 to 03:00 on 10 March 2030
+    assert.strictEqual(iso(zonedTimeToDate('2030-03-10T02:30', 'America/New_York')), '2030-03-10T07:30:00.000Z');
+    // Lord Howe Island only moves its clocks by half an hour
+    assert.strictEqual(dateToZonedTime(zonedTimeToDate('2030-10-06T02:15', 'Australia/Lord_Howe'), 'Australia/Lord_Howe'), '2030-10-06T02:45');
+    // Just outside the gap nothing moves
+    assert.strictEqual(dateToZonedTime(zonedTimeToDate('2030-03-31T01:59', 'Europe/Madrid'), 'Europe/Madrid'), '2030-03-31T01:59');
+    assert.strictEqual(dateToZonedTime(zonedTimeToDate('2030-03-31T03:00', 'Europe/Madrid'), 'Europe/Madrid'), '2030-03-31T03:00');
+});
+
+test('zonedTimeToDate takes the earlier instant for times fall back repeats', () => {
+    // 02:30 happens in summer time (UTC+2) and again an hour later (UTC+1)
+    assert.strictEqual(iso(zonedTimeToDate('2030-10-27T02:30', 'Europe/Madrid')), '2030-10-27T00:30:00.000Z');
+    // 01:30 happens in EDT (UTC-4) and again in EST (UTC-5)
+    assert.strictEqual(iso(zonedTimeToDate('2030-11-03T01:30', 'America/New_York')), '2030-11-03T05:30:00.000Z');
+    // Either side of the repeated hour the offset is unambiguous
+    assert.strictEqual(iso(zonedTimeToDate('2030-10-27T01:59', 'Europe/Madrid')), '2030-10-26T23:59:00.000Z');
+    assert.strictEqual(iso(zonedTimeToDate('2030-10-27T03:00', 'Europe/Madrid')), '2030-10-27T02:00:00.000Z');
+});
+
+test('zonedTimeToDate does not depend on the runtime time zone', () => {
+    const instants = ['UTC', 'America/New_York', 'Asia/Tokyo'].map(timeZone => {
+        process.env.TZ = timeZone;
+        return [
+            iso(zonedTimeToDate('2030-07-01T10:00', 'Europe/Madrid')),
+            iso(zonedTimeToDate('2030-03-31T02:30', 'Europe/Madrid')),
+            iso(zonedTimeToDate('2030-10-27T02:30', 'Europe/Madrid'))
+        ];
+    });
+    assert.deepStrictEqual(instants[1], instants[0]);
+    assert.deepStrictEqual(instants[2], instants[0]);
+});
+
+test('getEventTime uses the event zone, not the viewer zone', async () => {
+    process.env.TZ = 'America/New_York';
+    const app = await loadApp();
+    const getEventTime = app.get('getEventTime');
+    const event = { date: '2030-07-01T10:00', timezone: 'Europe/Madrid', registrationClosesAt: '2030-06-30T18:00' };
+
+    assert.strictEqual(iso(getEventTime(event)), '2030-07-01T08:00:00.000Z');
+    assert.strictEqual(iso(getEventTime(event, event.registrationClosesAt)), '2030-06-30T16:00:00.000Z');
+    assert.strictEqual(iso(getEventTime({ ...event, date: '2030-10-27T02:30' })), '2030-10-27T00:30:00.000Z');
+
+    // Events from before time zones were stored keep the viewer's clock
+    assert.strictEqual(iso(getEventTime({ date: '2030-07-01T10:00' })), '2030-07-01T14:00:00.000Z');
+});
+
+test('registration windows close at the event zone time for every viewer', async () => {
+    process.env.TZ = 'Asia/Tokyo';
+    const app = await loadApp();
+    const dataManager = app.get('dataManager');
+    const event = { date: '2030-07-01T10:00', timezone: 'America/New_York', registrationClosesAt: '2030-06-30T18:00' };
+
+    assert.strictEqual(dataManager.getRegistrationWindow(event, new Date('2030-06-30T21:59:00Z')), 'open');
+    assert.strictEqual(dataManager.getRegistrationWindow(event, new Date('2030-06-30T22:00:00Z')), 'closed');
+});
+
+test('event dates show the viewer time when their clock differs', async () => {
+    process.env.TZ = 'America/New_York';
+    const app = await loadApp();
+    const formatEventDate = app.get('formatEventDate');
+
+    assert.strictEqual(formatEventDate({ date: '2030-07-01T10:00', timezone: 'America/New_York' }), 'July 1, 2030 at 10:00 AM (America/New_York)');
+    assert.strictEqual(formatEventDate({ date: '2030-07-01T10:00', timezone: 'Europe/Madrid' }), 'July 1, 2030 at 10:00 AM (Europe/Madrid) · 04:00 AM your time');
+    // On the viewer's clock a morning in Tokyo is still the evening before
+    assert.strictEqual(formatEventDate({ date: '2030-07-01T08:00', timezone: 'Asia/Tokyo' }), 'July 1, 2030 at 08:00 AM (Asia/Tokyo) · June 30, 2030 at 07:00 PM your time');
+    assert.strictEqual(
+        formatEventDate({ date: '2030-07-01T10:00', timezone: 'Europe/Madrid' }, undefined, { localTime: false }),
+        'July 1, 2030 at 10:00 AM (Europe/Madrid)'
+    );
+});